@@ -1,127 +1,12 @@
 #!/usr/bin/env node
 
-import { Config } from '../src/config.js';
-import { NotesMDAdapter } from '../src/adapters/notesmd.js';
-import { VaultService } from '../src/services/vault.js';
-import { IndexService } from '../src/services/index.js';
-import { DoctorService } from '../src/services/doctor.js';
-import { PruneService } from '../src/services/prune.js';
-import { TrackerService } from '../src/services/tracker.js';
-import handoffCommands from '../src/commands/handoff.js';
-import phaseCommands from '../src/commands/phase.js';
-import memoryCommands from '../src/commands/memory.js';
-import initCommands from '../src/commands/init.js';
-import { getCommandHelp } from '../src/commands/registry.js';
-
-/**
- * Parse command line arguments
- */
-function parseArgs(argv) {
-  const args = {
-    _: [],
-    stdin: false
-  };
-
-  for (let i = 0; i < argv.length; i++) {
-    const arg = argv[i];
-
-    if (arg.startsWith('--')) {
-      const key = arg.slice(2);
-      const nextArg = argv[i + 1];
-
-      if (nextArg && !nextArg.startsWith('--')) {
-        args[key] = nextArg;
-        i++;
-      } else {
-        args[key] = true;
-      }
-    } else if (arg.startsWith('-')) {
-      const key = arg.slice(1);
-      args[key] = true;
-    } else {
-      args._.push(arg);
-    }
-  }
-
-  return args;
-}
-
-/**
- * Format output
- */
-function formatOutput(result) {
-  if (result.success) {
-    console.log(`✓ ${result.message}`);
-    
-    if (result.note) {
-      console.log(`  Path: ${result.note.path}`);
-      console.log(`  ID: ${result.note.id}`);
-    }
-
-    if (result.phase) {
-      console.log(`  Phase: ${result.phase.title} (${result.phase.id})`);
-      console.log(`  Path: ${result.phase.path}`);
-    }
-
-    if (result.handoff) {
-      console.log(`  Handoff: ${result.handoff.title || result.handoff.id}`);
-      console.log(`  Path: ${result.handoff.path}`);
-    }
-
-    if (result.session) {
-      console.log(`  Session: ${result.session.id}`);
-      console.log(`  Path: ${result.session.path}`);
-    }
-
-    if (result.results) {
-      console.log(`\nResults:`);
-      for (const item of result.results.slice(0, 10)) {
-        console.log(`  ${item.path}`);
-        if (item.preview) {
-          console.log(`    ${item.preview.substring(0, 80)}...`);
-        }
-      }
-      if (result.results.length > 10) {
-        console.log(`  ... and ${result.results.length - 10} more`);
-      }
-    }
-
-    if (result.diagnostics) {
-      console.log(`\nDiagnostics:`);
-      console.log(`  Folders: ${result.diagnostics.folders.healthy ? '✓' : '✗'} ${result.diagnostics.folders.message}`);
-      console.log(`  Indexes: ${result.diagnostics.indexes.healthy ? '✓' : '✗'} ${result.diagnostics.indexes.issues.length} issues`);
-      console.log(`  Frontmatter: ${result.diagnostics.frontmatter.healthy ? '✓' : '✗'} ${result.diagnostics.frontmatter.checked} checked, ${result.diagnostics.frontmatter.invalid.length} invalid`);
-      
-      if (!result.diagnostics.healthy) {
-        console.log(`\nIssues:`);
-        for (const issue of result.diagnostics.indexes.issues) {
-          console.log(`  - ${issue.index}: ${issue.message}`);
-        }
-        for (const invalid of result.diagnostics.frontmatter.invalid.slice(0, 5)) {
-          console.log(`  - ${invalid.path}: missing ${invalid.missing?.join(', ') || 'unknown fields'}`);
-        }
-      }
-    }
-
-    if (result.result && result.result.summary) {
-      const summary = result.result.summary;
-      console.log(`\nSummary:`);
-      console.log(`  Candidates: ${summary.candidates}`);
-      console.log(`  Deleted: ${summary.deleted}`);
-      console.log(`  Errors: ${summary.errors}`);
-    }
-
-    if (result.tracker) {
-      console.log(`\nTracker:`);
-      console.log(`  Active phase: ${result.tracker.active_phase_id || 'none'}`);
-      console.log(`  Session: ${result.tracker.current_session_id || 'none'}`);
-      console.log(`  Latest handoff: ${result.tracker.latest_handoff_id || 'none'}`);
-    }
-  } else {
-    console.error(`✗ ${result.message}`);
-    process.exit(1);
-  }
-}
+import { createMemory } from '../src/index.js';
+import { getCommandHelp, COMMAND_ALIASES } from '../src/commands/registry.js';
+import { parseCommandLine, peekFormat } from '../src/commands/parser.js';
+import { printResult } from '../src/commands/output.js';
+import { startMcpServer } from '../src/server/mcp.js';
+import { startHttpServer } from '../src/server/http.js';
+import { ERROR_CODES, toErrorResult } from '../src/utils/errors.js';
 
 /**
  * Display help for core commands
@@ -137,12 +22,25 @@ Core Commands:
   init [--mode <greenfield|brownfield>]
                     Initialize vault or start new project with onboarding
   handoff           Create a handoff note to capture work state
+  handoff log [ref] Walk the handoff chain back from the latest (or given) handoff
+  handoff list      List every handoff, newest first
   resume            Resume from the latest handoff
+  note <subcommand> Print notes by id, path, wikilink, alias or title
   phase <subcommand> Manage development phases
   vault <subcommand> Manage vault content and health
+  config <subcommand> Inspect or edit configuration
+  profile <subcommand> Manage named vault profiles
+  mcp               Run a Model Context Protocol server over stdio
+  serve             Run a local HTTP/JSON API (localhost only)
   help [command]    Show help for a command
   Aliases: h (handoff), r (resume), p (phase), v (vault)
 
+Note Subcommands:
+  show <ref>        Print a note (--body, --frontmatter, --field <name>, --follow <n>)
+  cat <ref>         Same as show
+  update <ref>      Change --status, --add-tag, --remove-tag, --set key=value, --append-stdin
+  edit <ref>        Edit in $EDITOR; saved only if the frontmatter is still valid
+
 Phase Subcommands:
   create            Create a new development phase
   research          Add research notes to a phase
@@ -150,22 +48,40 @@ Phase Subcommands:
 
 Vault Subcommands:
   index             Regenerate vault indexes
-  search <query>    Search vault content
+  search <query...> Search vault content
   doctor            Run vault health diagnostics
   prune             Clean up old notes
   tracker           Show or update deterministic tracker state
+  migrate           Upgrade an older vault to the current format
+
+Config Subcommands:
+  get <key>         Show the effective value of a key
+  set <key> <value> Set a key in the project config (--user for user config)
+  unset <key>       Remove a key from a config file
+  list              List effective values and config problems
+  explain [key]     Show every layer that sets a key and which one wins
+
+Profile Subcommands:
+  list              List profiles and which one is active
+  use <name>        Make a profile the default (--user for user config)
+  add <name>        Define a profile (--vault-path, --adapter, --retention-days, ...)
 
 Options:
   --vault <path>    Specify vault location (or use COPILOT_MEMORY_VAULT env var)
+  --profile <name>  Use a named config profile (or use COPILOT_MEMORY_PROFILE env var)
+  --format <fmt>    Output format: text (default), json or ndjson
   --help, -h        Show this help message
-  --verbose, -v     Show detailed error messages
+  --verbose, -v     Show detailed error messages and diagnostics
 
 Examples:
   copilot-memory init
   copilot-memory init --mode greenfield --idea "Build a REST API" --stack "Node.js, Express"
   copilot-memory init --mode brownfield --path /path/to/project
   copilot-memory handoff --title "Feature Complete"
+  copilot-memory handoff --title "Standup" --template standup
   copilot-memory resume
+  copilot-memory handoff log --since 2024-01-01 --limit 5
+  copilot-memory note show 3f2a9c1e --follow 2
   copilot-memory phase create --title "Authentication"
   copilot-memory phase research --phase <id> --title "OAuth Best Practices"
   copilot-memory vault search "authentication"
@@ -173,12 +89,87 @@ Examples:
   copilot-memory vault index
   copilot-memory vault prune --days 90 --dry-run
   copilot-memory vault tracker
+  copilot-memory vault migrate --dry-run
+  copilot-memory config explain vaultPath
+  copilot-memory profile add work --vault-path ~/vaults/work
+  copilot-memory --profile work resume
   copilot-memory v tracker --phase auth-phase
+  copilot-memory vault search "auth" --format json
+
+Exit codes:
+  0 success, 1 unexpected error, 2 validation error, 3 not found, 4 I/O error
 
 For more details: https://github.com/yourusername/copilot-memory
 `);
 }
 
+/**
+ * Result for commands removed in the concise command model
+ */
+function legacyCommandResult(command) {
+  const legacyCommands = {
+    'continuous-resume': 'resume',
+    'continous-handoff': 'handoff',
+    'continous-resume': 'resume',
+    'continous-greenfield': 'init',
+    'continous-brownfield': 'init',
+    'phase-create': 'phase create',
+    'phase-research': 'phase research',
+    'phase-handoff': 'phase handoff',
+    'memory-index': 'vault index',
+    'memory-search': 'vault search',
+    'memory-doctor': 'vault doctor',
+    'memory-prune': 'vault prune',
+    'commands-list': 'help',
+    'commands-status': 'vault doctor'
+  };
+
+  if (!legacyCommands[command]) {
+    return null;
+  }
+
+  return {
+    success: false,
+    code: ERROR_CODES.VALIDATION,
+    message: `BREAKING CHANGE: Command '${command}' has been removed. Please use: copilot-memory ${legacyCommands[command]}`,
+    replacement: legacyCommands[command],
+    hints: ['  See migration guide: https://github.com/yourusername/copilot-memory#migration']
+  };
+}
+
+/**
+ * Run the HTTP API until interrupted
+ */
+async function serve(args) {
+  const format = args.format || 'text';
+  let started;
+
+  try {
+    const memory = await createMemory({ vaultPath: args.vault, profile: args.profile });
+    started = await startHttpServer(memory, {
+      port: args.port,
+      host: args.host,
+      token: args.token || process.env.COPILOT_MEMORY_TOKEN
+    });
+  } catch (error) {
+    process.exitCode = printResult(toErrorResult(error), { format });
+    return;
+  }
+
+  printResult({
+    success: true,
+    message: `Listening on ${started.url}`,
+    url: started.url
+  }, { format });
+
+  const stop = () => {
+    started.server.close();
+    started.server.closeAllConnections();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
 /**
  * Main CLI function
  */
@@ -191,179 +182,83 @@ async function main() {
     process.exit(0);
   }
 
-  // Parse top-level command
-  const commandAliases = { h: 'handoff', r: 'resume', p: 'phase', v: 'vault' };
-  const command = commandAliases[argv[0]] || argv[0];
-  
-  // Handle global help flags
-  if (command === 'help' || command === '--help' || command === '-h') {
-    if (argv[1]) {
-      const help = getCommandHelp(argv[1]);
-      if (help) {
-        console.log(help);
-      } else {
-        console.error(`Unknown command: ${argv[1]}`);
-        process.exit(1);
-      }
-    } else {
-      showHelp();
-    }
-    process.exit(0);
+  const legacy = legacyCommandResult(argv[0]);
+  if (legacy) {
+    process.exit(printResult(legacy, { format: peekFormat(argv) }));
   }
 
-  // Parse remaining arguments
-  const args = parseArgs(argv.slice(1));
-  
-  // Handle command-level help flag
-  if (args.help || args.h) {
-    const help = getCommandHelp(command);
-    if (help) {
-      console.log(help);
-    } else {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    process.exit(printResult(toErrorResult(error), { format: peekFormat(argv) }));
+  }
+
+  const { command, name, args } = parsed;
+
+  // Handle help command and help flags
+  if (command === 'help' || args.help) {
+    const topic = command === 'help' ? args.topic : name;
+    if (!topic) {
       showHelp();
+      process.exit(0);
     }
+
+    const [first, ...restTopic] = topic.split(' ');
+    const help = getCommandHelp([COMMAND_ALIASES[first] || first, ...restTopic].join(' '));
+    if (!help) {
+      process.exit(printResult({
+        success: false,
+        code: ERROR_CODES.VALIDATION,
+        message: `Unknown command: ${topic}`
+      }));
+    }
+    console.log(help);
     process.exit(0);
   }
 
-  // Initialize services (with global --vault option)
-  const config = new Config({
-    vaultPath: args.vault || process.env.COPILOT_MEMORY_VAULT
-  });
+  // Long-running server: stdout carries protocol messages only
+  if (command === 'mcp') {
+    try {
+      const memory = await createMemory({ vaultPath: args.vault, profile: args.profile });
+      await startMcpServer(memory);
+    } catch (error) {
+      process.exitCode = printResult(toErrorResult(error), { format: args.format || 'text', stdout: process.stderr });
+    }
+    return;
+  }
 
-  const adapter = new NotesMDAdapter(config);
-  const vault = new VaultService(config, adapter);
-  const indexService = new IndexService(config, adapter);
-  const doctorService = new DoctorService(config, adapter);
-  const pruneService = new PruneService(config, adapter);
-  const trackerService = new TrackerService(config);
+  if (command === 'serve') {
+    await serve(args);
+    return;
+  }
 
+  const format = args.format || 'text';
   let result;
 
   try {
-    // Handle legacy command warnings
-    const legacyCommands = {
-      'continuous-resume': 'resume',
-      'continous-handoff': 'handoff',
-      'continous-resume': 'resume',
-      'continous-greenfield': 'init',
-      'continous-brownfield': 'init',
-      'phase-create': 'phase create',
-      'phase-research': 'phase research',
-      'phase-handoff': 'phase handoff',
-      'memory-index': 'vault index',
-      'memory-search': 'vault search',
-      'memory-doctor': 'vault doctor',
-      'memory-prune': 'vault prune',
-      'commands-list': 'help',
-      'commands-status': 'vault doctor'
-    };
-
-    if (legacyCommands[command]) {
-      console.error(`\n❌ BREAKING CHANGE: Command '${command}' has been removed.`);
-      console.error(`   Please use: copilot-memory ${legacyCommands[command]}`);
-      console.error(`   See migration guide: https://github.com/yourusername/copilot-memory#migration\n`);
-      process.exit(1);
-    }
-
-    // Route to command handlers based on new concise model
-    switch (command) {
-      case 'init':
-        // Initialize vault, then route to mode-based flows
-        await vault.initialize();
-        
-        // If mode is provided, route to init command handler for onboarding
-        if (args.mode) {
-          result = await initCommands.init(vault, args);
-        } else {
-          // No mode provided - just vault init (basic usage)
-          result = {
-            success: true,
-            message: 'Vault initialized. Use --mode greenfield|brownfield for onboarding.',
-            path: config.vaultPath
-          };
-          console.log(`✓ ${result.message}`);
-          console.log(`  Path: ${result.path}`);
-          process.exit(0);
-        }
-        break;
-
-      case 'handoff':
-        await vault.initialize();
-        result = await handoffCommands.handoff(vault, { ...args, tracker: trackerService });
-        break;
-
-      case 'resume':
-        await vault.initialize();
-        result = await handoffCommands.continuousResume(vault, { ...args, tracker: trackerService });
-        break;
-
-      case 'phase':
-        await vault.initialize();
-        args.tracker = trackerService;
-        // Validate subcommand exists
-        const phaseSubcommand = args._[0];
-        if (!phaseSubcommand) {
-          console.error('Error: phase subcommand required');
-          console.log('\nValid subcommands: create, research, handoff');
-          console.log('\nExamples:');
-          console.log('  copilot-memory phase create --title "Authentication"');
-          console.log('  copilot-memory phase research --title "Research"');
-          console.log('  copilot-memory phase handoff --title "Complete"');
-          process.exit(1);
-        }
-        
-        // Validate subcommand is recognized
-        if (!['create', 'research', 'handoff'].includes(phaseSubcommand)) {
-          console.error(`Error: unknown phase subcommand '${phaseSubcommand}'`);
-          console.log('\nValid subcommands: create, research, handoff');
-          process.exit(1);
-        }
-        
-        result = await phaseCommands.phase(vault, args);
-        break;
-
-      case 'vault':
-        await vault.initialize();
-        // Validate subcommand exists
-        const vaultSubcommand = args._[0];
-        if (!vaultSubcommand) {
-          console.error('Error: vault subcommand required');
-          console.log('\nValid subcommands: index, search, doctor, prune, tracker');
-          console.log('\nExamples:');
-          console.log('  copilot-memory vault index');
-          console.log('  copilot-memory vault search "query"');
-          console.log('  copilot-memory vault doctor');
-          console.log('  copilot-memory vault prune --days 90');
-          console.log('  copilot-memory vault tracker --phase <id>');
-          process.exit(1);
-        }
-        
-        // Validate subcommand is recognized
-        if (!['index', 'search', 'doctor', 'prune', 'tracker'].includes(vaultSubcommand)) {
-          console.error(`Error: unknown vault subcommand '${vaultSubcommand}'`);
-          console.log('\nValid subcommands: index, search, doctor, prune, tracker');
-          process.exit(1);
+    const memory = await createMemory({
+      vaultPath: args.vault,
+      profile: args.profile,
+      onError: (error) => {
+        if (args.verbose) {
+          console.error(error.stack);
         }
-        
-        result = await memoryCommands.vault(indexService, doctorService, pruneService, vault, { ...args, tracker: trackerService });
-        break;
-
-      default:
-        console.error(`Error: unknown command '${command}'`);
-        console.log('\nValid commands: init, handoff, resume, phase, vault, help');
-        console.log('Aliases: h, r, p, v');
-        console.log('\nRun \'copilot-memory help\' for more information');
-        process.exit(1);
+      }
+    });
+    // config and profile commands list issues themselves
+    if (command !== 'config' && command !== 'profile') {
+      for (const issue of memory.config.issues.filter(issue => issue.severity === 'warning')) {
+        console.error(`Warning: ${issue.message}`);
+      }
     }
-
-    formatOutput(result);
+    result = await memory.run(name, args);
   } catch (error) {
-    console.error(`Error: ${error.message}`);
-    if (args.verbose || args.v) {
-      console.error(error.stack);
-    }
-    process.exit(1);
+    result = toErrorResult(error);
   }
+
+  // Let stdout drain before exiting so large JSON output is not truncated
+  process.exitCode = printResult(result, { format });
 }
 
 main();
@@ -0,0 +1,214 @@
+/**
+ * Adapter conformance suite
+ *
+ * Registers node:test cases that check an adapter honours the contract in
+ * ./contract.js. Third-party adapters can run it from their own tests:
+ *
+ * @example
+ * import { describeAdapterConformance } from 'copilot-memory/src/adapters/conformance.js';
+ *
+ * describeAdapterConformance('MyAdapter', async () => {
+ *   const root = await mkdtemp(join(tmpdir(), 'vault-'));
+ *   return { adapter: new MyAdapter({ vaultPath: root }), root, cleanup: () => rm(root, { recursive: true }) };
+ * });
+ */
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { ADAPTER_METHODS, assertAdapter } from './contract.js';
+import { ERROR_CODES } from '../utils/errors.js';
+
+/**
+ * Register the conformance suite for one adapter
+ *
+ * @param {string} name - Suite name
+ * @param {() => Promise<{ adapter: Object, root: string, cleanup?: () => Promise<void> }>} setup
+ *   Called before each test; `root` is an empty vault directory
+ */
+export function describeAdapterConformance(name, setup) {
+  describe(`Adapter conformance: ${name}`, () => {
+    let adapter;
+    let root;
+    let cleanup;
+
+    const frontmatter = (overrides = {}) => ({
+      id: 'note-1',
+      type: 'handoff',
+      status: 'active',
+      tags: ['alpha', 'beta'],
+      ...overrides
+    });
+
+    beforeEach(async () => {
+      ({ adapter, root, cleanup } = await setup());
+    });
+
+    afterEach(async () => {
+      if (cleanup) await cleanup();
+    });
+
+    test('implements every contract method', () => {
+      assertAdapter(adapter, name);
+      for (const method of ADAPTER_METHODS) {
+        assert.strictEqual(typeof adapter[method], 'function', `missing ${method}`);
+      }
+    });
+
+    test('createNote creates parent folders and readNote round-trips', async () => {
+      const path = join(root, 'handoffs', '2024', '01', 'note.md');
+      const created = await adapter.createNote(path, frontmatter(), '# Title\n\nBody text');
+
+      assert.strictEqual(created.path, path);
+      assert.strictEqual(adapter.exists(path), true);
+
+      const note = await adapter.readNote(path);
+      assert.strictEqual(note.path, path);
+      assert.strictEqual(note.frontmatter.id, 'note-1');
+      assert.strictEqual(note.frontmatter.type, 'handoff');
+      assert.deepStrictEqual(note.frontmatter.tags, ['alpha', 'beta']);
+      assert.strictEqual(note.body, '# Title\n\nBody text');
+    });
+
+    test('createNote with exclusive refuses to overwrite', async () => {
+      const path = join(root, 'handoffs', 'note.md');
+      await adapter.createNote(path, frontmatter(), 'first', { exclusive: true });
+
+      await assert.rejects(
+        adapter.createNote(path, frontmatter({ id: 'note-2' }), 'second', { exclusive: true }),
+        (error) => error.code === ERROR_CODES.IO
+      );
+      assert.strictEqual((await adapter.readNote(path)).body, 'first');
+
+      await adapter.createNote(path, frontmatter({ id: 'note-2' }), 'second');
+      assert.strictEqual((await adapter.readNote(path)).body, 'second');
+    });
+
+    test('readNote rejects missing notes with NOT_FOUND', async () => {
+      await assert.rejects(
+        adapter.readNote(join(root, 'missing.md')),
+        (error) => error.code === ERROR_CODES.NOT_FOUND || error.code === 'ENOENT'
+      );
+    });
+
+    test('updateNote replaces frontmatter and body', async () => {
+      const path = join(root, 'note.md');
+      await adapter.createNote(path, frontmatter(), 'before');
+      await adapter.updateNote(path, frontmatter({ status: 'complete' }), 'after');
+
+      const note = await adapter.readNote(path);
+      assert.strictEqual(note.frontmatter.status, 'complete');
+      assert.strictEqual(note.body, 'after');
+    });
+
+    test('exists and getStats report missing notes', async () => {
+      const path = join(root, 'nope.md');
+      assert.strictEqual(adapter.exists(path), false);
+      assert.strictEqual(await adapter.getStats(path), null);
+    });
+
+    test('getStats returns size and modification time', async () => {
+      const path = join(root, 'note.md');
+      await adapter.createNote(path, frontmatter(), 'body');
+
+      const stats = await adapter.getStats(path);
+      assert.ok(stats.size > 0);
+      assert.ok(stats.mtime instanceof Date);
+    });
+
+    test('listNotes honours recursive and pattern options', async () => {
+      const top = join(root, 'phases', 'phase.md');
+      const nested = join(root, 'phases', 'auth', 'phase.md');
+      const research = join(root, 'phases', 'auth', 'research', 'oauth--research.md');
+      for (const path of [top, nested, research]) {
+        await adapter.createNote(path, frontmatter(), 'body');
+      }
+
+      const shallow = await adapter.listNotes(join(root, 'phases'));
+      assert.deepStrictEqual(shallow, [top]);
+
+      const deep = await adapter.listNotes(join(root, 'phases'), { recursive: true });
+      assert.deepStrictEqual([...deep].sort(), [nested, research, top].sort());
+
+      const filtered = await adapter.listNotes(join(root, 'phases'), { recursive: true, pattern: /phase\.md$/ });
+      assert.deepStrictEqual([...filtered].sort(), [nested, top].sort());
+
+      assert.deepStrictEqual(await adapter.listNotes(join(root, 'missing')), []);
+    });
+
+    test('deleteNote removes notes and rejects missing ones', async () => {
+      const path = join(root, 'handoffs', 'old.md');
+      await adapter.createNote(path, frontmatter(), 'body');
+
+      await adapter.deleteNote(path);
+      assert.strictEqual(adapter.exists(path), false);
+      assert.deepStrictEqual(await adapter.listNotes(join(root, 'handoffs')), []);
+
+      await assert.rejects(adapter.deleteNote(path), (error) => error.code === ERROR_CODES.NOT_FOUND);
+    });
+
+    test('moveNote relocates notes and refuses to overwrite', async () => {
+      const from = join(root, 'handoffs', 'note.md');
+      const to = join(root, 'handoffs', '2024', '01', 'note.md');
+      await adapter.createNote(from, frontmatter(), 'moved body');
+
+      const moved = await adapter.moveNote(from, to);
+      assert.strictEqual(moved.path, to);
+      assert.strictEqual(adapter.exists(from), false);
+      assert.strictEqual((await adapter.readNote(to)).body, 'moved body');
+
+      const other = join(root, 'other.md');
+      await adapter.createNote(other, frontmatter({ id: 'note-2' }), 'other body');
+      await assert.rejects(adapter.moveNote(other, to), (error) => error.code === ERROR_CODES.IO);
+      assert.strictEqual((await adapter.readNote(to)).body, 'moved body');
+
+      await adapter.moveNote(other, to, { overwrite: true });
+      assert.strictEqual((await adapter.readNote(to)).body, 'other body');
+
+      await assert.rejects(adapter.moveNote(join(root, 'gone.md'), join(root, 'x.md')),
+        (error) => error.code === ERROR_CODES.NOT_FOUND);
+    });
+
+    test('renameNote keeps the folder and validates the name', async () => {
+      const path = join(root, 'sessions', 'draft.md');
+      await adapter.createNote(path, frontmatter(), 'body');
+
+      const renamed = await adapter.renameNote(path, 'final');
+      assert.strictEqual(renamed.path, join(root, 'sessions', 'final.md'));
+      assert.strictEqual(adapter.exists(renamed.path), true);
+      assert.strictEqual(adapter.exists(path), false);
+
+      await assert.rejects(adapter.renameNote(renamed.path, '../escape.md'),
+        (error) => error.code === ERROR_CODES.VALIDATION);
+    });
+
+    test('searchNotes matches literal text case-insensitively by default', async () => {
+      const hit = join(root, 'sessions', 'hit.md');
+      const miss = join(root, 'sessions', 'miss.md');
+      await adapter.createNote(hit, frontmatter(), 'Implemented OAuth (v2) login');
+      await adapter.createNote(miss, frontmatter({ id: 'note-2' }), 'Nothing relevant');
+
+      const results = await adapter.searchNotes(root, 'oauth (v2)');
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].path, hit);
+      assert.strictEqual(results[0].frontmatter.id, 'note-1');
+      assert.ok(results[0].matches >= 1);
+      assert.ok(results[0].preview.includes('OAuth'));
+
+      const sensitive = await adapter.searchNotes(root, 'oauth', { caseSensitive: true });
+      assert.strictEqual(sensitive.length, 0);
+    });
+
+    test('searchNotes previews the body around the first match', async () => {
+      const path = join(root, 'research', 'long.md');
+      const body = `${'Unrelated setup notes. '.repeat(20)}The needle sits here.`;
+      await adapter.createNote(path, frontmatter({ title: 'Needle in the title' }), body);
+
+      const [result] = await adapter.searchNotes(root, 'needle');
+      assert.strictEqual(result.matches, 2);
+      assert.ok(result.preview.includes('The needle sits here.'), result.preview);
+      assert.ok(!result.preview.includes('title:'));
+    });
+  });
+}
+
+export default describeAdapterConformance;
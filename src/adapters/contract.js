@@ -0,0 +1,102 @@
+/**
+ * Note adapter contract
+ *
+ * Every adapter stores Markdown notes addressed by absolute path and
+ * implements the methods below. Run the suite in ./conformance.js against
+ * a new adapter to check it honours the contract.
+ *
+ * Adapters only hold notes. Vault folders, indexes/tracker-state.json (and its
+ * lock) and indexes/manifest.json are written by the services straight to
+ * config.vaultPath, whichever adapter is selected.
+ */
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * @typedef {Object} Note
+ * @property {string} path - Absolute note path
+ * @property {Object} frontmatter - Parsed frontmatter
+ * @property {string} body - Markdown body without frontmatter
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} path - Absolute note path
+ * @property {Object} frontmatter - Parsed frontmatter
+ * @property {number} matches - Number of matches in the note
+ * @property {string} preview - Body snippet around the first match
+ */
+
+/**
+ * @typedef {Object} NoteStats
+ * @property {number} size - Serialized size in bytes
+ * @property {Date} mtime - Last modification time
+ */
+
+/**
+ * @typedef {Object} NoteAdapter
+ * @property {(path: string, frontmatter: Object, body: string, options?: { exclusive?: boolean }) => Promise<Note>} createNote
+ *   Write a new note, creating parent folders as needed; with exclusive, rejects with an
+ *   IO_ERROR instead of replacing an existing note
+ * @property {(path: string) => Promise<Note>} readNote
+ *   Read a note; rejects with NotFoundError when it does not exist
+ * @property {(path: string, frontmatter: Object, body: string) => Promise<Note>} updateNote
+ *   Replace a note's frontmatter and body
+ * @property {(dir: string, options?: { recursive?: boolean, pattern?: RegExp }) => Promise<string[]>} listNotes
+ *   Paths of `.md` notes in dir (empty when dir is missing); pattern filters on file name
+ * @property {(dir: string, query: string, options?: { recursive?: boolean, caseSensitive?: boolean }) => Promise<SearchResult[]>} searchNotes
+ *   Literal text search over note contents (case-insensitive by default)
+ * @property {(path: string) => Promise<NoteStats|null>} getStats
+ *   Size and modification time, or null when the note does not exist
+ * @property {(path: string) => boolean} exists
+ *   Synchronous existence check
+ * @property {(path: string) => Promise<{ path: string }>} deleteNote
+ *   Remove a note; rejects with NotFoundError when it does not exist
+ * @property {(from: string, to: string, options?: { overwrite?: boolean }) => Promise<{ path: string, previousPath: string }>} moveNote
+ *   Move a note, creating parent folders; refuses to replace an existing note unless overwrite is set
+ * @property {(path: string, newName: string, options?: { overwrite?: boolean }) => Promise<{ path: string, previousPath: string }>} renameNote
+ *   Move a note to a new file name in the same folder (.md is added when missing)
+ */
+
+/**
+ * Methods every adapter must implement
+ */
+export const ADAPTER_METHODS = [
+  'createNote',
+  'readNote',
+  'updateNote',
+  'listNotes',
+  'searchNotes',
+  'getStats',
+  'exists',
+  'deleteNote',
+  'moveNote',
+  'renameNote'
+];
+
+/**
+ * Throw unless adapter implements every contract method
+ *
+ * @param {Object} adapter
+ * @param {string} [name] - Adapter name for the error message
+ * @returns {NoteAdapter}
+ */
+export function assertAdapter(adapter, name = 'adapter') {
+  if (!adapter || typeof adapter !== 'object') {
+    throw new ValidationError(`${name} is not an adapter object`);
+  }
+
+  const missing = ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new ValidationError(`${name} does not implement the adapter contract`, {
+      details: { missing },
+      hints: [`Missing methods: ${missing.join(', ')}`]
+    });
+  }
+
+  return adapter;
+}
+
+export default {
+  ADAPTER_METHODS,
+  assertAdapter
+};
@@ -1,7 +1,9 @@
-import { readFile, writeFile, readdir, mkdir, stat } from 'fs/promises';
-import { join, basename } from 'path';
+import { readFile, readdir, mkdir, stat, unlink, rename, copyFile } from 'fs/promises';
+import { join, basename, dirname } from 'path';
 import { existsSync } from 'fs';
 import { parseFrontmatter, serializeFrontmatter } from '../utils/frontmatter.js';
+import { writeFileAtomic } from '../utils/atomic.js';
+import { NotFoundError, ValidationError, VaultIOError } from '../utils/errors.js';
 
 /**
  * Filesystem adapter for note operations
@@ -28,14 +30,21 @@ export class FilesystemAdapter {
 
   /**
    * Create a new note
+   * With exclusive, refuses to replace an existing note
    */
-  async createNote(path, frontmatter, body) {
+  async createNote(path, frontmatter, body, options = {}) {
     const content = serializeFrontmatter(frontmatter, body);
-    const dir = path.substring(0, path.lastIndexOf('/'));
-    
-    await mkdir(dir, { recursive: true });
-    await writeFile(path, content, 'utf-8');
-    
+
+    await mkdir(dirname(path), { recursive: true });
+    try {
+      await writeFileAtomic(path, content, { exclusive: options.exclusive });
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw alreadyExists(path, error);
+      }
+      throw error;
+    }
+
     return { path, frontmatter, body };
   }
 
@@ -44,7 +53,7 @@ export class FilesystemAdapter {
    */
   async readNote(path) {
     if (!existsSync(path)) {
-      throw new Error(`Note not found: ${path}`);
+      throw new NotFoundError(`Note not found: ${path}`);
     }
 
     const content = await readFile(path, 'utf-8');
@@ -58,11 +67,49 @@ export class FilesystemAdapter {
    */
   async updateNote(path, frontmatter, body) {
     const content = serializeFrontmatter(frontmatter, body);
-    await writeFile(path, content, 'utf-8');
+    await writeFileAtomic(path, content);
     
     return { path, frontmatter, body };
   }
 
+  /**
+   * Delete a note
+   */
+  async deleteNote(path) {
+    if (!existsSync(path)) {
+      throw new NotFoundError(`Note not found: ${path}`);
+    }
+
+    await unlink(path);
+    return { path };
+  }
+
+  /**
+   * Move a note to a new path, creating parent folders as needed
+   */
+  async moveNote(from, to, options = {}) {
+    checkMove(from, to, options, existsSync);
+
+    await mkdir(dirname(to), { recursive: true });
+    try {
+      await rename(from, to);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      // Rename cannot cross devices; copy then remove the original
+      await copyFile(from, to);
+      await unlink(from);
+    }
+
+    return { path: to, previousPath: from };
+  }
+
+  /**
+   * Rename a note within its folder
+   */
+  async renameNote(path, newName, options = {}) {
+    return await this.moveNote(path, join(dirname(path), toNoteName(newName)), options);
+  }
+
   /**
    * List notes in a directory
    */
@@ -119,7 +166,8 @@ export class FilesystemAdapter {
             path: notePath,
             frontmatter,
             matches: matches.length,
-            preview: this._getPreview(body, matches[0].index)
+            // Offsets in content include the frontmatter; preview around the first body match
+            preview: this._getPreview(body, Math.max(0, body.search(searchRegex)))
           });
         }
       } catch (error) {
@@ -163,4 +211,42 @@ export class FilesystemAdapter {
   }
 }
 
+/**
+ * Validate a move before touching anything (shared with other adapters)
+ */
+export function checkMove(from, to, options, exists) {
+  if (!exists(from)) {
+    throw new NotFoundError(`Note not found: ${from}`);
+  }
+  if (!to.endsWith('.md')) {
+    throw new ValidationError(`Note paths must end in .md: ${to}`);
+  }
+  if (from !== to && exists(to) && !options.overwrite) {
+    throw alreadyExists(to, null, 'Pass overwrite: true to replace it');
+  }
+}
+
+/**
+ * Error for a write that would replace an existing note (shared with other adapters)
+ */
+export function alreadyExists(path, cause = null, hint = 'Choose another name or update the existing note') {
+  return new VaultIOError(`Note already exists: ${path}`, {
+    cause,
+    details: { path },
+    hints: [hint]
+  });
+}
+
+/**
+ * Validate a new note file name, adding .md when missing
+ */
+export function toNoteName(newName) {
+  if (!newName || newName !== basename(newName) || newName === '.' || newName === '..') {
+    throw new ValidationError(`Invalid note name: ${newName}`, {
+      hints: ['Use moveNote to change folders']
+    });
+  }
+  return newName.endsWith('.md') ? newName : `${newName}.md`;
+}
+
 export default FilesystemAdapter;
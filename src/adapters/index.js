@@ -0,0 +1,74 @@
+/**
+ * Adapter selection
+ * Maps the `adapter` config value to an adapter instance
+ */
+import { resolve, isAbsolute } from 'path';
+import { pathToFileURL } from 'url';
+import { FilesystemAdapter } from './filesystem.js';
+import { NotesMDAdapter } from './notesmd.js';
+import { InMemoryAdapter } from './memory.js';
+import { assertAdapter } from './contract.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Built-in adapters by config name
+ */
+export const ADAPTERS = {
+  fs: FilesystemAdapter,
+  notesmd: NotesMDAdapter,
+  memory: InMemoryAdapter
+};
+
+export const DEFAULT_ADAPTER = 'notesmd';
+
+/**
+ * Create the adapter named by config.adapter
+ *
+ * Built-in names are fs, notesmd and memory. Anything else is treated as a
+ * module path (relative to the current directory; Config resolves paths from
+ * config files against their project) whose `createAdapter(config)`
+ * export or default-exported class builds the adapter.
+ *
+ * @param {import('../config.js').Config} config
+ * @returns {Promise<import('./contract.js').NoteAdapter>}
+ */
+export async function createAdapter(config) {
+  const name = config.adapter || DEFAULT_ADAPTER;
+
+  if (ADAPTERS[name]) {
+    return new ADAPTERS[name](config);
+  }
+
+  if (!looksLikePath(name)) {
+    throw new ValidationError(`Unknown adapter '${name}'`, {
+      hints: [`Use one of: ${Object.keys(ADAPTERS).join(', ')}, or a module path such as ./my-adapter.js`]
+    });
+  }
+
+  const modulePath = isAbsolute(name) ? name : resolve(config.cwd || process.cwd(), name);
+  let module;
+  try {
+    module = await import(pathToFileURL(modulePath).href);
+  } catch (error) {
+    throw new ValidationError(`Failed to load adapter module '${name}': ${error.message}`, { cause: error });
+  }
+
+  let adapter;
+  if (typeof module.createAdapter === 'function') {
+    adapter = await module.createAdapter(config);
+  } else if (typeof module.default === 'function') {
+    adapter = new module.default(config);
+  } else {
+    throw new ValidationError(`Adapter module '${name}' must export createAdapter(config) or a default class`);
+  }
+
+  return assertAdapter(adapter, `Adapter module '${name}'`);
+}
+
+function looksLikePath(name) {
+  return isAbsolute(name) || name.startsWith('.') || /\.(m?js|cjs)$/.test(name);
+}
+
+export { FilesystemAdapter, NotesMDAdapter, InMemoryAdapter };
+
+export default createAdapter;
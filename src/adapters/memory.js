@@ -0,0 +1,181 @@
+import { dirname, resolve, sep, basename, join } from 'path';
+import { parseFrontmatter, serializeFrontmatter } from '../utils/frontmatter.js';
+import { NotFoundError } from '../utils/errors.js';
+import { checkMove, toNoteName, alreadyExists } from './filesystem.js';
+
+/**
+ * In-memory adapter for note operations
+ * Keeps serialized notes in a Map; vault folders, tracker state and the manifest
+ * are still written under config.vaultPath by the services (see ./contract.js)
+ */
+export class InMemoryAdapter {
+  constructor(config) {
+    this.config = config;
+    this.files = new Map();
+  }
+
+  /**
+   * Create a new note
+   * With exclusive, refuses to replace an existing note
+   */
+  async createNote(path, frontmatter, body, options = {}) {
+    if (options.exclusive && this.exists(path)) {
+      throw alreadyExists(path);
+    }
+    this._write(path, serializeFrontmatter(frontmatter, body));
+    return { path, frontmatter, body };
+  }
+
+  /**
+   * Read a note
+   */
+  async readNote(path) {
+    const file = this.files.get(resolve(path));
+    if (!file) {
+      throw new NotFoundError(`Note not found: ${path}`);
+    }
+
+    const { frontmatter, body } = parseFrontmatter(file.content);
+    return { path, frontmatter, body };
+  }
+
+  /**
+   * Update a note
+   */
+  async updateNote(path, frontmatter, body) {
+    this._write(path, serializeFrontmatter(frontmatter, body));
+    return { path, frontmatter, body };
+  }
+
+  /**
+   * Delete a note
+   */
+  async deleteNote(path) {
+    if (!this.files.delete(resolve(path))) {
+      throw new NotFoundError(`Note not found: ${path}`);
+    }
+    return { path };
+  }
+
+  /**
+   * Move a note to a new path
+   */
+  async moveNote(from, to, options = {}) {
+    checkMove(from, to, options, (path) => this.exists(path));
+
+    const file = this.files.get(resolve(from));
+    this.files.delete(resolve(from));
+    this.files.set(resolve(to), { ...file, mtime: this._now() });
+
+    return { path: to, previousPath: from };
+  }
+
+  /**
+   * Rename a note within its folder
+   */
+  async renameNote(path, newName, options = {}) {
+    return await this.moveNote(path, join(dirname(path), toNoteName(newName)), options);
+  }
+
+  /**
+   * List notes in a directory
+   */
+  async listNotes(dir, options = {}) {
+    const { recursive = false, pattern = null } = options;
+    const root = resolve(dir);
+
+    return [...this.files.keys()]
+      .filter(path => path.endsWith('.md'))
+      .filter(path => recursive ? path.startsWith(root + sep) : dirname(path) === root)
+      .filter(path => !pattern || basename(path).match(pattern))
+      .sort();
+  }
+
+  /**
+   * Search notes by content
+   */
+  async searchNotes(dir, query, options = {}) {
+    const { recursive = true, caseSensitive = false } = options;
+    const notes = await this.listNotes(dir, { recursive });
+    const results = [];
+
+    const searchRegex = new RegExp(
+      query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+      caseSensitive ? 'g' : 'gi'
+    );
+
+    for (const notePath of notes) {
+      const { content } = this.files.get(notePath);
+      const matches = [...content.matchAll(searchRegex)];
+
+      if (matches.length > 0) {
+        const { frontmatter, body } = parseFrontmatter(content);
+        results.push({
+          path: notePath,
+          frontmatter,
+          matches: matches.length,
+          // Offsets in content include the frontmatter; preview around the first body match
+          preview: this._getPreview(body, Math.max(0, body.search(searchRegex)))
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get note statistics
+   */
+  async getStats(path) {
+    const file = this.files.get(resolve(path));
+    if (!file) {
+      return null;
+    }
+    return {
+      size: Buffer.byteLength(file.content),
+      mtime: file.mtime,
+      birthtime: file.birthtime,
+      isFile: () => true,
+      isDirectory: () => false
+    };
+  }
+
+  /**
+   * Check if note exists
+   */
+  exists(path) {
+    return this.files.has(resolve(path));
+  }
+
+  /**
+   * Get a preview snippet around a match
+   */
+  _getPreview(text, matchIndex, contextLength = 100) {
+    const start = Math.max(0, matchIndex - contextLength);
+    const end = Math.min(text.length, matchIndex + contextLength);
+    let preview = text.substring(start, end);
+
+    if (start > 0) preview = '...' + preview;
+    if (end < text.length) preview = preview + '...';
+
+    return preview;
+  }
+
+  // Follows COPILOT_MEMORY_NOW when the config carries a clock
+  _now() {
+    return this.config?.clock ? this.config.clock.now() : new Date();
+  }
+
+  _write(path, content) {
+    const key = resolve(path);
+    const now = this._now();
+    const existing = this.files.get(key);
+    this.files.set(key, {
+      content,
+      mtime: now,
+      birthtime: existing ? existing.birthtime : now
+    });
+  }
+}
+
+export default InMemoryAdapter;
@@ -1,6 +1,9 @@
 import { spawn } from 'child_process';
 import { existsSync } from 'fs';
-import { FilesystemAdapter } from './filesystem.js';
+import { mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { FilesystemAdapter, checkMove, toNoteName, alreadyExists } from './filesystem.js';
+import { NotFoundError } from '../utils/errors.js';
 
 /**
  * NotesMD CLI adapter with filesystem fallback
@@ -40,8 +43,13 @@ export class NotesMDAdapter {
   /**
    * Create a new note
    * Tries notesmd-cli first, falls back to filesystem
+   * With exclusive, refuses to replace an existing note
    */
-  async createNote(path, frontmatter, body) {
+  async createNote(path, frontmatter, body, options = {}) {
+    if (options.exclusive && this.exists(path)) {
+      throw alreadyExists(path);
+    }
+
     const available = await this.checkAvailability();
     
     if (available) {
@@ -56,7 +64,7 @@ export class NotesMDAdapter {
       }
     }
     
-    return await this.fsAdapter.createNote(path, frontmatter, body);
+    return await this.fsAdapter.createNote(path, frontmatter, body, options);
   }
 
   /**
@@ -91,6 +99,58 @@ export class NotesMDAdapter {
     return await this.fsAdapter.updateNote(path, frontmatter, body);
   }
 
+  /**
+   * Delete a note
+   * Tries notesmd-cli first, falls back to filesystem
+   */
+  async deleteNote(path) {
+    if (!this.exists(path)) {
+      throw new NotFoundError(`Note not found: ${path}`);
+    }
+
+    const available = await this.checkAvailability();
+
+    if (available) {
+      try {
+        await this._runCommand(['delete', path]);
+        return { path };
+      } catch (error) {
+        console.warn(`Warning: notesmd-cli delete failed (${error.message}), using filesystem fallback`);
+      }
+    }
+
+    return await this.fsAdapter.deleteNote(path);
+  }
+
+  /**
+   * Move a note
+   * Tries notesmd-cli first (which also updates links to the note), falls back to filesystem
+   */
+  async moveNote(from, to, options = {}) {
+    checkMove(from, to, options, (path) => this.exists(path));
+
+    const available = await this.checkAvailability();
+
+    if (available && !this.exists(to)) {
+      try {
+        await mkdir(dirname(to), { recursive: true });
+        await this._runCommand(['move', from, to]);
+        return { path: to, previousPath: from };
+      } catch (error) {
+        console.warn(`Warning: notesmd-cli move failed (${error.message}), using filesystem fallback`);
+      }
+    }
+
+    return await this.fsAdapter.moveNote(from, to, options);
+  }
+
+  /**
+   * Rename a note within its folder
+   */
+  async renameNote(path, newName, options = {}) {
+    return await this.moveNote(path, join(dirname(path), toNoteName(newName)), options);
+  }
+
   /**
    * List notes in a directory
    * Falls back to filesystem (notesmd-cli list doesn't support recursive/pattern options reliably)
@@ -0,0 +1,94 @@
+import { assertConfigKey, CONFIG_SCHEMA } from '../config.js';
+
+/**
+ * Config get command
+ */
+export async function configGetCommand(config, args) {
+  const key = assertConfigKey(args.key);
+
+  return {
+    success: true,
+    message: `${key} = ${formatValue(config[key])}`,
+    key,
+    value: config[key],
+    source: config.sources[key]
+  };
+}
+
+/**
+ * Config set command
+ * Writes the nearest project config, or the user config with --user
+ */
+export async function configSetCommand(config, args) {
+  const result = await config.setValue(args.key, args.value, { scope: scopeOf(args) });
+
+  return {
+    success: true,
+    message: `Set ${result.key} to ${formatValue(result.value)}`,
+    key: result.key,
+    value: result.value,
+    path: result.path
+  };
+}
+
+/**
+ * Config unset command
+ */
+export async function configUnsetCommand(config, args) {
+  const result = await config.unsetValue(args.key, { scope: scopeOf(args) });
+
+  return {
+    success: true,
+    message: `Removed ${result.key}`,
+    key: result.key,
+    path: result.path
+  };
+}
+
+/**
+ * Config list command
+ */
+export async function configListCommand(config) {
+  return {
+    success: true,
+    message: config.issues.length === 0
+      ? `${Object.keys(CONFIG_SCHEMA).length} config keys`
+      : `${Object.keys(CONFIG_SCHEMA).length} config keys, ${config.issues.length} issues`,
+    settings: config.describe(),
+    issues: config.issues
+  };
+}
+
+/**
+ * Config explain command: every layer that sets each key, and which one wins
+ */
+export async function configExplainCommand(config, args) {
+  const keys = args.key ? [assertConfigKey(args.key)] : Object.keys(CONFIG_SCHEMA);
+  const explain = {};
+  for (const key of keys) {
+    explain[key] = config.explain(key);
+  }
+
+  return {
+    success: true,
+    message: `Precedence: ${['flag/option', 'env', 'profile', 'project file', 'user file', 'default'].join(' > ')}`,
+    explain,
+    issues: config.issues
+  };
+}
+
+function formatValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+function scopeOf(args) {
+  return args.user ? 'user' : 'project';
+}
+
+export default {
+  get: configGetCommand,
+  set: configSetCommand,
+  unset: configUnsetCommand,
+  list: configListCommand,
+  explain: configExplainCommand
+};
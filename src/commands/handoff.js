@@ -1,9 +1,16 @@
+import { ERROR_CODES, NotFoundError, ValidationError } from '../utils/errors.js';
+import { timestampOf } from '../utils/frontmatter.js';
+
+// Body lines shown per handoff by handoff log
+const DEFAULT_EXCERPT_LINES = 3;
+
 /**
  * Handoff command - create a new handoff note
  */
 export async function handoffCommand(vault, args) {
   const sessionId = args.sessionId || args.session;
-  const phaseId = args.phaseId || args.phase;
+  const phaseReference = args.phaseId || args.phase;
+  const phaseId = phaseReference ? await vault.resolvePhaseId(phaseReference) : undefined;
   const title = args.title || 'Work Handoff';
   
   let content = args.content || '';
@@ -18,9 +25,15 @@ export async function handoffCommand(vault, args) {
     content = Buffer.concat(chunks).toString('utf-8');
   }
 
-  // Generate default content if none provided
-  if (!content) {
-    content = `# ${title}\n\n## Context\n\n[Add context here]\n\n## Current State\n\n[Describe current state]\n\n## Next Steps\n\n- [ ] Task 1\n- [ ] Task 2\n`;
+  // Default content comes from templates/handoff.md; --template picks another one
+  if (!content || args.template) {
+    const state = args.tracker ? await args.tracker.getState() : {};
+    content = await vault.renderTemplate(args.template || 'handoff', {
+      title,
+      session: sessionId || state.current_session_id,
+      phase: phaseId || state.active_phase_id,
+      content
+    });
   }
 
   const note = await vault.createHandoff({
@@ -28,7 +41,8 @@ export async function handoffCommand(vault, args) {
     phaseId,
     title,
     content,
-    tags: args.tags || []
+    tags: args.tags || [],
+    aliases: args.aliases || []
   });
 
   if (args.tracker) {
@@ -50,23 +64,33 @@ export async function handoffCommand(vault, args) {
 }
 
 /**
- * Continuous resume command - resume from latest handoff
+ * Continuous resume command - resume from latest handoff, or the one named by --from
  */
 export async function continuousResumeCommand(vault, args) {
-  const latestHandoff = await vault.getLatestHandoff();
+  const latestHandoff = args.from
+    ? await vault.findNote(args.from, { type: 'handoff' })
+    : await vault.getLatestHandoff();
 
   if (!latestHandoff) {
     return {
       success: false,
+      code: ERROR_CODES.NOT_FOUND,
       message: 'No handoff found to resume from'
     };
   }
 
   // Create a new session note that references the handoff
+  const title = `Resume from ${latestHandoff.frontmatter.title || 'handoff'}`;
+  const content = await vault.renderTemplate(args.template || 'session', {
+    title,
+    session: latestHandoff.frontmatter.session_id,
+    phase: latestHandoff.frontmatter.phase_id,
+    handoff_excerpt: latestHandoff.body.substring(0, 500)
+  }, { previousHandoff: latestHandoff });
   const sessionNote = await vault.createSession({
     sessionId: latestHandoff.frontmatter.session_id,
-    title: `Resume from ${latestHandoff.frontmatter.title || 'handoff'}`,
-    content: `# Session Resume\n\nResuming from handoff: [[${latestHandoff.path}]]\n\n## Previous Context\n\n${latestHandoff.body.substring(0, 500)}...\n\n## Session Notes\n\n`,
+    title,
+    content,
     tags: ['resume']
   });
 
@@ -80,7 +104,7 @@ export async function continuousResumeCommand(vault, args) {
 
   return {
     success: true,
-    message: 'Resumed from latest handoff',
+    message: args.from ? `Resumed from handoff ${latestHandoff.frontmatter.title || latestHandoff.frontmatter.id}` : 'Resumed from latest handoff',
     handoff: {
       path: latestHandoff.path,
       id: latestHandoff.frontmatter.id,
@@ -93,7 +117,199 @@ export async function continuousResumeCommand(vault, args) {
   };
 }
 
+/**
+ * Handoff log command - walk previous_handoff back from the latest handoff, or the one named by <ref>
+ * Filters pick which handoffs are shown; the walk itself always follows the whole chain
+ */
+export async function handoffLogCommand(vault, args) {
+  const matches = await handoffFilter(vault, args);
+  const handoffs = await vault.listHandoffNotes();
+  const start = args.ref
+    ? await vault.findNote(args.ref, { type: 'handoff' })
+    : await latestHandoffNote(vault, handoffs);
+
+  if (!start) {
+    return {
+      success: false,
+      code: ERROR_CODES.NOT_FOUND,
+      message: 'No handoff found',
+      hints: ['Create one with: copilot-memory handoff --title "..."']
+    };
+  }
+
+  const { chain, broken } = await vault.walkHandoffs(start, { handoffs });
+  const lines = args.lines ?? DEFAULT_EXCERPT_LINES;
+  const shown = chain.filter(matches).slice(0, args.limit ?? Infinity)
+    .map(note => describeHandoff(note, lines));
+  const breaks = broken ? [broken] : [];
+
+  const entries = shown.map(entry => renderLogEntry(vault, entry));
+  const output = [
+    ...(entries.length > 0 ? entries : ['No handoffs match the filters']),
+    ...breaks.map(item => `! Chain broken: ${item.message}${item.reason === 'missing' ? ' (pruned or deleted?)' : ''}`)
+  ].join('\n\n');
+
+  return {
+    success: true,
+    message: `${shown.length} of ${chain.length} handoffs from ${start.relativePath}`,
+    handoffs: shown,
+    breaks,
+    output,
+    ...(breaks.length > 0 ? { hints: breaks.map(item => item.message) } : {})
+  };
+}
+
+/**
+ * Handoff list command - every handoff, newest first, one line each
+ * Handoffs whose previous_handoff no longer exists are flagged as chain breaks
+ */
+export async function handoffListCommand(vault, args) {
+  const matches = await handoffFilter(vault, args);
+  const handoffs = await vault.listHandoffNotes();
+  const listed = handoffs.filter(matches).slice(0, args.limit ?? Infinity);
+
+  const breaks = [];
+  for (const note of listed) {
+    const { broken } = await vault.walkHandoffs(note, { limit: 2, handoffs });
+    if (broken) breaks.push(broken);
+  }
+
+  const shown = listed.map(note => describeHandoff(note, DEFAULT_EXCERPT_LINES));
+  const lines = shown.map(entry => {
+    const broken = breaks.find(item => item.id === entry.id);
+    return [
+      entry.id.slice(0, 8),
+      formatDate(vault, entry.date),
+      entry.title,
+      ...(entry.session ? [`session=${entry.session}`] : []),
+      ...(entry.phase ? [`phase=${entry.phase}`] : []),
+      ...(broken ? [`! previous ${broken.previous.slice(0, 8)} ${broken.reason === 'loop' ? 'loops' : 'missing'}`] : [])
+    ].join('  ');
+  });
+
+  return {
+    success: true,
+    message: `${shown.length} of ${handoffs.length} handoffs`,
+    handoffs: shown,
+    breaks,
+    output: lines.length > 0 ? lines.join('\n') : 'No handoffs match the filters',
+    ...(breaks.length > 0 ? { hints: breaks.map(item => item.message) } : {})
+  };
+}
+
+/**
+ * Latest handoff from the index, falling back to the newest handoff note
+ */
+async function latestHandoffNote(vault, handoffs) {
+  const latest = await vault.getLatestHandoff();
+  if (!latest) {
+    return handoffs[0] || null;
+  }
+  return handoffs.find(note => String(note.frontmatter.id) === String(latest.frontmatter.id)) ||
+    { ...latest, relativePath: vault.config.toVaultPath(latest.path) };
+}
+
+/**
+ * Predicate for --phase, --session, --since, --until and --tag (all must match)
+ */
+async function handoffFilter(vault, args) {
+  // Phases may have been pruned while their handoffs remain, so unknown ids are kept as given
+  const phaseId = args.phase
+    ? await vault.resolvePhaseId(args.phase).catch(error => {
+      if (error instanceof NotFoundError) return args.phase;
+      throw error;
+    })
+    : null;
+  const since = args.since ? parseDate(args.since, 'since') : null;
+  const until = args.until ? parseDate(args.until, 'until') : null;
+  const tags = args.tag || [];
+
+  return (note) => {
+    const { frontmatter } = note;
+    const created = timestampOf(frontmatter);
+    return (!phaseId || String(frontmatter.phase_id) === String(phaseId)) &&
+      (!args.session || String(frontmatter.session_id) === String(args.session)) &&
+      (!since || (created && created >= since)) &&
+      (!until || (created && created <= until)) &&
+      tags.every(tag => (frontmatter.tags || []).includes(tag));
+  };
+}
+
+/**
+ * ISO date or timestamp; a bare --until date includes that whole (UTC) day
+ */
+function parseDate(value, option) {
+  const text = String(value).trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const date = new Date(dateOnly ? `${text}T00:00:00Z` : text);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid --${option} date '${value}'`, {
+      hints: ['Use an ISO date such as 2024-01-15 or 2024-01-15T14:30:00Z']
+    });
+  }
+  if (dateOnly && option === 'until') {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+}
+
+function describeHandoff(note, lines) {
+  const { frontmatter } = note;
+  return {
+    id: String(frontmatter.id),
+    title: frontmatter.title || 'Untitled handoff',
+    date: timestampOf(frontmatter)?.toISOString() ?? null,
+    session: frontmatter.session_id ?? null,
+    phase: frontmatter.phase_id ?? null,
+    tags: frontmatter.tags || [],
+    previous: frontmatter.previous_handoff ?? null,
+    path: note.relativePath,
+    excerpt: excerpt(note.body, frontmatter.title, lines)
+  };
+}
+
+/**
+ * First non-blank body lines, skipping the generated link back to the previous handoff
+ * and a heading that only repeats the title
+ */
+function excerpt(body, title, count) {
+  if (count <= 0) {
+    return [];
+  }
+  const lines = String(body ?? '')
+    .replace(/^\s*## Previous Context\s*\n+\s*\[\[[^\]\n]*\]\]\s*\n/, '')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .filter(line => line.trim());
+  if (lines[0] === `# ${title}`) {
+    lines.shift();
+  }
+  return lines.slice(0, count);
+}
+
+function renderLogEntry(vault, entry) {
+  const lines = [
+    `handoff ${entry.id}`,
+    `Title:   ${entry.title}`,
+    `Date:    ${formatDate(vault, entry.date)}`
+  ];
+  if (entry.session) lines.push(`Session: ${entry.session}`);
+  if (entry.phase) lines.push(`Phase:   ${entry.phase}`);
+  lines.push(`Path:    ${entry.path}`);
+  if (entry.excerpt.length > 0) {
+    lines.push('', ...entry.excerpt.map(line => `    ${line}`));
+  }
+  return lines.join('\n');
+}
+
+function formatDate(vault, value) {
+  return value ? vault.config.clock.format(new Date(value)) : 'unknown date';
+}
+
 export default {
   handoff: handoffCommand,
-  continuousResume: continuousResumeCommand
+  continuousResume: continuousResumeCommand,
+  log: handoffLogCommand,
+  list: handoffListCommand
 };
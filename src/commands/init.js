@@ -2,10 +2,10 @@
  * Init command - unified onboarding for greenfield and brownfield modes
  * Replaces separate continous greenfield/brownfield commands with single entry point
  */
-import { randomUUID } from 'crypto';
 import { readdir, stat } from 'fs/promises';
 import { join, extname, basename } from 'path';
 import { createInterface } from 'readline';
+import { ValidationError } from '../utils/errors.js';
 
 /**
  * Main init command handler
@@ -16,11 +16,11 @@ export async function initCommand(vault, args) {
   
   // Validate mode is provided and valid
   if (!mode) {
-    throw new Error('--mode is required. Valid values: greenfield, brownfield');
+    throw new ValidationError('--mode is required. Valid values: greenfield, brownfield');
   }
   
   if (mode !== 'greenfield' && mode !== 'brownfield') {
-    throw new Error(`Invalid mode: ${mode}. Valid values: greenfield, brownfield`);
+    throw new ValidationError(`Invalid mode: ${mode}. Valid values: greenfield, brownfield`);
   }
   
   // Route to appropriate handler
@@ -71,27 +71,29 @@ async function greenfieldMode(vault, args) {
     }
   }
   
-  // Parse inputs
-  const techList = techStack ? techStack.split(',').map(t => t.trim()).filter(Boolean) : [];
-  const researchList = researchQuestions ? researchQuestions.split(',').map(q => q.trim()).filter(Boolean) : [];
-  
-  // Generate structured content
-  const content = generateGreenfieldNote({
-    projectIdea,
-    techStack: techList,
-    constraints,
-    researchQuestions: researchList
-  });
+  // Parse inputs (flags arrive as lists, prompts as comma-separated text)
+  const techList = toList(techStack);
+  const researchList = toList(researchQuestions);
   
   // Create note in vault
-  const sessionId = args.session || randomUUID();
+  const sessionId = args.session || vault.config.clock.uuid();
   const title = `Greenfield: ${projectIdea.substring(0, 50)}`;
+
+  // Structured content from templates/greenfield.md
+  const content = await vault.renderTemplate(args.template || 'greenfield', {
+    title,
+    session: sessionId,
+    idea: projectIdea,
+    stack: techList.map(tech => `- ${tech}`).join('\n'),
+    constraints,
+    research: researchList.map(question => `- [ ] ${question}`).join('\n')
+  }, { previousHandoff: null });
   
   const note = await vault.createGreenfieldNote({
     sessionId,
     title,
     content,
-    tags: ['greenfield', 'planning', ...(args.tags ? args.tags.split(',') : [])]
+    tags: ['greenfield', 'planning', ...toList(args.tags)]
   });
   
   return {
@@ -114,18 +116,22 @@ async function brownfieldMode(vault, args) {
   // Analyze codebase
   const analysis = await analyzeCodebase(targetPath);
   
-  // Generate structured content
-  const content = generateBrownfieldNote(analysis);
-  
   // Create note in vault
-  const sessionId = args.session || randomUUID();
+  const sessionId = args.session || vault.config.clock.uuid();
   const title = `Brownfield: ${basename(targetPath)}`;
+
+  // Structured content from templates/brownfield.md
+  const content = await vault.renderTemplate(args.template || 'brownfield', {
+    title,
+    session: sessionId,
+    ...brownfieldVariables(analysis)
+  }, { previousHandoff: null });
   
   const note = await vault.createBrownfieldNote({
     sessionId,
     title,
     content,
-    tags: ['brownfield', 'analysis', ...(args.tags ? args.tags.split(',') : [])]
+    tags: ['brownfield', 'analysis', ...toList(args.tags)]
   });
   
   return {
@@ -139,59 +145,12 @@ async function brownfieldMode(vault, args) {
 }
 
 /**
- * Generate greenfield note content
+ * Normalize a list option that may be an array or comma-separated text
  */
-function generateGreenfieldNote(data) {
-  const { projectIdea, techStack, constraints, researchQuestions } = data;
-  
-  let content = `# Greenfield Project\n\n`;
-  content += `## Project Idea\n\n${projectIdea}\n\n`;
-  
-  if (techStack && techStack.length > 0) {
-    content += `## Tech Stack Preferences\n\n`;
-    for (const tech of techStack) {
-      content += `- ${tech}\n`;
-    }
-    content += `\n`;
-  }
-  
-  if (constraints) {
-    content += `## Constraints & Requirements\n\n${constraints}\n\n`;
-  }
-  
-  if (researchQuestions && researchQuestions.length > 0) {
-    content += `## Research Questions\n\n`;
-    for (const question of researchQuestions) {
-      content += `- [ ] ${question}\n`;
-    }
-    content += `\n`;
-  }
-  
-  content += `## Implementation Breakdown\n\n`;
-  content += `### Phase 1: Setup & Foundation\n`;
-  content += `- [ ] Initialize project structure\n`;
-  content += `- [ ] Set up development environment\n`;
-  content += `- [ ] Configure tooling and dependencies\n\n`;
-  
-  content += `### Phase 2: Core Features\n`;
-  content += `- [ ] Implement core functionality\n`;
-  content += `- [ ] Add essential integrations\n`;
-  content += `- [ ] Set up data models/schemas\n\n`;
-  
-  content += `### Phase 3: Testing & Quality\n`;
-  content += `- [ ] Write unit tests\n`;
-  content += `- [ ] Add integration tests\n`;
-  content += `- [ ] Perform security audit\n\n`;
-  
-  content += `### Phase 4: Deployment\n`;
-  content += `- [ ] Configure deployment pipeline\n`;
-  content += `- [ ] Set up monitoring\n`;
-  content += `- [ ] Deploy to production\n\n`;
-  
-  content += `## Notes\n\n`;
-  content += `_Created: ${new Date().toISOString()}_\n`;
-  
-  return content;
+function toList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => item.trim()).filter(Boolean);
 }
 
 /**
@@ -335,69 +294,27 @@ function inferTechStack(keyFiles, extensions) {
 }
 
 /**
- * Generate brownfield note content
+ * Brownfield template variables; lists are pre-rendered Markdown bullets
  */
-function generateBrownfieldNote(analysis) {
-  let content = `# Brownfield Codebase Analysis\n\n`;
-  content += `**Path:** \`${analysis.path}\`\n\n`;
-  
-  content += `## Structure Summary\n\n`;
-  content += `**Folders:** ${analysis.folders.length}\n`;
-  content += `**Files:** ${analysis.files.length}\n\n`;
-  
-  if (analysis.folders.length > 0) {
-    content += `### Key Folders\n\n`;
-    const displayFolders = analysis.folders.slice(0, 20);
-    for (const folder of displayFolders) {
-      content += `- ${folder}\n`;
-    }
-    if (analysis.folders.length > 20) {
-      content += `- _(${analysis.folders.length - 20} more...)_\n`;
-    }
-    content += `\n`;
-  }
-  
-  if (analysis.keyFiles.length > 0) {
-    content += `### Key Files\n\n`;
-    for (const file of analysis.keyFiles) {
-      content += `- ${file}\n`;
-    }
-    content += `\n`;
-  }
-  
-  if (Object.keys(analysis.extensions).length > 0) {
-    content += `### File Extensions\n\n`;
-    const sorted = Object.entries(analysis.extensions).sort((a, b) => b[1] - a[1]);
-    for (const [ext, count] of sorted.slice(0, 10)) {
-      content += `- ${ext}: ${count} files\n`;
-    }
-    content += `\n`;
-  }
-  
-  if (analysis.techStack.length > 0) {
-    content += `## Inferred Tech Stack\n\n`;
-    for (const tech of analysis.techStack) {
-      content += `- ${tech}\n`;
-    }
-    content += `\n`;
+function brownfieldVariables(analysis) {
+  const folders = analysis.folders.slice(0, 20).map(folder => `- ${folder}`);
+  if (analysis.folders.length > 20) {
+    folders.push(`- _(${analysis.folders.length - 20} more...)_`);
   }
-  
-  content += `## Architecture Context\n\n`;
-  content += `_Add notes about architecture patterns, key components, and design decisions._\n\n`;
-  
-  content += `## Suggested Exploration Tasks\n\n`;
-  content += `- [ ] Review main entry points and application flow\n`;
-  content += `- [ ] Identify core business logic and domain models\n`;
-  content += `- [ ] Map out external dependencies and integrations\n`;
-  content += `- [ ] Check test coverage and testing approach\n`;
-  content += `- [ ] Review build and deployment configuration\n`;
-  content += `- [ ] Document API contracts and data schemas\n`;
-  content += `- [ ] Identify technical debt and improvement opportunities\n\n`;
-  
-  content += `## Notes\n\n`;
-  content += `_Analysis created: ${new Date().toISOString()}_\n`;
-  
-  return content;
+  const extensions = Object.entries(analysis.extensions)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([ext, count]) => `- ${ext}: ${count} files`);
+
+  return {
+    path: analysis.path,
+    folder_count: analysis.folders.length,
+    file_count: analysis.files.length,
+    folders: folders.join('\n'),
+    key_files: analysis.keyFiles.map(file => `- ${file}`).join('\n'),
+    extensions: extensions.join('\n'),
+    stack: analysis.techStack.map(tech => `- ${tech}`).join('\n')
+  };
 }
 
 export default {
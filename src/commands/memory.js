@@ -1,3 +1,5 @@
+import { ERROR_CODES, NotFoundError } from '../utils/errors.js';
+
 /**
  * Memory index command
  */
@@ -20,6 +22,7 @@ export async function memorySearchCommand(vault, args) {
   if (!query) {
     return {
       success: false,
+      code: ERROR_CODES.VALIDATION,
       message: 'Query is required'
     };
   }
@@ -44,7 +47,7 @@ export async function memorySearchCommand(vault, args) {
  * Memory doctor command
  */
 export async function memoryDoctorCommand(doctorService, args) {
-  const diagnostics = await doctorService.runDiagnostics();
+  const diagnostics = await doctorService.runDiagnostics({ verbose: args.verbose });
 
   let result = {
     success: true,
@@ -66,9 +69,11 @@ export async function memoryDoctorCommand(doctorService, args) {
  * Memory prune command
  */
 export async function memoryPruneCommand(pruneService, args) {
-  const days = parseInt(args.days || args.d || 30, 10);
   const dryRun = args.dryRun || args.dry;
   const research = args.research || args.r;
+  // --days 0 is a valid threshold, so only fall back to the configured retention when it is absent
+  const { retentionDays = 30, researchRetentionDays = 90 } = pruneService.config || {};
+  const days = args.days !== undefined ? Number(args.days) : (research ? researchRetentionDays : retentionDays);
 
   let result;
 
@@ -97,12 +102,50 @@ export async function memoryPruneCommand(pruneService, args) {
   };
 }
 
+/**
+ * Vault migrate command
+ */
+export async function memoryMigrateCommand(migrationService, args) {
+  if (!migrationService) {
+    return { success: false, code: ERROR_CODES.INTERNAL, message: 'Migration service unavailable' };
+  }
+
+  const dryRun = args.dryRun || args.dry;
+  const result = await migrationService.migrate({ dryRun });
+
+  if (result.errors.length > 0) {
+    return {
+      success: false,
+      code: ERROR_CODES.VALIDATION,
+      message: `Cannot migrate vault from format ${result.from} to ${result.to}: ${result.errors.length} notes need fixing first`,
+      hints: migrationService.errorHints(result.errors),
+      migration: result
+    };
+  }
+
+  let message;
+  if (result.upToDate) {
+    message = `Vault is already at format ${result.to}`;
+  } else {
+    const counts = `${result.moves.length} notes moved, ${result.updates.length} notes updated`;
+    message = dryRun
+      ? `Would migrate vault from format ${result.from} to ${result.to}: ${counts}`
+      : `Migrated vault from format ${result.from} to ${result.to}: ${counts}`;
+  }
+
+  return {
+    success: true,
+    message,
+    migration: result
+  };
+}
+
 /**
  * Deterministic tracker command
  */
 export async function memoryTrackerCommand(tracker, args) {
   if (!tracker) {
-    return { success: false, message: 'Tracker service unavailable' };
+    return { success: false, code: ERROR_CODES.INTERNAL, message: 'Tracker service unavailable' };
   }
 
   if (args.clearPhase || args['clear-phase']) {
@@ -111,8 +154,15 @@ export async function memoryTrackerCommand(tracker, args) {
   }
 
   if (args.phase) {
-    const state = await tracker.setActivePhase(args.phase);
-    return { success: true, message: `Active phase set to ${args.phase}`, tracker: state };
+    // Id prefixes, aliases and titles resolve to the phase id; unknown ids are kept as given
+    const phaseId = args.vault
+      ? await args.vault.resolvePhaseId(args.phase).catch(error => {
+        if (error instanceof NotFoundError) return args.phase;
+        throw error;
+      })
+      : args.phase;
+    const state = await tracker.setActivePhase(phaseId);
+    return { success: true, message: `Active phase set to ${phaseId}`, tracker: state };
   }
 
   if (args.session) {
@@ -130,13 +180,14 @@ export async function memoryTrackerCommand(tracker, args) {
  * Vault is an alias for memory commands
  */
 export async function vaultCommand(indexService, doctorService, pruneService, vault, args) {
-  const tracker = args.tracker;
+  const { tracker, migration } = args;
   const subcommand = args._[0];
   
   if (!subcommand) {
     return {
       success: false,
-      message: 'Vault subcommand required. Use: vault index|search|doctor|prune|tracker'
+      code: ERROR_CODES.VALIDATION,
+      message: 'Vault subcommand required. Use: vault index|search|doctor|prune|tracker|migrate'
     };
   }
 
@@ -156,11 +207,14 @@ export async function vaultCommand(indexService, doctorService, pruneService, va
     case 'prune':
       return await memoryPruneCommand(pruneService, subArgs);
     case 'tracker':
-      return await memoryTrackerCommand(tracker, subArgs);
+      return await memoryTrackerCommand(tracker, { ...subArgs, vault });
+    case 'migrate':
+      return await memoryMigrateCommand(migration, subArgs);
     default:
       return {
         success: false,
-        message: `Unknown vault subcommand: ${subcommand}. Use: index|search|doctor|prune|tracker`
+        code: ERROR_CODES.VALIDATION,
+        message: `Unknown vault subcommand: ${subcommand}. Use: index|search|doctor|prune|tracker|migrate`
       };
   }
 }
@@ -179,6 +233,7 @@ export default {
   doctor: memoryDoctorCommand,
   prune: memoryPruneCommand,
   tracker: memoryTrackerCommand,
+  migrate: memoryMigrateCommand,
   // Namespace dispatchers
   vault: vaultCommand,
   memory: memoryCommand
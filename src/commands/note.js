@@ -0,0 +1,221 @@
+import { spawnSync } from 'child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseFrontmatter, serializeFrontmatter } from '../utils/frontmatter.js';
+import { parseYaml, stringifyYaml } from '../utils/yaml.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Fields that identify a note; changing them would break links, lookups and the filename
+const PROTECTED_FIELDS = ['id', 'type', 'created_at', 'updated_at'];
+
+/**
+ * Note show command (also `note cat`)
+ * Prints a note found by id, path, wikilink, alias, slug or title; --follow N adds the
+ * previous_handoff chain. Notes are read through the adapter (notesmd-cli print when available).
+ */
+export async function noteShowCommand(vault, args) {
+  const fields = args.field || [];
+  const parts = [args.body && '--body', args.frontmatter && '--frontmatter', fields.length > 0 && '--field'].filter(Boolean);
+  if (parts.length > 1) {
+    throw new ValidationError(`${parts.join(' and ')} cannot be combined`);
+  }
+
+  const note = await vault.findNote(args.ref);
+  const { notes, hints } = await followHandoffs(vault, note, args.follow || 0);
+
+  const shown = notes.map(note => {
+    const entry = { id: note.frontmatter.id, path: note.relativePath };
+    if (fields.length > 0) {
+      entry.fields = Object.fromEntries(fields.map(field => [field, note.frontmatter[field] ?? null]));
+    } else {
+      if (!args.body) entry.frontmatter = note.frontmatter;
+      if (!args.frontmatter) entry.body = note.body;
+    }
+    return entry;
+  });
+
+  const sections = shown.map(entry => renderNote(entry, args));
+  const output = sections.length > 1
+    ? shown.map((entry, i) => `==> ${entry.path} <==\n${sections[i]}`).join('\n\n')
+    : sections[0];
+
+  return {
+    success: true,
+    message: notes.length > 1 ? `${note.relativePath} and ${notes.length - 1} previous handoffs` : note.relativePath,
+    notes: shown,
+    output,
+    ...(hints.length > 0 ? { hints } : {})
+  };
+}
+
+/**
+ * Note update command
+ * Changes status, tags, arbitrary fields (--set key=value, values parsed as YAML) or appends text
+ */
+export async function noteUpdateCommand(vault, args) {
+  const note = await vault.findNote(args.ref);
+  const frontmatter = { ...note.frontmatter };
+  let body = note.body;
+  const changes = [];
+
+  if (args.status !== undefined && args.status !== frontmatter.status) {
+    changes.push(`status: ${frontmatter.status} -> ${args.status}`);
+    frontmatter.status = args.status;
+  }
+
+  const added = (args.addTag || []).filter(tag => !(frontmatter.tags || []).includes(tag));
+  const removed = (args.removeTag || []).filter(tag => (frontmatter.tags || []).includes(tag));
+  if (added.length > 0 || removed.length > 0) {
+    frontmatter.tags = [...new Set([...(frontmatter.tags || []), ...added])].filter(tag => !removed.includes(tag));
+    changes.push(...added.map(tag => `added tag ${tag}`), ...removed.map(tag => `removed tag ${tag}`));
+  }
+
+  for (const assignment of args.set || []) {
+    const separator = assignment.indexOf('=');
+    if (separator <= 0) {
+      throw new ValidationError(`--set expects key=value, got '${assignment}'`);
+    }
+    const key = assignment.slice(0, separator).trim();
+    assertEditable(key);
+    frontmatter[key] = parseYaml(`value: ${assignment.slice(separator + 1)}`).value;
+    changes.push(`set ${key}`);
+  }
+
+  const appended = args.append ?? (args.appendStdin ? await readStdin() : undefined);
+  if (appended !== undefined && appended.trim()) {
+    body = body ? `${body}\n\n${appended.trim()}` : appended.trim();
+    changes.push('appended to body');
+  }
+
+  if (changes.length === 0) {
+    return {
+      success: true,
+      message: `No changes to ${note.relativePath}`,
+      changes,
+      hints: ['Pass --status, --add-tag, --remove-tag, --set key=value, --append or --append-stdin']
+    };
+  }
+
+  const { indexes } = await vault.reviseNote(note.path, frontmatter, body);
+  return {
+    success: true,
+    message: `Updated ${note.relativePath}`,
+    id: note.frontmatter.id,
+    changes,
+    indexes
+  };
+}
+
+/**
+ * Note edit command
+ * Opens the note in $VISUAL/$EDITOR and saves it only if the frontmatter still passes the schema
+ */
+export async function noteEditCommand(vault, args) {
+  const note = await vault.findNote(args.ref);
+  const original = serializeFrontmatter(note.frontmatter, note.body);
+  // A fixed name: note filenames come from shared vaults and must never reach a shell
+  const dir = await mkdtemp(join(tmpdir(), 'copilot-memory-edit-'));
+  const file = join(dir, 'note.md');
+  await writeFile(file, original);
+
+  const env = vault.config.env;
+  const editor = env.VISUAL || env.EDITOR || 'vi';
+  // EDITOR may carry its own arguments, e.g. "code --wait"; the file is passed as $1, not spliced in
+  const result = process.platform === 'win32'
+    ? spawnSync(`${editor} "${file}"`, { shell: true, stdio: 'inherit', env })
+    : spawnSync('/bin/sh', ['-c', `${editor} "$1"`, 'sh', file], { stdio: 'inherit', env });
+  if (result.error || result.status !== 0) {
+    await rm(dir, { recursive: true, force: true });
+    throw new ValidationError(`Editor '${editor}' exited with ${result.error ? result.error.message : `status ${result.status}`}; note unchanged`);
+  }
+
+  const edited = await readFile(file, 'utf-8');
+  if (edited === original) {
+    await rm(dir, { recursive: true, force: true });
+    return { success: true, message: `No changes to ${note.relativePath}`, changes: [] };
+  }
+
+  try {
+    const { frontmatter, body } = parseFrontmatter(edited);
+    // updated_at is bumped on save either way
+    for (const key of PROTECTED_FIELDS.filter(key => key !== 'updated_at')) {
+      if (String(frontmatter[key]) !== String(note.frontmatter[key])) {
+        assertEditable(key);
+      }
+    }
+    const { indexes } = await vault.reviseNote(note.path, frontmatter, body);
+    await rm(dir, { recursive: true, force: true });
+    return {
+      success: true,
+      message: `Updated ${note.relativePath}`,
+      id: note.frontmatter.id,
+      changes: ['edited'],
+      indexes
+    };
+  } catch (error) {
+    // Keep the user's edits so a rejected save loses nothing
+    error.hints = [...(error.hints || []), `Your edits are in ${file}`];
+    throw error;
+  }
+}
+
+function assertEditable(key) {
+  if (PROTECTED_FIELDS.includes(key)) {
+    throw new ValidationError(`${key} cannot be changed`, {
+      hints: [`Protected fields: ${PROTECTED_FIELDS.join(', ')}`]
+    });
+  }
+}
+
+async function readStdin() {
+  const { stdin } = await import('process');
+  const chunks = [];
+  for await (const chunk of stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * The note followed by up to `depth` handoffs along previous_handoff
+ */
+async function followHandoffs(vault, note, depth) {
+  if (depth <= 0) {
+    return { notes: [note], hints: [] };
+  }
+
+  const { chain, broken } = await vault.walkHandoffs(note, { limit: depth + 1 });
+  return { notes: chain, hints: broken ? [broken.message] : [] };
+}
+
+function renderNote(entry, args) {
+  if (entry.fields) {
+    const names = Object.keys(entry.fields);
+    // A single field prints its bare value, for scripts
+    if (names.length === 1) {
+      return formatField(entry.fields[names[0]]);
+    }
+    return names.map(name => `${name}: ${formatField(entry.fields[name])}`).join('\n');
+  }
+  if (args.body) {
+    return entry.body;
+  }
+  if (args.frontmatter) {
+    return stringifyYaml(entry.frontmatter);
+  }
+  return serializeFrontmatter(entry.frontmatter, entry.body);
+}
+
+function formatField(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return String(value ?? '');
+}
+
+export default {
+  show: noteShowCommand,
+  cat: noteShowCommand,
+  update: noteUpdateCommand,
+  edit: noteEditCommand
+};
@@ -0,0 +1,251 @@
+/**
+ * Command result output in text, JSON and NDJSON formats
+ */
+import { exitCodeFor } from '../utils/errors.js';
+
+export const OUTPUT_FORMATS = ['text', 'json', 'ndjson'];
+
+/**
+ * Result keys holding lists that ndjson writes one item per line, in order of preference
+ */
+export const NDJSON_LIST_KEYS = ['results', 'handoffs', 'notes', 'issues'];
+
+/**
+ * Write a command result and return the process exit code
+ */
+export function printResult(result, options = {}) {
+  const {
+    format = 'text',
+    stdout = process.stdout,
+    stderr = process.stderr
+  } = options;
+
+  if (format === 'json') {
+    stdout.write(JSON.stringify(result, null, 2) + '\n');
+  } else if (format === 'ndjson') {
+    stdout.write(ndjsonLines(result).join('\n') + '\n');
+  } else {
+    const lines = formatText(result);
+    const stream = result.success ? stdout : stderr;
+    stream.write(lines.join('\n') + '\n');
+  }
+
+  return exitCodeFor(result);
+}
+
+/**
+ * NDJSON lines for a result: one per item of its list, then the rest of the result with
+ * the item count; results without a list are a single line
+ */
+export function ndjsonLines(result) {
+  const key = NDJSON_LIST_KEYS.find(name => Array.isArray(result[name]));
+  if (!key) {
+    return [JSON.stringify(result)];
+  }
+
+  const { [key]: items, ...summary } = result;
+  return [
+    ...items.map(item => JSON.stringify(item)),
+    JSON.stringify({ ...summary, count: items.length })
+  ];
+}
+
+/**
+ * Render a command result as human-readable lines
+ */
+export function formatText(result) {
+  const lines = [];
+
+  if (!result.success) {
+    lines.push(`✗ ${result.message}`);
+    for (const hint of result.hints || []) {
+      lines.push(hint);
+    }
+    return lines;
+  }
+
+  // Commands that print note content (note show) output it as-is
+  if (typeof result.output === 'string') {
+    return [result.output.replace(/\n+$/, '')];
+  }
+
+  lines.push(`✓ ${result.message}`);
+
+  if (result.path) {
+    lines.push(`  Path: ${result.path}`);
+  }
+
+  if (result.note) {
+    lines.push(`  Path: ${result.note.path}`);
+    lines.push(`  ID: ${result.note.id}`);
+  }
+
+  if (result.phase) {
+    lines.push(`  Phase: ${result.phase.title} (${result.phase.id})`);
+    lines.push(`  Path: ${result.phase.path}`);
+  }
+
+  if (result.handoff) {
+    lines.push(`  Handoff: ${result.handoff.title || result.handoff.id}`);
+    lines.push(`  Path: ${result.handoff.path}`);
+  }
+
+  if (result.session) {
+    lines.push(`  Session: ${result.session.id}`);
+    lines.push(`  Path: ${result.session.path}`);
+  }
+
+  for (const change of result.changes || []) {
+    lines.push(`  - ${change}`);
+  }
+  if (Array.isArray(result.indexes) && result.indexes.length > 0) {
+    lines.push(`  Refreshed: ${result.indexes.join(', ')}`);
+  }
+  if (Array.isArray(result.templates) && result.templates.length > 0) {
+    lines.push(`  Templates: ${result.templates.join(', ')}`);
+  }
+
+  if (result.results) {
+    lines.push('', 'Results:');
+    for (const item of result.results.slice(0, 10)) {
+      lines.push(`  ${item.path}`);
+      if (item.preview) {
+        lines.push(`    ${item.preview.substring(0, 80)}...`);
+      }
+    }
+    if (result.results.length > 10) {
+      lines.push(`  ... and ${result.results.length - 10} more (use --format json for all)`);
+    }
+  }
+
+  if (result.diagnostics) {
+    const { folders, indexes, frontmatter, duplicates, paths, links } = result.diagnostics;
+    lines.push('', 'Diagnostics:');
+    lines.push(`  Folders: ${folders.healthy ? '✓' : '✗'} ${folders.message}`);
+    lines.push(`  Indexes: ${indexes.healthy ? '✓' : '✗'} ${indexes.issues.length} issues`);
+    lines.push(`  Frontmatter: ${frontmatter.healthy ? '✓' : '✗'} ${frontmatter.checked} checked, ${frontmatter.invalid.length} invalid`);
+    if (duplicates) {
+      lines.push(`  Duplicates: ${duplicates.healthy ? '✓' : '✗'} ${duplicates.message}`);
+    }
+    if (paths) {
+      lines.push(`  Paths: ${paths.healthy ? '✓' : '✗'} ${paths.message}`);
+    }
+    if (links) {
+      lines.push(`  Links: ${links.healthy ? '✓' : '✗'} ${links.message}`);
+    }
+    for (const [key, source] of Object.entries(result.diagnostics.config || {})) {
+      lines.push(`  Config ${key}: ${formatValue(source.value)} (${formatOrigin(source)})`);
+    }
+
+    if (!result.diagnostics.healthy) {
+      lines.push('', 'Issues:');
+      for (const issue of indexes.issues) {
+        lines.push(`  - ${issue.index}: ${issue.message}`);
+      }
+      for (const invalid of frontmatter.invalid.slice(0, 5)) {
+        const problems = invalid.errors?.map(error => error.message).join('; ') || invalid.error;
+        lines.push(`  - ${invalid.path}: ${problems || 'invalid frontmatter'}`);
+      }
+      for (const group of duplicates?.ids || []) {
+        lines.push(`  - Duplicate id ${group.id}: ${group.paths.join(', ')}`);
+      }
+      for (const group of duplicates?.filenames || []) {
+        lines.push(`  - Duplicate filename ${group.filename}: ${group.paths.join(', ')}`);
+      }
+      for (const entry of (paths?.absolute || []).slice(0, 5)) {
+        lines.push(`  - ${entry.path}: absolute ${entry.field} ${entry.value}`);
+      }
+      for (const entry of (links?.broken || []).slice(0, 5)) {
+        lines.push(`  - ${entry.path}: ${entry.link} ${entry.reason}`);
+      }
+    }
+  }
+
+  if (result.result && result.result.summary) {
+    const summary = result.result.summary;
+    lines.push('', 'Summary:');
+    lines.push(`  Candidates: ${summary.candidates}`);
+    lines.push(`  Deleted: ${summary.deleted}`);
+    lines.push(`  Errors: ${summary.errors}`);
+  }
+
+  if (result.migration && !result.migration.upToDate) {
+    const migration = result.migration;
+    if (migration.backup) {
+      lines.push(`  Backup: ${migration.backup}`);
+    }
+    for (const move of migration.moves) {
+      lines.push(`  - move ${move.from} -> ${move.to}`);
+    }
+    for (const update of migration.updates) {
+      lines.push(`  - update ${update.path}: ${update.changes.join(', ')}`);
+    }
+    if (migration.tracker) {
+      lines.push(`  - update tracker: latest_handoff_path -> ${migration.tracker.latest_handoff_path}`);
+    }
+    for (const error of migration.errors) {
+      lines.push(`  ! ${error.path}: ${error.error}`);
+    }
+  }
+
+  if (result.settings) {
+    for (const [key, setting] of Object.entries(result.settings)) {
+      lines.push(`  ${key} = ${formatValue(setting.value)} (${formatOrigin(setting)})`);
+    }
+  }
+
+  if (result.explain) {
+    for (const [key, entries] of Object.entries(result.explain)) {
+      lines.push('', `${key}:`);
+      for (const entry of entries) {
+        const marker = entry.applied ? '*' : ' ';
+        lines.push(`  ${marker} ${formatOrigin(entry)}: ${JSON.stringify(entry.value)}${entry.error ? ` (ignored: ${entry.error})` : ''}`);
+      }
+    }
+  }
+
+  if (result.profiles) {
+    for (const profile of result.profiles) {
+      const marker = profile.active ? '*' : ' ';
+      const vault = profile.values.vaultPath ? ` vault ${profile.values.vaultPath}` : '';
+      lines.push(`  ${marker} ${profile.name}${vault} (${profile.layer} ${profile.path})`);
+    }
+  }
+
+  if (result.issues && result.issues.length > 0 && !result.diagnostics) {
+    lines.push('', 'Config issues:');
+    for (const issue of result.issues) {
+      lines.push(`  - ${issue.message}`);
+    }
+  }
+
+  if (result.tracker) {
+    lines.push('', 'Tracker:');
+    lines.push(`  Active phase: ${result.tracker.active_phase_id || 'none'}`);
+    lines.push(`  Session: ${result.tracker.current_session_id || 'none'}`);
+    lines.push(`  Latest handoff: ${result.tracker.latest_handoff_id || 'none'}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Config values on one line; folder mappings are objects
+ */
+function formatValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Describe where a config value came from, e.g. "profile work /repo/.copilot-memory/config.json"
+ */
+function formatOrigin(source) {
+  return [source.layer, source.profile, source.path].filter(Boolean).join(' ');
+}
+
+export default {
+  OUTPUT_FORMATS,
+  printResult,
+  ndjsonLines,
+  formatText
+};
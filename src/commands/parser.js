@@ -0,0 +1,395 @@
+/**
+ * Registry-driven command line parser
+ * Option types, aliases and positional arguments come from COMMANDS in registry.js
+ */
+import { resolve } from 'path';
+import { homedir } from 'os';
+import {
+  COMMANDS,
+  GLOBAL_OPTIONS,
+  COMMAND_ALIASES,
+  getTopLevelCommands,
+  getSubcommands
+} from './registry.js';
+import { ValidationError } from '../utils/errors.js';
+import { didYouMean } from '../utils/suggest.js';
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Convert an option name to its args key (dry-run -> dryRun)
+ */
+export function toArgKey(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Find the --format value in raw argv, for reporting parse errors
+ */
+export function peekFormat(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--') break;
+    if (argv[i] === '--format') return argv[i + 1] || 'text';
+    if (argv[i].startsWith('--format=')) return argv[i].slice('--format='.length);
+  }
+  return 'text';
+}
+
+/**
+ * Parse a full command line into command, subcommand and typed args
+ *
+ * Returns { command, subcommand, name, args } where name is the COMMANDS key
+ * and args._ holds the subcommand followed by positional arguments.
+ */
+export function parseCommandLine(argv, options = {}) {
+  const { cwd = process.cwd() } = options;
+
+  // Global options may appear before the command
+  const leading = [];
+  let index = 0;
+  while (index < argv.length && isOptionToken(argv[index])) {
+    leading.push(argv[index]);
+    const def = findOption(GLOBAL_OPTIONS, argv[index]);
+    if (def && def.type !== 'boolean' && !argv[index].includes('=') && index + 1 < argv.length) {
+      leading.push(argv[index + 1]);
+      index++;
+    }
+    index++;
+  }
+
+  const commandToken = argv[index];
+  if (commandToken === undefined || commandToken === '--') {
+    const args = parseOptions(leading, GLOBAL_OPTIONS, [], { cwd, commandName: 'copilot-memory' });
+    if (args.help) {
+      return { command: 'help', subcommand: null, name: 'help', args };
+    }
+    throw new ValidationError('Command required', {
+      hints: ['', 'Run \'copilot-memory help\' for more information']
+    });
+  }
+
+  const command = COMMAND_ALIASES[commandToken] || commandToken;
+  const topLevel = getTopLevelCommands();
+  if (!topLevel.includes(command)) {
+    throw unknownName(`Unknown command '${commandToken}'`, commandToken, topLevel, [
+      '',
+      `Valid commands: ${topLevel.join(', ')}`,
+      `Aliases: ${Object.keys(COMMAND_ALIASES).join(', ')}`,
+      '',
+      'Run \'copilot-memory help\' for more information'
+    ]);
+  }
+
+  let rest = argv.slice(index + 1);
+  let subcommand = null;
+  const subcommands = getSubcommands(command);
+
+  const subToken = rest[0];
+  // A command such as `handoff` also runs on its own when no subcommand follows
+  const standalone = Boolean(COMMANDS[command]) && !subcommands.includes(subToken) &&
+    (subToken === undefined || isOptionToken(subToken) || subToken === '--' || (COMMANDS[command].args || []).length > 0);
+
+  if (subcommands.length > 0 && !standalone) {
+    if (subToken === undefined || isOptionToken(subToken)) {
+      const args = parseOptions([...leading, ...rest], GLOBAL_OPTIONS, [], { cwd, commandName: command });
+      if (args.help) {
+        return { command, subcommand: null, name: command, args };
+      }
+      throw new ValidationError(`${command} subcommand required`, {
+        hints: namespaceHints(command, subcommands, true)
+      });
+    }
+    if (!subcommands.includes(subToken)) {
+      throw unknownName(
+        `Unknown ${command} subcommand '${subToken}'`,
+        subToken,
+        subcommands,
+        namespaceHints(command, subcommands, false)
+      );
+    }
+    subcommand = subToken;
+    rest = rest.slice(1);
+  }
+
+  const name = subcommand ? `${command} ${subcommand}` : command;
+  const definition = COMMANDS[name];
+  const args = parseOptions(
+    [...leading, ...rest],
+    [...GLOBAL_OPTIONS, ...definition.options],
+    definition.args || [],
+    { cwd, commandName: name }
+  );
+
+  if (subcommand) {
+    args._.unshift(subcommand);
+  }
+
+  return { command, subcommand, name, args };
+}
+
+/**
+ * Parse option and positional tokens against a set of definitions
+ */
+export function parseOptions(tokens, optionDefs, argDefs = [], context = {}) {
+  const { cwd = process.cwd(), commandName = 'command' } = context;
+  const args = { _: [] };
+  let terminated = false;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (!terminated && token === '--') {
+      terminated = true;
+      continue;
+    }
+    if (terminated || !isOptionToken(token)) {
+      args._.push(token);
+      continue;
+    }
+
+    const { name, inline } = splitOptionToken(token);
+    const def = findOption(optionDefs, token);
+    if (!def) {
+      const names = optionDefs.map(option => option.name);
+      const suggestion = didYouMean(name, names);
+      throw new ValidationError(
+        `Unknown option ${token.split('=')[0]} for '${commandName}'` +
+        (suggestion ? `. Did you mean --${suggestion}?` : ''),
+        { hints: ['', `Run 'copilot-memory help ${commandName}' to list options`] }
+      );
+    }
+
+    let raw;
+    if (def.type === 'boolean') {
+      raw = inline === undefined ? 'true' : inline;
+    } else if (inline !== undefined) {
+      raw = inline;
+    } else {
+      const next = tokens[i + 1];
+      if (next === undefined || next === '--' || next.startsWith('--')) {
+        throw new ValidationError(`Option --${def.name} requires a value ${def.value || ''}`.trim());
+      }
+      raw = next;
+      i++;
+    }
+
+    assignOption(args, def, coerceValue(raw, def, cwd));
+  }
+
+  if (!args.help) {
+    checkRequired(args, optionDefs);
+  }
+  assignPositionals(args, argDefs, commandName);
+
+  return args;
+}
+
+/**
+ * Check and type args passed to a command from code (createMemory's run, the servers)
+ * Values are coerced as on the command line, so { tags: 'a,b' } becomes ['a', 'b'];
+ * option aliases map to the option's key and unknown keys are rejected.
+ */
+export function normalizeArgs(commandName, args = {}, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const definition = COMMANDS[commandName];
+  const optionDefs = [...GLOBAL_OPTIONS, ...definition.options];
+  const argDefs = definition.args || [];
+  const normalized = { _: [] };
+
+  for (const [key, value] of Object.entries(args)) {
+    if (key === '_') {
+      normalized._ = [].concat(value ?? []).map(String);
+      continue;
+    }
+
+    const argDef = argDefs.find(def => toArgKey(def.name) === key);
+    const def = argDef ? null : optionDefs.find(option => [option.name, ...(option.aliases || [])].some(name => toArgKey(name) === key));
+    if (!argDef && !def) {
+      const keys = [...argDefs, ...optionDefs].map(option => toArgKey(option.name));
+      throw unknownName(`Unknown option '${key}' for '${commandName}'`, key, keys, [
+        `Valid options: ${keys.join(', ')}`
+      ]);
+    }
+    if (value === undefined || value === null) continue;
+
+    if (argDef) {
+      if (!isScalar(value)) {
+        throw new ValidationError(`Argument <${argDef.name}> for '${commandName}' must be a string`);
+      }
+      normalized[key] = value;
+    } else {
+      normalized[toArgKey(def.name)] = normalizeValue(value, def, cwd);
+    }
+  }
+
+  return normalized;
+}
+
+function normalizeValue(value, def, cwd) {
+  const flag = `--${def.name}`;
+
+  if (def.type === 'list' || def.repeatable) {
+    const items = Array.isArray(value) ? value : [value];
+    if (!items.every(isScalar)) {
+      throw new ValidationError(`Option ${flag} expects a list of strings`);
+    }
+    return items.flatMap(item => def.type === 'list' ? coerceValue(String(item), def, cwd) : [coerceValue(String(item), def, cwd)]);
+  }
+  if (def.type === 'boolean' && typeof value === 'boolean') {
+    return value;
+  }
+  if (!isScalar(value) || (typeof value === 'boolean' && def.type !== 'boolean')) {
+    throw new ValidationError(`Option ${flag} expects ${def.type === 'number' ? 'a number' : 'a string'}, got ${Array.isArray(value) ? 'a list' : typeof value}`);
+  }
+  return coerceValue(String(value), def, cwd);
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Convert a raw string to the option's declared type
+ */
+export function coerceValue(raw, def, cwd = process.cwd()) {
+  const flag = `--${def.name}`;
+
+  switch (def.type) {
+    case 'boolean': {
+      const value = String(raw).toLowerCase();
+      if (TRUE_VALUES.includes(value)) return true;
+      if (FALSE_VALUES.includes(value)) return false;
+      throw new ValidationError(`Option ${flag} expects true or false, got '${raw}'`);
+    }
+
+    case 'number': {
+      const value = Number(raw);
+      if (String(raw).trim() === '' || !Number.isFinite(value)) {
+        throw new ValidationError(`Option ${flag} expects a number, got '${raw}'`);
+      }
+      if (def.min !== undefined && value < def.min) {
+        throw new ValidationError(`Option ${flag} must be at least ${def.min}, got ${value}`);
+      }
+      if (def.max !== undefined && value > def.max) {
+        throw new ValidationError(`Option ${flag} must be at most ${def.max}, got ${value}`);
+      }
+      return value;
+    }
+
+    case 'list':
+      return String(raw).split(',').map(item => item.trim()).filter(Boolean);
+
+    case 'path': {
+      const value = String(raw);
+      if (value === '~' || value.startsWith('~/')) {
+        return resolve(homedir(), value.slice(2));
+      }
+      return resolve(cwd, value);
+    }
+
+    default: {
+      if (def.choices && !def.choices.includes(raw)) {
+        const suggestion = didYouMean(raw, def.choices);
+        throw new ValidationError(
+          `Invalid value '${raw}' for ${flag}. Valid values: ${def.choices.join(', ')}` +
+          (suggestion ? `. Did you mean '${suggestion}'?` : '')
+        );
+      }
+      return raw;
+    }
+  }
+}
+
+/**
+ * Store a coerced value; list and repeatable options accumulate across repeated flags
+ */
+function assignOption(args, def, value) {
+  const key = toArgKey(def.name);
+  if (def.type === 'list') {
+    args[key] = [...(args[key] || []), ...value];
+  } else if (def.repeatable) {
+    args[key] = [...(args[key] || []), value];
+  } else {
+    args[key] = value;
+  }
+}
+
+/**
+ * Fail on missing required options
+ */
+function checkRequired(args, optionDefs) {
+  for (const def of optionDefs) {
+    if (def.required && args[toArgKey(def.name)] === undefined) {
+      throw new ValidationError(`Missing required option --${def.name}`);
+    }
+  }
+}
+
+/**
+ * Map positional tokens onto named argument definitions
+ */
+function assignPositionals(args, argDefs, commandName) {
+  const positionals = args._;
+
+  argDefs.forEach((def, index) => {
+    const key = toArgKey(def.name);
+    if (def.variadic) {
+      const values = positionals.slice(index);
+      if (values.length > 0) args[key] = values.join(' ');
+    } else if (positionals[index] !== undefined) {
+      args[key] = positionals[index];
+    }
+
+    if (def.required && args[key] === undefined && !args.help) {
+      throw new ValidationError(`Missing required argument <${def.name}> for '${commandName}'`);
+    }
+  });
+
+  const accepted = argDefs.some(def => def.variadic) ? Infinity : argDefs.length;
+  if (positionals.length > accepted) {
+    throw new ValidationError(`Unexpected argument '${positionals[accepted]}' for '${commandName}'`);
+  }
+}
+
+function isOptionToken(token) {
+  return typeof token === 'string' && token.length > 1 && token.startsWith('-') && token !== '--';
+}
+
+function splitOptionToken(token) {
+  const body = token.replace(/^--?/, '');
+  const eq = body.indexOf('=');
+  return eq === -1
+    ? { name: body, inline: undefined }
+    : { name: body.slice(0, eq), inline: body.slice(eq + 1) };
+}
+
+function findOption(optionDefs, token) {
+  const { name } = splitOptionToken(token);
+  return optionDefs.find(def => def.name === name || (def.aliases || []).includes(name)) || null;
+}
+
+function unknownName(message, input, candidates, hints) {
+  const suggestion = didYouMean(input, candidates);
+  return new ValidationError(suggestion ? `${message}. Did you mean '${suggestion}'?` : message, { hints });
+}
+
+function namespaceHints(command, subcommands, withExamples) {
+  const hints = ['', `Valid subcommands: ${subcommands.join(', ')}`];
+  if (withExamples) {
+    hints.push('', 'Examples:');
+    for (const subcommand of subcommands) {
+      hints.push(`  ${COMMANDS[`${command} ${subcommand}`].examples[0]}`);
+    }
+  }
+  return hints;
+}
+
+export default {
+  toArgKey,
+  peekFormat,
+  parseCommandLine,
+  parseOptions,
+  normalizeArgs,
+  coerceValue
+};
@@ -1,10 +1,10 @@
-import { randomUUID } from 'crypto';
+import { ERROR_CODES } from '../utils/errors.js';
 
 /**
  * Phase create command
  */
 export async function phaseCreateCommand(vault, args, tracker) {
-  const phaseId = args.id || randomUUID();
+  const phaseId = args.id || vault.config.clock.uuid();
   const title = args.title || 'New Phase';
   const goal = args.goal || '';
 
@@ -13,7 +13,9 @@ export async function phaseCreateCommand(vault, args, tracker) {
     title,
     goal,
     status: 'planned',
-    tags: args.tags || []
+    tags: args.tags || [],
+    aliases: args.aliases || [],
+    template: args.template
   });
 
   if (tracker) {
@@ -35,14 +37,13 @@ export async function phaseCreateCommand(vault, args, tracker) {
  * Phase research command
  */
 export async function phaseResearchCommand(vault, args, tracker) {
-  const phaseId = tracker
-    ? await tracker.resolvePhaseId(args.phaseId || args.phase)
-    : (args.phaseId || args.phase);
+  const phaseId = await resolvePhase(vault, args, tracker);
   const title = args.title || 'Research Notes';
   
   if (!phaseId) {
     return {
       success: false,
+      code: ERROR_CODES.VALIDATION,
       message: 'Phase ID is required (pass --phase or set active phase with "copilot-memory vault tracker --phase <id>")'
     };
   }
@@ -59,8 +60,8 @@ export async function phaseResearchCommand(vault, args, tracker) {
     content = Buffer.concat(chunks).toString('utf-8');
   }
 
-  if (!content) {
-    content = `# ${title}\n\n## Findings\n\n[Add research findings]\n\n## References\n\n`;
+  if (!content || args.template) {
+    content = await vault.renderTemplate(args.template || 'research', { title, phase: phaseId, content });
   }
 
   const note = await vault.createPhaseResearch({
@@ -85,15 +86,14 @@ export async function phaseResearchCommand(vault, args, tracker) {
  * Phase handoff command
  */
 export async function phaseHandoffCommand(vault, args, tracker) {
-  const phaseId = tracker
-    ? await tracker.resolvePhaseId(args.phaseId || args.phase)
-    : (args.phaseId || args.phase);
+  const phaseId = await resolvePhase(vault, args, tracker);
   const sessionId = args.sessionId || args.session;
   const title = args.title || 'Phase Handoff';
 
   if (!phaseId) {
     return {
       success: false,
+      code: ERROR_CODES.VALIDATION,
       message: 'Phase ID is required (pass --phase or set active phase with "copilot-memory vault tracker --phase <id>")'
     };
   }
@@ -109,8 +109,8 @@ export async function phaseHandoffCommand(vault, args, tracker) {
     content = Buffer.concat(chunks).toString('utf-8');
   }
 
-  if (!content) {
-    content = `# ${title}\n\n## Phase Summary\n\n[Summarize phase work]\n\n## Completion Status\n\n[Describe completion status]\n\n## Next Phase\n\n[What comes next]\n`;
+  if (!content || args.template) {
+    content = await vault.renderTemplate(args.template || 'phase-handoff', { title, session: sessionId, phase: phaseId, content });
   }
 
   const note = await vault.createPhaseHandoff({
@@ -132,6 +132,17 @@ export async function phaseHandoffCommand(vault, args, tracker) {
   };
 }
 
+/**
+ * Phase id from --phase (id, id prefix, alias or title), or the tracker's active phase
+ */
+async function resolvePhase(vault, args, tracker) {
+  const reference = args.phaseId || args.phase;
+  if (reference) {
+    return await vault.resolvePhaseId(reference);
+  }
+  return tracker ? await tracker.resolvePhaseId() : null;
+}
+
 /**
  * Namespace dispatcher for phase commands
  * Enables: phase <subcommand> [args...]
@@ -142,6 +153,7 @@ export async function phaseCommand(vault, args) {
   if (!subcommand) {
     return {
       success: false,
+      code: ERROR_CODES.VALIDATION,
       message: 'Phase subcommand required. Use: phase create|research|handoff'
     };
   }
@@ -162,6 +174,7 @@ export async function phaseCommand(vault, args) {
     default:
       return {
         success: false,
+        code: ERROR_CODES.VALIDATION,
         message: `Unknown phase subcommand: ${subcommand}. Use: create|research|handoff`
       };
   }
@@ -0,0 +1,73 @@
+/**
+ * Profile list command
+ */
+export async function profileListCommand(config) {
+  const profiles = config.listProfiles();
+
+  if (profiles.length === 0) {
+    return {
+      success: true,
+      message: 'No profiles defined',
+      profiles,
+      hints: ['Create one with "copilot-memory profile add <name> --vault-path <path>"']
+    };
+  }
+
+  const count = `${profiles.length} ${profiles.length === 1 ? 'profile' : 'profiles'}`;
+  return {
+    success: true,
+    message: config.profile ? `${count}, using ${config.profile}` : `${count}, none selected`,
+    profiles,
+    issues: config.issues
+  };
+}
+
+/**
+ * Profile use command
+ * Records the default profile in the nearest project config, or the user config with --user
+ */
+export async function profileUseCommand(config, args) {
+  const result = await config.useProfile(args.name, { scope: args.user ? 'user' : 'project' });
+  const response = {
+    success: true,
+    message: `Using profile ${result.name}`,
+    profile: result.name,
+    path: result.path
+  };
+
+  // --profile and COPILOT_MEMORY_PROFILE still take precedence over the file
+  if (config.profile !== result.name) {
+    const { layer } = config.sources.profile;
+    response.hints = [`Profile ${config.profile} from ${layer === 'env' ? 'COPILOT_MEMORY_PROFILE' : '--profile'} overrides it`];
+  }
+  return response;
+}
+
+/**
+ * Profile add command
+ */
+export async function profileAddCommand(config, args) {
+  const result = await config.addProfile(args.name, {
+    vaultPath: args.vaultPath,
+    adapter: args.adapter,
+    notesmdPath: args.notesmdPath,
+    useNotesmd: args.useNotesmd,
+    retentionDays: args.retentionDays,
+    researchRetentionDays: args.researchRetentionDays
+  }, { scope: args.user ? 'user' : 'project' });
+
+  return {
+    success: true,
+    message: `Added profile ${result.name}`,
+    profile: result.name,
+    values: result.values,
+    path: result.path,
+    hints: [`Select it with "copilot-memory profile use ${result.name}" or --profile ${result.name}`]
+  };
+}
+
+export default {
+  list: profileListCommand,
+  use: profileUseCommand,
+  add: profileAddCommand
+};
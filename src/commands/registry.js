@@ -2,24 +2,73 @@
  * Command registry and help system
  */
 
+/**
+ * Option types understood by the argument parser:
+ *   string   - single value
+ *   list     - comma-separated values; repeated flags accumulate
+ *   number   - numeric value
+ *   boolean  - flag without a value (--flag=false to negate)
+ *   path     - value resolved against the current directory
+ * `repeatable: true` collects every value of a string option into an array (values may contain commas)
+ */
+export const OPTION_TYPES = ['string', 'list', 'number', 'boolean', 'path'];
+
+/**
+ * Options accepted by every command
+ */
+export const GLOBAL_OPTIONS = [
+  { name: 'vault', type: 'path', value: '<path>', description: 'Vault location (or use COPILOT_MEMORY_VAULT env)' },
+  { name: 'profile', type: 'string', value: '<name>', description: 'Config profile to use (or use COPILOT_MEMORY_PROFILE env)' },
+  { name: 'format', type: 'string', value: '<fmt>', choices: ['text', 'json', 'ndjson'], description: 'Output format' },
+  { name: 'verbose', type: 'boolean', aliases: ['v'], description: 'Show detailed error messages and diagnostics' },
+  { name: 'help', type: 'boolean', aliases: ['h'], description: 'Show help' }
+];
+
+/**
+ * Top-level command aliases
+ */
+export const COMMAND_ALIASES = {
+  h: 'handoff',
+  r: 'resume',
+  p: 'phase',
+  v: 'vault'
+};
+
+const NOTE_SHOW_ARGS = [
+  { name: 'ref', required: true, description: 'Note ID, ID prefix, path, [[wikilink]], alias, slug or title' }
+];
+
+const NOTE_SHOW_OPTIONS = [
+  { name: 'body', type: 'boolean', description: 'Print only the body' },
+  { name: 'frontmatter', type: 'boolean', description: 'Print only the frontmatter' },
+  { name: 'field', type: 'list', value: '<name>', description: 'Print only these frontmatter fields (repeatable)' },
+  { name: 'follow', type: 'number', value: '<n>', min: 0, description: 'Also print N handoffs back along previous_handoff' }
+];
+
+const HANDOFF_FILTER_OPTIONS = [
+  { name: 'phase', type: 'string', value: '<ref>', description: 'Only handoffs of this phase (ID, ID prefix, alias or title)' },
+  { name: 'session', type: 'string', value: '<id>', description: 'Only handoffs of this session' },
+  { name: 'since', type: 'string', value: '<date>', description: 'Only handoffs created at or after this ISO date/time' },
+  { name: 'until', type: 'string', value: '<date>', description: 'Only handoffs created at or before this ISO date/time (a date includes the whole day)' },
+  { name: 'tag', type: 'list', value: '<tag>', description: 'Only handoffs with all of these tags (repeatable)' },
+  { name: 'limit', type: 'number', value: '<n>', min: 1, aliases: ['n'], description: 'Show at most N handoffs' }
+];
+
 export const COMMANDS = {
   init: {
     name: 'init',
     description: 'Initialize vault or start project onboarding',
     usage: 'copilot-memory init [--mode greenfield|brownfield] [options]',
     options: [
-      '--vault <path>          Vault location (or use COPILOT_MEMORY_VAULT env)',
-      '--mode <mode>           greenfield (new project) or brownfield (analyze existing)',
-      '  Greenfield options:',
-      '    --idea <text>        Project idea/goal',
-      '    --stack <techs>      Tech stack (comma-separated)',
-      '    --constraints <text> Requirements/constraints',
-      '    --research <qs>      Research questions (comma-separated)',
-      '  Brownfield options:',
-      '    --path <path>        Codebase path to analyze (default: cwd)',
-      '  Common:',
-      '    --session <id>       Session ID (auto-generated if omitted)',
-      '    --tags <tags>        Tags (comma-separated)'
+      { name: 'mode', type: 'string', value: '<mode>', choices: ['greenfield', 'brownfield'], description: 'greenfield (new project) or brownfield (analyze existing)' },
+      { name: 'idea', type: 'string', value: '<text>', aliases: ['title'], group: 'Greenfield', description: 'Project idea/goal' },
+      { name: 'stack', type: 'list', value: '<techs>', aliases: ['tech'], group: 'Greenfield', description: 'Tech stack (comma-separated)' },
+      { name: 'constraints', type: 'string', value: '<text>', group: 'Greenfield', description: 'Requirements/constraints' },
+      { name: 'research', type: 'list', value: '<qs>', aliases: ['questions'], group: 'Greenfield', description: 'Research questions (comma-separated)' },
+      { name: 'path', type: 'path', value: '<path>', group: 'Brownfield', description: 'Codebase path to analyze (default: cwd)' },
+      { name: 'session', type: 'string', value: '<id>', group: 'Common', description: 'Session ID (auto-generated if omitted)' },
+      { name: 'tags', type: 'list', value: '<tags>', group: 'Common', description: 'Tags (comma-separated)' },
+      { name: 'template', type: 'string', value: '<name>', group: 'Common', description: 'Body template from templates/<name>.md (default: the mode name)' }
     ],
     examples: [
       'copilot-memory init',
@@ -34,26 +83,122 @@ export const COMMANDS = {
     description: 'Create a handoff note',
     usage: 'copilot-memory handoff [options]',
     options: [
-      '--title <title>         Handoff title',
-      '--content <text>        Handoff content',
-      '--stdin                 Read content from stdin',
-      '--session <id>          Session ID',
-      '--phase <id>            Phase ID',
-      '--tags <tag1,tag2>      Tags'
+      { name: 'title', type: 'string', value: '<title>', description: 'Handoff title' },
+      { name: 'content', type: 'string', value: '<text>', description: 'Handoff content' },
+      { name: 'stdin', type: 'boolean', description: 'Read content from stdin' },
+      { name: 'session', type: 'string', value: '<id>', description: 'Session ID' },
+      { name: 'phase', type: 'string', value: '<ref>', description: 'Phase ID, ID prefix, alias or title' },
+      { name: 'tags', type: 'list', value: '<tag1,tag2>', description: 'Tags' },
+      { name: 'aliases', type: 'list', value: '<name1,name2>', description: 'Other names to find the note by' },
+      { name: 'template', type: 'string', value: '<name>', description: 'Body template from templates/<name>.md (default: handoff)' }
     ],
     examples: [
       'copilot-memory handoff --title "Sprint Complete"',
+      'copilot-memory handoff --title "Standup" --template standup',
       'echo "## Done\\nAuth module" | copilot-memory handoff --stdin'
     ]
   },
 
+  'handoff log': {
+    name: 'handoff log',
+    description: 'Walk the handoff chain back from the latest handoff, like git log',
+    usage: 'copilot-memory handoff log [ref] [options]',
+    args: [
+      { name: 'ref', description: 'Handoff to start from (default: latest): ID, ID prefix, path, alias or title' }
+    ],
+    options: [
+      ...HANDOFF_FILTER_OPTIONS,
+      { name: 'lines', type: 'number', value: '<n>', min: 0, description: 'Body lines shown per handoff (default: 3)' }
+    ],
+    examples: [
+      'copilot-memory handoff log',
+      'copilot-memory handoff log 3f2a9c1e --limit 5',
+      'copilot-memory handoff log --phase auth --since 2024-01-01 --lines 0'
+    ]
+  },
+
+  'handoff list': {
+    name: 'handoff list',
+    description: 'List every handoff, newest first, flagging chain breaks',
+    usage: 'copilot-memory handoff list [options]',
+    options: HANDOFF_FILTER_OPTIONS,
+    examples: [
+      'copilot-memory handoff list',
+      'copilot-memory handoff list --session s1 --tag release',
+      'copilot-memory handoff list --until 2024-01-31 --format json'
+    ]
+  },
+
   resume: {
     name: 'resume',
     description: 'Resume from latest handoff',
-    usage: 'copilot-memory resume',
+    usage: 'copilot-memory resume [--from <ref>]',
+    options: [
+      { name: 'from', type: 'string', value: '<ref>', description: 'Handoff to resume from: ID, ID prefix, alias, slug, title or path' },
+      { name: 'template', type: 'string', value: '<name>', description: 'Body template from templates/<name>.md (default: session)' }
+    ],
+    examples: [
+      'copilot-memory resume',
+      'copilot-memory resume --from 3f2a9c1e',
+      'copilot-memory resume --from "sprint complete"'
+    ]
+  },
+
+  'note show': {
+    name: 'note show',
+    description: 'Print a note by reference',
+    usage: 'copilot-memory note show <ref> [--body|--frontmatter|--field <name>] [--follow <n>]',
+    args: NOTE_SHOW_ARGS,
+    options: NOTE_SHOW_OPTIONS,
+    examples: [
+      'copilot-memory note show 3f2a9c1e',
+      'copilot-memory note show "[[20240115-143000Z--handoff--s1--sprint-complete]]" --body',
+      'copilot-memory note show sprint-12 --field status --field tags',
+      'copilot-memory note show handoffs/2024/01/20240115-143000Z--handoff--s1--sprint-complete.md --follow 3'
+    ]
+  },
+
+  'note cat': {
+    name: 'note cat',
+    description: 'Print a note by reference (same as note show)',
+    usage: 'copilot-memory note cat <ref> [--body|--frontmatter|--field <name>] [--follow <n>]',
+    args: NOTE_SHOW_ARGS,
+    options: NOTE_SHOW_OPTIONS,
+    examples: [
+      'copilot-memory note cat auth --body'
+    ]
+  },
+
+  'note update': {
+    name: 'note update',
+    description: 'Change fields, tags or status of a note, or append to it',
+    usage: 'copilot-memory note update <ref> [--status <s>] [--add-tag <t>] [--remove-tag <t>] [--set key=value] [--append-stdin]',
+    args: NOTE_SHOW_ARGS,
+    options: [
+      { name: 'status', type: 'string', value: '<status>', description: 'New status (checked against the note type)' },
+      { name: 'add-tag', type: 'list', value: '<tag>', description: 'Add tags' },
+      { name: 'remove-tag', type: 'list', value: '<tag>', description: 'Remove tags' },
+      { name: 'set', type: 'string', repeatable: true, value: '<key=value>', description: 'Set a frontmatter field; the value is parsed as YAML (repeatable)' },
+      { name: 'append', type: 'string', value: '<text>', description: 'Append text to the body' },
+      { name: 'append-stdin', type: 'boolean', description: 'Append stdin to the body' }
+    ],
+    examples: [
+      'copilot-memory note update 3f2a9c1e --status completed',
+      'copilot-memory note update "OAuth2 patterns" --add-tag security --remove-tag draft',
+      'copilot-memory note update auth --set goal="Ship OAuth2" --set "aliases=[auth, login]"',
+      'echo "- Follow-up: rotate keys" | copilot-memory note update 3f2a9c1e --append-stdin'
+    ]
+  },
+
+  'note edit': {
+    name: 'note edit',
+    description: 'Open a note in $EDITOR and save it if it is still valid',
+    usage: 'copilot-memory note edit <ref>',
+    args: NOTE_SHOW_ARGS,
     options: [],
     examples: [
-      'copilot-memory resume'
+      'copilot-memory note edit 3f2a9c1e',
+      'EDITOR="code --wait" copilot-memory note edit "[[phases/auth/phase]]"'
     ]
   },
 
@@ -62,10 +207,12 @@ export const COMMANDS = {
     description: 'Create a new phase',
     usage: 'copilot-memory phase create [options]',
     options: [
-      '--title <title>         Phase title',
-      '--goal <goal>           Phase goal',
-      '--id <id>               Custom phase ID',
-      '--tags <tag1,tag2>      Tags'
+      { name: 'title', type: 'string', value: '<title>', description: 'Phase title' },
+      { name: 'goal', type: 'string', value: '<goal>', description: 'Phase goal' },
+      { name: 'id', type: 'string', value: '<id>', description: 'Custom phase ID' },
+      { name: 'tags', type: 'list', value: '<tag1,tag2>', description: 'Tags' },
+      { name: 'aliases', type: 'list', value: '<name1,name2>', description: 'Other names to find the phase by' },
+      { name: 'template', type: 'string', value: '<name>', description: 'Body template from templates/<name>.md (default: phase)' }
     ],
     examples: [
       'copilot-memory phase create --title "Auth" --goal "Implement OAuth2"'
@@ -77,14 +224,16 @@ export const COMMANDS = {
     description: 'Add research to a phase',
     usage: 'copilot-memory phase research --phase <id> [options]',
     options: [
-      '--phase <id>            Phase ID (required)',
-      '--title <title>         Research title',
-      '--content <text>        Research content',
-      '--stdin                 Read from stdin',
-      '--tags <tag1,tag2>      Tags'
+      { name: 'phase', type: 'string', value: '<ref>', description: 'Phase ID, ID prefix, alias or title (defaults to the active phase)' },
+      { name: 'title', type: 'string', value: '<title>', description: 'Research title' },
+      { name: 'content', type: 'string', value: '<text>', description: 'Research content' },
+      { name: 'stdin', type: 'boolean', description: 'Read from stdin' },
+      { name: 'tags', type: 'list', value: '<tag1,tag2>', description: 'Tags' },
+      { name: 'template', type: 'string', value: '<name>', description: 'Body template from templates/<name>.md (default: research)' }
     ],
     examples: [
-      'copilot-memory phase research --phase abc123 --title "OAuth2 patterns"'
+      'copilot-memory phase research --phase abc123 --title "OAuth2 patterns"',
+      'copilot-memory phase research --title "Spike" --template spike'
     ]
   },
 
@@ -93,12 +242,13 @@ export const COMMANDS = {
     description: 'Complete a phase with handoff',
     usage: 'copilot-memory phase handoff --phase <id> [options]',
     options: [
-      '--phase <id>            Phase ID (required)',
-      '--title <title>         Handoff title',
-      '--content <text>        Handoff content',
-      '--stdin                 Read from stdin',
-      '--session <id>          Session ID',
-      '--tags <tag1,tag2>      Tags'
+      { name: 'phase', type: 'string', value: '<ref>', description: 'Phase ID, ID prefix, alias or title (defaults to the active phase)' },
+      { name: 'title', type: 'string', value: '<title>', description: 'Handoff title' },
+      { name: 'content', type: 'string', value: '<text>', description: 'Handoff content' },
+      { name: 'stdin', type: 'boolean', description: 'Read from stdin' },
+      { name: 'session', type: 'string', value: '<id>', description: 'Session ID' },
+      { name: 'tags', type: 'list', value: '<tag1,tag2>', description: 'Tags' },
+      { name: 'template', type: 'string', value: '<name>', description: 'Body template from templates/<name>.md (default: phase-handoff)' }
     ],
     examples: [
       'copilot-memory phase handoff --phase abc123 --title "Phase Complete"'
@@ -118,13 +268,17 @@ export const COMMANDS = {
   'vault search': {
     name: 'vault search',
     description: 'Search vault content',
-    usage: 'copilot-memory vault search <query> [options]',
+    usage: 'copilot-memory vault search <query...> [options]',
+    args: [
+      { name: 'query', required: true, variadic: true, description: 'Text to search for (words are joined with spaces)' }
+    ],
     options: [
-      '--case                  Case-sensitive search',
-      '--dir <path>            Search specific directory'
+      { name: 'case', type: 'boolean', description: 'Case-sensitive search' },
+      { name: 'dir', type: 'path', value: '<path>', description: 'Search specific directory' }
     ],
     examples: [
       'copilot-memory vault search "authentication"',
+      'copilot-memory vault search auth token',
       'copilot-memory vault search "TODO" --case'
     ]
   },
@@ -134,11 +288,12 @@ export const COMMANDS = {
     description: 'Run vault health checks',
     usage: 'copilot-memory vault doctor [options]',
     options: [
-      '--fix                   Auto-fix issues'
+      { name: 'fix', type: 'boolean', description: 'Auto-fix issues' }
     ],
     examples: [
       'copilot-memory vault doctor',
-      'copilot-memory vault doctor --fix'
+      'copilot-memory vault doctor --fix',
+      'copilot-memory vault doctor --verbose'
     ]
   },
 
@@ -147,10 +302,10 @@ export const COMMANDS = {
     description: 'Prune old notes',
     usage: 'copilot-memory vault prune [options]',
     options: [
-      '--days <n>              Days threshold (default: 30)',
-      '--dry-run               Preview without deleting',
-      '--research              Prune research notes',
-      '--phase <id>            Prune specific phase'
+      { name: 'days', type: 'number', value: '<n>', aliases: ['d'], min: 0, description: 'Days threshold (default: retentionDays, or researchRetentionDays with --research)' },
+      { name: 'dry-run', type: 'boolean', description: 'Preview without deleting' },
+      { name: 'research', type: 'boolean', aliases: ['r'], description: 'Prune research notes' },
+      { name: 'phase', type: 'string', value: '<ref>', description: 'Prune specific phase (ID, ID prefix, alias or title)' }
     ],
     examples: [
       'copilot-memory vault prune --days 60 --dry-run',
@@ -163,9 +318,9 @@ export const COMMANDS = {
     description: 'Show or update deterministic tracker state',
     usage: 'copilot-memory vault tracker [--phase <id>|--clear-phase|--session <id>]',
     options: [
-      '--phase <id>            Set active phase ID',
-      '--clear-phase           Clear active phase ID',
-      '--session <id>          Set current session ID'
+      { name: 'phase', type: 'string', value: '<ref>', description: 'Set active phase (ID, ID prefix, alias or title)' },
+      { name: 'clear-phase', type: 'boolean', description: 'Clear active phase ID' },
+      { name: 'session', type: 'string', value: '<id>', description: 'Set current session ID' }
     ],
     examples: [
       'copilot-memory vault tracker',
@@ -174,10 +329,170 @@ export const COMMANDS = {
     ]
   },
 
+  'vault migrate': {
+    name: 'vault migrate',
+    description: 'Upgrade an older vault to the current format',
+    usage: 'copilot-memory vault migrate [--dry-run]',
+    options: [
+      { name: 'dry-run', type: 'boolean', description: 'Report planned changes without touching the vault' }
+    ],
+    examples: [
+      'copilot-memory vault migrate --dry-run',
+      'copilot-memory vault migrate'
+    ]
+  },
+
+  'config get': {
+    name: 'config get',
+    description: 'Show the effective value of a config key',
+    usage: 'copilot-memory config get <key>',
+    args: [
+      { name: 'key', required: true, description: 'Config key (vaultPath, notesmdPath, useNotesmd, adapter, retentionDays, researchRetentionDays, profile)' }
+    ],
+    options: [],
+    examples: [
+      'copilot-memory config get vaultPath'
+    ]
+  },
+
+  'config set': {
+    name: 'config set',
+    description: 'Set a key in the project (or user) config file',
+    usage: 'copilot-memory config set <key> <value> [--user]',
+    args: [
+      { name: 'key', required: true, description: 'Config key' },
+      { name: 'value', required: true, description: 'New value' }
+    ],
+    options: [
+      { name: 'user', type: 'boolean', description: 'Write ~/.config/copilot-memory/config.json instead' }
+    ],
+    examples: [
+      'copilot-memory config set vaultPath ./memory',
+      'copilot-memory config set useNotesmd false --user'
+    ]
+  },
+
+  'config unset': {
+    name: 'config unset',
+    description: 'Remove a key from the project (or user) config file',
+    usage: 'copilot-memory config unset <key> [--user]',
+    args: [
+      { name: 'key', required: true, description: 'Config key' }
+    ],
+    options: [
+      { name: 'user', type: 'boolean', description: 'Edit the user config file instead' }
+    ],
+    examples: [
+      'copilot-memory config unset adapter'
+    ]
+  },
+
+  'config list': {
+    name: 'config list',
+    description: 'List effective config values and problems',
+    usage: 'copilot-memory config list',
+    options: [],
+    examples: [
+      'copilot-memory config list',
+      'copilot-memory config list --format json'
+    ]
+  },
+
+  'config explain': {
+    name: 'config explain',
+    description: 'Show every layer that sets a key and which one wins',
+    usage: 'copilot-memory config explain [key]',
+    args: [
+      { name: 'key', description: 'Config key (default: all keys)' }
+    ],
+    options: [],
+    examples: [
+      'copilot-memory config explain',
+      'copilot-memory config explain vaultPath'
+    ]
+  },
+
+  'profile list': {
+    name: 'profile list',
+    description: 'List named profiles and which one is active',
+    usage: 'copilot-memory profile list',
+    options: [],
+    examples: [
+      'copilot-memory profile list'
+    ]
+  },
+
+  'profile use': {
+    name: 'profile use',
+    description: 'Make a profile the default in the project (or user) config file',
+    usage: 'copilot-memory profile use <name> [--user]',
+    args: [
+      { name: 'name', required: true, description: 'Profile name' }
+    ],
+    options: [
+      { name: 'user', type: 'boolean', description: 'Write ~/.config/copilot-memory/config.json instead' }
+    ],
+    examples: [
+      'copilot-memory profile use work',
+      'copilot-memory profile use oss --user'
+    ]
+  },
+
+  'profile add': {
+    name: 'profile add',
+    description: 'Define a profile in the project (or user) config file',
+    usage: 'copilot-memory profile add <name> [options]',
+    args: [
+      { name: 'name', required: true, description: 'Profile name' }
+    ],
+    options: [
+      { name: 'vault-path', type: 'path', value: '<path>', description: 'Vault location for this profile' },
+      { name: 'adapter', type: 'string', value: '<name>', description: 'Storage adapter: fs, notesmd, memory or a module path' },
+      { name: 'notesmd-path', type: 'string', value: '<path>', description: 'notesmd-cli executable' },
+      { name: 'use-notesmd', type: 'boolean', description: 'Use notesmd-cli when available (--use-notesmd=false to disable)' },
+      { name: 'retention-days', type: 'number', value: '<n>', min: 0, description: 'Days before vault prune removes handoffs and sessions' },
+      { name: 'research-retention-days', type: 'number', value: '<n>', min: 0, description: 'Days before vault prune --research removes research' },
+      { name: 'user', type: 'boolean', description: 'Write ~/.config/copilot-memory/config.json instead' }
+    ],
+    examples: [
+      'copilot-memory profile add work --vault-path ~/vaults/work --retention-days 60',
+      'copilot-memory profile add scratch --adapter fs --retention-days 7 --user'
+    ]
+  },
+
+  mcp: {
+    name: 'mcp',
+    description: 'Run a Model Context Protocol server over stdio',
+    usage: 'copilot-memory mcp [--vault <path>]',
+    options: [],
+    examples: [
+      'copilot-memory mcp',
+      'copilot-memory mcp --vault ~/my-vault'
+    ]
+  },
+
+  serve: {
+    name: 'serve',
+    description: 'Run a local HTTP/JSON API',
+    usage: 'copilot-memory serve [--port <n>] [--host <addr>] [--token <secret>]',
+    options: [
+      { name: 'port', type: 'number', value: '<n>', min: 0, max: 65535, description: 'Port to listen on (default: 7077)' },
+      { name: 'host', type: 'string', value: '<addr>', choices: ['127.0.0.1', '::1', 'localhost'], description: 'Loopback address to bind (default: 127.0.0.1)' },
+      { name: 'token', type: 'string', value: '<secret>', description: 'Require a bearer token (or use COPILOT_MEMORY_TOKEN env)' }
+    ],
+    examples: [
+      'copilot-memory serve',
+      'copilot-memory serve --port 8080 --token "$(openssl rand -hex 16)"'
+    ]
+  },
+
   help: {
     name: 'help',
     description: 'Show help for commands',
     usage: 'copilot-memory help [command]',
+    args: [
+      { name: 'topic', variadic: true, description: 'Command to show help for' }
+    ],
     options: [],
     examples: [
       'copilot-memory help',
@@ -187,13 +502,37 @@ export const COMMANDS = {
   }
 };
 
+/**
+ * Top-level command names, including namespaces like "phase" and "vault"
+ */
+export function getTopLevelCommands() {
+  return [...new Set(Object.keys(COMMANDS).map(name => name.split(' ')[0]))];
+}
+
+/**
+ * Subcommand names for a namespace (empty for plain commands)
+ */
+export function getSubcommands(namespace) {
+  return Object.keys(COMMANDS)
+    .filter(name => name.startsWith(`${namespace} `))
+    .map(name => name.slice(namespace.length + 1));
+}
+
+/**
+ * Render an option definition as a help line label
+ */
+export function formatOptionLabel(option) {
+  const flag = option.name.length === 1 ? `-${option.name}` : `--${option.name}`;
+  return option.value ? `${flag} ${option.value}` : flag;
+}
+
 /**
  * Get command help
  */
 export function getCommandHelp(commandName) {
   const command = COMMANDS[commandName];
   if (!command) {
-    return null;
+    return getNamespaceHelp(commandName);
   }
 
   let help = `\n${command.name}`;
@@ -203,11 +542,28 @@ export function getCommandHelp(commandName) {
 
   if (command.options.length > 0) {
     help += `\nOptions:\n`;
+    let group = null;
     for (const option of command.options) {
-      help += `  ${option}\n`;
+      if (option.group && option.group !== group) {
+        group = option.group;
+        help += `  ${group} options:\n`;
+      }
+      const indent = group ? '  ' : '';
+      const label = formatOptionLabel(option).padEnd(23 - indent.length);
+      help += `  ${indent}${label} ${option.description}\n`;
     }
   }
 
+  const subcommands = getSubcommands(commandName);
+  if (subcommands.length > 0) {
+    help += `\nSubcommands:\n`;
+    for (const subcommand of subcommands) {
+      help += `  ${subcommand.padEnd(22)}${COMMANDS[`${commandName} ${subcommand}`].description}\n`;
+    }
+  }
+
+  help += `\nGlobal options: ${GLOBAL_OPTIONS.map(formatOptionLabel).join(', ')}\n`;
+
   if (command.examples.length > 0) {
     help += `\nExamples:\n`;
     for (const example of command.examples) {
@@ -218,6 +574,27 @@ export function getCommandHelp(commandName) {
   return help;
 }
 
+/**
+ * Get help for a command namespace such as "phase" or "vault"
+ */
+function getNamespaceHelp(namespace) {
+  const subcommands = getSubcommands(namespace);
+  if (subcommands.length === 0) {
+    return null;
+  }
+
+  let help = `\n${namespace}`;
+  help += `\n${'-'.repeat(namespace.length)}\n`;
+  help += `\nUsage:\n  copilot-memory ${namespace} <subcommand> [options]\n`;
+  help += `\nSubcommands:\n`;
+  for (const subcommand of subcommands) {
+    help += `  ${subcommand.padEnd(22)}${COMMANDS[`${namespace} ${subcommand}`].description}\n`;
+  }
+  help += `\nRun "copilot-memory help ${namespace} <subcommand>" for details.\n`;
+
+  return help;
+}
+
 /**
  * List all commands
  */
@@ -228,9 +605,17 @@ export function listCommands() {
   output += 'Core Commands:\n';
   output += '  init                 Initialize vault\n';
   output += '  handoff              Create handoff note\n';
+  output += '  handoff log          Walk the handoff chain\n';
+  output += '  handoff list         List all handoffs\n';
   output += '  resume               Resume from latest handoff\n';
   output += '  help                 Show command help\n\n';
 
+  output += 'Note Commands:\n';
+  output += '  note show            Print a note by reference\n';
+  output += '  note cat             Same as note show\n';
+  output += '  note update          Change status, tags or fields\n';
+  output += '  note edit            Edit a note in $EDITOR\n\n';
+
   output += 'Phase Commands:\n';
   output += '  phase create         Create new phase\n';
   output += '  phase research       Add research to phase\n';
@@ -241,7 +626,24 @@ export function listCommands() {
   output += '  vault search         Search content\n';
   output += '  vault doctor         Run health checks\n';
   output += '  vault prune          Prune old notes\n';
-  output += '  vault tracker        Track deterministic state\n\n';
+  output += '  vault tracker        Track deterministic state\n';
+  output += '  vault migrate        Upgrade vault format\n\n';
+
+  output += 'Config Commands:\n';
+  output += '  config get           Show a config value\n';
+  output += '  config set           Set a config value\n';
+  output += '  config unset         Remove a config value\n';
+  output += '  config list          List effective config\n';
+  output += '  config explain       Show where values come from\n\n';
+
+  output += 'Profile Commands:\n';
+  output += '  profile list         List named profiles\n';
+  output += '  profile use          Select the default profile\n';
+  output += '  profile add          Define a profile\n\n';
+
+  output += 'Server Commands:\n';
+  output += '  mcp                  Run MCP server over stdio\n';
+  output += '  serve                Run local HTTP/JSON API\n\n';
 
   output += 'Run "copilot-memory help <command>" for detailed help.\n';
 
@@ -249,7 +651,13 @@ export function listCommands() {
 }
 
 export default {
+  OPTION_TYPES,
+  GLOBAL_OPTIONS,
+  COMMAND_ALIASES,
   COMMANDS,
+  getTopLevelCommands,
+  getSubcommands,
+  formatOptionLabel,
   getCommandHelp,
   listCommands
 };
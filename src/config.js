@@ -1,58 +1,725 @@
-import { join } from 'path';
+import { join, relative, resolve, dirname, isAbsolute, sep } from 'path';
 import { existsSync, readFileSync } from 'fs';
 import { mkdir } from 'fs/promises';
+import { homedir } from 'os';
+import { writeFileAtomic } from './utils/atomic.js';
+import { ValidationError, NotFoundError } from './utils/errors.js';
+import { didYouMean } from './utils/suggest.js';
+import { Clock, systemTimezone, isValidTimezone } from './utils/time.js';
+import { slugify, DEFAULT_SLUG_MAX_LENGTH } from './utils/slug.js';
+
+export const CONFIG_DIR = '.copilot-memory';
+export const CONFIG_FILE = 'config.json';
+
+/**
+ * Config layers, highest precedence first
+ */
+export const CONFIG_LAYERS = ['options', 'env', 'profile', 'project', 'user', 'default'];
+
+/**
+ * Config file key holding named profiles: { "<name>": { <key>: <value>, ... } }
+ */
+export const PROFILES_KEY = 'profiles';
+
+/**
+ * Vault folders, by the name services use for them
+ */
+export const VAULT_FOLDERS = ['handoffs', 'sessions', 'phases', 'indexes', 'templates'];
+
+/**
+ * How deep handoffs and sessions are nested by date: handoffs/2024, handoffs/2024/01, handoffs/2024/01/31 or flat
+ */
+export const DATED_PATH_GRANULARITIES = ['year', 'month', 'day', 'none'];
+
+/**
+ * Tokens of `filenamePattern`; each must appear exactly once
+ */
+export const FILENAME_TOKENS = ['timestamp', 'type', 'scope', 'slug'];
+
+export const DEFAULT_FILENAME_PATTERN = '{timestamp}--{type}--{scope}--{slug}';
+
+const DEFAULT_FOLDERS = Object.fromEntries(VAULT_FOLDERS.map(folder => [folder, folder]));
+
+/**
+ * Config keys understood by every layer
+ * `env` names the variable that sets the key; `default` may be a function of the Config;
+ * `commands` lists the only commands that read the key (every command when omitted)
+ */
+export const CONFIG_SCHEMA = {
+  vaultPath: {
+    type: 'path',
+    env: 'COPILOT_MEMORY_VAULT',
+    default: (config) => join(config.projectRoot || config.repoRoot || config.cwd, '.copilot-memory-vault'),
+    description: 'Vault location'
+  },
+  notesmdPath: {
+    type: 'string',
+    env: 'COPILOT_MEMORY_NOTESMD_PATH',
+    default: 'notesmd-cli',
+    description: 'notesmd-cli executable'
+  },
+  useNotesmd: {
+    type: 'boolean',
+    default: true,
+    description: 'Use notesmd-cli when available'
+  },
+  adapter: {
+    type: 'string',
+    env: 'COPILOT_MEMORY_ADAPTER',
+    default: 'notesmd',
+    description: 'Storage adapter: fs, notesmd, memory or a module path'
+  },
+  folders: {
+    type: 'object',
+    default: () => ({ ...DEFAULT_FOLDERS }),
+    validate: validateFolders,
+    description: 'Vault folder names, e.g. { "handoffs": "Memory/Handoffs" }; unset folders keep their default name'
+  },
+  datedPath: {
+    type: 'string',
+    choices: DATED_PATH_GRANULARITIES,
+    default: 'month',
+    description: 'Date folders for handoffs and sessions: year, month, day or none'
+  },
+  filenamePattern: {
+    type: 'string',
+    default: DEFAULT_FILENAME_PATTERN,
+    validate: validateFilenamePattern,
+    description: 'Note filename order of {timestamp}, {type}, {scope} and {slug}'
+  },
+  slugMaxLength: {
+    type: 'number',
+    default: DEFAULT_SLUG_MAX_LENGTH,
+    validate: (value) => Number.isInteger(value) && value >= 8 ? null : 'slugMaxLength must be a whole number of at least 8',
+    description: 'Longest slug, in characters, used in note filenames'
+  },
+  timezone: {
+    type: 'string',
+    env: 'COPILOT_MEMORY_TIMEZONE',
+    default: () => systemTimezone(),
+    validate: (value) => isValidTimezone(value) ? null : `Unknown timezone '${value}' (use an IANA name such as Europe/Berlin)`,
+    description: 'Timezone for dates shown in notes and indexes; stored timestamps are always UTC'
+  },
+  now: {
+    type: 'string',
+    env: 'COPILOT_MEMORY_NOW',
+    default: null,
+    validate: (value) => Number.isNaN(Date.parse(value)) ? `now must be an ISO 8601 date, got '${value}'` : null,
+    description: 'Fixed current time for reproducible runs'
+  },
+  seed: {
+    type: 'string',
+    env: 'COPILOT_MEMORY_SEED',
+    default: null,
+    description: 'Seed that makes generated ids reproducible'
+  },
+  retentionDays: {
+    type: 'number',
+    default: 30,
+    commands: ['vault prune'],
+    description: 'Age in days before vault prune removes handoffs and sessions'
+  },
+  researchRetentionDays: {
+    type: 'number',
+    default: 90,
+    commands: ['vault prune'],
+    description: 'Age in days before vault prune --research removes research notes'
+  },
+  profile: {
+    type: 'string',
+    env: 'COPILOT_MEMORY_PROFILE',
+    default: null,
+    description: 'Named profile whose settings apply'
+  }
+};
+
+/**
+ * Keys a profile may set: everything except the profile selection itself
+ */
+export const PROFILE_KEYS = Object.keys(CONFIG_SCHEMA).filter(key => key !== 'profile');
+
+/**
+ * Check a value against its schema entry; returns an error message or null
+ */
+export function validateConfigValue(key, value) {
+  const spec = CONFIG_SCHEMA[key];
+  if (!spec) {
+    return `Unknown config key '${key}'`;
+  }
+  if (spec.type === 'boolean') {
+    return typeof value === 'boolean' ? null : `${key} must be true or false`;
+  }
+  if (spec.type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0
+      ? null
+      : `${key} must be a non-negative number`;
+  }
+  if (spec.type === 'object') {
+    if (!isPlainObject(value)) return `${key} must be an object`;
+  } else if (typeof value !== 'string' || value === '') {
+    return `${key} must be a non-empty string`;
+  }
+  if (spec.choices && !spec.choices.includes(value)) {
+    return `${key} must be one of: ${spec.choices.join(', ')}`;
+  }
+  return spec.validate ? spec.validate(value) : null;
+}
+
+function validateFolders(folders) {
+  for (const [folder, name] of Object.entries(folders)) {
+    if (!VAULT_FOLDERS.includes(folder)) {
+      return `Unknown vault folder '${folder}' in folders (expected: ${VAULT_FOLDERS.join(', ')})`;
+    }
+    if (typeof name !== 'string' || name === '' || isAbsolute(name) || name.split(/[\\/]/).includes('..')) {
+      return `folders.${folder} must be a folder name inside the vault`;
+    }
+  }
+
+  const mapped = { ...DEFAULT_FOLDERS, ...folders };
+  const names = Object.values(mapped);
+  const shared = names.find((name, index) => names.indexOf(name) !== index);
+  if (shared) {
+    return `folders must not share a folder ('${shared}' is used more than once)`;
+  }
+  return null;
+}
+
+function validateFilenamePattern(pattern) {
+  if (/[\\/]/.test(pattern)) {
+    return 'filenamePattern must not contain path separators';
+  }
+
+  const tokens = [...pattern.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+  const unknown = tokens.find(token => !FILENAME_TOKENS.includes(token));
+  if (unknown) {
+    return `Unknown filenamePattern token {${unknown}} (expected: ${FILENAME_TOKENS.map(token => `{${token}}`).join(', ')})`;
+  }
+  for (const token of FILENAME_TOKENS) {
+    const count = tokens.filter(found => found === token).length;
+    if (count !== 1) {
+      return `filenamePattern must contain {${token}} exactly once`;
+    }
+  }
+  // Without text between tokens a filename cannot be split back into its parts
+  if (/\}\{/.test(pattern)) {
+    return 'filenamePattern tokens must be separated, e.g. {type}--{scope}';
+  }
+  return null;
+}
+
+/**
+ * Convert a command-line or environment string to the key's type
+ */
+export function parseConfigValue(key, raw) {
+  const spec = CONFIG_SCHEMA[key];
+  if (spec?.type === 'boolean' && typeof raw === 'string') {
+    if (/^(true|1|yes)$/i.test(raw)) return true;
+    if (/^(false|0|no)$/i.test(raw)) return false;
+  }
+  if (spec?.type === 'number' && typeof raw === 'string' && /^\d+(\.\d+)?$/.test(raw)) {
+    return Number(raw);
+  }
+  if (spec?.type === 'object' && typeof raw === 'string') {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+  return raw;
+}
+
+/**
+ * Throw a ValidationError for keys not in CONFIG_SCHEMA
+ */
+export function assertConfigKey(key) {
+  if (CONFIG_SCHEMA[key]) return key;
+
+  const keys = Object.keys(CONFIG_SCHEMA);
+  const suggestion = didYouMean(key, keys);
+  throw new ValidationError(`Unknown config key '${key}'`, {
+    hints: [
+      ...(suggestion ? [`Did you mean '${suggestion}'?`] : []),
+      `Valid keys: ${keys.join(', ')}`
+    ]
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Where a layer's value came from: { layer, path?, profile? }
+ */
+function sourceOf({ layer, path, profile }) {
+  return {
+    layer,
+    ...(path ? { path } : {}),
+    ...(profile ? { profile } : {})
+  };
+}
 
 /**
  * Configuration manager for copilot-memory
  * Handles vault path resolution, environment variables, and folder structure
  */
 export class Config {
+  /**
+   * @param {Object} [options] - Explicit values (highest precedence), plus:
+   * @param {string} [options.cwd] - Directory to start config discovery from (default: process.cwd())
+   * @param {Object} [options.env] - Environment variables (default: process.env)
+   * @param {string} [options.homeDir] - Home directory for the user-level config (default: os.homedir())
+   */
   constructor(options = {}) {
-    // Load config hierarchy: options > env > config file > defaults
-    const projectConfig = this._loadProjectConfig();
-    const envConfig = this._loadEnvConfig();
-    
-    this.vaultPath = options.vaultPath || 
-                     envConfig.vaultPath ||
-                     projectConfig.vaultPath ||
-                     join(process.cwd(), '.copilot-memory-vault');
-    
-    this.notesmdPath = options.notesmdPath || 
-                      envConfig.notesmdPath ||
-                      projectConfig.notesmdPath ||
-                      'notesmd-cli';
-    
-    this.useNotesmd = options.useNotesmd !== undefined 
-                      ? options.useNotesmd 
-                      : (projectConfig.useNotesmd !== undefined 
-                         ? projectConfig.useNotesmd 
-                         : true);
+    this.options = options;
+    this.cwd = resolve(options.cwd || process.cwd());
+    this.env = options.env || process.env;
+    this.homeDir = options.homeDir || homedir();
+    this.reload();
+  }
+
+  /**
+   * Re-read config files and resolve every key again
+   */
+  reload() {
+    /**
+     * Problems found while loading: malformed files, unknown keys, invalid values
+     * Unknown keys have severity 'warning' and never block a command
+     */
+    this.issues = [];
+
+    // Load config hierarchy: options > env > profile > project files (nearest first) > user file > defaults
+    const projectLayers = this._loadProjectConfigs();
+    const fileLayers = [...projectLayers, ...this._loadUserConfig()];
+    this.projectRoot = projectLayers.length > 0 ? projectLayers[0].base : null;
+    this.layers = [
+      { layer: 'options', base: this.cwd, values: this.options },
+      { layer: 'env', base: this.cwd, values: this._loadEnvConfig() },
+      ...fileLayers
+    ];
+
+    /**
+     * Layer each value came from: { layer, path?, profile? } keyed by config key
+     */
+    this.sources = {};
+
+    /**
+     * Named profiles from every config file; the nearest definition of a name wins
+     */
+    this.profiles = this._collectProfiles(fileLayers);
+
+    // The selected profile slots in below env, so flags and env vars still override it
+    this.profile = this._resolve('profile');
+    if (this.profile) {
+      const profileLayer = this._loadProfileLayer(this.profile);
+      if (profileLayer) {
+        this.layers.splice(2, 0, profileLayer);
+      }
+    }
+
+    for (const key of PROFILE_KEYS) {
+      this[key] = this._resolve(key);
+    }
+
+    // A partial mapping only renames the folders it lists
+    this.folders = { ...DEFAULT_FOLDERS, ...this.folders };
+
+    /**
+     * Time and id source for every service
+     */
+    this.clock = new Clock({ now: this.now, seed: this.seed, timezone: this.timezone });
+  }
+
+  /**
+   * Take a key from the highest layer that sets it, recording where it came from
+   */
+  _resolve(key) {
+    for (const entry of this.layers) {
+      const value = entry.values[key];
+      if (value === undefined || value === null || value === '') continue;
+      const error = validateConfigValue(key, value);
+      if (error) {
+        // Files report their own issues when loaded; a prebuilt adapter object in options is handled by createMemory
+        if (entry.layer === 'env') {
+          this.issues.push({ layer: 'env', key, severity: 'error', message: `${error} in ${CONFIG_SCHEMA[key].env}` });
+        }
+        continue;
+      }
+
+      this.sources[key] = sourceOf(entry);
+      return this._resolveRelative(key, value, entry.base);
+    }
+
+    this.sources[key] = { layer: 'default' };
+    const fallback = CONFIG_SCHEMA[key].default;
+    return typeof fallback === 'function' ? fallback(this) : fallback;
+  }
+
+  /**
+   * Resolved values with the layer each came from
+   */
+  describe() {
+    const described = {};
+    for (const [key, source] of Object.entries(this.sources)) {
+      described[key] = { value: this[key], ...source };
+    }
+    return described;
+  }
+
+  /**
+   * Issues that stop a command: unreadable files and invalid values for keys it reads,
+   * including the selected profile's settings
+   */
+  blockingIssues(commandName) {
+    return this.issues.filter(issue => {
+      if (issue.severity === 'warning') return false;
+      if (issue.profile && issue.profile !== this.profile) return false;
+      const commands = CONFIG_SCHEMA[issue.key]?.commands;
+      return !commands || commands.includes(commandName);
+    });
+  }
+
+  /**
+   * Every layer that sets a key, highest precedence first, marking the one that applies
+   */
+  explain(key) {
+    assertConfigKey(key);
+    const entries = [];
+
+    for (const layer of this.layers) {
+      const value = layer.values[key];
+      if (value === undefined || value === null || value === '') continue;
+      if (layer.layer === 'options' && validateConfigValue(key, value)) continue;
+
+      const entry = { ...sourceOf(layer), value };
+      const error = validateConfigValue(key, value);
+      if (error) entry.error = error;
+      entries.push(entry);
+    }
+
+    const fallback = CONFIG_SCHEMA[key].default;
+    entries.push({ layer: 'default', value: typeof fallback === 'function' ? fallback(this) : fallback });
+
+    const source = this.sources[key];
+    for (const entry of entries) {
+      entry.applied = entry.layer === source.layer && entry.path === source.path
+        && entry.profile === source.profile && !entry.error;
+    }
+    return entries;
+  }
+
+  /**
+   * Config file written by `config set` for a scope
+   * Project scope uses the nearest existing file, else one at the repository root (or cwd)
+   */
+  getConfigFilePath(scope = 'project') {
+    if (scope === 'user') {
+      return this._userConfigPath();
+    }
+    const nearest = this.layers.find(layer => layer.layer === 'project' && !layer.profile);
+    return nearest ? nearest.path : join(this.repoRoot || this.cwd, CONFIG_DIR, CONFIG_FILE);
+  }
+
+  /**
+   * Set a key in the project or user config file and reload
+   */
+  async setValue(key, raw, options = {}) {
+    assertConfigKey(key);
+    const value = parseConfigValue(key, raw);
+    const error = validateConfigValue(key, value);
+    if (error) {
+      throw new ValidationError(error, { details: { key, value } });
+    }
+
+    const path = this.getConfigFilePath(options.scope);
+    const values = this._readConfigFileStrict(path) || {};
+    values[key] = value;
+    await this._writeConfigFile(path, values);
+    return { key, value, path };
   }
 
   /**
-   * Load config from .copilot-memory/config.json if it exists
+   * Remove a key from the project or user config file and reload
+   * Unknown keys can be removed too, so a bad file can be repaired
    */
-  _loadProjectConfig() {
-    const configPath = join(process.cwd(), '.copilot-memory', 'config.json');
-    if (existsSync(configPath)) {
-      try {
-        const data = readFileSync(configPath, 'utf-8');
-        return JSON.parse(data);
-      } catch (error) {
-        console.warn(`Warning: Failed to parse config file: ${error.message}`);
+  async unsetValue(key, options = {}) {
+    const path = this.getConfigFilePath(options.scope);
+    const values = this._readConfigFileStrict(path);
+    if (!values || !(key in values)) {
+      throw new NotFoundError(`'${key}' is not set in ${path}`);
+    }
+
+    delete values[key];
+    await this._writeConfigFile(path, values);
+    return { key, path };
+  }
+
+  /**
+   * Defined profiles, marking the active one
+   */
+  listProfiles() {
+    return Object.values(this.profiles).map(({ name, layer, path, values }) => ({
+      name,
+      active: name === this.profile,
+      layer,
+      path,
+      values
+    }));
+  }
+
+  /**
+   * Make a profile the default by setting `profile` in the project or user config file
+   */
+  async useProfile(name, options = {}) {
+    this._assertProfile(name);
+    const { path } = await this.setValue('profile', name, options);
+    return { name, path };
+  }
+
+  /**
+   * Define a new profile in the project or user config file and reload
+   *
+   * @param {string} name - Letters, digits, '.', '_' and '-'
+   * @param {Object} settings - Values for PROFILE_KEYS; strings are parsed like `config set`
+   * @param {{ scope?: 'project'|'user' }} [options]
+   */
+  async addProfile(name, settings = {}, options = {}) {
+    if (typeof name !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name)) {
+      throw new ValidationError(`Invalid profile name '${name}'`, {
+        hints: ["Use letters, digits, '.', '_' and '-'"]
+      });
+    }
+
+    const values = {};
+    for (const [key, raw] of Object.entries(settings)) {
+      if (raw === undefined) continue;
+      if (!PROFILE_KEYS.includes(key)) {
+        assertConfigKey(key);
+        throw new ValidationError(`'${key}' cannot be set in a profile`);
+      }
+      const value = parseConfigValue(key, raw);
+      const error = validateConfigValue(key, value);
+      if (error) {
+        throw new ValidationError(error, { details: { key, value } });
+      }
+      values[key] = value;
+    }
+
+    const path = this.getConfigFilePath(options.scope);
+    const file = this._readConfigFileStrict(path) || {};
+    if (file[PROFILES_KEY]?.[name]) {
+      throw new ValidationError(`Profile '${name}' already exists in ${path}`, {
+        hints: [`Edit ${path} to change it`]
+      });
+    }
+
+    file[PROFILES_KEY] = { ...file[PROFILES_KEY], [name]: values };
+    await this._writeConfigFile(path, file);
+    return { name, values, path };
+  }
+
+  _assertProfile(name) {
+    if (this.profiles[name]) return;
+
+    const names = Object.keys(this.profiles);
+    const suggestion = didYouMean(name, names);
+    throw new NotFoundError(`Unknown profile '${name}'`, {
+      hints: [
+        ...(suggestion ? [`Did you mean '${suggestion}'?`] : []),
+        names.length > 0
+          ? `Defined profiles: ${names.join(', ')}`
+          : 'Create one with "copilot-memory profile add <name> --vault-path <path>"'
+      ]
+    });
+  }
+
+  /**
+   * Gather `profiles` from config files, nearest first
+   */
+  _collectProfiles(fileLayers) {
+    const profiles = {};
+    for (const { layer, path, base, values } of fileLayers) {
+      for (const [name, settings] of Object.entries(values[PROFILES_KEY] || {})) {
+        if (profiles[name] || !isPlainObject(settings)) continue;
+        profiles[name] = { name, layer, path, base, values: settings };
+      }
+    }
+    return profiles;
+  }
+
+  /**
+   * Layer for the selected profile, or null (recording an issue) when it is not defined
+   */
+  _loadProfileLayer(name) {
+    const profile = this.profiles[name];
+    if (!profile) {
+      const suggestion = didYouMean(name, Object.keys(this.profiles));
+      this.issues.push({
+        ...this.sources.profile,
+        key: 'profile',
+        severity: 'error',
+        message: `Unknown profile '${name}'` + (suggestion ? ` (did you mean '${suggestion}'?)` : '')
+      });
+      return null;
+    }
+
+    return { layer: 'profile', profile: name, path: profile.path, base: profile.base, values: profile.values };
+  }
+
+  async _writeConfigFile(path, values) {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFileAtomic(path, JSON.stringify(values, null, 2) + '\n');
+    this.reload();
+  }
+
+  /**
+   * Resolve relative vault and adapter module paths against the layer's base directory
+   */
+  _resolveRelative(key, value, base) {
+    if (typeof value !== 'string') return value;
+    if (key === 'vaultPath') {
+      return resolve(base, this._expandHome(value));
+    }
+    if (key === 'adapter' && value.startsWith('.')) {
+      return resolve(base, value);
+    }
+    return value;
+  }
+
+  _expandHome(path) {
+    return path === '~' || path.startsWith('~/') ? join(this.homeDir, path.slice(1)) : path;
+  }
+
+  /**
+   * Config files from the current directory up to the repository root, nearest first
+   * The walk stops at the first directory containing .git (or at the filesystem root)
+   */
+  _loadProjectConfigs() {
+    const layers = [];
+    let dir = this.cwd;
+    this.repoRoot = null;
+
+    while (true) {
+      const path = join(dir, CONFIG_DIR, CONFIG_FILE);
+      const values = this._readConfigFile(path, 'project');
+      if (values) {
+        layers.push({ layer: 'project', path, base: dir, values });
+      }
+
+      if (existsSync(join(dir, '.git'))) {
+        this.repoRoot = dir;
+        return layers;
+      }
+      const parent = dirname(dir);
+      if (parent === dir) {
+        return layers;
+      }
+      dir = parent;
+    }
+  }
+
+  /**
+   * Load $XDG_CONFIG_HOME/copilot-memory/config.json (default ~/.config/copilot-memory/config.json)
+   */
+  _loadUserConfig() {
+    const path = this._userConfigPath();
+    const values = this._readConfigFile(path, 'user');
+    return values ? [{ layer: 'user', path, base: this.homeDir, values }] : [];
+  }
+
+  _userConfigPath() {
+    const configHome = this.env.XDG_CONFIG_HOME || join(this.homeDir, '.config');
+    return join(configHome, 'copilot-memory', CONFIG_FILE);
+  }
+
+  /**
+   * Read a config file, recording malformed JSON, unknown keys and invalid values as issues
+   */
+  _readConfigFile(path, layer) {
+    let values;
+    try {
+      values = this._readConfigFileStrict(path);
+    } catch (error) {
+      this.issues.push({ layer, path, severity: 'error', message: error.message });
+      return null;
+    }
+    if (!values) return null;
+
+    for (const [key, value] of Object.entries(values)) {
+      if (key === PROFILES_KEY) {
+        this._checkProfiles(value, layer, path);
+      } else if (!CONFIG_SCHEMA[key]) {
+        const suggestion = didYouMean(key, [...Object.keys(CONFIG_SCHEMA), PROFILES_KEY]);
+        this.issues.push({
+          layer,
+          path,
+          key,
+          severity: 'warning',
+          message: `Unknown config key '${key}' in ${path}` + (suggestion ? ` (did you mean '${suggestion}'?)` : '')
+        });
+      } else if (value !== null && validateConfigValue(key, value)) {
+        this.issues.push({ layer, path, key, severity: 'error', message: `${validateConfigValue(key, value)} in ${path}` });
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Record issues for a malformed `profiles` object
+   */
+  _checkProfiles(profiles, layer, path) {
+    if (!isPlainObject(profiles)) {
+      this.issues.push({ layer, path, key: PROFILES_KEY, severity: 'error', message: `${PROFILES_KEY} must be an object of named profiles in ${path}` });
+      return;
+    }
+
+    for (const [name, settings] of Object.entries(profiles)) {
+      if (!isPlainObject(settings)) {
+        this.issues.push({ layer, path, key: PROFILES_KEY, profile: name, severity: 'error', message: `Profile '${name}' must be an object in ${path}` });
+        continue;
       }
+      for (const [key, value] of Object.entries(settings)) {
+        if (!PROFILE_KEYS.includes(key)) {
+          this.issues.push({ layer, path, key, profile: name, severity: 'warning', message: `Unknown profile key '${key}' in profile '${name}' in ${path}` });
+        } else if (value !== null && validateConfigValue(key, value)) {
+          this.issues.push({ layer, path, key, profile: name, severity: 'error', message: `${validateConfigValue(key, value)} in profile '${name}' in ${path}` });
+        }
+      }
+    }
+  }
+
+  /**
+   * Parse a JSON config file; null when missing, ValidationError when malformed
+   */
+  _readConfigFileStrict(path) {
+    if (!existsSync(path)) {
+      return null;
     }
-    return {};
+
+    let values;
+    try {
+      values = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (error) {
+      throw new ValidationError(`Invalid JSON in ${path}: ${error.message}`, { details: { path } });
+    }
+    if (!isPlainObject(values)) {
+      throw new ValidationError(`Config file ${path} must contain a JSON object`, { details: { path } });
+    }
+    return values;
   }
 
   /**
    * Load config from environment variables
    */
   _loadEnvConfig() {
-    return {
-      vaultPath: process.env.COPILOT_MEMORY_VAULT,
-      notesmdPath: process.env.COPILOT_MEMORY_NOTESMD_PATH,
-    };
+    const values = {};
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+      if (spec.env && this.env[spec.env] !== undefined) {
+        values[key] = parseConfigValue(key, this.env[spec.env]);
+      }
+    }
+    return values;
   }
 
   /**
@@ -63,28 +730,81 @@ export class Config {
   }
 
   /**
-   * Get dated folder structure (e.g., handoffs/2024/01)
+   * Full path inside one of VAULT_FOLDERS, using the folder name from the `folders` setting
+   */
+  getFolderPath(folder, ...segments) {
+    const name = this.folders[folder];
+    if (!name) {
+      throw new ValidationError(`Unknown vault folder '${folder}'`, {
+        details: { folder, folders: VAULT_FOLDERS }
+      });
+    }
+    return this.getPath(...name.split('/'), ...segments);
+  }
+
+  /**
+   * Vault-relative form of a path, with forward slashes as Obsidian writes them
+   * Paths outside the vault are returned unchanged
    */
-  getDatedPath(baseFolder, date = new Date()) {
-    const year = date.getFullYear().toString();
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    return this.getPath(baseFolder, year, month);
+  toVaultPath(path) {
+    const relativePath = relative(this.vaultPath, path);
+    if (relativePath.startsWith('..') || isAbsolute(relativePath)) {
+      return path;
+    }
+    return relativePath.split(sep).join('/');
+  }
+
+  /**
+   * Absolute path for a stored path, accepting both vault-relative and absolute forms
+   * Absolute paths written by a moved or cloned copy of the vault are re-rooted at their first
+   * vault folder (handoffs/, phases/, ...) when that note exists here; otherwise they pass through
+   *
+   * @param {string} path
+   * @param {{ exists?: (path: string) => boolean }} [options] - Existence check, e.g. adapter.exists (default: filesystem)
+   */
+  resolveVaultPath(path, options = {}) {
+    if (!isAbsolute(path)) {
+      return join(this.vaultPath, ...path.split('/'));
+    }
+
+    const { exists = existsSync } = options;
+    if (this.toVaultPath(path) !== path || exists(path)) {
+      return path;
+    }
+
+    const segments = path.split(/[\\/]/);
+    const roots = new Set(Object.values(this.folders).map(name => name.split('/')[0]));
+    for (let i = 0; i < segments.length; i++) {
+      if (!roots.has(segments[i])) continue;
+      const candidate = join(this.vaultPath, ...segments.slice(i));
+      if (exists(candidate)) {
+        return candidate;
+      }
+    }
+    return path;
+  }
+
+  /**
+   * Get dated folder structure (e.g., handoffs/2024/01), nested as deep as `datedPath`
+   * Uses the UTC date, like the filename timestamp
+   */
+  getDatedPath(baseFolder, date = this.clock.now()) {
+    const { year, month, day } = this.clock.dateParts(date);
+    const segments = {
+      none: [],
+      year: [year],
+      month: [year, month],
+      day: [year, month, day]
+    }[this.datedPath];
+    return this.getFolderPath(baseFolder, ...segments);
   }
 
   /**
    * Ensure all required vault folders exist
    */
   async ensureVaultStructure() {
-    const folders = [
-      'handoffs',
-      'sessions',
-      'phases',
-      'indexes',
-      'templates'
-    ];
-
-    for (const folder of folders) {
-      const path = this.getPath(folder);
+    for (const folder of VAULT_FOLDERS) {
+      const path = this.getFolderPath(folder);
       await mkdir(path, { recursive: true });
     }
   }
@@ -98,32 +818,41 @@ export class Config {
 
   /**
    * Generate a standardized filename
-   * Format: YYYYMMDD-HHmmssZ--<type>--<scope>--<slug>.md
+   * Format: `filenamePattern` plus .md, by default YYYYMMDD-HHmmssZ--<type>--<scope>--<slug>[--<n>].md
+   * The numeric suffix disambiguates notes that would otherwise collide (n >= 2)
    */
-  generateFilename(type, scope, slug, date = new Date()) {
-    const iso = date.toISOString();
+  generateFilename(type, scope, slug, date = this.clock.now(), counter = null) {
     // Format: YYYYMMDD-HHmmssZ
-    const timestamp = iso.substring(0, 10).replace(/-/g, '') + '-' + 
-                     iso.substring(11, 19).replace(/:/g, '') + 'Z';
+    const timestamp = this.clock.stamp(date);
     
-    const sanitizedSlug = slug
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '');
-    
-    return `${timestamp}--${type}--${scope}--${sanitizedSlug}.md`;
+    const sanitizedSlug = this.slugify(slug);
+
+    const suffix = counter && counter > 1 ? `--${counter}` : '';
+    const tokens = { timestamp, type, scope, slug: sanitizedSlug };
+    const name = this.filenamePattern.replace(/\{(\w+)\}/g, (match, token) => tokens[token]);
+    return `${name}${suffix}.md`;
+  }
+
+  /**
+   * Slug for a note title: Latin transliterated to ASCII, other scripts kept, at most `slugMaxLength`
+   * characters; a short id when nothing usable is left (e.g. an emoji-only title)
+   */
+  slugify(title) {
+    return slugify(title, { maxLength: this.slugMaxLength }) || this.clock.uuid().slice(0, 8);
   }
 
   /**
    * Parse a standardized filename into components
    */
   parseFilename(filename) {
-    // Match: YYYYMMDD-HHmmssZ--type--scope--slug.md
-    // Use non-greedy match for parts separated by --
-    const match = filename.match(/^(\d{8}-\d{6}Z)--(.+?)--(.+?)--(.+)\.md$/);
+    // Match: YYYYMMDD-HHmmssZ--type--scope--slug[--n].md, or the configured token order
+    const { regex, order } = this._filenameMatcher();
+    const match = filename.match(regex);
     if (!match) return null;
 
-    const [, timestamp, type, scope, slug] = match;
+    const parts = Object.fromEntries(order.map((token, index) => [token, match[index + 1]]));
+    const { timestamp, type, scope, slug } = parts;
+    const counter = match[order.length + 1];
     
     // Parse timestamp into Date
     const year = timestamp.substring(0, 4);
@@ -139,9 +868,35 @@ export class Config {
       type, 
       scope, 
       slug,
+      counter: counter ? parseInt(counter, 10) : null,
       date: new Date(isoStr)
     };
   }
+
+  _filenameMatcher() {
+    if (this._filenameMatcherFor !== this.filenamePattern) {
+      this._filenameMatcherFor = this.filenamePattern;
+      this._compiledFilenamePattern = compileFilenamePattern(this.filenamePattern);
+    }
+    return this._compiledFilenamePattern;
+  }
+}
+
+/**
+ * Compile `filenamePattern` into a regex; tokens use non-greedy matches between the literal separators
+ */
+function compileFilenamePattern(pattern) {
+  const order = [];
+  const source = pattern.split(/(\{\w+\})/).map(part => {
+    const token = part.match(/^\{(\w+)\}$/)?.[1];
+    if (!token) {
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    order.push(token);
+    return token === 'timestamp' ? '(\\d{8}-\\d{6}Z)' : '(.+?)';
+  }).join('');
+
+  return { regex: new RegExp(`^${source}(?:--(\\d+))?\\.md$`), order };
 }
 
 export default Config;
@@ -0,0 +1,377 @@
+/**
+ * Programmatic API for copilot-memory
+ *
+ * Wires up the same configuration, adapter and services the CLI uses and
+ * exposes one async method per CLI command. Methods always resolve to a
+ * structured result and never exit the process.
+ *
+ * @example
+ * import { createMemory } from 'copilot-memory';
+ *
+ * const memory = await createMemory({ vaultPath: './.copilot-memory-vault' });
+ * const { note } = await memory.handoff({ title: 'Auth done', content: '## Done' });
+ * const { results } = await memory.vault.search({ query: 'auth' });
+ */
+import { Config } from './config.js';
+import {
+  createAdapter,
+  FilesystemAdapter,
+  NotesMDAdapter,
+  InMemoryAdapter
+} from './adapters/index.js';
+import { assertAdapter, ADAPTER_METHODS } from './adapters/contract.js';
+import { VaultService } from './services/vault.js';
+import { IndexService } from './services/index.js';
+import { DoctorService } from './services/doctor.js';
+import { PruneService } from './services/prune.js';
+import { TrackerService } from './services/tracker.js';
+import { MigrationService, FORMAT_VERSION } from './services/migrate.js';
+import { LookupService } from './services/lookup.js';
+import { TemplateService, DEFAULT_TEMPLATES } from './services/template.js';
+import {
+  handoffCommand,
+  continuousResumeCommand,
+  handoffLogCommand,
+  handoffListCommand
+} from './commands/handoff.js';
+import { phaseCreateCommand, phaseResearchCommand, phaseHandoffCommand } from './commands/phase.js';
+import { noteShowCommand, noteUpdateCommand, noteEditCommand } from './commands/note.js';
+import {
+  memoryIndexCommand,
+  memorySearchCommand,
+  memoryDoctorCommand,
+  memoryPruneCommand,
+  memoryTrackerCommand,
+  memoryMigrateCommand
+} from './commands/memory.js';
+import { initCommand } from './commands/init.js';
+import {
+  configGetCommand,
+  configSetCommand,
+  configUnsetCommand,
+  configListCommand,
+  configExplainCommand
+} from './commands/config.js';
+import { profileListCommand, profileUseCommand, profileAddCommand } from './commands/profile.js';
+import { normalizeArgs } from './commands/parser.js';
+import { ValidationError, toErrorResult } from './utils/errors.js';
+
+/**
+ * @typedef {Object} MemoryOptions
+ * @property {string} [vaultPath] - Vault location (defaults to COPILOT_MEMORY_VAULT, config file, then ./.copilot-memory-vault)
+ * @property {string} [profile] - Named config profile (defaults to COPILOT_MEMORY_PROFILE, then the `profile` config key)
+ * @property {string} [notesmdPath] - notesmd-cli executable
+ * @property {boolean} [useNotesmd] - Use notesmd-cli when available (default: true)
+ * @property {Config} [config] - Prebuilt Config instance
+ * @property {string|Object} [adapter] - Adapter name (fs, notesmd, memory), module path, or prebuilt adapter
+ * @property {(error: Error) => void} [onError] - Called with errors before they are converted to results
+ */
+
+/**
+ * @typedef {Object} CommandResult
+ * @property {boolean} success - Whether the command succeeded
+ * @property {string} message - Human-readable summary
+ * @property {string} [code] - Error code from ERROR_CODES when success is false
+ */
+
+/**
+ * @typedef {Object} NoteInput
+ * @property {string} [title]
+ * @property {string} [content]
+ * @property {string} [session] - Session ID
+ * @property {string} [phase] - Phase ID (defaults to the tracker's active phase for phase commands)
+ * @property {string[]} [tags]
+ */
+
+/**
+ * Create a memory instance bound to one vault
+ *
+ * @param {MemoryOptions} [options]
+ */
+export async function createMemory(options = {}) {
+  const { onError, ...configOptions } = options;
+  const config = options.config || new Config(configOptions);
+  const adapter = options.adapter && typeof options.adapter === 'object'
+    ? assertAdapter(options.adapter)
+    : await createAdapter(config);
+
+  const services = {
+    vault: new VaultService(config, adapter),
+    index: new IndexService(config, adapter),
+    doctor: new DoctorService(config, adapter),
+    prune: new PruneService(config, adapter),
+    tracker: new TrackerService(config),
+    migration: new MigrationService(config, adapter)
+  };
+  const { vault, tracker } = services;
+
+  // Handlers keyed by COMMANDS name in registry.js
+  const handlers = {
+    'init': async (args) => {
+      // Missing default templates are written; edited ones are left alone
+      const templates = await vault.templates.seed();
+      if (!args.mode) {
+        return {
+          success: true,
+          message: 'Vault initialized. Use --mode greenfield|brownfield for onboarding.',
+          path: config.vaultPath,
+          templates
+        };
+      }
+      if (args.mode === 'greenfield' && !args.idea) {
+        throw new ValidationError('idea is required for greenfield init');
+      }
+      // Default the stack so init never prompts for input
+      return await initCommand(vault, { stack: [], research: [], ...args });
+    },
+    'handoff': (args) => handoffCommand(vault, { ...args, tracker }),
+    'handoff log': (args) => handoffLogCommand(vault, args),
+    'handoff list': (args) => handoffListCommand(vault, args),
+    'resume': (args) => continuousResumeCommand(vault, { ...args, tracker }),
+    'note show': (args) => noteShowCommand(vault, args),
+    'note cat': (args) => noteShowCommand(vault, args),
+    'note update': (args) => noteUpdateCommand(vault, args),
+    'note edit': (args) => noteEditCommand(vault, args),
+    'phase create': (args) => phaseCreateCommand(vault, args, tracker),
+    'phase research': (args) => phaseResearchCommand(vault, args, tracker),
+    'phase handoff': (args) => phaseHandoffCommand(vault, args, tracker),
+    'vault index': (args) => memoryIndexCommand(services.index, args),
+    'vault search': (args) => memorySearchCommand(vault, args),
+    'vault doctor': (args) => memoryDoctorCommand(services.doctor, args),
+    'vault prune': (args) => memoryPruneCommand(services.prune, args),
+    'vault tracker': (args) => memoryTrackerCommand(tracker, { ...args, vault }),
+    'vault migrate': (args) => memoryMigrateCommand(services.migration, args),
+    'config get': (args) => configGetCommand(config, args),
+    'config set': (args) => configSetCommand(config, args),
+    'config unset': (args) => configUnsetCommand(config, args),
+    'config list': (args) => configListCommand(config, args),
+    'config explain': (args) => configExplainCommand(config, args),
+    'profile list': (args) => profileListCommand(config, args),
+    'profile use': (args) => profileUseCommand(config, args),
+    'profile add': (args) => profileAddCommand(config, args)
+  };
+
+  /**
+   * Run a command by its CLI name (e.g. "phase create")
+   *
+   * @param {string} name
+   * @param {Object} [args]
+   * @returns {Promise<CommandResult>}
+   */
+  async function run(name, args = {}) {
+    const handler = handlers[name];
+
+    try {
+      if (!handler) {
+        throw new ValidationError(`Unknown command: ${name}`);
+      }
+      const normalized = normalizeArgs(name, args, { cwd: config.cwd });
+      // Config and profile commands stay usable so a broken config can be inspected and repaired
+      if (name.startsWith('config ') || name.startsWith('profile ')) {
+        return await handler(normalized);
+      }
+      const blocking = config.blockingIssues(name);
+      if (blocking.length > 0) {
+        throw new ValidationError(`Invalid configuration: ${blocking[0].message}`, {
+          details: { issues: blocking },
+          hints: blocking[0].layer === 'env'
+            ? ['Fix or unset the environment variable named above']
+            : ['Run "copilot-memory config list" to review, or "copilot-memory config unset <key>" to remove a bad key']
+        });
+      }
+      await vault.initialize();
+      return await handler(normalized);
+    } catch (error) {
+      if (onError) onError(error);
+      return toErrorResult(error);
+    }
+  }
+
+  return {
+    config,
+    adapter,
+    services,
+    run,
+    commands: Object.keys(handlers),
+
+    /**
+     * Initialize the vault, optionally with greenfield/brownfield onboarding
+     * @param {{ mode?: 'greenfield'|'brownfield', idea?: string, stack?: string[], path?: string }} [args]
+     * @returns {Promise<CommandResult>}
+     */
+    init: (args) => run('init', args),
+
+    /**
+     * Create a handoff note; handoff.log() and handoff.list() read the handoff chain
+     * @param {NoteInput} [args]
+     * @returns {Promise<CommandResult>}
+     */
+    handoff: Object.assign((args) => run('handoff', args), {
+      /**
+       * @param {{ ref?: string, phase?: string, session?: string, since?: string, until?: string, tag?: string[], limit?: number, lines?: number }} [args]
+       * @returns {Promise<CommandResult>}
+       */
+      log: (args) => run('handoff log', args),
+
+      /**
+       * @param {{ phase?: string, session?: string, since?: string, until?: string, tag?: string[], limit?: number }} [args]
+       * @returns {Promise<CommandResult>}
+       */
+      list: (args) => run('handoff list', args)
+    }),
+
+    /**
+     * Resume from the latest handoff
+     * @returns {Promise<CommandResult>}
+     */
+    resume: (args) => run('resume', args),
+
+    note: {
+      /**
+       * @param {{ ref: string, body?: boolean, frontmatter?: boolean, field?: string[], follow?: number }} args
+       * @returns {Promise<CommandResult>}
+       */
+      show: (args) => run('note show', args),
+
+      /**
+       * @param {{ ref: string, status?: string, addTag?: string[], removeTag?: string[], set?: string[], append?: string }} args
+       * @returns {Promise<CommandResult>}
+       */
+      update: (args) => run('note update', args),
+
+      /**
+       * Opens $VISUAL/$EDITOR (from config.env) on a copy of the note
+       * @param {{ ref: string }} args
+       * @returns {Promise<CommandResult>}
+       */
+      edit: (args) => run('note edit', args)
+    },
+
+    phase: {
+      /**
+       * @param {{ title?: string, goal?: string, id?: string, tags?: string[], aliases?: string[] }} [args]
+       * @returns {Promise<CommandResult>}
+       */
+      create: (args) => run('phase create', args),
+
+      /**
+       * @param {NoteInput} [args]
+       * @returns {Promise<CommandResult>}
+       */
+      research: (args) => run('phase research', args),
+
+      /**
+       * @param {NoteInput} [args]
+       * @returns {Promise<CommandResult>}
+       */
+      handoff: (args) => run('phase handoff', args)
+    },
+
+    vault: {
+      /**
+       * @returns {Promise<CommandResult>}
+       */
+      index: (args) => run('vault index', args),
+
+      /**
+       * @param {{ query: string, case?: boolean, dir?: string }} args
+       * @returns {Promise<CommandResult>}
+       */
+      search: (args) => run('vault search', args),
+
+      /**
+       * @param {{ fix?: boolean }} [args]
+       * @returns {Promise<CommandResult>}
+       */
+      doctor: (args) => run('vault doctor', args),
+
+      /**
+       * @param {{ days?: number, dryRun?: boolean, research?: boolean, phase?: string }} [args]
+       * @returns {Promise<CommandResult>}
+       */
+      prune: (args) => run('vault prune', args),
+
+      /**
+       * @param {{ phase?: string, clearPhase?: boolean, session?: string }} [args]
+       * @returns {Promise<CommandResult>}
+       */
+      tracker: (args) => run('vault tracker', args),
+
+      /**
+       * @param {{ dryRun?: boolean }} [args]
+       * @returns {Promise<CommandResult>}
+       */
+      migrate: (args) => run('vault migrate', args)
+    },
+
+    // The config commands; `config` itself is the Config instance
+    settings: {
+      /**
+       * @param {{ key: string }} args
+       * @returns {Promise<CommandResult>}
+       */
+      get: (args) => run('config get', args),
+
+      /**
+       * @param {{ key: string, value: string|boolean, user?: boolean }} args
+       * @returns {Promise<CommandResult>}
+       */
+      set: (args) => run('config set', args),
+
+      /**
+       * @param {{ key: string, user?: boolean }} args
+       * @returns {Promise<CommandResult>}
+       */
+      unset: (args) => run('config unset', args),
+
+      /**
+       * @returns {Promise<CommandResult>}
+       */
+      list: (args) => run('config list', args),
+
+      /**
+       * @param {{ key?: string }} [args]
+       * @returns {Promise<CommandResult>}
+       */
+      explain: (args) => run('config explain', args)
+    },
+
+    profile: {
+      /**
+       * @returns {Promise<CommandResult>}
+       */
+      list: (args) => run('profile list', args),
+
+      /**
+       * @param {{ name: string, user?: boolean }} args
+       * @returns {Promise<CommandResult>}
+       */
+      use: (args) => run('profile use', args),
+
+      /**
+       * @param {{ name: string, vaultPath?: string, adapter?: string, notesmdPath?: string, useNotesmd?: boolean, retentionDays?: number, researchRetentionDays?: number, user?: boolean }} args
+       * @returns {Promise<CommandResult>}
+       */
+      add: (args) => run('profile add', args)
+    }
+  };
+}
+
+export { CONFIG_SCHEMA, PROFILE_KEYS } from './config.js';
+export { Config, FilesystemAdapter, NotesMDAdapter, InMemoryAdapter };
+export { createAdapter, assertAdapter, ADAPTER_METHODS };
+export { VaultService, IndexService, DoctorService, PruneService, TrackerService, MigrationService, LookupService, TemplateService };
+export { FORMAT_VERSION, DEFAULT_TEMPLATES };
+export { SCHEMAS, validateNote, assertValidNote } from './utils/schema.js';
+export { Clock } from './utils/time.js';
+export { formatWikilink, parseWikilink, resolveWikilink } from './utils/wikilink.js';
+export {
+  ERROR_CODES,
+  EXIT_CODES,
+  MemoryError,
+  ValidationError,
+  NotFoundError,
+  VaultIOError
+} from './utils/errors.js';
+
+export default createMemory;
@@ -0,0 +1,382 @@
+/**
+ * Local HTTP/JSON API
+ * Routes run the same commands as the CLI and respond with the same result objects
+ */
+import { createServer } from 'http';
+import { timingSafeEqual } from 'crypto';
+import { relative } from 'path';
+import { ERROR_CODES, ValidationError, NotFoundError, toErrorResult } from '../utils/errors.js';
+import { COMMANDS } from '../commands/registry.js';
+import { normalizeArgs, toArgKey } from '../commands/parser.js';
+import { readNoteResult, listNotesResult } from './notes.js';
+
+export const DEFAULT_PORT = 7077;
+export const DEFAULT_HOST = '127.0.0.1';
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+const MAX_BODY_BYTES = 1024 * 1024;
+const UNAUTHORIZED = 'UNAUTHORIZED';
+const FORBIDDEN = 'FORBIDDEN';
+const UNSUPPORTED_MEDIA_TYPE = 'UNSUPPORTED_MEDIA_TYPE';
+
+/**
+ * HTTP status for each result code
+ */
+export const HTTP_STATUS = {
+  [ERROR_CODES.VALIDATION]: 400,
+  [UNAUTHORIZED]: 401,
+  [FORBIDDEN]: 403,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [UNSUPPORTED_MEDIA_TYPE]: 415,
+  [ERROR_CODES.IO]: 500,
+  [ERROR_CODES.INTERNAL]: 500
+};
+
+/**
+ * Route table; `:name` segments become route params
+ * Handlers receive ({ memory, params, query, body }) and return a command result;
+ * bodies only reach `run` through commandArgs
+ */
+export const ROUTES = [
+  {
+    method: 'GET',
+    path: '/health',
+    public: true,
+    handler: () => ({ success: true, message: 'ok' })
+  },
+  {
+    method: 'POST',
+    path: '/handoffs',
+    status: 201,
+    handler: ({ memory, body }) => memory.run('handoff', commandArgs(memory, 'handoff', body))
+  },
+  {
+    method: 'POST',
+    path: '/resume',
+    handler: ({ memory, body }) => memory.run('resume', commandArgs(memory, 'resume', body))
+  },
+  {
+    method: 'GET',
+    path: '/notes',
+    handler: ({ memory, query }) => listNotesResult(memory, query.dir || '')
+  },
+  {
+    method: 'GET',
+    path: '/notes/*',
+    handler: ({ memory, params }) => readNoteResult(memory, params.rest)
+  },
+  {
+    method: 'GET',
+    path: '/search',
+    handler: ({ memory, query }) => memory.run('vault search', {
+      query: requireParam(query.q, 'q'),
+      case: query.case === 'true'
+    })
+  },
+  {
+    method: 'GET',
+    path: '/phases',
+    handler: ({ memory }) => listPhasesResult(memory)
+  },
+  {
+    method: 'POST',
+    path: '/phases',
+    status: 201,
+    handler: ({ memory, body }) => memory.run('phase create', commandArgs(memory, 'phase create', body))
+  },
+  {
+    method: 'POST',
+    path: '/phases/:id/research',
+    status: 201,
+    handler: ({ memory, params, body }) => memory.run('phase research', {
+      ...commandArgs(memory, 'phase research', body),
+      phase: params.id
+    })
+  },
+  {
+    method: 'POST',
+    path: '/phases/:id/handoff',
+    status: 201,
+    handler: ({ memory, params, body }) => memory.run('phase handoff', {
+      ...commandArgs(memory, 'phase handoff', body),
+      phase: params.id
+    })
+  },
+  {
+    method: 'GET',
+    path: '/tracker',
+    handler: ({ memory }) => memory.run('vault tracker', {})
+  },
+  {
+    method: 'PATCH',
+    path: '/tracker',
+    handler: ({ memory, body }) => memory.run('vault tracker', commandArgs(memory, 'vault tracker', body))
+  }
+];
+
+/**
+ * Create (but do not start) an HTTP server bound to one memory instance
+ *
+ * @param {Object} memory - Instance from createMemory
+ * @param {{ token?: string }} [options] - Require `Authorization: Bearer <token>` when set
+ */
+export function createHttpServer(memory, options = {}) {
+  const { token } = options;
+  // Requests run one at a time so tracker updates never interleave
+  let queue = Promise.resolve();
+
+  return createServer((request, response) => {
+    queue = queue.then(() => handleRequest(memory, request, response, token));
+  });
+}
+
+/**
+ * Start the HTTP API on a loopback address
+ *
+ * @param {Object} memory - Instance from createMemory
+ * @param {{ port?: number, host?: string, token?: string }} [options]
+ * @returns {Promise<{ server: import('http').Server, url: string }>}
+ */
+export async function startHttpServer(memory, options = {}) {
+  const { port = DEFAULT_PORT, host = DEFAULT_HOST, token } = options;
+  if (!LOOPBACK_HOSTS.includes(host)) {
+    throw new ValidationError(`Refusing to listen on non-loopback host '${host}'`, {
+      hints: [`Use one of: ${LOOPBACK_HOSTS.join(', ')}`]
+    });
+  }
+
+  const server = createHttpServer(memory, { token });
+  await new Promise((resolvePromise, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolvePromise();
+    });
+  });
+
+  const address = server.address();
+  const hostname = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+  return { server, url: `http://${hostname}:${address.port}` };
+}
+
+async function handleRequest(memory, request, response, token) {
+  let status;
+  let result;
+
+  try {
+    const url = new URL(request.url, 'http://localhost');
+    const refused = refuseRequest(request);
+    const match = refused ? null : matchRoute(request.method, url.pathname);
+
+    if (refused) {
+      result = refused;
+      status = statusFor(result);
+    } else if (!match.route) {
+      status = match.allowed.length > 0 ? 405 : 404;
+      result = status === 405
+        ? toErrorResult(new ValidationError(`Method ${request.method} not allowed for ${url.pathname}`, {
+          details: { allowed: match.allowed }
+        }))
+        : toErrorResult(new NotFoundError(`No route for ${request.method} ${url.pathname}`));
+      if (status === 405) response.setHeader('Allow', match.allowed.join(', '));
+    } else if (!match.route.public && token && !isAuthorized(request, token)) {
+      status = 401;
+      result = { success: false, code: UNAUTHORIZED, message: 'Missing or invalid bearer token' };
+      response.setHeader('WWW-Authenticate', 'Bearer');
+    } else if (request.method !== 'GET' && !isJson(request)) {
+      result = {
+        success: false,
+        code: UNSUPPORTED_MEDIA_TYPE,
+        message: `${request.method} requests must send Content-Type: application/json`
+      };
+      status = statusFor(result);
+    } else {
+      const body = request.method === 'GET' ? {} : await readJsonBody(request);
+      result = await match.route.handler({
+        memory,
+        params: match.params,
+        query: Object.fromEntries(url.searchParams),
+        body
+      });
+      status = result.success ? (match.route.status || 200) : statusFor(result);
+    }
+  } catch (error) {
+    result = toErrorResult(error);
+    status = statusFor(result);
+  }
+
+  const payload = JSON.stringify(result, null, 2) + '\n';
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  response.end(payload);
+}
+
+function matchRoute(method, pathname) {
+  const segments = pathname.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      throw new ValidationError(`Malformed percent-encoding in path segment '${segment}'`);
+    }
+  });
+  const allowed = [];
+
+  for (const route of ROUTES) {
+    const params = matchPath(route.path, segments);
+    if (!params) continue;
+    if (route.method === method) {
+      return { route, params, allowed };
+    }
+    allowed.push(route.method);
+  }
+
+  return { route: null, params: null, allowed };
+}
+
+function matchPath(pattern, segments) {
+  const parts = pattern.split('/').filter(Boolean);
+  const params = {};
+
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i] === '*') {
+      if (i >= segments.length) return null;
+      params.rest = segments.slice(i).join('/');
+      return params;
+    }
+    if (segments[i] === undefined) return null;
+    if (parts[i].startsWith(':')) {
+      params[parts[i].slice(1)] = segments[i];
+    } else if (parts[i] !== segments[i]) {
+      return null;
+    }
+  }
+
+  return segments.length === parts.length ? params : null;
+}
+
+/**
+ * Failure result for requests a browser page could have sent: any Origin header, or a
+ * Host that is not a loopback name with the server's port (DNS rebinding)
+ */
+function refuseRequest(request) {
+  if (request.headers.origin !== undefined) {
+    return { success: false, code: FORBIDDEN, message: 'Cross-origin requests are not allowed' };
+  }
+
+  const host = request.headers.host || '';
+  const match = host.match(/^(\[[^\]]*\]|[^:]*)(?::(\d+))?$/);
+  const hostname = match ? match[1].replace(/^\[(.*)\]$/, '$1').toLowerCase() : '';
+  if (!LOOPBACK_HOSTS.includes(hostname) || Number(match[2]) !== request.socket.localPort) {
+    return { success: false, code: FORBIDDEN, message: `Host '${host}' is not this server's loopback address` };
+  }
+
+  return null;
+}
+
+function isJson(request) {
+  const type = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  return type === 'application/json';
+}
+
+function isAuthorized(request, token) {
+  const header = request.headers.authorization || '';
+  const [scheme, value = ''] = header.split(' ');
+  if (scheme !== 'Bearer') return false;
+
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(value);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+async function readJsonBody(request) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new ValidationError(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf-8').trim();
+  if (!text) return {};
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(`Invalid JSON body: ${error.message}`);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Keep only the command's own registry options from a request body, typed like CLI flags
+ * Global options and `stdin` are refused: content always comes from the body, never from
+ * the server's stdin
+ */
+function commandArgs(memory, commandName, body) {
+  const options = COMMANDS[commandName].options.filter(option => option.name !== 'stdin');
+  const keys = options.flatMap(option => [option.name, ...(option.aliases || [])].map(toArgKey));
+  const unknown = Object.keys(body).filter(key => !keys.includes(key));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown field${unknown.length > 1 ? 's' : ''} for '${commandName}': ${unknown.join(', ')}`, {
+      hints: [`Accepted fields: ${options.map(option => toArgKey(option.name)).join(', ') || 'none'}`]
+    });
+  }
+
+  const { _, ...args } = normalizeArgs(commandName, body, { cwd: memory.config.cwd });
+  return args;
+}
+
+/**
+ * Phases with their frontmatter, plus the tracker's active phase
+ */
+async function listPhasesResult(memory) {
+  await memory.services.vault.initialize();
+  const paths = await memory.services.vault.listPhases();
+  const phases = [];
+  for (const path of paths) {
+    const note = await memory.adapter.readNote(path);
+    phases.push({
+      id: note.frontmatter.phase_id,
+      title: note.frontmatter.title,
+      status: note.frontmatter.status,
+      path: relative(memory.config.vaultPath, path)
+    });
+  }
+
+  return {
+    success: true,
+    message: `Found ${phases.length} phases`,
+    activePhaseId: await memory.services.tracker.resolvePhaseId(),
+    phases
+  };
+}
+
+function requireParam(value, name) {
+  if (!value) {
+    throw new ValidationError(`Missing required query parameter '${name}'`);
+  }
+  return value;
+}
+
+function statusFor(result) {
+  return HTTP_STATUS[result.code] || 500;
+}
+
+export default {
+  createHttpServer,
+  startHttpServer,
+  ROUTES,
+  HTTP_STATUS,
+  DEFAULT_PORT,
+  DEFAULT_HOST
+};
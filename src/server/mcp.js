@@ -0,0 +1,422 @@
+/**
+ * Model Context Protocol server over stdio
+ * Newline-delimited JSON-RPC 2.0; exposes vault commands as tools and notes as resources
+ */
+import { createInterface } from 'readline';
+import { readFileSync } from 'fs';
+import { relative, sep } from 'path';
+import { serializeFrontmatter } from '../utils/frontmatter.js';
+import { ERROR_CODES } from '../utils/errors.js';
+import { normalizeArgs } from '../commands/parser.js';
+import { resolveNotePath, readNoteResult } from './notes.js';
+
+const PACKAGE = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf-8'));
+
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+export const RESOURCE_SCHEME = 'memory://';
+
+/**
+ * JSON-RPC error codes
+ */
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+const noteProperties = {
+  title: { type: 'string', description: 'Note title' },
+  content: { type: 'string', description: 'Markdown body' },
+  tags: { type: 'array', items: { type: 'string' }, description: 'Tags' },
+  template: { type: 'string', description: 'Body template name from the vault templates/ folder' }
+};
+
+/**
+ * Tool definitions; `command` names the COMMANDS entry each tool runs
+ */
+export const TOOLS = [
+  {
+    name: 'handoff',
+    command: 'handoff',
+    description: 'Create a handoff note capturing the current work state',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...noteProperties,
+        session: { type: 'string', description: 'Session ID' },
+        phase: { type: 'string', description: 'Phase ID, ID prefix, alias or title' },
+        aliases: { type: 'array', items: { type: 'string' }, description: 'Other names to find the note by' }
+      }
+    }
+  },
+  {
+    name: 'resume',
+    command: 'resume',
+    description: 'Resume from the latest handoff (or the one named by from) and start a session note',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', description: 'Handoff ID, ID prefix, alias, slug, title or path' }
+      }
+    }
+  },
+  {
+    name: 'phase_create',
+    command: 'phase create',
+    description: 'Create a development phase and make it the active phase',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Phase title' },
+        goal: { type: 'string', description: 'Phase goal' },
+        id: { type: 'string', description: 'Custom phase ID' },
+        tags: noteProperties.tags,
+        aliases: { type: 'array', items: { type: 'string' }, description: 'Other names to find the phase by' },
+        template: noteProperties.template
+      }
+    }
+  },
+  {
+    name: 'phase_research',
+    command: 'phase research',
+    description: 'Add a research note to a phase (defaults to the active phase)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...noteProperties,
+        phase: { type: 'string', description: 'Phase ID, ID prefix, alias or title' }
+      }
+    }
+  },
+  {
+    name: 'phase_handoff',
+    command: 'phase handoff',
+    description: 'Complete a phase with a handoff note (defaults to the active phase)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...noteProperties,
+        phase: { type: 'string', description: 'Phase ID, ID prefix, alias or title' },
+        session: { type: 'string', description: 'Session ID' }
+      }
+    }
+  },
+  {
+    name: 'search',
+    command: 'vault search',
+    description: 'Full-text search across vault notes',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Text to search for' },
+        case: { type: 'boolean', description: 'Case-sensitive search' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'tracker_get',
+    command: 'vault tracker',
+    description: 'Read the deterministic tracker state (active phase, session, latest handoff)',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'tracker_set',
+    command: 'vault tracker',
+    description: 'Update the tracker: set or clear the active phase, or set the session',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        phase: { type: 'string', description: 'Active phase ID, ID prefix, alias or title' },
+        clearPhase: { type: 'boolean', description: 'Clear the active phase' },
+        session: { type: 'string', description: 'Current session ID' }
+      }
+    }
+  },
+  {
+    name: 'note_read',
+    description: 'Read a vault note by vault-relative path',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Note path relative to the vault root' }
+      },
+      required: ['path']
+    }
+  }
+];
+
+/**
+ * MCP server bound to one memory instance (see createMemory in src/index.js)
+ */
+export class McpServer {
+  constructor(memory, options = {}) {
+    this.memory = memory;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.log = options.log || ((message) => process.stderr.write(`${message}\n`));
+    this.initialized = false;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Serve requests until the input stream ends
+   */
+  start() {
+    const lines = createInterface({ input: this.input, crlfDelay: Infinity });
+
+    lines.on('line', (line) => {
+      if (!line.trim()) return;
+      // Handle messages in order so tracker updates never interleave
+      this.queue = this.queue.then(() => this.handleLine(line));
+    });
+
+    return new Promise((resolvePromise) => {
+      lines.on('close', () => {
+        this.queue.then(resolvePromise);
+      });
+    });
+  }
+
+  /**
+   * Parse and dispatch one line of input
+   */
+  async handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this._send({ jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+
+    const response = await this.handleMessage(message);
+    if (response) {
+      this._send(response);
+    }
+  }
+
+  /**
+   * Handle a decoded JSON-RPC message, returning the response (or null for notifications)
+   */
+  async handleMessage(message) {
+    const isRequest = message && message.id !== undefined && message.id !== null;
+
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return { jsonrpc: '2.0', id: message?.id ?? null, error: { code: RPC_ERRORS.INVALID_REQUEST, message: 'Invalid request' } };
+    }
+
+    try {
+      const result = await this._dispatch(message.method, message.params || {});
+      return isRequest ? { jsonrpc: '2.0', id: message.id, result } : null;
+    } catch (error) {
+      if (!isRequest) {
+        this.log(`mcp: ${message.method} failed: ${error.message}`);
+        return null;
+      }
+      return { jsonrpc: '2.0', id: message.id, error: toRpcError(error) };
+    }
+  }
+
+  async _dispatch(method, params) {
+    switch (method) {
+      case 'initialize':
+        return this._initialize(params);
+      case 'notifications/initialized':
+        this.initialized = true;
+        return {};
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: TOOLS.map(({ command, ...tool }) => tool) };
+      case 'tools/call':
+        return await this._callTool(params);
+      case 'resources/list':
+        return await this._listResources();
+      case 'resources/templates/list':
+        return {
+          resourceTemplates: [{
+            uriTemplate: `${RESOURCE_SCHEME}{path}`,
+            name: 'Vault note',
+            description: 'Any note in the vault by vault-relative path',
+            mimeType: 'text/markdown'
+          }]
+        };
+      case 'resources/read':
+        return await this._readResource(params);
+      default:
+        // Other notifications (cancelled, progress) need no handling
+        if (method.startsWith('notifications/')) {
+          return {};
+        }
+        throw rpcError(RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  _initialize(params) {
+    const requested = params.protocolVersion;
+    return {
+      protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { subscribe: false, listChanged: false }
+      },
+      serverInfo: {
+        name: PACKAGE.name,
+        version: PACKAGE.version
+      },
+      instructions: 'Call resume at session start and handoff at session end. Use search before re-investigating past work.'
+    };
+  }
+
+  async _callTool(params) {
+    const tool = TOOLS.find(candidate => candidate.name === params.name);
+    if (!tool) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    }
+
+    const args = toolArguments(tool, params.arguments, this.memory.config.cwd);
+
+    let result;
+    if (tool.name === 'note_read') {
+      result = await readNoteResult(this.memory, args.path);
+    } else {
+      result = await this.memory.run(tool.command, args);
+    }
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      structuredContent: result,
+      isError: !result.success
+    };
+  }
+
+  async _listResources() {
+    const { config, adapter } = this.memory;
+    const paths = await adapter.listNotes(config.vaultPath, { recursive: true });
+
+    const resources = [];
+    for (const path of paths) {
+      const relativePath = relative(config.vaultPath, path);
+      resources.push({
+        uri: toResourceUri(relativePath),
+        name: relativePath,
+        mimeType: 'text/markdown'
+      });
+    }
+
+    return { resources };
+  }
+
+  async _readResource(params) {
+    const { config, adapter } = this.memory;
+    if (typeof params.uri !== 'string' || !params.uri.startsWith(RESOURCE_SCHEME)) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Unsupported resource URI: ${params.uri}`);
+    }
+
+    const relativePath = decodeURIComponent(params.uri.slice(RESOURCE_SCHEME.length));
+    const path = resolveNotePath(config, relativePath);
+    if (!adapter.exists(path)) {
+      throw rpcError(RPC_ERRORS.RESOURCE_NOT_FOUND, `Resource not found: ${params.uri}`);
+    }
+
+    const note = await adapter.readNote(path);
+    return {
+      contents: [{
+        uri: params.uri,
+        mimeType: 'text/markdown',
+        text: serializeFrontmatter(note.frontmatter, note.body)
+      }]
+    };
+  }
+
+  _send(message) {
+    this.output.write(JSON.stringify(message) + '\n');
+  }
+}
+
+/**
+ * Build a resource URI from a vault-relative path
+ */
+export function toResourceUri(relativePath) {
+  return RESOURCE_SCHEME + relativePath.split(sep).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Start an MCP server on stdio for a memory instance
+ */
+export async function startMcpServer(memory, options = {}) {
+  const server = new McpServer(memory, options);
+  await server.start();
+  return server;
+}
+
+/**
+ * A tool call's arguments, limited to the properties the tool declares and typed by the
+ * command's registry options; anything else is an invalid-params error
+ */
+function toolArguments(tool, input = {}, cwd) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw rpcError(RPC_ERRORS.INVALID_PARAMS, 'Tool arguments must be an object');
+  }
+
+  const { properties, required = [] } = tool.inputSchema;
+  const undeclared = Object.keys(input).filter(key => !Object.hasOwn(properties, key));
+  if (undeclared.length > 0) {
+    throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Unknown argument for ${tool.name}: ${undeclared.join(', ')}`);
+  }
+  for (const field of required) {
+    if (input[field] === undefined) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Missing required argument: ${field}`);
+    }
+  }
+
+  if (!tool.command) {
+    for (const [key, value] of Object.entries(input)) {
+      if (properties[key].type === 'string' && typeof value !== 'string') {
+        throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Argument ${key} must be a string`);
+      }
+    }
+    return input;
+  }
+
+  try {
+    const { _, ...args } = normalizeArgs(tool.command, input, { cwd });
+    return args;
+  } catch (error) {
+    throw rpcError(RPC_ERRORS.INVALID_PARAMS, error.message);
+  }
+}
+
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  return error;
+}
+
+function toRpcError(error) {
+  if (error.rpcCode) {
+    return { code: error.rpcCode, message: error.message };
+  }
+  if (error.code === ERROR_CODES.VALIDATION) {
+    return { code: RPC_ERRORS.INVALID_PARAMS, message: error.message };
+  }
+  if (error.code === ERROR_CODES.NOT_FOUND || error.code === 'ENOENT') {
+    return { code: RPC_ERRORS.RESOURCE_NOT_FOUND, message: error.message };
+  }
+  return { code: RPC_ERRORS.INTERNAL_ERROR, message: error.message };
+}
+
+export default {
+  McpServer,
+  startMcpServer,
+  toResourceUri,
+  TOOLS,
+  RPC_ERRORS,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  RESOURCE_SCHEME
+};
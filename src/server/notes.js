@@ -0,0 +1,79 @@
+/**
+ * Note access shared by the MCP and HTTP servers
+ * Paths are vault-relative on the wire and never escape the vault root
+ */
+import { relative, resolve, sep } from 'path';
+import { ValidationError, NotFoundError, toErrorResult } from '../utils/errors.js';
+
+/**
+ * Resolve a vault-relative note path, refusing paths outside the vault
+ */
+export function resolveNotePath(config, notePath) {
+  if (typeof notePath !== 'string' || !notePath) {
+    throw new ValidationError('Note path is required');
+  }
+
+  const root = resolve(config.vaultPath);
+  const path = resolve(root, notePath);
+  if (path !== root && !path.startsWith(root + sep)) {
+    throw new ValidationError(`Path is outside the vault: ${notePath}`);
+  }
+  if (!path.endsWith('.md')) {
+    throw new NotFoundError(`Not a note: ${notePath}`);
+  }
+
+  return path;
+}
+
+/**
+ * Read a note as a command result
+ */
+export async function readNoteResult(memory, notePath) {
+  try {
+    const path = resolveNotePath(memory.config, notePath);
+    if (!memory.adapter.exists(path)) {
+      throw new NotFoundError(`Note not found: ${notePath}`);
+    }
+
+    const note = await memory.adapter.readNote(path);
+    return {
+      success: true,
+      message: 'Note loaded',
+      note: {
+        path: relative(memory.config.vaultPath, note.path),
+        frontmatter: note.frontmatter,
+        body: note.body
+      }
+    };
+  } catch (error) {
+    return toErrorResult(error);
+  }
+}
+
+/**
+ * List notes under a vault folder as a command result
+ */
+export async function listNotesResult(memory, folder = '') {
+  try {
+    const root = resolve(memory.config.vaultPath);
+    const dir = resolve(root, folder);
+    if (dir !== root && !dir.startsWith(root + sep)) {
+      throw new ValidationError(`Path is outside the vault: ${folder}`);
+    }
+
+    const paths = await memory.adapter.listNotes(dir, { recursive: true });
+    return {
+      success: true,
+      message: `Found ${paths.length} notes`,
+      notes: paths.map(path => ({ path: relative(root, path) }))
+    };
+  } catch (error) {
+    return toErrorResult(error);
+  }
+}
+
+export default {
+  resolveNotePath,
+  readNoteResult,
+  listNotesResult
+};
@@ -1,5 +1,11 @@
 import { existsSync } from 'fs';
-import { validateFrontmatter } from '../utils/frontmatter.js';
+import { basename, isAbsolute, relative } from 'path';
+import { validateNote } from '../utils/schema.js';
+import { VAULT_FOLDERS } from '../config.js';
+import { PATH_FIELDS } from './migrate.js';
+import { TrackerService } from './tracker.js';
+import { VaultService } from './vault.js';
+import { extractWikilinks, hasHeading, resolveWikilink } from '../utils/wikilink.js';
 
 /**
  * Doctor service for vault health checks
@@ -8,47 +14,53 @@ export class DoctorService {
   constructor(config, adapter) {
     this.config = config;
     this.adapter = adapter;
+    this.tracker = new TrackerService(config);
+    this.vault = new VaultService(config, adapter);
   }
 
   /**
    * Run all health checks
+   *
+   * @param {{ verbose?: boolean }} [options] - verbose adds the resolved config and where each value came from
    */
-  async runDiagnostics() {
+  async runDiagnostics(options = {}) {
     const results = {
       folders: await this.checkFolders(),
       indexes: await this.checkIndexes(),
-      frontmatter: await this.checkFrontmatter()
+      frontmatter: await this.checkFrontmatter(),
+      duplicates: await this.checkDuplicates(),
+      paths: await this.checkPaths(),
+      links: await this.checkLinks()
     };
 
+    if (options.verbose) {
+      results.config = this.config.describe();
+    }
+
     results.healthy = 
       results.folders.healthy &&
       results.indexes.healthy &&
-      results.frontmatter.healthy;
+      results.frontmatter.healthy &&
+      results.duplicates.healthy &&
+      results.paths.healthy &&
+      results.links.healthy;
 
     return results;
   }
 
   /**
-   * Check required folders exist
+   * Check required folders exist, reporting them by their configured names
    */
   async checkFolders() {
-    const requiredFolders = [
-      'handoffs',
-      'sessions',
-      'phases',
-      'indexes',
-      'templates'
-    ];
-
     const missing = [];
     const present = [];
 
-    for (const folder of requiredFolders) {
-      const path = this.config.getPath(folder);
+    for (const folder of VAULT_FOLDERS) {
+      const path = this.config.getFolderPath(folder);
       if (existsSync(path)) {
-        present.push(folder);
+        present.push(this.config.folders[folder]);
       } else {
-        missing.push(folder);
+        missing.push(this.config.folders[folder]);
       }
     }
 
@@ -78,7 +90,7 @@ export class DoctorService {
     };
 
     for (const indexName of indexes) {
-      const path = this.config.getPath('indexes', indexName);
+      const path = this.config.getFolderPath('indexes', indexName);
       
       if (!existsSync(path)) {
         results.healthy = false;
@@ -94,20 +106,21 @@ export class DoctorService {
         const note = await this.adapter.readNote(path);
         
         // Validate frontmatter
-        const validation = validateFrontmatter(note.frontmatter);
+        const validation = this._validate(note.frontmatter);
         if (!validation.valid) {
           results.healthy = false;
           results.issues.push({
             index: indexName,
             issue: 'invalid_frontmatter',
-            message: `Missing fields: ${validation.missing.join(', ')}`
+            message: validation.errors.map(error => error.message).join('; '),
+            errors: validation.errors
           });
         }
 
         // Check latest-handoff specific requirements
         if (indexName === 'latest-handoff.md') {
           const handoffPath = note.frontmatter.handoff_path;
-          if (!handoffPath || !existsSync(handoffPath)) {
+          if (!handoffPath || !this.adapter.exists(this.config.resolveVaultPath(handoffPath, { exists: (path) => this.adapter.exists(path) }))) {
             results.healthy = false;
             results.issues.push({
               index: indexName,
@@ -130,7 +143,7 @@ export class DoctorService {
   }
 
   /**
-   * Check frontmatter completeness across all notes
+   * Check sampled notes against the schema for their type
    */
   async checkFrontmatter(options = {}) {
     const { sampleSize = 50 } = options;
@@ -144,7 +157,7 @@ export class DoctorService {
     };
 
     for (const folder of folders) {
-      const dir = this.config.getPath(folder);
+      const dir = this.config.getFolderPath(folder);
       const paths = await this.adapter.listNotes(dir, { recursive: true });
       
       // Sample notes to check
@@ -155,13 +168,15 @@ export class DoctorService {
         
         try {
           const note = await this.adapter.readNote(path);
-          const validation = validateFrontmatter(note.frontmatter);
+          const validation = this._validate(note.frontmatter);
           
           if (!validation.valid) {
             results.healthy = false;
             results.invalid.push({
               path,
-              missing: validation.missing
+              type: validation.type,
+              missing: validation.missing,
+              errors: validation.errors
             });
           }
         } catch (error) {
@@ -182,6 +197,189 @@ export class DoctorService {
     return results;
   }
 
+  /**
+   * Find notes that share a frontmatter id or a filename
+   * Wikilinks resolve by filename, so a shared name makes links ambiguous
+   */
+  async checkDuplicates() {
+    const folders = ['handoffs', 'sessions', 'phases'];
+    const byId = new Map();
+    const byName = new Map();
+
+    const add = (map, key, path) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(relative(this.config.vaultPath, path));
+    };
+
+    for (const folder of folders) {
+      const paths = await this.adapter.listNotes(this.config.getFolderPath(folder), { recursive: true });
+
+      for (const path of paths) {
+        // Only standardized names are link targets; every phase has its own phase.md
+        if (this.config.parseFilename(basename(path))) {
+          add(byName, basename(path), path);
+        }
+
+        try {
+          const note = await this.adapter.readNote(path);
+          if (note.frontmatter.id) {
+            add(byId, note.frontmatter.id, path);
+          }
+        } catch (error) {
+          // Unreadable notes are reported by checkFrontmatter
+        }
+      }
+    }
+
+    const groups = (map, field) => [...map]
+      .filter(([, paths]) => paths.length > 1)
+      .map(([value, paths]) => ({ [field]: value, paths }));
+
+    const ids = groups(byId, 'id');
+    const filenames = groups(byName, 'filename');
+
+    return {
+      healthy: ids.length === 0 && filenames.length === 0,
+      ids,
+      filenames,
+      message: ids.length === 0 && filenames.length === 0
+        ? 'No duplicate ids or filenames'
+        : `${ids.length} duplicate ids, ${filenames.length} duplicate filenames`
+    };
+  }
+
+  /**
+   * Find note paths stored in absolute form; they break when the vault is moved, cloned or synced
+   */
+  async checkPaths() {
+    const absolute = [];
+
+    for (const { path, note } of await this._notesWithAbsolutePaths()) {
+      for (const field of PATH_FIELDS) {
+        for (const value of [].concat(note.frontmatter[field] ?? [])) {
+          if (typeof value === 'string' && isAbsolute(value)) {
+            absolute.push({ path, field, value });
+          }
+        }
+      }
+    }
+
+    const state = await this.tracker.getState();
+    if (state.latest_handoff_path && isAbsolute(state.latest_handoff_path)) {
+      absolute.push({ path: this.tracker.statePath, field: 'latest_handoff_path', value: state.latest_handoff_path });
+    }
+
+    return {
+      healthy: absolute.length === 0,
+      absolute,
+      message: absolute.length === 0
+        ? 'All stored paths are vault-relative'
+        : `${absolute.length} absolute paths (run "vault doctor --fix" or "vault migrate")`
+    };
+  }
+
+  /**
+   * Find wikilinks that point at no note, at several notes, or at a missing heading
+   */
+  async checkLinks() {
+    const notes = await this.vault.listNotes();
+    const broken = [];
+    let checked = 0;
+
+    for (const note of notes) {
+      for (const link of extractWikilinks(note.body)) {
+        checked++;
+        if (!link.target) {
+          if (!hasHeading(note.body, link.heading)) {
+            broken.push({ path: note.path, link: link.raw, reason: 'missing heading' });
+          }
+          continue;
+        }
+
+        const result = resolveWikilink(link, notes);
+        if (result.matches.length > 1) {
+          broken.push({ path: note.path, link: link.raw, reason: `ambiguous (${result.matches.length} notes)` });
+        } else if (!result.note) {
+          broken.push({ path: note.path, link: link.raw, reason: 'no such note' });
+        } else if (result.heading === false) {
+          broken.push({ path: note.path, link: link.raw, reason: 'missing heading' });
+        }
+      }
+    }
+
+    return {
+      healthy: broken.length === 0,
+      checked,
+      broken,
+      message: `${checked} checked, ${broken.length} broken`
+    };
+  }
+
+  async _notesWithAbsolutePaths() {
+    const notes = [];
+    for (const folder of ['handoffs', 'sessions', 'phases', 'indexes']) {
+      const paths = await this.adapter.listNotes(this.config.getFolderPath(folder), { recursive: true });
+      for (const path of paths) {
+        try {
+          const note = await this.adapter.readNote(path);
+          const values = PATH_FIELDS.flatMap(field => [].concat(note.frontmatter[field] ?? []));
+          if (values.some(value => typeof value === 'string' && isAbsolute(value))) {
+            notes.push({ path, note });
+          }
+        } catch (error) {
+          // Unreadable notes are reported by checkFrontmatter
+        }
+      }
+    }
+    return notes;
+  }
+
+  /**
+   * Rewrite absolute note paths as vault-relative, re-rooting ones from an older vault location
+   * Paths that cannot be matched to a note in this vault are left as they are
+   */
+  async fixPaths() {
+    const relativize = (value) => typeof value === 'string' && isAbsolute(value)
+      ? this.config.toVaultPath(this.config.resolveVaultPath(value, { exists: (path) => this.adapter.exists(path) }))
+      : value;
+    let fixed = 0;
+
+    for (const { path, note } of await this._notesWithAbsolutePaths()) {
+      const frontmatter = note.frontmatter;
+      let changed = false;
+      for (const field of PATH_FIELDS) {
+        const value = frontmatter[field];
+        const next = Array.isArray(value) ? value.map(relativize) : relativize(value);
+        if (JSON.stringify(next) !== JSON.stringify(value)) {
+          frontmatter[field] = next;
+          changed = true;
+        }
+      }
+      if (changed) {
+        await this.adapter.updateNote(path, frontmatter, note.body);
+        fixed++;
+      }
+    }
+
+    const state = await this.tracker.getState();
+    const latest = relativize(state.latest_handoff_path);
+    if (latest !== state.latest_handoff_path) {
+      await this.tracker.saveState({ latest_handoff_path: latest });
+      fixed++;
+    }
+
+    return fixed;
+  }
+
+  /**
+   * Validate with the same schemas VaultService enforces on write
+   */
+  _validate(frontmatter) {
+    return validateNote(frontmatter, {
+      phaseExists: (phaseId) => this.adapter.exists(this.config.getFolderPath('phases', phaseId, 'phase.md'))
+    });
+  }
+
   /**
    * Attempt to fix common issues
    */
@@ -196,6 +394,11 @@ export class DoctorService {
       // Already exists or permission error
     }
 
+    const relinked = await this.fixPaths();
+    if (relinked > 0) {
+      fixed.push(`Made stored paths vault-relative in ${relinked} files`);
+    }
+
     return {
       fixed,
       message: fixed.length > 0 
@@ -1,5 +1,6 @@
 import { join, basename } from 'path';
 import { createFrontmatter } from '../utils/frontmatter.js';
+import { formatWikilink } from '../utils/wikilink.js';
 
 /**
  * Indexing service for catalog and summary generation
@@ -36,13 +37,13 @@ export class IndexService {
     };
 
     let content = '# Vault Catalog\n\n';
-    content += `Generated: ${new Date().toISOString()}\n\n`;
+    content += `Generated: ${this.config.clock.format()}\n\n`;
 
     // Handoffs
     content += '## Handoffs\n\n';
     content += `Total: ${sections.handoffs.length}\n\n`;
     for (const item of sections.handoffs.slice(0, 20)) {
-      content += `- [[${basename(item.path)}]] - ${item.date}\n`;
+      content += `- ${formatWikilink(item.path)} - ${this.config.clock.format(new Date(item.date))}\n`;
     }
     if (sections.handoffs.length > 20) {
       content += `\n... and ${sections.handoffs.length - 20} more\n`;
@@ -52,7 +53,7 @@ export class IndexService {
     content += '\n## Sessions\n\n';
     content += `Total: ${sections.sessions.length}\n\n`;
     for (const item of sections.sessions.slice(0, 20)) {
-      content += `- [[${basename(item.path)}]] - ${item.date}\n`;
+      content += `- ${formatWikilink(item.path)} - ${this.config.clock.format(new Date(item.date))}\n`;
     }
     if (sections.sessions.length > 20) {
       content += `\n... and ${sections.sessions.length - 20} more\n`;
@@ -62,10 +63,11 @@ export class IndexService {
     content += '\n## Phases\n\n';
     content += `Total: ${sections.phases.length}\n\n`;
     for (const phase of sections.phases) {
-      content += `- [[${basename(phase.path)}]] - ${phase.title || 'Untitled'} (${phase.status})\n`;
+      content += `- ${this._phaseLink(phase)} - ${phase.title || 'Untitled'} (${phase.status})\n`;
     }
 
     const frontmatter = createFrontmatter('index', {
+      clock: this.config.clock,
       session_id: null,
       phase_id: null,
       status: 'active',
@@ -76,7 +78,7 @@ export class IndexService {
       }
     });
 
-    const path = this.config.getPath('indexes', 'catalog.md');
+    const path = this.config.getFolderPath('indexes', 'catalog.md');
     await this.adapter.createNote(path, frontmatter, content);
 
     return { path, sections };
@@ -86,7 +88,7 @@ export class IndexService {
    * Generate phase summary index
    */
   async generatePhaseSummary() {
-    const phasesDir = this.config.getPath('phases');
+    const phasesDir = this.config.getFolderPath('phases');
     const phasePaths = await this.adapter.listNotes(phasesDir, {
       recursive: true,
       pattern: /phase\.md$/
@@ -110,7 +112,7 @@ export class IndexService {
     }
 
     let content = '# Phase Summary\n\n';
-    content += `Generated: ${new Date().toISOString()}\n\n`;
+    content += `Generated: ${this.config.clock.format()}\n\n`;
     content += `Total Phases: ${phases.length}\n\n`;
 
     const statusGroups = {
@@ -137,11 +139,12 @@ export class IndexService {
         if (phase.goal) {
           content += `- **Goal:** ${phase.goal}\n`;
         }
-        content += `- **Path:** [[${basename(phase.path)}]]\n\n`;
+        content += `- **Path:** ${this._phaseLink(phase)}\n\n`;
       }
     }
 
     const frontmatter = createFrontmatter('index', {
+      clock: this.config.clock,
       session_id: null,
       phase_id: null,
       status: 'active',
@@ -152,26 +155,36 @@ export class IndexService {
       }
     });
 
-    const path = this.config.getPath('indexes', 'phase-summary.md');
+    const path = this.config.getFolderPath('indexes', 'phase-summary.md');
     await this.adapter.createNote(path, frontmatter, content);
 
     return { path, phases };
   }
 
+  /**
+   * Every phase note is named phase.md, so phases are linked by vault-relative path
+   */
+  _phaseLink(phase) {
+    return formatWikilink(this.config.toVaultPath(phase.path), { path: true, label: phase.title });
+  }
+
   /**
    * Catalog a section of notes
    */
   async _catalogSection(sectionName) {
-    const dir = this.config.getPath(sectionName);
+    const dir = this.config.getFolderPath(sectionName);
     const paths = await this.adapter.listNotes(dir, { recursive: true });
 
     const items = [];
     for (const path of paths) {
-      const stats = await this.adapter.getStats(path);
-      if (stats) {
+      // The filename timestamp is when the note was written; mtime covers non-standard names
+      const parsed = this.config.parseFilename(basename(path));
+      const stats = parsed ? null : await this.adapter.getStats(path);
+      const date = parsed ? parsed.date : stats?.mtime;
+      if (date) {
         items.push({
           path,
-          date: stats.mtime.toISOString()
+          date: this.config.clock.iso(date)
         });
       }
     }
@@ -186,7 +199,7 @@ export class IndexService {
    * Catalog phases with metadata
    */
   async _catalogPhases() {
-    const dir = this.config.getPath('phases');
+    const dir = this.config.getFolderPath('phases');
     const paths = await this.adapter.listNotes(dir, {
       recursive: true,
       pattern: /phase\.md$/
@@ -0,0 +1,163 @@
+import { isAbsolute, sep } from 'path';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { slugify } from '../utils/slug.js';
+import { didYouMean } from '../utils/suggest.js';
+import { linkName, parseWikilink } from '../utils/wikilink.js';
+
+// Shorter id prefixes would match too many UUIDs to be useful
+const MIN_ID_PREFIX = 4;
+
+// Candidates listed in an ambiguity error
+const MAX_CANDIDATES = 10;
+
+/**
+ * Ways a reference can name a note, tried in order; the first that matches anything wins
+ */
+const MATCHERS = [
+  ['path', (note, ref) => note.relativePath === ref.path || note.relativePath === `${ref.path}.md`],
+  ['id', (note, ref) => String(note.frontmatter.id) === ref.text],
+  ['name', (note, ref) => linkName(note.path).toLowerCase() === ref.lower],
+  ['alias', (note, ref) => aliasesOf(note).some(alias => alias.toLowerCase() === ref.lower)],
+  ['slug', (note, ref) => Boolean(ref.slug) && note.frontmatter.slug === ref.slug],
+  ['id prefix', (note, ref) => ref.text.length >= MIN_ID_PREFIX && String(note.frontmatter.id).toLowerCase().startsWith(ref.lower)],
+  ['title', (note, ref) => Boolean(ref.slug) && slugify(note.frontmatter.title, { maxLength: Infinity }) === ref.slug],
+  ['partial title', (note, ref) => Boolean(ref.slug) && slugify(note.frontmatter.title, { maxLength: Infinity }).includes(ref.slug)]
+];
+
+/**
+ * Lookup service: finds the note a user means by path, id, id prefix, alias, slug or title
+ */
+export class LookupService {
+  constructor(config, adapter) {
+    this.config = config;
+    this.adapter = adapter;
+  }
+
+  /**
+   * Read every note in the vault with its vault-relative path (templates excluded)
+   */
+  async listNotes() {
+    const notes = [];
+    const templates = this.config.getFolderPath('templates');
+    for (const path of await this.adapter.listNotes(this.config.vaultPath, { recursive: true })) {
+      // Templates hold placeholders, not notes
+      if (path.startsWith(templates + sep)) {
+        continue;
+      }
+      try {
+        const note = await this.adapter.readNote(path);
+        notes.push({ ...note, path, relativePath: this.config.toVaultPath(path) });
+      } catch (error) {
+        // Unreadable notes are reported by vault doctor
+      }
+    }
+    return notes;
+  }
+
+  /**
+   * Find the one note a reference names
+   * Accepts a vault-relative or absolute path, [[wikilink]], full id, note name, alias, slug,
+   * id prefix (4+ characters) or (partial) title
+   *
+   * @param {string} reference
+   * @param {Object} [options]
+   * @param {string} [options.type] - Only consider notes of this type, e.g. 'phase' or 'handoff'
+   * @param {Object[]} [options.notes] - Result of listNotes(), to avoid re-reading the vault
+   * @throws {ValidationError} when several notes match equally well
+   * @throws {NotFoundError} when nothing matches
+   */
+  async findNote(reference, options = {}) {
+    const { type } = options;
+    const kind = type || 'note';
+    const ref = this._parseReference(reference);
+    if (!ref) {
+      throw new ValidationError(`A ${kind} reference is required`);
+    }
+
+    // An exact path needs only that note read, not the whole vault
+    if (!options.notes) {
+      const direct = await this._readPath(ref.path);
+      if (direct && (!type || direct.frontmatter.type === type)) {
+        return direct;
+      }
+    }
+
+    const notes = (options.notes || await this.listNotes())
+      .filter(note => !type || note.frontmatter.type === type);
+
+    for (const [by, matches] of MATCHERS) {
+      const found = notes.filter(note => matches(note, ref));
+      if (found.length === 1) {
+        return found[0];
+      }
+      if (found.length > 1) {
+        throw new ValidationError(`'${ref.text}' matches ${found.length} ${kind}s by ${by}`, {
+          hints: [
+            'Use a longer id prefix or the full path:',
+            ...found.slice(0, MAX_CANDIDATES).map(note => `  ${String(note.frontmatter.id).slice(0, 8)}  ${note.relativePath}${note.frontmatter.title ? `  ${note.frontmatter.title}` : ''}`)
+          ]
+        });
+      }
+    }
+
+    const names = notes.flatMap(note => [note.frontmatter.title, ...aliasesOf(note)])
+      .filter(name => typeof name === 'string');
+    const suggestion = didYouMean(ref.text, names);
+    throw new NotFoundError(`No ${kind} matches '${ref.text}'`, {
+      hints: suggestion ? [`Did you mean '${suggestion}'?`] : []
+    });
+  }
+
+  /**
+   * Find a phase note by id, id prefix, alias or title
+   */
+  async findPhase(reference) {
+    return this.findNote(reference, { type: 'phase' });
+  }
+
+  /**
+   * Phase id for a reference; ids of existing phases are returned without reading the vault
+   */
+  async resolvePhaseId(reference) {
+    if (this.adapter.exists(this.config.getFolderPath('phases', String(reference), 'phase.md'))) {
+      return String(reference);
+    }
+    const phase = await this.findPhase(reference);
+    return phase.frontmatter.phase_id || phase.frontmatter.id;
+  }
+
+  async _readPath(path) {
+    const absolute = this.config.resolveVaultPath(path.endsWith('.md') ? path : `${path}.md`);
+    const relativePath = this.config.toVaultPath(absolute);
+    // Only notes inside the vault
+    if (relativePath === absolute || !this.adapter.exists(absolute)) {
+      return null;
+    }
+    const note = await this.adapter.readNote(absolute);
+    return { ...note, path: absolute, relativePath };
+  }
+
+  _parseReference(reference) {
+    const raw = String(reference ?? '').trim();
+    const text = raw.startsWith('[[') ? parseWikilink(raw)?.target || '' : raw;
+    if (!text) {
+      return null;
+    }
+
+    const path = isAbsolute(text)
+      ? this.config.toVaultPath(this.config.resolveVaultPath(text, { exists: (path) => this.adapter.exists(path) }))
+      : text.split('\\').join('/');
+    return {
+      text,
+      lower: text.toLowerCase(),
+      path,
+      slug: slugify(text, { maxLength: Infinity })
+    };
+  }
+}
+
+function aliasesOf(note) {
+  return [].concat(note.frontmatter.aliases ?? []).filter(alias => typeof alias === 'string');
+}
+
+export default LookupService;
@@ -0,0 +1,338 @@
+import { basename, dirname, isAbsolute, join } from 'path';
+import { existsSync } from 'fs';
+import { cp, mkdir, readFile, readdir } from 'fs/promises';
+import { writeFileAtomic } from '../utils/atomic.js';
+import { LAYOUT } from '../utils/yaml.js';
+import { ValidationError, VaultIOError } from '../utils/errors.js';
+import { TrackerService } from './tracker.js';
+
+/**
+ * Vault format written by this version
+ *   1 - no manifest: flat handoffs/sessions folders, absolute paths, legacy field names
+ *   2 - indexes/manifest.json, dated folders, vault-relative paths, snake_case fields
+ */
+export const FORMAT_VERSION = 2;
+
+// Vaults without a manifest predate versioning
+export const LEGACY_FORMAT_VERSION = 1;
+
+// Field names used by the continous-* / memory-* commands
+const FIELD_RENAMES = {
+  created: 'created_at',
+  updated: 'updated_at',
+  session: 'session_id',
+  phase: 'phase_id'
+};
+
+const STATUS_RENAMES = {
+  complete: 'completed',
+  done: 'completed'
+};
+
+// Frontmatter fields that hold note paths
+export const PATH_FIELDS = ['handoff_path', 'links'];
+
+const DATED_FOLDERS = ['handoffs', 'sessions'];
+const NOTE_FOLDERS = ['handoffs', 'sessions', 'phases', 'indexes'];
+
+/**
+ * Path of the vault manifest
+ */
+export function manifestPath(config) {
+  return config.getFolderPath('indexes', 'manifest.json');
+}
+
+/**
+ * Read the vault manifest, or null when the vault has none
+ */
+export async function readManifest(config) {
+  let data;
+  try {
+    data = await readFile(manifestPath(config), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new VaultIOError(`Could not read vault manifest: ${error.message}`, { cause: error });
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new ValidationError(`Invalid vault manifest: ${error.message}`, {
+      details: { path: manifestPath(config) }
+    });
+  }
+}
+
+/**
+ * Write the vault manifest, keeping fields already recorded
+ */
+export async function writeManifest(config, fields = {}) {
+  const manifest = {
+    ...(await readManifest(config)),
+    format_version: FORMAT_VERSION,
+    ...fields
+  };
+
+  await mkdir(config.getFolderPath('indexes'), { recursive: true });
+  await writeFileAtomic(manifestPath(config), JSON.stringify(manifest, null, 2) + '\n');
+  return manifest;
+}
+
+/**
+ * True when the vault folder is missing or empty, i.e. nothing to migrate
+ */
+export async function isNewVault(config) {
+  try {
+    return (await readdir(config.vaultPath)).length === 0;
+  } catch (error) {
+    if (error.code === 'ENOENT') return true;
+    throw error;
+  }
+}
+
+/**
+ * Migration service for upgrading older vault layouts in place
+ */
+export class MigrationService {
+  constructor(config, adapter) {
+    this.config = config;
+    this.adapter = adapter;
+    this.tracker = new TrackerService(config);
+  }
+
+  /**
+   * Format version recorded in the manifest (LEGACY_FORMAT_VERSION without one)
+   */
+  async getFormatVersion() {
+    const manifest = await readManifest(this.config);
+    return manifest?.format_version ?? LEGACY_FORMAT_VERSION;
+  }
+
+  /**
+   * Work out the moves and frontmatter updates needed to reach FORMAT_VERSION
+   */
+  async plan() {
+    const from = await this.getFormatVersion();
+    if (from > FORMAT_VERSION) {
+      throw new ValidationError(`Vault format ${from} is newer than this version supports (${FORMAT_VERSION})`, {
+        hints: ['Upgrade copilot-memory to use this vault']
+      });
+    }
+
+    const plan = { from, to: FORMAT_VERSION, moves: [], updates: [], tracker: null, errors: [] };
+    if (from === FORMAT_VERSION) {
+      return plan;
+    }
+
+    // Pass 1: read every note and place flat handoffs/sessions into dated folders
+    const notes = [];
+    const targets = new Set();
+    for (const folder of NOTE_FOLDERS) {
+      const paths = await this.adapter.listNotes(this.config.getFolderPath(folder), { recursive: true });
+
+      for (const path of paths) {
+        let note = null;
+        try {
+          note = await this.adapter.readNote(path);
+        } catch (error) {
+          plan.errors.push({ path, error: error.message });
+        }
+        notes.push({ path, note });
+
+        if (!DATED_FOLDERS.includes(folder) || dirname(path) !== this.config.getFolderPath(folder)) {
+          continue;
+        }
+
+        const date = await this._noteDate(path, note);
+        const to = join(this.config.getDatedPath(folder, date), basename(path));
+        // With datedPath "none" flat folders are already the target layout
+        if (to === path) continue;
+        if (targets.has(to) || this.adapter.exists(to)) {
+          plan.errors.push({ path, error: `Cannot move to ${to}: a note already exists there` });
+          continue;
+        }
+        targets.add(to);
+        plan.moves.push({ from: path, to });
+      }
+    }
+
+    // Pass 2: upgrade frontmatter, pointing paths at where notes end up
+    const moved = new Map(plan.moves.map(move => [move.from, move.to]));
+    const exists = (path) => moved.has(path) || this.adapter.exists(path);
+    const toVaultPath = (value) => {
+      if (typeof value !== 'string' || !isAbsolute(value)) return value;
+      // Absolute paths may point at an older location of this vault
+      const resolved = this.config.resolveVaultPath(value, { exists });
+      return this.config.toVaultPath(moved.get(resolved) || resolved);
+    };
+
+    for (const { path, note } of notes) {
+      if (!note) continue;
+      const { frontmatter, changes } = upgradeFrontmatter(note.frontmatter, toVaultPath);
+      if (changes.length > 0) {
+        plan.updates.push({ path: moved.get(path) || path, changes, frontmatter, body: note.body });
+      }
+    }
+
+    const state = await this.tracker.getState();
+    const latest = state.latest_handoff_path;
+    if (latest && toVaultPath(latest) !== latest) {
+      plan.tracker = { latest_handoff_path: toVaultPath(latest) };
+    }
+
+    return plan;
+  }
+
+  /**
+   * Upgrade the vault to FORMAT_VERSION, backing it up first
+   * Nothing is changed while the plan has errors (unreadable notes, move collisions).
+   *
+   * @param {{ dryRun?: boolean }} [options] - dryRun reports the plan without touching the vault
+   */
+  async migrate(options = {}) {
+    const { dryRun = false } = options;
+    const plan = await this.plan();
+    const result = {
+      dryRun,
+      from: plan.from,
+      to: plan.to,
+      upToDate: plan.from === plan.to,
+      backup: null,
+      moves: plan.moves,
+      updates: plan.updates.map(({ path, changes }) => ({ path, changes })),
+      tracker: plan.tracker,
+      errors: plan.errors
+    };
+
+    if (result.upToDate || dryRun) {
+      return result;
+    }
+
+    // A partial migration would leave notes in the old format under a new manifest version
+    if (plan.errors.length > 0) {
+      throw new ValidationError(`Cannot migrate vault: ${plan.errors.length} notes need fixing first`, {
+        details: { errors: plan.errors },
+        hints: this.errorHints(plan.errors)
+      });
+    }
+
+    result.backup = await this.backup();
+
+    for (const { from, to } of plan.moves) {
+      await this.adapter.moveNote(from, to);
+    }
+    for (const { path, frontmatter, body } of plan.updates) {
+      await this.adapter.updateNote(path, frontmatter, body);
+    }
+    if (plan.tracker) {
+      await this.tracker.saveState(plan.tracker);
+    }
+
+    await writeManifest(this.config, {
+      migrated_at: this.config.clock.iso(),
+      migrated_from: plan.from
+    });
+
+    return result;
+  }
+
+  /**
+   * One hint per planning error, with vault-relative paths
+   */
+  errorHints(errors) {
+    return [
+      ...errors.map(({ path, error }) => `${this.config.toVaultPath(path)}: ${error}`),
+      'Fix or move these notes, then run vault migrate again'
+    ];
+  }
+
+  /**
+   * Copy the whole vault to a sibling `<vault>.backup-<timestamp>` folder
+   */
+  async backup() {
+    if (!this.config.vaultExists()) {
+      return null;
+    }
+
+    const stamp = this.config.clock.stamp();
+    const backupPath = `${this.config.vaultPath}.backup-${stamp}`;
+    if (existsSync(backupPath)) {
+      throw new VaultIOError(`Backup folder already exists: ${backupPath}`, {
+        hints: ['Wait a second and run the migration again']
+      });
+    }
+
+    try {
+      await cp(this.config.vaultPath, backupPath, { recursive: true, errorOnExist: true, force: false });
+    } catch (error) {
+      throw new VaultIOError(`Could not back up vault to ${backupPath}: ${error.message}`, { cause: error });
+    }
+    return backupPath;
+  }
+
+  /**
+   * Date that decides a note's dated folder: filename timestamp, then created_at, then mtime
+   */
+  async _noteDate(path, note) {
+    const parsed = this.config.parseFilename(basename(path));
+    if (parsed) return parsed.date;
+
+    const created = note?.frontmatter.created_at ?? note?.frontmatter.created;
+    const date = created instanceof Date ? created : new Date(created);
+    if (created && !Number.isNaN(date.getTime())) return date;
+
+    const stats = await this.adapter.getStats(path);
+    return stats ? stats.mtime : this.config.clock.now();
+  }
+}
+
+/**
+ * Apply the format 2 frontmatter rules, returning the new frontmatter and what changed
+ * Key order and layout of untouched fields are kept
+ */
+export function upgradeFrontmatter(frontmatter, toVaultPath) {
+  const changes = [];
+  const upgraded = {};
+
+  for (const [key, value] of Object.entries(frontmatter)) {
+    const renamed = FIELD_RENAMES[key];
+    if (renamed && !(renamed in frontmatter)) {
+      upgraded[renamed] = value;
+      changes.push(`renamed ${key} to ${renamed}`);
+    } else {
+      upgraded[key] = value;
+    }
+  }
+  if (frontmatter[LAYOUT]) {
+    upgraded[LAYOUT] = frontmatter[LAYOUT];
+  }
+
+  for (const field of ['tags', 'links']) {
+    if (upgraded[field] === null || upgraded[field] === undefined) {
+      upgraded[field] = [];
+      changes.push(`set empty ${field} to []`);
+    } else if (typeof upgraded[field] === 'string') {
+      upgraded[field] = [upgraded[field]];
+      changes.push(`wrapped ${field} in a list`);
+    }
+  }
+
+  const status = STATUS_RENAMES[upgraded.status];
+  if (status) {
+    changes.push(`changed status ${upgraded.status} to ${status}`);
+    upgraded.status = status;
+  }
+
+  for (const field of PATH_FIELDS) {
+    const value = upgraded[field];
+    const next = Array.isArray(value) ? value.map(toVaultPath) : toVaultPath(value);
+    if (JSON.stringify(next) !== JSON.stringify(value)) {
+      upgraded[field] = next;
+      changes.push(`made ${field} vault-relative`);
+    }
+  }
+
+  return { frontmatter: upgraded, changes };
+}
+
+export default MigrationService;
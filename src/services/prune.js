@@ -1,5 +1,5 @@
-import { unlink } from 'fs/promises';
 import { join } from 'path';
+import { LookupService } from './lookup.js';
 
 /**
  * Prune service for cleaning old notes
@@ -8,6 +8,7 @@ export class PruneService {
   constructor(config, adapter) {
     this.config = config;
     this.adapter = adapter;
+    this.lookup = new LookupService(config, adapter);
   }
 
   /**
@@ -20,7 +21,7 @@ export class PruneService {
       folders = ['handoffs', 'sessions']
     } = options;
 
-    const cutoffDate = new Date();
+    const cutoffDate = this.config.clock.now();
     cutoffDate.setDate(cutoffDate.getDate() - days);
     // Add 1 second to ensure "days: 0" catches files created "now"
     if (days === 0) {
@@ -37,7 +38,7 @@ export class PruneService {
     };
 
     for (const folder of folders) {
-      const dir = this.config.getPath(folder);
+      const dir = this.config.getFolderPath(folder);
       const paths = await this.adapter.listNotes(dir, { recursive: true });
 
       for (const path of paths) {
@@ -52,7 +53,7 @@ export class PruneService {
             });
 
             if (!dryRun) {
-              await unlink(path);
+              await this.adapter.deleteNote(path);
               results.deleted.push(path);
             }
           }
@@ -84,7 +85,7 @@ export class PruneService {
       phaseId = null
     } = options;
 
-    const cutoffDate = new Date();
+    const cutoffDate = this.config.clock.now();
     cutoffDate.setDate(cutoffDate.getDate() - days);
 
     const results = {
@@ -97,11 +98,12 @@ export class PruneService {
     };
 
     // Find research notes in phases
-    const phasesDir = this.config.getPath('phases');
+    const phasesDir = this.config.getFolderPath('phases');
     let researchDirs = [];
 
     if (phaseId) {
-      researchDirs.push(this.config.getPath('phases', phaseId, 'research'));
+      const id = await this.lookup.resolvePhaseId(phaseId);
+      researchDirs.push(this.config.getFolderPath('phases', id, 'research'));
     } else {
       // Scan all phase research directories
       const phasePaths = await this.adapter.listNotes(phasesDir, {
@@ -130,7 +132,7 @@ export class PruneService {
             });
 
             if (!dryRun) {
-              await unlink(path);
+              await this.adapter.deleteNote(path);
               results.deleted.push(path);
             }
           }
@@ -0,0 +1,363 @@
+/**
+ * Note templates: Markdown files in the vault's templates/ folder
+ *
+ * {{name}} is replaced by a variable's value; {{#name}}...{{/name}} is kept only when the
+ * variable is non-empty and {{^name}}...{{/name}} only when it is empty. Placeholders for
+ * variables the command does not know are left as written.
+ */
+import { readFile, stat } from 'fs/promises';
+import { join, resolve } from 'path';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { didYouMean } from '../utils/suggest.js';
+import { linkName } from '../utils/wikilink.js';
+
+// Template names map to files, so they must not contain path separators
+const TEMPLATE_NAME = /^[A-Za-z0-9][\w-]*$/;
+
+/**
+ * Built-in templates, seeded into templates/ by `init`; a vault without the file uses these
+ */
+export const DEFAULT_TEMPLATES = {
+  handoff: {
+    description: 'Body of a handoff note (copilot-memory handoff)',
+    body: `# {{title}}
+
+## Context
+
+[Add context here]
+
+## Current State
+
+[Describe current state]
+
+## Next Steps
+
+- [ ] Task 1
+- [ ] Task 2
+`
+  },
+
+  session: {
+    description: 'Session note started by copilot-memory resume',
+    body: `# Session Resume
+
+Resuming from handoff: {{previous_handoff}}
+
+## Previous Context
+
+{{handoff_excerpt}}...
+
+## Session Notes
+`
+  },
+
+  phase: {
+    description: 'Phase note (copilot-memory phase create)',
+    body: `# {{title}}
+
+## Goal
+
+{{goal}}
+
+## Status
+
+{{status}}
+`
+  },
+
+  research: {
+    description: 'Phase research note (copilot-memory phase research)',
+    body: `# {{title}}
+
+## Findings
+
+[Add research findings]
+
+## References
+`
+  },
+
+  'phase-handoff': {
+    description: 'Phase completion handoff (copilot-memory phase handoff)',
+    body: `# {{title}}
+
+## Phase Summary
+
+[Summarize phase work]
+
+## Completion Status
+
+[Describe completion status]
+
+## Next Phase
+
+[What comes next]
+`
+  },
+
+  greenfield: {
+    description: 'Greenfield onboarding note (copilot-memory init --mode greenfield)',
+    body: `# Greenfield Project
+
+## Project Idea
+
+{{idea}}
+
+{{#stack}}
+## Tech Stack Preferences
+
+{{stack}}
+
+{{/stack}}
+{{#constraints}}
+## Constraints & Requirements
+
+{{constraints}}
+
+{{/constraints}}
+{{#research}}
+## Research Questions
+
+{{research}}
+
+{{/research}}
+## Implementation Breakdown
+
+### Phase 1: Setup & Foundation
+- [ ] Initialize project structure
+- [ ] Set up development environment
+- [ ] Configure tooling and dependencies
+
+### Phase 2: Core Features
+- [ ] Implement core functionality
+- [ ] Add essential integrations
+- [ ] Set up data models/schemas
+
+### Phase 3: Testing & Quality
+- [ ] Write unit tests
+- [ ] Add integration tests
+- [ ] Perform security audit
+
+### Phase 4: Deployment
+- [ ] Configure deployment pipeline
+- [ ] Set up monitoring
+- [ ] Deploy to production
+
+## Notes
+
+_Created: {{date}}_
+`
+  },
+
+  brownfield: {
+    description: 'Brownfield codebase analysis (copilot-memory init --mode brownfield)',
+    body: `# Brownfield Codebase Analysis
+
+**Path:** \`{{path}}\`
+
+## Structure Summary
+
+**Folders:** {{folder_count}}
+**Files:** {{file_count}}
+
+{{#folders}}
+### Key Folders
+
+{{folders}}
+
+{{/folders}}
+{{#key_files}}
+### Key Files
+
+{{key_files}}
+
+{{/key_files}}
+{{#extensions}}
+### File Extensions
+
+{{extensions}}
+
+{{/extensions}}
+{{#stack}}
+## Inferred Tech Stack
+
+{{stack}}
+
+{{/stack}}
+## Architecture Context
+
+_Add notes about architecture patterns, key components, and design decisions._
+
+## Suggested Exploration Tasks
+
+- [ ] Review main entry points and application flow
+- [ ] Identify core business logic and domain models
+- [ ] Map out external dependencies and integrations
+- [ ] Check test coverage and testing approach
+- [ ] Review build and deployment configuration
+- [ ] Document API contracts and data schemas
+- [ ] Identify technical debt and improvement opportunities
+
+## Notes
+
+_Analysis created: {{date}}_
+`
+  }
+};
+
+/**
+ * Variables every template can use; commands fill in the ones they know
+ */
+export const COMMON_VARIABLES = ['title', 'date', 'session', 'phase', 'branch', 'open_tasks', 'previous_handoff', 'content'];
+
+/**
+ * Substitute variables and sections in template text
+ */
+export function renderTemplate(template, variables = {}) {
+  const section = (match, kind, name, inner) => (value(variables[name]).trim() !== '') === (kind === '#') ? inner : '';
+
+  const text = String(template)
+    // Section tags on lines of their own take the line with them
+    .replace(/^[ \t]*\{\{([#^])(\w+)\}\}[ \t]*\r?\n([\s\S]*?)^[ \t]*\{\{\/\2\}\}[ \t]*(?:\r?\n|$)/gm, section)
+    .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, section)
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => name in variables ? value(variables[name]) : match);
+
+  return text.trimEnd() + '\n';
+}
+
+/**
+ * Unchecked Markdown tasks (`- [ ] ...`) in a note body
+ */
+export function openTasks(body) {
+  return String(body ?? '').split('\n')
+    .filter(line => /^\s*[-*+] \[ \] \S/.test(line))
+    .map(line => line.trim());
+}
+
+/**
+ * Template service: loads, renders and seeds note templates
+ */
+export class TemplateService {
+  constructor(config, adapter) {
+    this.config = config;
+    this.adapter = adapter;
+  }
+
+  /**
+   * Path of a template in the vault's templates folder
+   */
+  path(name) {
+    return this.config.getFolderPath('templates', `${name}.md`);
+  }
+
+  /**
+   * Names of the vault's templates and the built-in defaults
+   */
+  async list() {
+    const dir = this.config.getFolderPath('templates');
+    const paths = this.adapter.exists(dir) ? await this.adapter.listNotes(dir, { recursive: false }) : [];
+    return [...new Set([...Object.keys(DEFAULT_TEMPLATES), ...paths.map(path => linkName(path))])].sort();
+  }
+
+  /**
+   * Template text: templates/<name>.md, else the built-in default of that name
+   *
+   * @throws {ValidationError} for a name that cannot be a file name
+   * @throws {NotFoundError} for a name that is neither a file nor a default
+   */
+  async load(name) {
+    if (!TEMPLATE_NAME.test(String(name))) {
+      throw new ValidationError(`Invalid template name '${name}'`, {
+        hints: ['Template names use letters, digits, - and _ (templates/<name>.md)']
+      });
+    }
+
+    const path = this.path(name);
+    if (this.adapter.exists(path)) {
+      return (await this.adapter.readNote(path)).body;
+    }
+    if (DEFAULT_TEMPLATES[name]) {
+      return DEFAULT_TEMPLATES[name].body;
+    }
+
+    const names = await this.list();
+    const suggestion = didYouMean(name, names);
+    throw new NotFoundError(`Template '${name}' not found`, {
+      hints: [
+        ...(suggestion ? [`Did you mean '${suggestion}'?`] : []),
+        `Available templates: ${names.join(', ')}`,
+        `Create ${this.config.toVaultPath(path)} to add it`
+      ]
+    });
+  }
+
+  /**
+   * Render a template
+   * Common variables default to empty and `date`/`branch` are filled in. Content passed
+   * with a template goes where it says {{content}}, or after it when it has no such placeholder.
+   *
+   * @param {string} name
+   * @param {Object} [variables]
+   */
+  async render(name, variables = {}) {
+    const template = await this.load(name);
+    const values = {
+      ...Object.fromEntries(COMMON_VARIABLES.map(variable => [variable, ''])),
+      date: this.config.clock.format(),
+      branch: await gitBranch(this.config.repoRoot),
+      ...variables
+    };
+
+    const rendered = renderTemplate(template, values);
+    const content = value(values.content).trim();
+    if (content && !/\{\{\s*content\s*\}\}/.test(template)) {
+      return `${rendered}\n${content}\n`;
+    }
+    return rendered;
+  }
+
+  /**
+   * Write the built-in templates the vault does not have yet; existing files are kept
+   *
+   * @returns {Promise<string[]>} vault-relative paths written
+   */
+  async seed() {
+    const written = [];
+    for (const [name, { description, body }] of Object.entries(DEFAULT_TEMPLATES)) {
+      const path = this.path(name);
+      if (this.adapter.exists(path)) {
+        continue;
+      }
+      await this.adapter.createNote(path, { description }, body);
+      written.push(this.config.toVaultPath(path));
+    }
+    return written;
+  }
+}
+
+function value(variable) {
+  return variable === undefined || variable === null ? '' : String(variable);
+}
+
+/**
+ * Checked-out branch of a repository, read from .git/HEAD (short hash when detached)
+ */
+async function gitBranch(repoRoot) {
+  if (!repoRoot) {
+    return '';
+  }
+
+  try {
+    let gitDir = join(repoRoot, '.git');
+    // Worktrees and submodules have a .git file pointing at the real directory
+    if ((await stat(gitDir)).isFile()) {
+      gitDir = resolve(repoRoot, (await readFile(gitDir, 'utf-8')).replace(/^gitdir:\s*/, '').trim());
+    }
+    const head = (await readFile(join(gitDir, 'HEAD'), 'utf-8')).trim();
+    return head.startsWith('ref: refs/heads/') ? head.slice('ref: refs/heads/'.length) : head.slice(0, 7);
+  } catch {
+    return '';
+  }
+}
+
+export default TemplateService;
@@ -1,4 +1,6 @@
-import { mkdir, open, readFile, stat, unlink, writeFile } from 'fs/promises';
+import { mkdir, open, readFile, stat, unlink } from 'fs/promises';
+import { writeFileAtomic } from '../utils/atomic.js';
+import { VaultIOError } from '../utils/errors.js';
 
 /**
  * Deterministic project tracker state
@@ -9,17 +11,17 @@ export class TrackerService {
   }
 
   get statePath() {
-    return this.config.getPath('indexes', 'tracker-state.json');
+    return this.config.getFolderPath('indexes', 'tracker-state.json');
   }
 
   get lockPath() {
-    return this.config.getPath('indexes', 'tracker-state.lock');
+    return this.config.getFolderPath('indexes', 'tracker-state.lock');
   }
 
   _defaultState() {
     return {
       version: 1,
-      updated_at: new Date().toISOString(),
+      updated_at: this.config.clock.iso(),
       active_phase_id: null,
       current_session_id: null,
       latest_handoff_path: null,
@@ -37,16 +39,16 @@ export class TrackerService {
   }
 
   async saveState(nextState) {
-    await mkdir(this.config.getPath('indexes'), { recursive: true });
+    await mkdir(this.config.getFolderPath('indexes'), { recursive: true });
     await this._withLock(async () => {
       const current = await this.getState();
       const state = {
         ...this._defaultState(),
         ...current,
         ...nextState,
-        updated_at: new Date().toISOString()
+        updated_at: this.config.clock.iso()
       };
-      await writeFile(this.statePath, JSON.stringify(state, null, 2) + '\n', 'utf-8');
+      await writeFileAtomic(this.statePath, JSON.stringify(state, null, 2) + '\n');
       return state;
     });
     return this.getState();
@@ -62,7 +64,7 @@ export class TrackerService {
 
   async recordHandoff(note) {
     return this.saveState({
-      latest_handoff_path: note?.path || null,
+      latest_handoff_path: note?.path ? this.config.toVaultPath(note.path) : null,
       latest_handoff_id: note?.frontmatter?.id || null
     });
   }
@@ -88,7 +90,7 @@ export class TrackerService {
           throw error;
         }
         if (i === retries - 1) {
-          throw new Error('Tracker state is busy, try again');
+          throw new VaultIOError('Tracker state is busy, try again');
         }
         try {
           const lockStats = await stat(this.lockPath);
@@ -1,6 +1,16 @@
-import { join } from 'path';
-import { randomUUID } from 'crypto';
-import { createFrontmatter } from '../utils/frontmatter.js';
+import { basename, join } from 'path';
+import { existsSync } from 'fs';
+import { createFrontmatter, timestampOf } from '../utils/frontmatter.js';
+import { formatWikilink, resolveWikilink } from '../utils/wikilink.js';
+import { assertValidNote } from '../utils/schema.js';
+import { isNewVault, manifestPath, writeManifest } from './migrate.js';
+import { LookupService } from './lookup.js';
+import { IndexService } from './index.js';
+import { TemplateService, openTasks } from './template.js';
+import { NotFoundError, ValidationError, VaultIOError } from '../utils/errors.js';
+
+// Upper bound on --<n> suffixes tried before giving up on a filename
+const MAX_FILENAME_ATTEMPTS = 100;
 
 /**
  * Vault service for managing notes
@@ -10,47 +20,58 @@ export class VaultService {
   constructor(config, adapter) {
     this.config = config;
     this.adapter = adapter;
+    this.lookup = new LookupService(config, adapter);
+    this.indexes = new IndexService(config, adapter);
+    this.templates = new TemplateService(config, adapter);
   }
 
   /**
    * Initialize the vault
+   * New vaults get a manifest with the current format version; existing ones are left to `vault migrate`
    */
   async initialize() {
+    const isNew = !existsSync(manifestPath(this.config)) && await isNewVault(this.config);
     await this.config.ensureVaultStructure();
+    if (isNew) {
+      await writeManifest(this.config, { created_at: this.config.clock.iso() });
+    }
   }
 
   /**
    * Create a handoff note
    */
   async createHandoff(data) {
-    const { sessionId, phaseId, title, content, tags = [] } = data;
+    const { sessionId, phaseId, title, content, tags = [], aliases = [] } = data;
     
     // Get previous handoff if exists
     const previousHandoff = await this.getLatestHandoff();
     
     const frontmatter = createFrontmatter('handoff', {
-      session_id: sessionId || randomUUID(),
+      clock: this.config.clock,
+      session_id: sessionId || this.config.clock.uuid(),
       phase_id: phaseId || null,
       status: 'active',
       tags: ['handoff', ...tags],
-      links: previousHandoff ? [previousHandoff.path] : [],
+      links: previousHandoff ? [this.config.toVaultPath(previousHandoff.path)] : [],
       extra: {
         title,
-        previous_handoff: previousHandoff ? previousHandoff.frontmatter.id : null
+        previous_handoff: previousHandoff ? previousHandoff.frontmatter.id : null,
+        ...(aliases.length > 0 ? { aliases } : {})
       }
     });
 
-    const filename = this.config.generateFilename('handoff', sessionId || 'session', title);
-    const path = join(this.config.getDatedPath('handoffs'), filename);
-
     // Add wikilink to previous handoff in content if exists
     let finalContent = content;
     if (previousHandoff) {
-      const basename = previousHandoff.path.split('/').pop().replace('.md', '');
-      finalContent = `## Previous Context\n\n[[${basename}]]\n\n` + content;
+      finalContent = `## Previous Context\n\n${formatWikilink(previousHandoff.path)}\n\n` + content;
     }
 
-    const note = await this.adapter.createNote(path, frontmatter, finalContent);
+    const note = await this._createUniqueNote(
+      this.config.getDatedPath('handoffs'),
+      ['handoff', sessionId || 'session', title],
+      frontmatter,
+      finalContent
+    );
     
     // Update latest handoff index
     await this._updateLatestHandoff(note);
@@ -65,7 +86,8 @@ export class VaultService {
     const { sessionId, title, content, tags = [] } = data;
     
     const frontmatter = createFrontmatter('session', {
-      session_id: sessionId || randomUUID(),
+      clock: this.config.clock,
+      session_id: sessionId || this.config.clock.uuid(),
       phase_id: null,
       status: 'active',
       tags: ['session', ...tags],
@@ -74,20 +96,29 @@ export class VaultService {
       }
     });
 
-    const filename = this.config.generateFilename('session', sessionId || 'session', title);
-    const path = join(this.config.getDatedPath('sessions'), filename);
-
-    return await this.adapter.createNote(path, frontmatter, content);
+    return await this._createUniqueNote(
+      this.config.getDatedPath('sessions'),
+      ['session', sessionId || 'session', title],
+      frontmatter,
+      content
+    );
   }
 
   /**
    * Create a phase
    */
   async createPhase(data) {
-    const { phaseId, title, goal, status = 'planned', tags = [] } = data;
-    const id = phaseId || randomUUID();
-    
+    const { phaseId, title, goal, status = 'planned', tags = [], aliases = [], template = 'phase' } = data;
+    const id = phaseId || this.config.clock.uuid();
+    // The id names the phase's folder, so it must stay inside phases/
+    if (/[\\/]|\.\./.test(String(id))) {
+      throw new ValidationError(`Invalid phase id '${id}'`, {
+        hints: ['Phase ids cannot contain /, \\ or ..']
+      });
+    }
+
     const frontmatter = createFrontmatter('phase', {
+      clock: this.config.clock,
       id,
       session_id: null,
       phase_id: id,
@@ -95,15 +126,27 @@ export class VaultService {
       tags: ['phase', ...tags],
       extra: {
         title,
-        goal
+        goal,
+        ...(aliases.length > 0 ? { aliases } : {})
       }
     });
 
-    const content = `# ${title}\n\n## Goal\n\n${goal}\n\n## Status\n\n${status}`;
+    const content = await this.renderTemplate(template, { title, goal, status, phase: id }, { previousHandoff: null });
     const filename = 'phase.md';
-    const path = this.config.getPath('phases', id, filename);
+    const path = this.config.getFolderPath('phases', id, filename);
 
-    return await this.adapter.createNote(path, frontmatter, content);
+    this._validate(frontmatter);
+    try {
+      return await this.adapter.createNote(path, frontmatter, content, { exclusive: true });
+    } catch (error) {
+      if (error.cause?.code === 'EEXIST' || this.adapter.exists(path)) {
+        throw new ValidationError(`Phase ${id} already exists`, {
+          details: { path },
+          hints: ['Choose another --id, or add notes to the existing phase']
+        });
+      }
+      throw error;
+    }
   }
 
   /**
@@ -113,6 +156,7 @@ export class VaultService {
     const { phaseId, title, content, tags = [] } = data;
     
     const frontmatter = createFrontmatter('research', {
+      clock: this.config.clock,
       session_id: null,
       phase_id: phaseId,
       status: 'active',
@@ -122,10 +166,12 @@ export class VaultService {
       }
     });
 
-    const filename = this.config.generateFilename('research', 'phase', title);
-    const path = this.config.getPath('phases', phaseId, 'research', filename);
-
-    return await this.adapter.createNote(path, frontmatter, content);
+    return await this._createUniqueNote(
+      this.config.getFolderPath('phases', phaseId, 'research'),
+      ['research', 'phase', title],
+      frontmatter,
+      content
+    );
   }
 
   /**
@@ -135,6 +181,7 @@ export class VaultService {
     const { phaseId, sessionId, title, content, tags = [] } = data;
     
     const frontmatter = createFrontmatter('handoff', {
+      clock: this.config.clock,
       session_id: sessionId || null,
       phase_id: phaseId,
       status: 'active',
@@ -144,10 +191,12 @@ export class VaultService {
       }
     });
 
-    const filename = this.config.generateFilename('handoff', 'phase', title);
-    const path = this.config.getPath('phases', phaseId, 'handoffs', filename);
-
-    const note = await this.adapter.createNote(path, frontmatter, content);
+    const note = await this._createUniqueNote(
+      this.config.getFolderPath('phases', phaseId, 'handoffs'),
+      ['handoff', 'phase', title],
+      frontmatter,
+      content
+    );
     
     // Update latest handoff index
     await this._updateLatestHandoff(note);
@@ -155,11 +204,69 @@ export class VaultService {
     return note;
   }
 
+  /**
+   * Replace a note's frontmatter and body after checking its schema
+   */
+  async updateNote(path, frontmatter, body) {
+    if (!this.adapter.exists(path)) {
+      throw new NotFoundError(`Note not found: ${path}`);
+    }
+
+    this._validate(frontmatter);
+    return await this.adapter.updateNote(path, frontmatter, body);
+  }
+
+  /**
+   * Save changes to an existing note
+   * Checks the schema, bumps updated_at and refreshes the indexes that show the note
+   *
+   * @returns {Promise<{ note: Object, indexes: string[] }>} indexes lists the refreshed index files
+   */
+  async reviseNote(path, frontmatter, body) {
+    const note = await this.updateNote(path, { ...frontmatter, updated_at: this.config.clock.now() }, body);
+    const indexes = [];
+
+    // Phase titles, goals and statuses appear in the catalog and phase summary
+    if (note.frontmatter.type === 'phase') {
+      await this.indexes.generateCatalog();
+      await this.indexes.generatePhaseSummary();
+      indexes.push('catalog.md', 'phase-summary.md');
+    }
+
+    if (note.frontmatter.type === 'handoff') {
+      const latest = await this.getLatestHandoff();
+      if (latest && latest.path === note.path) {
+        await this._updateLatestHandoff(note);
+        indexes.push('latest-handoff.md');
+      }
+    }
+
+    return { note, indexes };
+  }
+
+  /**
+   * Note body from a template (see TemplateService.render)
+   * Also fills in the previous handoff's wikilink and open tasks
+   *
+   * @param {string} name - templates/<name>.md or a built-in template
+   * @param {Object} [variables] - Command variables such as title, session and phase
+   * @param {Object} [options]
+   * @param {Object|null} [options.previousHandoff] - Handoff for previous_handoff and open_tasks (default: latest)
+   */
+  async renderTemplate(name, variables = {}, options = {}) {
+    const previous = options.previousHandoff !== undefined ? options.previousHandoff : await this.getLatestHandoff();
+    return await this.templates.render(name, {
+      previous_handoff: previous ? formatWikilink(previous.path) : '',
+      open_tasks: previous ? openTasks(previous.body).join('\n') : '',
+      ...variables
+    });
+  }
+
   /**
    * Get the latest handoff
    */
   async getLatestHandoff() {
-    const indexPath = this.config.getPath('indexes', 'latest-handoff.md');
+    const indexPath = this.config.getFolderPath('indexes', 'latest-handoff.md');
     
     if (!this.adapter.exists(indexPath)) {
       return null;
@@ -167,7 +274,8 @@ export class VaultService {
 
     try {
       const index = await this.adapter.readNote(indexPath);
-      const handoffPath = index.frontmatter.handoff_path;
+      const handoffPath = index.frontmatter.handoff_path &&
+        this.config.resolveVaultPath(index.frontmatter.handoff_path, { exists: (path) => this.adapter.exists(path) });
       
       if (handoffPath && this.adapter.exists(handoffPath)) {
         return await this.adapter.readNote(handoffPath);
@@ -183,19 +291,20 @@ export class VaultService {
    * List all handoffs
    */
   async listHandoffs(options = {}) {
-    const dir = this.config.getPath('handoffs');
-    return await this.adapter.listNotes(dir, { 
+    const dir = this.config.getFolderPath('handoffs');
+    const paths = await this.adapter.listNotes(dir, { 
       recursive: true,
-      pattern: /--handoff--/,
       ...options 
     });
+    // The filename pattern is configurable, so match on the parsed type
+    return paths.filter(path => this.config.parseFilename(basename(path))?.type === 'handoff');
   }
 
   /**
    * List all phases
    */
   async listPhases() {
-    const dir = this.config.getPath('phases');
+    const dir = this.config.getFolderPath('phases');
     return await this.adapter.listNotes(dir, { 
       recursive: true,
       pattern: /phase\.md$/
@@ -203,18 +312,115 @@ export class VaultService {
   }
 
   /**
-   * Get a phase by ID
+   * Get a phase by ID, or by id prefix, alias or title
    */
   async getPhase(phaseId) {
-    const path = this.config.getPath('phases', phaseId, 'phase.md');
-    
+    const path = this.config.getFolderPath('phases', String(phaseId), 'phase.md');
+
     if (!this.adapter.exists(path)) {
-      throw new Error(`Phase not found: ${phaseId}`);
+      return await this.lookup.findPhase(phaseId);
     }
 
     return await this.adapter.readNote(path);
   }
 
+  /**
+   * Phase id for a reference (id, id prefix, alias or title)
+   */
+  async resolvePhaseId(reference) {
+    return await this.lookup.resolvePhaseId(reference);
+  }
+
+  /**
+   * Find a note by path, id, id prefix, alias, slug or title (see LookupService.findNote)
+   */
+  async findNote(reference, options = {}) {
+    return await this.lookup.findNote(reference, options);
+  }
+
+  /**
+   * Read every note in the vault with its vault-relative path, for link resolution
+   */
+  async listNotes() {
+    return await this.lookup.listNotes();
+  }
+
+  /**
+   * Every handoff note, phase handoffs included, newest first
+   *
+   * @param {Object[]} [notes] - Result of listNotes(), to avoid re-reading the vault
+   */
+  async listHandoffNotes(notes) {
+    return (notes || await this.listNotes())
+      .filter(note => note.frontmatter.type === 'handoff')
+      .sort((a, b) => createdTime(b) - createdTime(a) || b.relativePath.localeCompare(a.relativePath));
+  }
+
+  /**
+   * Follow previous_handoff back from a handoff
+   * The walk ends at a handoff without a predecessor, or at a break: a predecessor that is
+   * missing (pruned or deleted) or already visited (hand-edited notes can loop)
+   *
+   * @param {Object} start - Handoff note with relativePath
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Most handoffs to return, start included
+   * @param {Object[]} [options.handoffs] - Result of listHandoffNotes()
+   * @returns {Promise<{ chain: Object[], broken: { path: string, id: string, previous: string, reason: 'missing'|'loop', message: string }|null }>}
+   */
+  async walkHandoffs(start, options = {}) {
+    const { limit = Infinity } = options;
+    const handoffs = options.handoffs || await this.listHandoffNotes();
+    const chain = [start];
+    let current = start;
+
+    while (chain.length < limit && current.frontmatter.previous_handoff) {
+      const id = String(current.frontmatter.previous_handoff);
+      const previous = handoffs.find(note => String(note.frontmatter.id) === id);
+      const looped = previous && chain.some(note => String(note.frontmatter.id) === id);
+      if (!previous || looped) {
+        return {
+          chain,
+          broken: {
+            path: current.relativePath,
+            id: String(current.frontmatter.id),
+            previous: id,
+            reason: previous ? 'loop' : 'missing',
+            message: previous
+              ? `previous_handoff chain loops back to ${previous.relativePath}`
+              : `Previous handoff ${id} of ${current.relativePath} was not found`
+          }
+        };
+      }
+      chain.push(previous);
+      current = previous;
+    }
+
+    return { chain, broken: null };
+  }
+
+  /**
+   * Resolve a wikilink ([[name]], [[name#heading]], [[name|label]]) to the note it points at
+   *
+   * @param {string} link
+   * @param {Object[]} [notes] - Result of listNotes(), to avoid re-reading the vault
+   */
+  async resolveLink(link, notes) {
+    const result = resolveWikilink(link, notes || await this.listNotes());
+
+    if (result.matches.length > 1) {
+      throw new ValidationError(`Link ${result.link.raw} matches ${result.matches.length} notes`, {
+        hints: [`Candidates: ${result.matches.map(note => note.relativePath).join(', ')}`]
+      });
+    }
+    if (!result.note) {
+      throw new NotFoundError(`No note found for link ${result.link?.raw || link}`);
+    }
+    if (result.heading === false) {
+      throw new NotFoundError(`No heading "${result.link.heading}" in ${result.note.relativePath}`);
+    }
+    return result;
+  }
+
   /**
    * Search notes
    */
@@ -233,7 +439,8 @@ export class VaultService {
     const { sessionId, title, content, tags = [] } = data;
     
     const frontmatter = createFrontmatter('greenfield', {
-      session_id: sessionId || randomUUID(),
+      clock: this.config.clock,
+      session_id: sessionId || this.config.clock.uuid(),
       phase_id: null,
       status: 'active',
       tags: ['greenfield', 'planning', ...tags],
@@ -242,10 +449,12 @@ export class VaultService {
       }
     });
 
-    const filename = this.config.generateFilename('greenfield', sessionId || 'session', title);
-    const path = join(this.config.getDatedPath('sessions'), filename);
-
-    return await this.adapter.createNote(path, frontmatter, content);
+    return await this._createUniqueNote(
+      this.config.getDatedPath('sessions'),
+      ['greenfield', sessionId || 'session', title],
+      frontmatter,
+      content
+    );
   }
 
   /**
@@ -255,7 +464,8 @@ export class VaultService {
     const { sessionId, title, content, tags = [] } = data;
     
     const frontmatter = createFrontmatter('brownfield', {
-      session_id: sessionId || randomUUID(),
+      clock: this.config.clock,
+      session_id: sessionId || this.config.clock.uuid(),
       phase_id: null,
       status: 'active',
       tags: ['brownfield', 'analysis', ...tags],
@@ -264,25 +474,59 @@ export class VaultService {
       }
     });
 
-    const filename = this.config.generateFilename('brownfield', sessionId || 'session', title);
-    const path = join(this.config.getDatedPath('sessions'), filename);
+    return await this._createUniqueNote(
+      this.config.getDatedPath('sessions'),
+      ['brownfield', sessionId || 'session', title],
+      frontmatter,
+      content
+    );
+  }
+
+  /**
+   * Create a note under a standardized filename that no other note uses
+   * Collisions (same type, scope and slug in the same second) get a --2, --3... suffix
+   * The slug is kept in frontmatter so the note can be renamed without losing it
+   */
+  async _createUniqueNote(dir, [type, scope, title], frontmatter, content) {
+    frontmatter.slug = this.config.slugify(title);
+    this._validate(frontmatter);
+    const date = this.config.clock.now();
+
+    for (let counter = 1; counter <= MAX_FILENAME_ATTEMPTS; counter++) {
+      const path = join(dir, this.config.generateFilename(type, scope, frontmatter.slug, date, counter));
+      try {
+        return await this.adapter.createNote(path, frontmatter, content, { exclusive: true });
+      } catch (error) {
+        if (!this.adapter.exists(path)) {
+          throw error;
+        }
+      }
+    }
+
+    throw new VaultIOError(`Could not find a free filename for '${title}' in ${dir}`);
+  }
 
-    return await this.adapter.createNote(path, frontmatter, content);
+  /**
+   * Enforce the note type's schema, including that phase_id names an existing phase
+   */
+  _validate(frontmatter) {
+    return assertValidNote(frontmatter, {
+      phaseExists: (phaseId) => this.adapter.exists(this.config.getFolderPath('phases', phaseId, 'phase.md'))
+    });
   }
 
   /**
    * Update latest handoff index
    */
   async _updateLatestHandoff(handoffNote) {
-    const basename = handoffNote.path.split('/').pop().replace('.md', '');
-    
     const frontmatter = createFrontmatter('index', {
+      clock: this.config.clock,
       session_id: null,
       phase_id: null,
       status: 'active',
       tags: ['index', 'latest-handoff'],
       extra: {
-        handoff_path: handoffNote.path,
+        handoff_path: this.config.toVaultPath(handoffNote.path),
         handoff_id: handoffNote.frontmatter.id,
         title: 'Latest Handoff'
       }
@@ -292,13 +536,14 @@ export class VaultService {
 
 This index tracks the most recent handoff note.
 
-**Current Handoff:** [[${basename}]]
+**Current Handoff:** ${formatWikilink(handoffNote.path)}
 
-**Path:** ${handoffNote.path}
+**Path:** ${this.config.toVaultPath(handoffNote.path)}
 **ID:** ${handoffNote.frontmatter.id}
-**Updated:** ${new Date().toISOString()}`;
+**Updated:** ${this.config.clock.format()}`;
     
-    const path = this.config.getPath('indexes', 'latest-handoff.md');
+    const path = this.config.getFolderPath('indexes', 'latest-handoff.md');
+    this._validate(frontmatter);
 
     // Check if index exists first
     if (this.adapter.exists(path)) {
@@ -309,4 +554,8 @@ This index tracks the most recent handoff note.
   }
 }
 
+function createdTime(note) {
+  return timestampOf(note.frontmatter)?.getTime() ?? 0;
+}
+
 export default VaultService;
@@ -0,0 +1,92 @@
+/**
+ * Crash-safe file writes
+ * Content goes to a temp file in the target folder, is fsynced, then renamed
+ * (or linked, for exclusive creates) into place so readers never see a partial file
+ */
+import { open, rename, link, unlink } from 'fs/promises';
+import { dirname, basename, join } from 'path';
+import { randomBytes } from 'crypto';
+
+// link() errors meaning the filesystem has no hard links (FAT, some network and container mounts)
+const LINK_UNSUPPORTED = ['EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS'];
+
+/**
+ * Atomically write content to path
+ *
+ * @param {string} path
+ * @param {string} content
+ * @param {{ exclusive?: boolean }} [options] - exclusive fails with EEXIST instead of replacing path
+ */
+export async function writeFileAtomic(path, content, options = {}) {
+  const { exclusive = false } = options;
+  const dir = dirname(path);
+  const tempPath = join(dir, `.${basename(path)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`);
+
+  const handle = await open(tempPath, 'wx');
+  try {
+    await handle.writeFile(content, 'utf-8');
+    await handle.sync();
+  } catch (error) {
+    await handle.close();
+    await unlink(tempPath).catch(() => {});
+    throw error;
+  }
+  await handle.close();
+
+  try {
+    if (exclusive) {
+      await linkExclusive(tempPath, path, content);
+    } else {
+      await rename(tempPath, path);
+    }
+  } catch (error) {
+    await unlink(tempPath).catch(() => {});
+    throw error;
+  }
+
+  await syncDir(dir);
+}
+
+/**
+ * Move a written temp file to path without replacing an existing file
+ * link() refuses to replace path, unlike rename(); without hard links, fall back to
+ * creating path with O_EXCL, which stays exclusive but is not atomic for readers
+ */
+async function linkExclusive(tempPath, path, content) {
+  try {
+    await link(tempPath, path);
+  } catch (error) {
+    if (!LINK_UNSUPPORTED.includes(error.code)) throw error;
+
+    const handle = await open(path, 'wx');
+    try {
+      await handle.writeFile(content, 'utf-8');
+      await handle.sync();
+    } catch (writeError) {
+      await handle.close();
+      await unlink(path).catch(() => {});
+      throw writeError;
+    }
+    await handle.close();
+  }
+  await unlink(tempPath);
+}
+
+/**
+ * Flush a directory entry so a completed rename survives power loss
+ */
+async function syncDir(dir) {
+  let handle;
+  try {
+    handle = await open(dir, 'r');
+    await handle.sync();
+  } catch {
+    // Not supported on every platform (e.g. Windows); the rename itself is still atomic
+  } finally {
+    await handle?.close();
+  }
+}
+
+export default {
+  writeFileAtomic
+};
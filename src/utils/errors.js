@@ -0,0 +1,130 @@
+/**
+ * Error types shared by the CLI, services and programmatic API
+ */
+
+/**
+ * Stable error codes surfaced in structured results
+ */
+export const ERROR_CODES = {
+  VALIDATION: 'VALIDATION_ERROR',
+  NOT_FOUND: 'NOT_FOUND',
+  IO: 'IO_ERROR',
+  INTERNAL: 'INTERNAL_ERROR'
+};
+
+/**
+ * Process exit codes for each error code
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  [ERROR_CODES.INTERNAL]: 1,
+  [ERROR_CODES.VALIDATION]: 2,
+  [ERROR_CODES.NOT_FOUND]: 3,
+  [ERROR_CODES.IO]: 4
+};
+
+// errno values that mean the vault could not be read or written
+const IO_ERRNOS = new Set([
+  'EACCES', 'EPERM', 'EISDIR', 'ENOTDIR', 'ENOSPC', 'EIO', 'EROFS',
+  'EMFILE', 'ENFILE', 'EBUSY', 'EEXIST', 'ENOTEMPTY', 'EXDEV'
+]);
+
+/**
+ * Base class for errors that carry a stable code
+ */
+export class MemoryError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || ERROR_CODES.INTERNAL;
+    if (options.details) {
+      this.details = options.details;
+    }
+    if (options.hints) {
+      this.hints = options.hints;
+    }
+  }
+}
+
+/**
+ * Invalid input: bad flags, missing required values, malformed notes
+ */
+export class ValidationError extends MemoryError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.VALIDATION });
+  }
+}
+
+/**
+ * A note, phase or handoff that was asked for does not exist
+ */
+export class NotFoundError extends MemoryError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.NOT_FOUND });
+  }
+}
+
+/**
+ * The vault could not be read or written
+ */
+export class VaultIOError extends MemoryError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.IO });
+  }
+}
+
+/**
+ * Map any thrown value to one of ERROR_CODES
+ */
+export function classifyError(error) {
+  if (error instanceof MemoryError) {
+    return error.code;
+  }
+  if (error && error.code === 'ENOENT') {
+    return ERROR_CODES.NOT_FOUND;
+  }
+  if (error && IO_ERRNOS.has(error.code)) {
+    return ERROR_CODES.IO;
+  }
+  return ERROR_CODES.INTERNAL;
+}
+
+/**
+ * Convert a thrown error into a failure result
+ */
+export function toErrorResult(error) {
+  const result = {
+    success: false,
+    code: classifyError(error),
+    message: error?.message || String(error)
+  };
+  if (error?.details) {
+    result.details = error.details;
+  }
+  if (error?.hints) {
+    result.hints = error.hints;
+  }
+  return result;
+}
+
+/**
+ * Exit code for a command result
+ */
+export function exitCodeFor(result) {
+  if (result?.success) {
+    return EXIT_CODES.SUCCESS;
+  }
+  return EXIT_CODES[result?.code] ?? EXIT_CODES[ERROR_CODES.INTERNAL];
+}
+
+export default {
+  ERROR_CODES,
+  EXIT_CODES,
+  MemoryError,
+  ValidationError,
+  NotFoundError,
+  VaultIOError,
+  classifyError,
+  toErrorResult,
+  exitCodeFor
+};
@@ -1,53 +1,44 @@
-import { randomUUID } from 'crypto';
+import { systemClock } from './time.js';
+import { parseYaml, stringifyYaml, resolveScalar, LAYOUT } from './yaml.js';
+import { extractWikilinks } from './wikilink.js';
 
 /**
  * Utilities for working with Markdown frontmatter
  */
 
+/**
+ * Fields holding timestamps: Dates in memory, unquoted ISO 8601 in files
+ */
+export const TIMESTAMP_FIELDS = ['created_at', 'updated_at'];
+
 /**
  * Parse YAML frontmatter from markdown content
+ * Throws YamlError (a ValidationError) with the file line number on malformed YAML
  */
 export function parseFrontmatter(content) {
-  const match = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-  if (!match) {
+  const opening = content.match(/^---[ \t]*(\r?\n)/);
+  if (!opening) {
     return { frontmatter: {}, body: content };
   }
 
-  const [, frontmatterText, body] = match;
-  const frontmatter = {};
-
-  // Simple YAML parser for our needs
-  const lines = frontmatterText.split('\n');
-  let currentKey = null;
-  let currentArray = null;
+  const rest = content.slice(opening[0].length);
+  const closing = rest.match(/^---[ \t]*\r?$/m);
+  if (!closing) {
+    return { frontmatter: {}, body: content };
+  }
 
-  for (const line of lines) {
-    if (!line.trim()) continue;
+  const yaml = rest.slice(0, closing.index).replace(/\r?\n$/, '');
+  const body = rest.slice(closing.index + closing[0].length).replace(/^\n/, '');
 
-    // Array item
-    if (line.match(/^\s*-\s+/)) {
-      const value = line.replace(/^\s*-\s+/, '').trim();
-      if (currentArray) {
-        currentArray.push(value);
-      }
-      continue;
-    }
+  // Line 1 is the opening delimiter
+  const frontmatter = parseYaml(yaml, { lineOffset: 1 });
+  frontmatter[LAYOUT].eol = opening[1];
 
-    // Key-value pair
-    const kvMatch = line.match(/^([^:]+):\s*(.*)$/);
-    if (kvMatch) {
-      const [, key, value] = kvMatch;
-      currentKey = key.trim();
-      
-      if (value.trim() === '') {
-        // Start of array
-        currentArray = [];
-        frontmatter[currentKey] = currentArray;
-      } else {
-        // Regular value
-        frontmatter[currentKey] = value.trim();
-        currentArray = null;
-      }
+  // Older versions wrote timestamps quoted, which YAML reads as strings
+  for (const field of TIMESTAMP_FIELDS) {
+    if (typeof frontmatter[field] === 'string') {
+      const date = resolveScalar(frontmatter[field].trim());
+      if (date instanceof Date) frontmatter[field] = date;
     }
   }
 
@@ -56,36 +47,29 @@ export function parseFrontmatter(content) {
 
 /**
  * Serialize frontmatter and body into markdown
+ * Comments, key order and unchanged values of parsed frontmatter are preserved
  */
 export function serializeFrontmatter(frontmatter, body) {
-  const lines = ['---'];
-
-  for (const [key, value] of Object.entries(frontmatter)) {
-    if (Array.isArray(value)) {
-      lines.push(`${key}:`);
-      for (const item of value) {
-        lines.push(`  - ${item}`);
-      }
-    } else {
-      lines.push(`${key}: ${value}`);
-    }
-  }
+  const eol = frontmatter[LAYOUT]?.eol || '\n';
+  const yaml = stringifyYaml(frontmatter, { eol });
+  const lines = yaml ? ['---', yaml, '---'] : ['---', '---'];
 
-  lines.push('---');
   lines.push('');
   lines.push(body);
 
-  return lines.join('\n');
+  return lines.join(eol);
 }
 
 /**
  * Create standard frontmatter for a note
+ * Pass `options.clock` (config.clock) so timestamps and ids follow COPILOT_MEMORY_NOW/SEED
  */
 export function createFrontmatter(type, options = {}) {
-  const now = new Date().toISOString();
+  const clock = options.clock || systemClock;
+  const now = clock.now();
   
   return {
-    id: options.id || randomUUID(),
+    id: options.id || clock.uuid(),
     type,
     created_at: options.created_at || now,
     updated_at: options.updated_at || now,
@@ -98,8 +82,17 @@ export function createFrontmatter(type, options = {}) {
   };
 }
 
+/**
+ * A timestamp field as a Date, or null when the note lacks a valid one
+ */
+export function timestampOf(frontmatter, field = 'created_at') {
+  const value = frontmatter?.[field];
+  return value instanceof Date && !Number.isNaN(value.getTime()) ? value : null;
+}
+
 /**
  * Validate frontmatter has required fields
+ * Per-type checks (types, status values, phase references) live in schema.js
  */
 export function validateFrontmatter(frontmatter) {
   const required = ['id', 'type', 'created_at', 'updated_at', 'session_id', 'phase_id', 'status', 'tags', 'links'];
@@ -123,10 +116,8 @@ export function validateFrontmatter(frontmatter) {
 export function extractLinks(content) {
   const links = [];
   
-  // Match [[wikilinks]]
-  const wikilinks = content.matchAll(/\[\[([^\]]+)\]\]/g);
-  for (const match of wikilinks) {
-    links.push({ type: 'wikilink', target: match[1] });
+  for (const link of extractWikilinks(content)) {
+    links.push({ type: 'wikilink', ...link });
   }
 
   // Match [text](url) links
@@ -142,6 +133,7 @@ export default {
   parseFrontmatter,
   serializeFrontmatter,
   createFrontmatter,
+  timestampOf,
   validateFrontmatter,
   extractLinks
 };
@@ -0,0 +1,187 @@
+/**
+ * Declarative frontmatter schemas per note type
+ * VaultService enforces them on write; DoctorService reports against them
+ */
+import { ValidationError } from './errors.js';
+
+/**
+ * Allowed status values
+ */
+export const NOTE_STATUSES = ['active', 'completed', 'archived'];
+export const PHASE_STATUSES = ['planned', 'active', 'blocked', 'completed', 'archived'];
+
+/**
+ * Field types understood by validateNote
+ * `date` accepts Date objects (how notes hold timestamps) and ISO 8601 strings
+ */
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  date: (value) => value instanceof Date
+    ? !Number.isNaN(value.getTime())
+    : typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value)),
+  'string[]': (value) => Array.isArray(value) && value.every(item => typeof item === 'string')
+};
+
+// Fields every note carries; `required` means the key must be present, even if null
+const COMMON_FIELDS = {
+  id: { type: 'string', required: true },
+  type: { type: 'string', required: true },
+  created_at: { type: 'date', required: true },
+  updated_at: { type: 'date', required: true },
+  session_id: { type: 'string', required: true, nullable: true },
+  phase_id: { type: 'string', required: true, nullable: true },
+  status: { type: 'string', required: true, enum: NOTE_STATUSES },
+  tags: { type: 'string[]', required: true },
+  links: { type: 'string[]', required: true },
+  // Filename slug, recorded so renames are lossless (absent on notes from older versions)
+  slug: { type: 'string' },
+  // Other names the note can be looked up or linked by
+  aliases: { type: 'string[]' }
+};
+
+const TITLE = { type: 'string', required: true };
+
+function defineSchema(fields, options = {}) {
+  return {
+    fields: { ...COMMON_FIELDS, ...fields },
+    // Fields whose value must name an existing phase
+    phaseRefs: options.phaseRefs || []
+  };
+}
+
+/**
+ * Schema for each note type; unknown keys are allowed so users can add their own
+ */
+export const SCHEMAS = {
+  handoff: defineSchema({
+    title: TITLE,
+    previous_handoff: { type: 'string', nullable: true }
+  }, { phaseRefs: ['phase_id'] }),
+
+  session: defineSchema({
+    title: TITLE
+  }, { phaseRefs: ['phase_id'] }),
+
+  phase: defineSchema({
+    phase_id: { type: 'string', required: true },
+    status: { type: 'string', required: true, enum: PHASE_STATUSES },
+    title: TITLE,
+    goal: { type: 'string', nullable: true }
+  }),
+
+  research: defineSchema({
+    phase_id: { type: 'string', required: true },
+    title: TITLE
+  }, { phaseRefs: ['phase_id'] }),
+
+  greenfield: defineSchema({
+    title: TITLE
+  }),
+
+  brownfield: defineSchema({
+    title: TITLE
+  }),
+
+  index: defineSchema({
+    title: TITLE,
+    handoff_path: { type: 'string' },
+    handoff_id: { type: 'string' },
+    total_notes: { type: 'number' },
+    total_phases: { type: 'number' }
+  })
+};
+
+/**
+ * Check frontmatter against the schema for its `type`
+ *
+ * @param {Object} frontmatter
+ * @param {{ phaseExists?: (phaseId: string) => boolean }} [options] - Enables phase reference checks
+ * @returns {{ valid: boolean, type: string, missing: string[], errors: Array<{ field: string, message: string }> }}
+ */
+export function validateNote(frontmatter, options = {}) {
+  const { phaseExists } = options;
+  const type = frontmatter?.type;
+  const schema = SCHEMAS[type];
+  const errors = [];
+  const missing = [];
+
+  if (!schema) {
+    errors.push({
+      field: 'type',
+      message: type === undefined
+        ? 'Missing required field type'
+        : `Unknown note type '${type}' (expected one of: ${Object.keys(SCHEMAS).join(', ')})`
+    });
+    if (type === undefined) missing.push('type');
+    return { valid: false, type, missing, errors };
+  }
+
+  for (const [field, spec] of Object.entries(schema.fields)) {
+    if (!(field in frontmatter) || frontmatter[field] === undefined) {
+      if (spec.required) {
+        missing.push(field);
+        errors.push({ field, message: `Missing required field ${field}` });
+      }
+      continue;
+    }
+
+    const value = frontmatter[field];
+    if (value === null) {
+      if (!spec.nullable) {
+        errors.push({ field, message: `${field} must not be empty` });
+      }
+      continue;
+    }
+
+    if (!TYPE_CHECKS[spec.type](value)) {
+      errors.push({ field, message: `${field} must be ${describeType(spec.type)}` });
+      continue;
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+      errors.push({ field, message: `${field} '${value}' is not one of: ${spec.enum.join(', ')}` });
+    }
+  }
+
+  if (phaseExists) {
+    for (const field of schema.phaseRefs) {
+      const value = frontmatter[field];
+      if (typeof value === 'string' && !phaseExists(value)) {
+        errors.push({ field, message: `${field} '${value}' does not reference an existing phase` });
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, type, missing, errors };
+}
+
+/**
+ * Throw a ValidationError unless frontmatter matches its schema
+ */
+export function assertValidNote(frontmatter, options = {}) {
+  const validation = validateNote(frontmatter, options);
+  if (!validation.valid) {
+    const label = SCHEMAS[validation.type] ? `${validation.type} ` : '';
+    throw new ValidationError(`Invalid ${label}frontmatter: ${validation.errors.map(error => error.message).join('; ')}`, {
+      details: { type: validation.type, errors: validation.errors }
+    });
+  }
+  return frontmatter;
+}
+
+function describeType(type) {
+  switch (type) {
+    case 'date': return 'an ISO 8601 date';
+    case 'string[]': return 'a list of strings';
+    default: return `a ${type}`;
+  }
+}
+
+export default {
+  SCHEMAS,
+  NOTE_STATUSES,
+  PHASE_STATUSES,
+  validateNote,
+  assertValidNote
+};
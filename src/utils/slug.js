@@ -0,0 +1,63 @@
+/**
+ * Unicode-aware slugs for note filenames
+ * Latin letters are transliterated to ASCII; other scripts (CJK, Cyrillic, ...) are kept as-is
+ */
+
+export const DEFAULT_SLUG_MAX_LENGTH = 60;
+
+// Latin letters that Unicode normalization does not split into base letter + accent
+const TRANSLITERATIONS = {
+  'ß': 'ss', 'ẞ': 'ss',
+  'æ': 'ae', 'Æ': 'ae',
+  'œ': 'oe', 'Œ': 'oe',
+  'ø': 'o', 'Ø': 'o',
+  'đ': 'd', 'Đ': 'd',
+  'ð': 'd', 'Ð': 'd',
+  'þ': 'th', 'Þ': 'th',
+  'ł': 'l', 'Ł': 'l',
+  'ı': 'i',
+  'ħ': 'h', 'Ħ': 'h',
+  'ŋ': 'ng', 'Ŋ': 'ng'
+};
+
+const TRANSLITERATION_PATTERN = new RegExp(`[${Object.keys(TRANSLITERATIONS).join('')}]`, 'g');
+
+/**
+ * Turn a title into a filename-safe slug, or '' when nothing usable is left
+ *
+ * @param {string} text
+ * @param {{ maxLength?: number }} [options] - Longer slugs are cut at a word boundary when possible
+ */
+export function slugify(text, options = {}) {
+  const { maxLength = DEFAULT_SLUG_MAX_LENGTH } = options;
+
+  const slug = String(text ?? '')
+    .replace(TRANSLITERATION_PATTERN, (letter) => TRANSLITERATIONS[letter])
+    // Split accented Latin letters (Ü -> U + ¨) and drop the marks; NFC afterwards keeps other scripts intact
+    .normalize('NFKD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return truncateSlug(slug, maxLength);
+}
+
+function truncateSlug(slug, maxLength) {
+  const chars = [...slug];
+  if (chars.length <= maxLength) {
+    return slug;
+  }
+
+  const cut = chars.slice(0, maxLength).join('');
+  const boundary = cut.lastIndexOf('-');
+  // Prefer a whole-word cut unless it would throw away most of the slug
+  const trimmed = boundary >= maxLength / 2 ? cut.slice(0, boundary) : cut;
+  return trimmed.replace(/-+$/, '');
+}
+
+export default {
+  DEFAULT_SLUG_MAX_LENGTH,
+  slugify
+};
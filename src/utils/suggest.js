@@ -0,0 +1,52 @@
+/**
+ * "Did you mean" suggestions for mistyped names
+ */
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = a[i - 1] === b[j - 1]
+        ? diagonal
+        : 1 + Math.min(diagonal, previous[j - 1], above);
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find the closest candidate to input, or null if nothing is close enough
+ */
+export function didYouMean(input, candidates) {
+  const needle = String(input).toLowerCase();
+  const threshold = Math.max(2, Math.floor(needle.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = candidate.toLowerCase().startsWith(needle)
+      ? 0
+      : editDistance(needle, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= threshold ? best : null;
+}
+
+export default {
+  editDistance,
+  didYouMean
+};
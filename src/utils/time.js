@@ -0,0 +1,117 @@
+/**
+ * Clock and id source shared by every service
+ * Stored timestamps (filenames, dated folders, frontmatter) are UTC; display text uses `timezone`
+ */
+import { createHash, randomUUID } from 'crypto';
+
+/**
+ * IANA name of the system timezone
+ */
+export function systemTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * True when Intl knows the timezone name
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export class Clock {
+  /**
+   * @param {Object} [options]
+   * @param {string|Date} [options.now] - Fixed instant returned by now() (COPILOT_MEMORY_NOW)
+   * @param {string} [options.seed] - Makes uuid() a reproducible sequence (COPILOT_MEMORY_SEED)
+   * @param {string} [options.timezone] - IANA timezone for display text (default: UTC)
+   */
+  constructor(options = {}) {
+    this.fixed = options.now ? new Date(options.now) : null;
+    this.seed = options.seed ?? null;
+    this.timezone = options.timezone || 'UTC';
+    this._sequence = 0;
+  }
+
+  /**
+   * Current instant, or the fixed one
+   */
+  now() {
+    return this.fixed ? new Date(this.fixed) : new Date();
+  }
+
+  /**
+   * ISO 8601 UTC timestamp, as stored in frontmatter
+   */
+  iso(date = this.now()) {
+    return date.toISOString();
+  }
+
+  /**
+   * Filename timestamp: YYYYMMDD-HHmmssZ in UTC
+   */
+  stamp(date = this.now()) {
+    const iso = date.toISOString();
+    return iso.substring(0, 10).replace(/-/g, '') + '-' +
+      iso.substring(11, 19).replace(/:/g, '') + 'Z';
+  }
+
+  /**
+   * UTC year, month and day as zero-padded strings, matching stamp()
+   */
+  dateParts(date = this.now()) {
+    const iso = date.toISOString();
+    return {
+      year: iso.substring(0, 4),
+      month: iso.substring(5, 7),
+      day: iso.substring(8, 10)
+    };
+  }
+
+  /**
+   * Human-readable time in the display timezone, e.g. "2024-01-15 15:30:00 CET"
+   */
+  format(date = this.now()) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: this.timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+        timeZoneName: 'short'
+      }).formatToParts(date).map(part => [part.type, part.value])
+    );
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second} ${parts.timeZoneName}`;
+  }
+
+  /**
+   * Random UUID, or the next UUID of the seeded sequence
+   */
+  uuid() {
+    if (this.seed === null) {
+      return randomUUID();
+    }
+
+    const bytes = createHash('sha256').update(`${this.seed}:${this._sequence++}`).digest().subarray(0, 16);
+    // Shape it as a version 4, RFC 4122 variant UUID
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+}
+
+/**
+ * Clock for code paths without a Config (real time, random ids, UTC display)
+ */
+export const systemClock = new Clock();
+
+export default Clock;
@@ -0,0 +1,136 @@
+/**
+ * Wikilinks: [[target]], [[target#heading]], [[target|label]] and [[target#heading|label]]
+ * Targets are note names without `.md` (Obsidian style); a vault-relative path is used when
+ * the name alone is not unique (every phase note is called phase.md)
+ */
+
+const WIKILINK_PATTERN = /\[\[([^\]\n]+)\]\]/g;
+
+/**
+ * Note name used as a link target: the filename without directory or `.md`
+ */
+export function linkName(path) {
+  return String(path).split(/[\\/]/).pop().replace(/\.md$/i, '');
+}
+
+/**
+ * Build a wikilink to a note
+ *
+ * @param {string} target - Note path (absolute or vault-relative) or name
+ * @param {Object} [options]
+ * @param {string} [options.heading] - Heading anchor inside the note
+ * @param {string} [options.label] - Display text
+ * @param {boolean} [options.path] - Link by vault-relative path instead of name; target must be vault-relative
+ */
+export function formatWikilink(target, options = {}) {
+  const { heading, label } = options;
+  const name = options.path
+    ? String(target).split(/[\\/]/).join('/').replace(/\.md$/i, '')
+    : linkName(target);
+
+  return `[[${name}${heading ? `#${heading}` : ''}${label && label !== name ? `|${label}` : ''}]]`;
+}
+
+/**
+ * Split a wikilink (with or without brackets) into target, heading and label
+ * Returns null for an empty target
+ */
+export function parseWikilink(text) {
+  const inner = String(text).trim().replace(/^\[\[/, '').replace(/\]\]$/, '');
+  const [reference, ...labelParts] = inner.split('|');
+  const [target, ...headingParts] = reference.split('#');
+  const heading = headingParts.join('#').trim();
+  const label = labelParts.join('|').trim();
+
+  if (!target.trim() && !heading) {
+    return null;
+  }
+
+  return {
+    raw: `[[${inner}]]`,
+    target: target.trim(),
+    heading: heading || null,
+    label: label || null
+  };
+}
+
+/**
+ * Every wikilink in a note body, in order
+ */
+export function extractWikilinks(content) {
+  const links = [];
+  for (const match of String(content ?? '').matchAll(WIKILINK_PATTERN)) {
+    const link = parseWikilink(match[0]);
+    if (link) {
+      links.push(link);
+    }
+  }
+  return links;
+}
+
+/**
+ * Find the note a wikilink points at
+ * Matches, in order of preference: vault-relative path, note name, alias, then note id.
+ * Path-like targets (including absolute paths written by older versions) fall back to their name.
+ *
+ * @param {string|Object} link - Wikilink text or a parseWikilink() result
+ * @param {Array<{ path: string, relativePath?: string, frontmatter?: Object, body?: string }>} notes
+ * @returns {{ link: Object, note: Object|null, matches: Object[], heading: boolean|null }}
+ *   note is null when nothing or more than one note matches; heading is null without an anchor
+ */
+export function resolveWikilink(link, notes) {
+  const parsed = typeof link === 'string' ? parseWikilink(link) : link;
+  // [[#heading]] links point inside the note that contains them
+  if (!parsed?.target) {
+    return { link: parsed, note: null, matches: [], heading: null };
+  }
+
+  const target = normalize(parsed.target.replace(/\.md$/i, ''));
+  const name = normalize(linkName(parsed.target));
+  const byPath = (note) => note.relativePath && normalize(note.relativePath.replace(/\.md$/i, '')) === target;
+  const byName = (note) => normalize(linkName(note.path)) === name;
+  const byAlias = (note) => [].concat(note.frontmatter?.aliases ?? [])
+    .some(alias => typeof alias === 'string' && normalize(alias) === target);
+  const byId = (note) => note.frontmatter?.id !== undefined && String(note.frontmatter.id) === parsed.target;
+
+  for (const matcher of [byPath, byName, byAlias, byId]) {
+    const matches = notes.filter(matcher);
+    if (matches.length > 0) {
+      const note = matches.length === 1 ? matches[0] : null;
+      return {
+        link: parsed,
+        note,
+        matches,
+        heading: note && parsed.heading ? hasHeading(note.body, parsed.heading) : null
+      };
+    }
+  }
+
+  return { link: parsed, note: null, matches: [], heading: null };
+}
+
+/**
+ * True when a Markdown body has a heading with this text (case and spacing ignored)
+ */
+export function hasHeading(body, heading) {
+  const wanted = normalize(heading);
+  for (const match of String(body ?? '').matchAll(/^#{1,6}\s+(.+?)\s*#*\s*$/gm)) {
+    if (normalize(match[1]) === wanted) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function normalize(text) {
+  return String(text).split('\\').join('/').replace(/^\/+/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+export default {
+  linkName,
+  formatWikilink,
+  parseWikilink,
+  extractWikilinks,
+  resolveWikilink,
+  hasHeading
+};
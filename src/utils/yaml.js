@@ -0,0 +1,845 @@
+/**
+ * Dependency-free YAML subset for note frontmatter
+ *
+ * Supports block maps and sequences, flow collections ([a, b], {a: 1}),
+ * plain, single- and double-quoted scalars, literal (|) and folded (>)
+ * block scalars, comments and CRLF line endings. Plain scalars resolve to
+ * null, booleans, numbers and Dates (ISO 8601) as in the YAML core schema.
+ * Anchors, aliases, tags and multi-document streams are not supported.
+ *
+ * Parsed maps carry their source layout under the LAYOUT symbol so that
+ * stringifyYaml() can re-emit comments, key order and the original
+ * spelling of every value that was not changed.
+ */
+import { ValidationError } from './errors.js';
+
+/**
+ * Symbol key holding the source layout of a parsed map
+ */
+export const LAYOUT = Symbol('yaml.layout');
+
+/**
+ * Malformed YAML; `line` is 1-based within the parsed file
+ */
+export class YamlError extends ValidationError {
+  constructor(message, line = null) {
+    super(line ? `${message} (line ${line})` : message, { details: { line } });
+    this.line = line;
+  }
+}
+
+const INDICATORS = /^[-?:,[\]{}#&*!|>'"%@`]/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME = /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?\s*(Z|z|[+-]\d{2}(:?\d{2})?)?$/;
+const QUOTED_KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')[ \t]*:(?=[ \t]|$)/;
+const PLAIN_KEY = /^([^\s#'"[\]{},&*!|>%@`][^#]*?)[ \t]*:(?=[ \t]|$)/;
+
+/**
+ * Parse YAML text into a plain object
+ *
+ * @param {string} text
+ * @param {{ lineOffset?: number }} [options] - Added to reported line numbers
+ * @returns {Object}
+ */
+export function parseYaml(text, options = {}) {
+  return new Parser(text, options.lineOffset || 0).parseDocument();
+}
+
+/**
+ * Serialize an object as YAML, reusing the layout of parsed maps
+ *
+ * @param {Object} value
+ * @param {{ eol?: string }} [options]
+ * @returns {string} YAML without a trailing newline
+ */
+export function stringifyYaml(value, options = {}) {
+  const eol = options.eol || value?.[LAYOUT]?.eol || '\n';
+  return emitMap(value, 0, true).join(eol);
+}
+
+/**
+ * Resolve a plain (unquoted) scalar to its typed value
+ */
+export function resolveScalar(text) {
+  if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+
+  if (/^[-+]?(0|[1-9]\d*)$/.test(text)) {
+    const number = Number(text);
+    return Number.isSafeInteger(number) ? number : text;
+  }
+  if (/^[-+]?(\d+\.\d*|\.\d+|(0|[1-9]\d*)(\.\d*)?[eE][-+]?\d+)$/.test(text) && !/^[-+]?0\d/.test(text)) {
+    return Number(text);
+  }
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+
+  if (DATE.test(text)) {
+    const date = new Date(`${text}T00:00:00Z`);
+    if (!isNaN(date)) return date;
+  }
+  if (DATETIME.test(text)) {
+    let iso = text.replace(/^(\S+)[ tT]/, '$1T').replace(/\s+(?=[Zz+-]\d*)/, '');
+    if (!/([Zz]|[+-]\d{2}(:?\d{2})?)$/.test(iso)) iso += 'Z';
+    const date = new Date(iso.replace(/([+-]\d{2})$/, '$1:00'));
+    if (!isNaN(date)) return date;
+  }
+
+  return text;
+}
+
+// ── Parser ───────────────────────────────────────────────────────────────────
+
+class Parser {
+  constructor(text, lineOffset) {
+    this.eol = text.includes('\r\n') ? '\r\n' : '\n';
+    this.lines = text.split('\n').map((raw, index) => {
+      const text = raw.endsWith('\r') ? raw.slice(0, -1) : raw;
+      const indent = text.match(/^ */)[0].length;
+      return { no: index + 1 + lineOffset, text, indent, content: text.slice(indent) };
+    });
+    this.pos = 0;
+  }
+
+  parseDocument() {
+    const first = this._peekContent(0);
+    if (first === -1) {
+      const map = {};
+      map[LAYOUT] = { entries: new Map(), trailing: this.lines.map(line => line.content).filter(Boolean), eol: this.eol };
+      return map;
+    }
+
+    const line = this.lines[first];
+    if (isSeqItem(line.content) || /^[[{]/.test(line.content)) {
+      throw new YamlError('Frontmatter must be a mapping of keys to values', line.no);
+    }
+
+    const map = this.parseMap(this.lines[first].indent, true);
+    if (this.pos < this.lines.length) {
+      throw new YamlError('Unexpected indentation', this.lines[this.pos].no);
+    }
+    map[LAYOUT].eol = this.eol;
+    return map;
+  }
+
+  parseMap(indent, isRoot = false) {
+    const map = {};
+    const layout = { entries: new Map(), trailing: [] };
+    let pending = [];
+
+    while (this.pos < this.lines.length) {
+      const line = this.lines[this.pos];
+      if (isIgnorable(line)) {
+        pending.push(line);
+        this.pos++;
+        continue;
+      }
+      if (line.indent < indent) break;
+      if (line.indent > indent) {
+        throw new YamlError('Unexpected indentation', line.no);
+      }
+      if (isSeqItem(line.content)) {
+        if (isRoot) throw new YamlError('Expected a key, found a list item', line.no);
+        break;
+      }
+
+      checkIndentation(line);
+      const { key, rest } = parseKey(line);
+      if (Object.hasOwn(map, key)) {
+        throw new YamlError(`Duplicate key '${key}'`, line.no);
+      }
+
+      const start = this.pos;
+      this.pos++;
+      const { value, inline, flow } = this.parseValue(rest, line, indent);
+      map[key] = value;
+      layout.entries.set(key, {
+        before: pending.map(item => stripIndent(item, indent)),
+        raw: this.lines.slice(start, this.pos).map(item => stripIndent(item, indent)),
+        value: cloneValue(value),
+        inline,
+        flow
+      });
+      pending = [];
+    }
+
+    if (isRoot) {
+      layout.trailing = pending.map(item => stripIndent(item, indent));
+    } else {
+      // Comments after the last key belong to whatever follows this map
+      this.pos -= pending.length;
+    }
+
+    map[LAYOUT] = layout;
+    return map;
+  }
+
+  parseSeq(indent) {
+    const items = [];
+    let pending = 0;
+
+    while (this.pos < this.lines.length) {
+      const line = this.lines[this.pos];
+      if (isIgnorable(line)) {
+        pending++;
+        this.pos++;
+        continue;
+      }
+      if (line.indent < indent || (line.indent === indent && !isSeqItem(line.content))) break;
+      if (line.indent > indent) {
+        throw new YamlError('Unexpected indentation', line.no);
+      }
+
+      checkIndentation(line);
+      pending = 0;
+      const rest = line.content.slice(1).replace(/^ +/, '');
+      const column = indent + (line.content.length - rest.length);
+
+      if (rest === '' || rest.startsWith('#')) {
+        this.pos++;
+        items.push(this.parseNested(indent));
+      } else if (isSeqItem(rest) || isKeyLine(rest)) {
+        // "- key: value" and "- - item" open a collection at the item's column
+        this.lines[this.pos] = { ...line, indent: column, content: rest };
+        items.push(isSeqItem(rest) ? this.parseSeq(column) : this.parseMap(column));
+      } else {
+        this.pos++;
+        items.push(this.parseValue(rest, line, indent).value);
+      }
+    }
+
+    this.pos -= pending;
+    return items;
+  }
+
+  /**
+   * Parse a block collection indented under the previous line, or null
+   */
+  parseNested(indent, allowSameIndentSeq = false) {
+    const next = this._peekContent(this.pos);
+    if (next === -1) return null;
+
+    const line = this.lines[next];
+    if (line.indent > indent) {
+      return isSeqItem(line.content) ? this.parseSeq(line.indent) : this.parseMap(line.indent);
+    }
+    if (allowSameIndentSeq && line.indent === indent && isSeqItem(line.content)) {
+      return this.parseSeq(indent);
+    }
+    return null;
+  }
+
+  /**
+   * Parse the value after "key:" or "- "; continuation lines must be indented past `indent`
+   */
+  parseValue(rest, line, indent) {
+    if (rest === '' || rest.startsWith('#')) {
+      const inline = rest || null;
+      return { value: this.parseNested(indent, true), inline, flow: false };
+    }
+
+    const first = rest[0];
+    if (first === '&' || first === '*') {
+      throw new YamlError('Anchors and aliases are not supported', line.no);
+    }
+    if (first === '!') {
+      throw new YamlError('Tags are not supported', line.no);
+    }
+    if (first === '@' || first === '`') {
+      throw new YamlError(`Plain values cannot start with '${first}'; quote the value`, line.no);
+    }
+    if (first === '|' || first === '>') {
+      return { value: this.parseBlockScalar(rest, line, indent), inline: null, flow: false };
+    }
+    if (first === '"' || first === "'") {
+      return { ...this.parseQuoted(rest, line, indent), flow: false };
+    }
+    if (first === '[' || first === '{') {
+      return { ...this.parseFlow(rest, line, indent), flow: true };
+    }
+
+    return { ...this.parsePlain(rest, indent), flow: false };
+  }
+
+  parsePlain(rest, indent) {
+    const { text, comment } = splitComment(rest);
+    const parts = [text];
+
+    // Plain scalars may continue on more-indented lines; blank lines become newlines
+    let blank = 0;
+    while (!comment && this.pos < this.lines.length) {
+      const line = this.lines[this.pos];
+      if (line.content === '') {
+        blank++;
+        this.pos++;
+        continue;
+      }
+      if (line.indent <= indent || line.content.startsWith('#')) break;
+      if (isKeyLine(line.content) || isSeqItem(line.content)) {
+        throw new YamlError('Unexpected indentation; a key with a value cannot have nested entries', line.no);
+      }
+      const next = splitComment(line.content);
+      parts.push(blank > 0 ? '\n'.repeat(blank) : ' ', next.text);
+      blank = 0;
+      this.pos++;
+      if (next.comment) break;
+    }
+    this.pos -= blank;
+
+    const joined = parts.join('');
+    return {
+      value: parts.length > 1 ? joined : resolveScalar(joined),
+      inline: comment
+    };
+  }
+
+  parseQuoted(rest, line, indent) {
+    const quote = rest[0];
+    const segments = [rest.slice(1)];
+    let closing = findClosingQuote(segments[0], quote);
+
+    while (closing === -1) {
+      if (this.pos >= this.lines.length) {
+        throw new YamlError(`Unterminated ${quote === '"' ? 'double' : 'single'}-quoted string`, line.no);
+      }
+      const next = this.lines[this.pos++];
+      if (next.content !== '' && next.indent <= indent) {
+        throw new YamlError(`Unterminated ${quote === '"' ? 'double' : 'single'}-quoted string`, line.no);
+      }
+      segments.push(next.content.trim());
+      closing = findClosingQuote(segments[segments.length - 1], quote);
+    }
+
+    const last = segments.length - 1;
+    const after = segments[last].slice(closing + 1);
+    segments[last] = segments[last].slice(0, closing);
+
+    const { text, comment } = splitComment(after);
+    if (text !== '') {
+      throw new YamlError(`Unexpected text after quoted string: ${text}`, this.lines[this.pos - 1].no);
+    }
+
+    const body = foldLines(segments, quote === '"');
+    return {
+      value: quote === '"' ? unescapeDouble(body, line.no) : body.replace(/''/g, "'"),
+      inline: comment
+    };
+  }
+
+  parseFlow(rest, line, indent) {
+    let source = rest;
+    while (!isFlowBalanced(source)) {
+      if (this.pos >= this.lines.length) {
+        throw new YamlError(`Unterminated flow collection '${rest[0]}'`, line.no);
+      }
+      const next = this.lines[this.pos++];
+      if (next.content !== '' && next.indent <= indent) {
+        throw new YamlError(`Unterminated flow collection '${rest[0]}'`, line.no);
+      }
+      source += ' ' + next.content.trim();
+    }
+
+    const reader = new FlowReader(source, line.no);
+    const value = reader.readNode();
+    const { text, comment } = splitComment(source.slice(reader.pos));
+    if (text !== '') {
+      throw new YamlError(`Unexpected text after flow collection: ${text}`, line.no);
+    }
+    return { value, inline: comment };
+  }
+
+  parseBlockScalar(rest, line, indent) {
+    const header = rest.match(/^([|>])([1-9])?([+-])?([1-9])?[ \t]*(#.*)?$/);
+    if (!header) {
+      throw new YamlError(`Invalid block scalar header '${rest}'`, line.no);
+    }
+    const [, style, indentA, chomp = '', indentB] = header;
+    const explicit = indentA || indentB;
+
+    const raw = [];
+    let contentIndent = explicit ? indent + Number(explicit) : null;
+    while (this.pos < this.lines.length) {
+      const next = this.lines[this.pos];
+      if (next.text.trim() === '') {
+        raw.push('');
+        this.pos++;
+        continue;
+      }
+      if (contentIndent === null) {
+        if (next.indent <= indent) break;
+        contentIndent = next.indent;
+      }
+      if (next.indent < contentIndent) break;
+      raw.push(next.text.slice(contentIndent));
+      this.pos++;
+    }
+
+    // Trailing blank lines are only content under "keep" chomping
+    let trailing = 0;
+    while (raw.length > 0 && raw[raw.length - 1] === '') {
+      raw.pop();
+      trailing++;
+    }
+    if (chomp !== '+') {
+      this.pos -= trailing;
+    }
+
+    let text = style === '|' ? raw.join('\n') : foldBlock(raw);
+    if (raw.length === 0) return '';
+    if (chomp === '+') text += '\n'.repeat(trailing + 1);
+    else if (chomp === '') text += '\n';
+    return text;
+  }
+
+  _peekContent(from) {
+    for (let i = from; i < this.lines.length; i++) {
+      if (!isIgnorable(this.lines[i])) return i;
+    }
+    return -1;
+  }
+}
+
+class FlowReader {
+  constructor(source, lineNo) {
+    this.source = source;
+    this.pos = 0;
+    this.lineNo = lineNo;
+  }
+
+  readNode() {
+    this._skipSpace();
+    const char = this.source[this.pos];
+    if (char === '[') return this._readSeq();
+    if (char === '{') return this._readMap();
+    if (char === '"' || char === "'") return this._readQuoted();
+    if (char === '&' || char === '*' || char === '!') {
+      throw new YamlError('Anchors, aliases and tags are not supported', this.lineNo);
+    }
+    return resolveScalar(this._readPlain());
+  }
+
+  _readSeq() {
+    const items = [];
+    this.pos++;
+    for (;;) {
+      this._skipSpace();
+      if (this.source[this.pos] === ']') {
+        this.pos++;
+        return items;
+      }
+      items.push(this.readNode());
+      this._expectSeparator(']');
+    }
+  }
+
+  _readMap() {
+    const map = {};
+    this.pos++;
+    for (;;) {
+      this._skipSpace();
+      if (this.source[this.pos] === '}') {
+        this.pos++;
+        return map;
+      }
+      const key = this.readNode();
+      this._skipSpace();
+      let value = null;
+      if (this.source[this.pos] === ':') {
+        this.pos++;
+        this._skipSpace();
+        if (![',', '}'].includes(this.source[this.pos])) {
+          value = this.readNode();
+        }
+      }
+      map[String(key)] = value;
+      this._expectSeparator('}');
+    }
+  }
+
+  _readQuoted() {
+    const quote = this.source[this.pos];
+    const rest = this.source.slice(this.pos + 1);
+    const closing = findClosingQuote(rest, quote);
+    if (closing === -1) {
+      throw new YamlError('Unterminated quoted string in flow collection', this.lineNo);
+    }
+    this.pos += closing + 2;
+    const body = rest.slice(0, closing);
+    return quote === '"' ? unescapeDouble(body, this.lineNo) : body.replace(/''/g, "'");
+  }
+
+  _readPlain() {
+    const start = this.pos;
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos];
+      const next = this.source[this.pos + 1];
+      if (char === ',' || char === ']' || char === '}' || char === '[' || char === '{') break;
+      if (char === ':' && (next === undefined || /[\s,\]}]/.test(next))) break;
+      if (char === '#' && /\s/.test(this.source[this.pos - 1] || '')) break;
+      this.pos++;
+    }
+    const text = this.source.slice(start, this.pos).trim();
+    if (text === '' && this.pos >= this.source.length) {
+      throw new YamlError('Unterminated flow collection', this.lineNo);
+    }
+    return text;
+  }
+
+  _expectSeparator(closing) {
+    this._skipSpace();
+    const char = this.source[this.pos];
+    if (char === ',') {
+      this.pos++;
+    } else if (char !== closing) {
+      throw new YamlError(`Expected ',' or '${closing}' in flow collection`, this.lineNo);
+    }
+  }
+
+  _skipSpace() {
+    while (/\s/.test(this.source[this.pos] || '')) this.pos++;
+  }
+}
+
+function isIgnorable(line) {
+  return line.content === '' || line.content.startsWith('#');
+}
+
+function isSeqItem(content) {
+  return content === '-' || content.startsWith('- ');
+}
+
+function isKeyLine(content) {
+  return QUOTED_KEY.test(content) || PLAIN_KEY.test(content);
+}
+
+function checkIndentation(line) {
+  if (/^ *\t/.test(line.text)) {
+    throw new YamlError('Tabs are not allowed for indentation', line.no);
+  }
+}
+
+function parseKey(line) {
+  const content = line.content;
+  const quoted = content.match(QUOTED_KEY);
+  if (quoted) {
+    const token = quoted[1];
+    const key = token[0] === '"'
+      ? unescapeDouble(token.slice(1, -1), line.no)
+      : token.slice(1, -1).replace(/''/g, "'");
+    return { key, rest: content.slice(quoted[0].length).trim() };
+  }
+
+  if (content.startsWith('? ')) {
+    throw new YamlError('Complex keys are not supported', line.no);
+  }
+  const plain = content.match(PLAIN_KEY);
+  if (!plain) {
+    throw new YamlError(`Expected 'key: value', found '${content}'`, line.no);
+  }
+  return { key: plain[1], rest: content.slice(plain[0].length).trim() };
+}
+
+/**
+ * Split a plain value from a trailing " # comment"
+ */
+function splitComment(text) {
+  const match = text.match(/(^|[ \t])#/);
+  if (!match) return { text: text.trim(), comment: null };
+  return {
+    text: text.slice(0, match.index).trim(),
+    comment: text.slice(match.index).trim()
+  };
+}
+
+function findClosingQuote(text, quote) {
+  for (let i = 0; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        i++;
+      } else {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Fold the lines of a multi-line quoted scalar: breaks become spaces, blank lines newlines
+ */
+function foldLines(segments, escapable) {
+  let result = segments[0].replace(/[ \t]+$/, '');
+  let blank = 0;
+  for (let i = 1; i < segments.length; i++) {
+    const segment = i === segments.length - 1 ? segments[i] : segments[i].replace(/[ \t]+$/, '');
+    if (segment === '' && i < segments.length - 1) {
+      blank++;
+      continue;
+    }
+    if (escapable && result.endsWith('\\') && !result.endsWith('\\\\')) {
+      result = result.slice(0, -1);
+    } else {
+      result += blank > 0 ? '\n'.repeat(blank) : ' ';
+    }
+    result += segment;
+    blank = 0;
+  }
+  return result;
+}
+
+/**
+ * Fold the lines of a ">" block scalar; more-indented lines keep their breaks
+ */
+function foldBlock(lines) {
+  let result = lines[0];
+  let blank = 0;
+
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (line === '') {
+      blank++;
+      continue;
+    }
+    const previous = lines[i - 1 - blank];
+    const literal = /^\s/.test(line) || /^\s/.test(previous);
+    result += blank > 0 ? '\n'.repeat(blank + (literal ? 1 : 0)) : (literal ? '\n' : ' ');
+    result += line;
+    blank = 0;
+  }
+
+  return result;
+}
+
+const ESCAPES = {
+  '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v', 'f': '\f',
+  'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', 'N': '\x85', '_': '\xa0',
+  'L': ' ', 'P': ' '
+};
+
+function unescapeDouble(text, lineNo) {
+  return text.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (_, code) => {
+    if (code.length > 1) {
+      return String.fromCodePoint(parseInt(code.slice(1), 16));
+    }
+    if (!(code in ESCAPES)) {
+      throw new YamlError(`Invalid escape sequence '\\${code}'`, lineNo);
+    }
+    return ESCAPES[code];
+  });
+}
+
+function isFlowBalanced(source) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (quote === '"' && char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+      if (depth === 0) return true;
+    } else if (char === '#' && depth === 0) {
+      return true;
+    }
+  }
+  return depth <= 0;
+}
+
+function stripIndent(line, indent) {
+  const spaces = Math.min(indent, line.text.match(/^ */)[0].length);
+  return line.text.slice(spaces);
+}
+
+// ── Serializer ───────────────────────────────────────────────────────────────
+
+function emitMap(map, indent, isRoot = false) {
+  const pad = ' '.repeat(indent);
+  const layout = map[LAYOUT];
+  const lines = [];
+  const reindent = (text) => (text === '' ? '' : pad + text);
+
+  for (const key of Object.keys(map)) {
+    const value = map[key];
+    if (value === undefined || typeof value === 'function' || typeof value === 'symbol') continue;
+
+    const entry = layout?.entries.get(key);
+    if (entry) {
+      lines.push(...entry.before.map(reindent));
+      if (deepEqual(entry.value, value)) {
+        lines.push(...entry.raw.map(reindent));
+        continue;
+      }
+    }
+    lines.push(...emitEntry(key, value, indent, entry));
+  }
+
+  if (isRoot && layout) {
+    lines.push(...layout.trailing.map(reindent));
+  }
+  return lines;
+}
+
+function emitEntry(key, value, indent, entry) {
+  const pad = ' '.repeat(indent);
+  const head = `${pad}${formatKey(key)}:`;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${head} []`];
+    if (entry?.flow && value.every(isScalar)) {
+      return [`${head} [${value.map(item => formatScalar(item, true)).join(', ')}]`];
+    }
+    return [head, ...emitSeq(value, indent + 2)];
+  }
+
+  if (isPlainObject(value)) {
+    if (Object.keys(value).length === 0) return [`${head} {}`];
+    return [head, ...emitMap(value, indent + 2)];
+  }
+
+  if (typeof value === 'string' && value.includes('\n')) {
+    return emitBlockScalar(head, value, indent + 2);
+  }
+
+  const inline = entry?.inline ? ` ${entry.inline}` : '';
+  return [`${head} ${formatScalar(value)}${inline}`];
+}
+
+function emitSeq(items, indent) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+
+  for (const item of items) {
+    if (Array.isArray(item)) {
+      if (item.length === 0) {
+        lines.push(`${pad}- []`);
+      } else {
+        const nested = emitSeq(item, indent + 2);
+        nested[0] = `${pad}- ${nested[0].trimStart()}`;
+        lines.push(...nested);
+      }
+    } else if (isPlainObject(item)) {
+      if (Object.keys(item).length === 0) {
+        lines.push(`${pad}- {}`);
+      } else {
+        const nested = emitMap(item, indent + 2);
+        nested[0] = `${pad}- ${nested[0].slice(indent + 2)}`;
+        lines.push(...nested);
+      }
+    } else if (typeof item === 'string' && item.includes('\n')) {
+      lines.push(...emitBlockScalar(`${pad}-`, item, indent + 2));
+    } else {
+      lines.push(`${pad}- ${formatScalar(item === undefined ? null : item)}`);
+    }
+  }
+
+  return lines;
+}
+
+function emitBlockScalar(head, value, indent) {
+  const pad = ' '.repeat(indent);
+  const trailing = value.match(/\n*$/)[0].length;
+  const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+  const body = trailing > 0 ? value.slice(0, -trailing) : value;
+  const indicator = /^[ \t]/.test(body) ? '2' : '';
+
+  const lines = [`${head} |${indicator}${chomp}`];
+  for (const line of body.split('\n')) {
+    lines.push(line === '' ? '' : pad + line);
+  }
+  for (let i = 1; i < trailing; i++) {
+    lines.push('');
+  }
+  return lines;
+}
+
+/**
+ * Format a scalar, quoting strings that would otherwise read back differently
+ */
+function formatScalar(value, inFlow = false) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (value === Infinity) return '.inf';
+    if (value === -Infinity) return '-.inf';
+    return String(value);
+  }
+  if (typeof value === 'bigint') return String(value);
+  if (value instanceof Date) return isNaN(value) ? 'null' : value.toISOString();
+
+  const text = String(value);
+  if (!needsQuotes(text, inFlow)) return text;
+  if (/[\x00-\x08\x0b-\x1f\x7f\n\r\t\\]/.test(text)) {
+    return JSON.stringify(text);
+  }
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+function needsQuotes(text, inFlow) {
+  return text === '' ||
+    text !== text.trim() ||
+    resolveScalar(text) !== text ||
+    INDICATORS.test(text) ||
+    /: |:$| #|\t|[\x00-\x1f\x7f]/.test(text) ||
+    (inFlow && /[,[\]{}]/.test(text));
+}
+
+function formatKey(key) {
+  if (/^[A-Za-z0-9_$][\w$./ -]*$/.test(key) && !key.endsWith(' ') && !/: /.test(key)) {
+    return key;
+  }
+  return formatScalar(key).startsWith('"') ? JSON.stringify(key) : `'${key.replace(/'/g, "''")}'`;
+}
+
+function isScalar(value) {
+  return !Array.isArray(value) && !isPlainObject(value) && !(typeof value === 'string' && value.includes('\n'));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.keys(value).map(key => [key, cloneValue(value[key])]));
+  }
+  return value;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a === 'number' && typeof b === 'number') return Number.isNaN(a) && Number.isNaN(b);
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a).filter(key => a[key] !== undefined);
+    const otherKeys = Object.keys(b).filter(key => b[key] !== undefined);
+    return keys.length === otherKeys.length && keys.every(key => deepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+export default {
+  LAYOUT,
+  YamlError,
+  parseYaml,
+  stringifyYaml,
+  resolveScalar
+};
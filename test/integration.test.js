@@ -1,19 +1,42 @@
 import { test, describe, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { rm, mkdir, readFile, access, readdir } from 'fs/promises';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { Config } from '../src/config.js';
+import fsPromises, { rm, mkdir, readFile, writeFile, access, readdir, mkdtemp, rename } from 'fs/promises';
+import { join, dirname, basename, relative } from 'path';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { spawn, spawnSync } from 'child_process';
+import { request as httpRequest } from 'http';
+import { syncBuiltinESMExports } from 'module';
+import { Config, validateConfigValue } from '../src/config.js';
 import { FilesystemAdapter } from '../src/adapters/filesystem.js';
+import { NotesMDAdapter } from '../src/adapters/notesmd.js';
+import { InMemoryAdapter } from '../src/adapters/memory.js';
+import { createAdapter } from '../src/adapters/index.js';
+import { describeAdapterConformance } from '../src/adapters/conformance.js';
+import { writeFileAtomic } from '../src/utils/atomic.js';
+import { parseFrontmatter, serializeFrontmatter, createFrontmatter } from '../src/utils/frontmatter.js';
+import { YamlError } from '../src/utils/yaml.js';
+import { validateNote } from '../src/utils/schema.js';
+import { slugify } from '../src/utils/slug.js';
+import { formatWikilink, parseWikilink, extractWikilinks, resolveWikilink } from '../src/utils/wikilink.js';
 import { VaultService } from '../src/services/vault.js';
 import { IndexService } from '../src/services/index.js';
 import { DoctorService } from '../src/services/doctor.js';
 import { PruneService } from '../src/services/prune.js';
 import { TrackerService } from '../src/services/tracker.js';
+import { MigrationService, FORMAT_VERSION, readManifest } from '../src/services/migrate.js';
 import { initCommand } from '../src/commands/init.js';
 import { phaseCommand } from '../src/commands/phase.js';
 import { vaultCommand } from '../src/commands/memory.js';
 import { handoffCommand, continuousResumeCommand } from '../src/commands/handoff.js';
+import { printResult, formatText } from '../src/commands/output.js';
+import { parseCommandLine, toArgKey } from '../src/commands/parser.js';
+import { COMMANDS } from '../src/commands/registry.js';
+import { createMemory } from '../src/index.js';
+import { McpServer, RPC_ERRORS, TOOLS } from '../src/server/mcp.js';
+import { startHttpServer } from '../src/server/http.js';
+import { ERROR_CODES, EXIT_CODES, NotFoundError, ValidationError, toErrorResult } from '../src/utils/errors.js';
 
 const TEST_VAULT = join(process.cwd(), 'test-vault');
 
@@ -52,6 +75,1165 @@ describe('Filename Convention', () => {
     
     assert.strictEqual(filename, '20240115-143000Z--handoff--session--test-handoff-complete.md');
   });
+
+  test('should round-trip the collision suffix', () => {
+    const date = new Date('2024-01-15T14:30:00.000Z');
+    const filename = config.generateFilename('handoff', 'session-123', 'Sprint 2', date, 3);
+    assert.strictEqual(filename, '20240115-143000Z--handoff--session-123--sprint-2--3.md');
+
+    const parsed = config.parseFilename(filename);
+    assert.strictEqual(parsed.slug, 'sprint-2');
+    assert.strictEqual(parsed.counter, 3);
+    assert.strictEqual(config.parseFilename('20240115-143000Z--handoff--s--sprint-2.md').counter, null);
+  });
+});
+
+describe('Slugs', () => {
+  test('transliterates Latin and keeps other scripts', () => {
+    assert.strictEqual(slugify('Über-Refactor'), 'uber-refactor');
+    assert.strictEqual(slugify('Straße: Œuvre & Smørrebrød'), 'strasse-oeuvre-smorrebrod');
+    assert.strictEqual(slugify('認証の調査'), '認証の調査');
+    assert.strictEqual(slugify('Ｆｕｌｌ width ガイド'), 'full-width-ガイド');
+    assert.strictEqual(slugify('🚀 🔥'), '');
+  });
+
+  test('cuts long slugs at a word boundary', () => {
+    assert.strictEqual(slugify('alpha beta gamma delta', { maxLength: 14 }), 'alpha-beta');
+    assert.strictEqual(slugify('supercalifragilistic', { maxLength: 8 }), 'supercal');
+  });
+
+  test('stores the slug in frontmatter and falls back to a short id', async () => {
+    const memory = await createMemory({ vaultPath: TEST_VAULT, adapter: 'memory', env: { COPILOT_MEMORY_SEED: 'slugs' } });
+
+    const unicode = await memory.handoff({ title: '認証の調査', content: 'Body' });
+    const note = await memory.adapter.readNote(unicode.note.path);
+    assert.strictEqual(note.frontmatter.slug, '認証の調査');
+    assert.strictEqual(memory.config.parseFilename(basename(unicode.note.path)).slug, '認証の調査');
+
+    const emoji = await memory.handoff({ title: '🚀', content: 'Body' });
+    const { slug } = (await memory.adapter.readNote(emoji.note.path)).frontmatter;
+    assert.match(slug, /^[0-9a-f]{8}$/);
+    assert.ok(basename(emoji.note.path).endsWith(`--${slug}.md`));
+  });
+});
+
+describe('Vault Layout', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'copilot-memory-layout-'));
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test('round-trips filenames in the configured token order', () => {
+    const config = new Config({ vaultPath: root, filenamePattern: '{type}_{slug}_{scope}_{timestamp}' });
+    const date = new Date('2024-01-15T14:30:00.000Z');
+
+    const filename = config.generateFilename('handoff', 'session-1', 'Auth Done', date, 2);
+    assert.strictEqual(filename, 'handoff_auth-done_session-1_20240115-143000Z--2.md');
+
+    const parsed = config.parseFilename(filename);
+    assert.deepStrictEqual(
+      [parsed.type, parsed.slug, parsed.scope, parsed.timestamp, parsed.counter],
+      ['handoff', 'auth-done', 'session-1', '20240115-143000Z', 2]
+    );
+    assert.strictEqual(config.parseFilename('20240115-143000Z--handoff--session-1--auth-done.md'), null);
+  });
+
+  test('rejects patterns and folder maps that cannot be used', () => {
+    assert.match(validateConfigValue('filenamePattern', '{timestamp}--{slug}'), /must contain \{type\} exactly once/);
+    assert.match(validateConfigValue('filenamePattern', '{timestamp}{type}--{scope}--{slug}'), /must be separated/);
+    assert.match(validateConfigValue('filenamePattern', '{timestamp}--{kind}--{scope}--{slug}'), /Unknown filenamePattern token \{kind\}/);
+    assert.match(validateConfigValue('folders', { handoffs: '../outside' }), /inside the vault/);
+    assert.match(validateConfigValue('folders', { sessions: 'handoffs' }), /'handoffs' is used more than once/);
+    assert.match(validateConfigValue('datedPath', 'week'), /one of: year, month, day, none/);
+    assert.strictEqual(validateConfigValue('folders', { handoffs: 'Memory/Handoffs' }), null);
+  });
+
+  test('services write and find notes in mapped, day-dated folders', async () => {
+    const memory = await createMemory({
+      vaultPath: root,
+      adapter: 'fs',
+      folders: { handoffs: 'Memory/Handoffs', indexes: '_meta' },
+      datedPath: 'day',
+      filenamePattern: '{timestamp}__{type}__{scope}__{slug}'
+    });
+
+    const { note: handoff } = await memory.handoff({ title: 'Layout Test', content: 'Done' });
+    const now = new Date();
+    const day = [
+      now.getFullYear().toString(),
+      (now.getMonth() + 1).toString().padStart(2, '0'),
+      now.getDate().toString().padStart(2, '0')
+    ];
+    assert.strictEqual(dirname(handoff.path), join(root, 'Memory', 'Handoffs', ...day));
+    assert.match(basename(handoff.path), /__handoff__/);
+    assert.ok(await access(join(root, '_meta', 'latest-handoff.md')).then(() => true));
+
+    const resumed = await memory.resume();
+    assert.strictEqual(resumed.handoff.path, handoff.path);
+    assert.deepStrictEqual(await memory.services.vault.listHandoffs(), [handoff.path]);
+
+    await memory.vault.index();
+    const doctor = await memory.vault.doctor();
+    assert.strictEqual(doctor.diagnostics.healthy, true);
+    assert.ok(doctor.diagnostics.folders.present.includes('Memory/Handoffs'));
+  });
+});
+
+describe('Clock and Timezones', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'copilot-memory-clock-'));
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test('dated folders use the same UTC date as the filename', () => {
+    const previousTz = process.env.TZ;
+    process.env.TZ = 'Pacific/Auckland';
+    try {
+      const config = new Config({ vaultPath: root, env: {} });
+      const date = new Date('2024-01-31T23:30:00.000Z');
+
+      assert.strictEqual(config.getDatedPath('handoffs', date), join(root, 'handoffs', '2024', '01'));
+      assert.match(config.generateFilename('handoff', 'session', 'late', date), /^20240131-233000Z--/);
+    } finally {
+      if (previousTz === undefined) delete process.env.TZ;
+      else process.env.TZ = previousTz;
+    }
+  });
+
+  test('COPILOT_MEMORY_NOW and COPILOT_MEMORY_SEED make runs reproducible', async () => {
+    const env = {
+      COPILOT_MEMORY_NOW: '2024-01-15T08:00:00Z',
+      COPILOT_MEMORY_SEED: 'fixture',
+      COPILOT_MEMORY_TIMEZONE: 'America/New_York'
+    };
+    const run = async (vaultPath) => {
+      const memory = await createMemory({ config: new Config({ vaultPath, adapter: 'fs', cwd: root, env, homeDir: root }) });
+      const { note } = await memory.handoff({ title: 'Fixture', content: 'Body' });
+      await memory.vault.index();
+      return { memory, note: await memory.adapter.readNote(note.path) };
+    };
+
+    const first = await run(join(root, 'a'));
+    const second = await run(join(root, 'b'));
+
+    assert.strictEqual(first.note.frontmatter.id, second.note.frontmatter.id);
+    assert.strictEqual(first.note.frontmatter.session_id, second.note.frontmatter.session_id);
+    assert.strictEqual(new Date(first.note.frontmatter.created_at).toISOString(), '2024-01-15T08:00:00.000Z');
+    assert.strictEqual(
+      relative(join(root, 'a'), first.note.path),
+      relative(join(root, 'b'), second.note.path)
+    );
+    assert.match(basename(first.note.path), /^20240115-080000Z--handoff--/);
+
+    const catalog = await readFile(join(root, 'a', 'indexes', 'catalog.md'), 'utf-8');
+    assert.match(catalog, /Generated: 2024-01-15 03:00:00 EST/);
+    assert.match(catalog, /--fixture\]\] - 2024-01-15 03:00:00 EST/);
+  });
+
+  test('rejects unknown timezones and unparseable clock values', () => {
+    const config = new Config({
+      vaultPath: root,
+      cwd: root,
+      homeDir: root,
+      env: { COPILOT_MEMORY_NOW: 'yesterday', COPILOT_MEMORY_TIMEZONE: 'Mars/Olympus' }
+    });
+    assert.deepStrictEqual(config.explain('timezone')[0].error, "Unknown timezone 'Mars/Olympus' (use an IANA name such as Europe/Berlin)");
+    assert.match(config.explain('now')[0].error, /now must be an ISO 8601 date/);
+    assert.strictEqual(config.now, null);
+    assert.deepStrictEqual(config.issues.map(({ layer, key }) => ({ layer, key })), [
+      { layer: 'env', key: 'timezone' },
+      { layer: 'env', key: 'now' }
+    ]);
+    assert.match(config.issues[1].message, /in COPILOT_MEMORY_NOW$/);
+  });
+
+  test('commands refuse to run with invalid clock environment variables', async () => {
+    const memory = await createMemory({
+      vaultPath: join(root, 'vault'),
+      adapter: 'fs',
+      cwd: root,
+      homeDir: root,
+      env: { COPILOT_MEMORY_NOW: 'garbage', COPILOT_MEMORY_TIMEZONE: 'Mars/Base' }
+    });
+
+    const result = await memory.handoff({ title: 'Never written' });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.code, ERROR_CODES.VALIDATION);
+    assert.match(result.message, /Unknown timezone 'Mars\/Base'.* in COPILOT_MEMORY_TIMEZONE/);
+    assert.strictEqual(existsSync(join(root, 'vault')), false);
+
+    const list = await memory.settings.list();
+    assert.strictEqual(list.success, true);
+  });
+});
+
+describe('Portable Paths', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'copilot-memory-paths-'));
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  const open = (vaultPath) => createMemory({
+    config: new Config({ vaultPath, adapter: 'fs', cwd: root, homeDir: root, env: {} })
+  });
+
+  // Simulate notes written with absolute paths, then the vault being moved
+  const writeAbsolutePaths = async (vaultPath) => {
+    const memory = await open(vaultPath);
+    const first = await memory.handoff({ title: 'First', content: 'First body' });
+    const second = await memory.handoff({ title: 'Second', content: 'Second body' });
+    const latest = join(vaultPath, 'indexes', 'latest-handoff.md');
+
+    const index = await memory.adapter.readNote(latest);
+    await memory.adapter.updateNote(latest, { ...index.frontmatter, handoff_path: second.note.path }, index.body);
+    const note = await memory.adapter.readNote(second.note.path);
+    await memory.adapter.updateNote(second.note.path, { ...note.frontmatter, links: [first.note.path] }, note.body);
+    await new TrackerService(memory.config).saveState({ latest_handoff_path: second.note.path });
+
+    return { first: relative(vaultPath, first.note.path), second: relative(vaultPath, second.note.path) };
+  };
+
+  test('resolveVaultPath accepts relative paths and re-roots stale absolute ones', async () => {
+    const config = new Config({ vaultPath: join(root, 'vault'), cwd: root, homeDir: root, env: {} });
+    const note = join(root, 'vault', 'handoffs', '2024', '01', 'a.md');
+    await mkdir(dirname(note), { recursive: true });
+    await writeFile(note, '');
+
+    assert.strictEqual(config.resolveVaultPath('handoffs/2024/01/a.md'), note);
+    assert.strictEqual(config.resolveVaultPath(join(root, 'old', 'handoffs', '2024', '01', 'a.md')), note);
+    assert.strictEqual(config.resolveVaultPath('/elsewhere/notes/b.md'), '/elsewhere/notes/b.md');
+  });
+
+  test('a moved vault still resumes and doctor --fix makes stored paths relative', async () => {
+    const paths = await writeAbsolutePaths(join(root, 'old'));
+    await rename(join(root, 'old'), join(root, 'new'));
+
+    const memory = await open(join(root, 'new'));
+    const diagnosis = await memory.vault.doctor();
+    assert.strictEqual(diagnosis.diagnostics.paths.healthy, false);
+    assert.deepStrictEqual(
+      diagnosis.diagnostics.paths.absolute.map(entry => entry.field).sort(),
+      ['handoff_path', 'latest_handoff_path', 'links']
+    );
+    assert.ok(formatText(diagnosis).some(line => line.includes('absolute handoff_path')));
+
+    const resumed = await memory.resume({});
+    assert.strictEqual(resumed.success, true);
+    assert.strictEqual(resumed.handoff.path, join(root, 'new', paths.second));
+
+    const fixed = await memory.vault.doctor({ fix: true });
+    assert.ok(fixed.fixed.fixed.some(message => message.startsWith('Made stored paths vault-relative')));
+
+    const after = await memory.vault.doctor();
+    assert.strictEqual(after.diagnostics.paths.healthy, true);
+    const second = await memory.adapter.readNote(join(root, 'new', paths.second));
+    assert.deepStrictEqual(second.frontmatter.links, [paths.first.split('\\').join('/')]);
+    const state = await new TrackerService(memory.config).getState();
+    assert.strictEqual(state.latest_handoff_path, paths.second.split('\\').join('/'));
+  });
+
+  test('migrate re-roots absolute paths from an earlier vault location', async () => {
+    const vaultPath = join(root, 'vault');
+    const stale = join(root, 'old-home', 'vault', 'handoffs', '20240115-143000Z--handoff--s1--first.md');
+    await mkdir(join(vaultPath, 'handoffs'), { recursive: true });
+    await writeFile(join(vaultPath, 'handoffs', basename(stale)), '---\nid: h1\ntype: handoff\ncreated: 2024-01-15T14:30:00.000Z\nupdated: 2024-01-15T14:30:00.000Z\nsession: s1\nstatus: active\ntags: []\nlinks: []\ntitle: First\n---\n\nFirst body');
+    await writeFile(join(vaultPath, 'handoffs', '20240115-150000Z--handoff--s1--second.md'), `---\nid: h2\ntype: handoff\ncreated: 2024-01-15T15:00:00.000Z\nupdated: 2024-01-15T15:00:00.000Z\nsession: s1\nstatus: active\ntags: []\nlinks:\n  - ${stale}\ntitle: Second\n---\n\nSecond body`);
+
+    const memory = await open(vaultPath);
+    const result = await memory.vault.migrate();
+    assert.strictEqual(result.success, true);
+
+    const second = await memory.adapter.readNote(join(vaultPath, 'handoffs', '2024', '01', '20240115-150000Z--handoff--s1--second.md'));
+    assert.deepStrictEqual(second.frontmatter.links, ['handoffs/2024/01/20240115-143000Z--handoff--s1--first.md']);
+  });
+});
+
+describe('Wikilinks', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'copilot-memory-links-'));
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test('formats and parses targets, headings and labels', () => {
+    assert.strictEqual(formatWikilink('/vault/handoffs/2024/01/a--b.md'), '[[a--b]]');
+    assert.strictEqual(formatWikilink('phases/p1/phase.md', { path: true, label: 'Auth', heading: 'Goal' }), '[[phases/p1/phase#Goal|Auth]]');
+    assert.deepStrictEqual(parseWikilink('[[phases/p1/phase#Goal|Auth]]'), {
+      raw: '[[phases/p1/phase#Goal|Auth]]',
+      target: 'phases/p1/phase',
+      heading: 'Goal',
+      label: 'Auth'
+    });
+    assert.deepStrictEqual(
+      extractWikilinks('See [[a]] and [[#Notes]].').map(link => [link.target, link.heading]),
+      [['a', null], ['', 'Notes']]
+    );
+  });
+
+  test('resolves by path, name, alias and id and reports ambiguity', () => {
+    const notes = [
+      { path: '/v/phases/p1/phase.md', relativePath: 'phases/p1/phase.md', frontmatter: { id: 'p1' }, body: '# Auth\n\n## Goal\n' },
+      { path: '/v/phases/p2/phase.md', relativePath: 'phases/p2/phase.md', frontmatter: { id: 'p2', aliases: ['Billing'] }, body: '' }
+    ];
+
+    assert.strictEqual(resolveWikilink('[[phases/p1/phase#goal]]', notes).note, notes[0]);
+    assert.strictEqual(resolveWikilink('[[phases/p1/phase#goal]]', notes).heading, true);
+    assert.strictEqual(resolveWikilink('[[phases/p1/phase#Risks]]', notes).heading, false);
+    assert.strictEqual(resolveWikilink('[[billing|the billing phase]]', notes).note, notes[1]);
+    assert.strictEqual(resolveWikilink('[[p2]]', notes).note, notes[1]);
+    assert.strictEqual(resolveWikilink('[[/old/vault/phases/p2/phase.md]]', notes).matches.length, 2);
+    assert.strictEqual(resolveWikilink('[[phase]]', notes).note, null);
+    assert.strictEqual(resolveWikilink('[[missing]]', notes).matches.length, 0);
+  });
+
+  test('links written by handoff, resume and indexes resolve, and doctor flags broken ones', async () => {
+    const memory = await createMemory({ config: new Config({ vaultPath: root, adapter: 'fs', cwd: root, homeDir: root, env: {} }) });
+    const phase = await memory.phase.create({ title: 'Auth Phase' });
+    const first = await memory.handoff({ title: 'First' });
+    await memory.handoff({ title: 'Second' });
+    const resumed = await memory.resume({});
+    await memory.vault.index();
+
+    const session = await memory.adapter.readNote(resumed.session.path);
+    assert.ok(!session.body.includes(`[[${root}`));
+    const catalog = await readFile(join(root, 'indexes', 'catalog.md'), 'utf-8');
+    assert.ok(!catalog.includes('.md]]'));
+    assert.ok(catalog.includes(`[[phases/${phase.phase.id}/phase|Auth Phase]]`));
+
+    const { note } = await memory.services.vault.resolveLink(`[[${basename(first.note.path, '.md')}]]`);
+    assert.strictEqual(note.path, first.note.path);
+    assert.strictEqual((await memory.vault.doctor()).diagnostics.links.healthy, true);
+
+    await writeFile(join(root, 'sessions', 'notes.md'), '---\nid: n1\ntype: session\n---\n\nSee [[nowhere]] and [[#Missing]].');
+    const { links } = (await memory.vault.doctor()).diagnostics;
+    assert.deepStrictEqual(links.broken.map(entry => [entry.link, entry.reason]), [
+      ['[[nowhere]]', 'no such note'],
+      ['[[#Missing]]', 'missing heading']
+    ]);
+    await assert.rejects(() => memory.services.vault.resolveLink('[[nowhere]]'), NotFoundError);
+  });
+});
+
+describe('Note Lookup', () => {
+  let root, memory;
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'copilot-memory-lookup-'));
+    memory = await createMemory({ config: new Config({ vaultPath: root, adapter: 'fs', cwd: root, homeDir: root, env: {} }) });
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test('finds notes by id, prefix, alias, slug and title', async () => {
+    const lookup = memory.services.vault.lookup;
+    const first = await memory.handoff({ title: 'Sprint Complete', aliases: ['Sprint 12'] });
+    const second = await memory.handoff({ title: 'Auth Refactor' });
+    const firstId = first.note.id;
+
+    const find = async (ref) => (await lookup.findNote(ref, { type: 'handoff' })).frontmatter.id;
+    assert.strictEqual(await find(firstId), firstId);
+    assert.strictEqual(await find(firstId.slice(0, 8)), firstId);
+    assert.strictEqual(await find('sprint 12'), firstId);
+    assert.strictEqual(await find('sprint-complete'), firstId);
+    assert.strictEqual(await find('Auth refactor!'), second.note.id);
+    assert.strictEqual(await find('refactor'), second.note.id);
+    assert.strictEqual(await find(relative(root, first.note.path)), firstId);
+    assert.strictEqual(await find(`[[${basename(first.note.path, '.md')}]]`), firstId);
+
+    const frontmatter = await memory.adapter.readNote(first.note.path);
+    assert.deepStrictEqual(frontmatter.frontmatter.aliases, ['Sprint 12']);
+  });
+
+  test('reports ambiguous and unknown references', async () => {
+    const lookup = memory.services.vault.lookup;
+    await memory.handoff({ title: 'Deploy API' });
+    await memory.handoff({ title: 'Deploy Web' });
+
+    await assert.rejects(() => lookup.findNote('deploy', { type: 'handoff' }), (error) => {
+      assert.ok(error instanceof ValidationError);
+      assert.match(error.message, /'deploy' matches 2 handoffs by partial title/);
+      assert.strictEqual(error.hints.length, 3);
+      return true;
+    });
+    await assert.rejects(() => lookup.findNote('Deploy Wbe', { type: 'handoff' }), (error) => {
+      assert.ok(error instanceof NotFoundError);
+      assert.deepStrictEqual(error.hints, ["Did you mean 'Deploy Web'?"]);
+      return true;
+    });
+  });
+
+  test('--phase and resume --from accept references', async () => {
+    const auth = await memory.phase.create({ title: 'Authentication', aliases: ['auth'] });
+    const billing = await memory.phase.create({ title: 'Billing' });
+    const authId = auth.phase.id;
+
+    const research = await memory.phase.research({ phase: 'auth', title: 'OAuth' });
+    assert.strictEqual(research.note.phaseId, authId);
+
+    const handoff = await memory.handoff({ title: 'Invoices', phase: billing.phase.id.slice(0, 6) });
+    assert.strictEqual((await memory.adapter.readNote(handoff.note.path)).frontmatter.phase_id, billing.phase.id);
+
+    const tracked = await memory.vault.tracker({ phase: 'authentication' });
+    assert.strictEqual(tracked.tracker.active_phase_id, authId);
+
+    const unknown = await memory.phase.research({ phase: 'payments', title: 'Nope' });
+    assert.strictEqual(unknown.success, false);
+    assert.strictEqual(unknown.code, ERROR_CODES.NOT_FOUND);
+
+    await memory.handoff({ title: 'Later Work' });
+    const resumed = await memory.resume({ from: 'invoices' });
+    assert.strictEqual(resumed.success, true);
+    assert.strictEqual(resumed.handoff.id, handoff.note.id);
+    assert.strictEqual(resumed.message, 'Resumed from handoff Invoices');
+  });
+});
+
+describe('Note Show', () => {
+  let root, memory;
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'copilot-memory-show-'));
+    memory = await createMemory({ config: new Config({ vaultPath: root, adapter: 'fs', cwd: root, homeDir: root, env: {} }) });
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test('prints the whole note, the body, the frontmatter or chosen fields', async () => {
+    const { note } = await memory.handoff({ title: 'Sprint Complete', content: '## Done\n\nAuth', aliases: ['sprint-12'], tags: ['auth'] });
+    const path = relative(root, note.path);
+
+    const full = await memory.note.show({ ref: note.id.slice(0, 8) });
+    assert.strictEqual(full.message, path);
+    assert.strictEqual(full.output, await readFile(note.path, 'utf-8'));
+    assert.deepStrictEqual(formatText(full), [full.output.replace(/\n+$/, '')]);
+
+    const body = await memory.note.show({ ref: 'sprint-12', body: true });
+    assert.strictEqual(body.output, '## Done\n\nAuth');
+    assert.strictEqual(body.notes[0].frontmatter, undefined);
+
+    const frontmatter = await memory.note.show({ ref: path, frontmatter: true });
+    assert.match(frontmatter.output, /^id: /);
+    assert.ok(!frontmatter.output.includes('## Done'));
+
+    const status = await memory.note.show({ ref: `[[${basename(note.path, '.md')}]]`, field: ['status'] });
+    assert.strictEqual(status.output, 'active');
+    const fields = await memory.note.show({ ref: 'Sprint Complete', field: ['status', 'tags', 'missing'] });
+    assert.strictEqual(fields.output, 'status: active\ntags: ["handoff","auth"]\nmissing: ');
+    assert.deepStrictEqual(fields.notes[0].fields, { status: 'active', tags: ['handoff', 'auth'], missing: null });
+
+    const combined = await memory.note.show({ ref: note.id, body: true, frontmatter: true });
+    assert.strictEqual(combined.success, false);
+    assert.strictEqual(combined.code, ERROR_CODES.VALIDATION);
+  });
+
+  test('--follow walks previous_handoff and reports a broken chain', async () => {
+    const first = await memory.handoff({ title: 'First', content: 'one' });
+    const second = await memory.handoff({ title: 'Second', content: 'two' });
+    const third = await memory.handoff({ title: 'Third', content: 'three' });
+
+    const shown = await memory.note.show({ ref: third.note.id, follow: 5, body: true });
+    assert.deepStrictEqual(shown.notes.map(entry => entry.id), [third.note.id, second.note.id, first.note.id]);
+    assert.match(shown.output, /^==> handoffs\/.*third\.md <==\n/);
+    assert.strictEqual(shown.hints, undefined);
+
+    const limited = await memory.note.show({ ref: third.note.id, follow: 1 });
+    assert.strictEqual(limited.notes.length, 2);
+
+    await memory.adapter.deleteNote(second.note.path);
+    const broken = await memory.note.show({ ref: third.note.id, follow: 2 });
+    assert.strictEqual(broken.notes.length, 1);
+    assert.deepStrictEqual(broken.hints, [`Previous handoff ${second.note.id} of ${relative(root, third.note.path)} was not found`]);
+  });
+
+  test('reads notes through the configured adapter', async () => {
+    const inMemory = await createMemory({ config: new Config({ vaultPath: join(root, 'none'), adapter: 'memory', cwd: root, homeDir: root, env: {} }) });
+    const { note } = await inMemory.handoff({ title: 'Kept In Memory', content: 'body' });
+
+    const shown = await inMemory.note.show({ ref: 'kept in memory', body: true });
+    assert.strictEqual(shown.output, 'body');
+    assert.strictEqual(shown.notes[0].id, note.id);
+    assert.strictEqual(existsSync(note.path), false);
+  });
+});
+
+describe('Note Update and Edit', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'copilot-memory-update-'));
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  const open = (env = {}) => createMemory({
+    config: new Config({ vaultPath: join(root, 'vault'), adapter: 'fs', cwd: root, homeDir: root, env: { COPILOT_MEMORY_NOW: '2024-01-15T08:00:00Z', ...env } })
+  });
+
+  test('update changes status, tags, fields and body and bumps updated_at', async () => {
+    const memory = await open();
+    await memory.phase.create({ title: 'Auth', id: 'auth' });
+    const research = await memory.phase.research({ phase: 'auth', title: 'OAuth2 Patterns', content: 'Findings', tags: ['draft'] });
+
+    const later = await open({ COPILOT_MEMORY_NOW: '2024-02-01T09:00:00Z' });
+    const result = await later.note.update({
+      ref: 'oauth2 patterns',
+      status: 'completed',
+      addTag: ['security'],
+      removeTag: ['draft', 'absent'],
+      set: ['reviewer=sam', 'aliases=[oauth, sso]'],
+      append: '- Follow-up: rotate keys'
+    });
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.changes, [
+      'status: active -> completed',
+      'added tag security',
+      'removed tag draft',
+      'set reviewer',
+      'set aliases',
+      'appended to body'
+    ]);
+
+    const note = await later.adapter.readNote(research.note.path);
+    assert.strictEqual(note.frontmatter.status, 'completed');
+    assert.deepStrictEqual(note.frontmatter.tags, ['research', 'phase', 'security']);
+    assert.strictEqual(note.frontmatter.reviewer, 'sam');
+    assert.deepStrictEqual(note.frontmatter.aliases, ['oauth', 'sso']);
+    assert.strictEqual(new Date(note.frontmatter.updated_at).toISOString(), '2024-02-01T09:00:00.000Z');
+    assert.strictEqual(new Date(note.frontmatter.created_at).toISOString(), '2024-01-15T08:00:00.000Z');
+    assert.ok(note.body.endsWith('Findings\n\n- Follow-up: rotate keys'));
+
+    const unchanged = await later.note.update({ ref: 'oauth' });
+    assert.deepStrictEqual(unchanged.changes, []);
+  });
+
+  test('update rejects invalid statuses and protected fields without writing', async () => {
+    const memory = await open();
+    const { note } = await memory.handoff({ title: 'Typo Hadnoff' });
+    const before = await readFile(note.path, 'utf-8');
+
+    const invalid = await memory.note.update({ ref: note.id, status: 'finished' });
+    assert.strictEqual(invalid.success, false);
+    assert.strictEqual(invalid.code, ERROR_CODES.VALIDATION);
+    const protectedField = await memory.note.update({ ref: note.id, set: ['id=other'] });
+    assert.match(protectedField.message, /id cannot be changed/);
+    assert.strictEqual(await readFile(note.path, 'utf-8'), before);
+
+    const { args } = parseCommandLine(['note', 'update', note.id, '--set', 'title=Typo, Fixed', '--set', 'owner=sam']);
+    assert.deepStrictEqual(args.set, ['title=Typo, Fixed', 'owner=sam']);
+  });
+
+  test('updates refresh the phase summary and latest-handoff indexes', async () => {
+    const memory = await open();
+    await memory.phase.create({ title: 'Billing', id: 'billing' });
+    const { note } = await memory.handoff({ title: 'Latest' });
+
+    const phase = await memory.note.update({ ref: 'billing', status: 'active' });
+    assert.deepStrictEqual(phase.indexes, ['catalog.md', 'phase-summary.md']);
+    const summary = await readFile(join(root, 'vault', 'indexes', 'phase-summary.md'), 'utf-8');
+    assert.match(summary, /## Active\n\n### Billing/);
+
+    const handoff = await memory.note.update({ ref: note.id, set: ['title=Latest Work'] });
+    assert.deepStrictEqual(handoff.indexes, ['latest-handoff.md']);
+  });
+
+  test('edit saves valid changes from $EDITOR and keeps rejected edits', async () => {
+    const script = join(root, 'editor.mjs');
+    await writeFile(script, "import { readFileSync, writeFileSync } from 'fs';\nconst file = process.argv[2];\nwriteFileSync(file, readFileSync(file, 'utf-8').replace(process.env.FIND, process.env.REPLACE));\n");
+    const editor = `"${process.execPath}" "${script}"`;
+
+    const memory = await open();
+    const { note } = await memory.handoff({ title: 'Typo Hadnoff' });
+
+    const fixed = await (await open({ EDITOR: editor, FIND: 'title: Typo Hadnoff', REPLACE: 'title: Typo Handoff' })).note.edit({ ref: note.id });
+    assert.strictEqual(fixed.success, true);
+    assert.deepStrictEqual(fixed.indexes, ['latest-handoff.md']);
+    assert.strictEqual((await memory.adapter.readNote(note.path)).frontmatter.title, 'Typo Handoff');
+
+    const same = await (await open({ EDITOR: editor, FIND: 'nothing-to-find', REPLACE: '' })).note.edit({ ref: note.id });
+    assert.strictEqual(same.message, `No changes to ${relative(join(root, 'vault'), note.path)}`);
+
+    const before = await readFile(note.path, 'utf-8');
+    const rejected = await (await open({ EDITOR: editor, FIND: 'status: active', REPLACE: 'status: finished' })).note.edit({ ref: note.id });
+    assert.strictEqual(rejected.success, false);
+    assert.strictEqual(await readFile(note.path, 'utf-8'), before);
+    const kept = rejected.hints.at(-1).replace('Your edits are in ', '');
+    assert.match(await readFile(kept, 'utf-8'), /status: finished/);
+    await rm(dirname(kept), { recursive: true, force: true });
+  });
+
+  test('edit never passes the note filename through a shell', async () => {
+    const script = join(root, 'editor.mjs');
+    await writeFile(script, "import { appendFileSync } from 'fs';\nappendFileSync(process.env.LOG, process.argv[2]);\n");
+    const memory = await open();
+    const { note } = await memory.handoff({ title: 'Hostile' });
+    const marker = join(root, 'pwned');
+    const hostile = join(dirname(note.path), `b\`touch ${basename(marker)}\`$(touch ${basename(marker)});touch ${basename(marker)}.md`);
+    await rename(note.path, hostile);
+
+    const log = join(root, 'editor.log');
+    const cwd = process.cwd();
+    process.chdir(root);
+    try {
+      const result = await (await open({ EDITOR: `"${process.execPath}" "${script}"`, LOG: log })).note.edit({ ref: note.id });
+      assert.strictEqual(result.success, true);
+    } finally {
+      process.chdir(cwd);
+    }
+    assert.strictEqual(basename(await readFile(log, 'utf-8')), 'note.md');
+    assert.strictEqual(existsSync(marker), false);
+  });
+});
+
+describe('Handoff Log', () => {
+  let root;
+
+  // One createMemory per instant, so each handoff gets its own created_at
+  const at = (now) => createMemory({
+    config: new Config({ vaultPath: root, adapter: 'fs', cwd: root, homeDir: root, env: { COPILOT_MEMORY_NOW: now } })
+  });
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'copilot-memory-log-'));
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test('handoff log walks the chain from the latest or a given handoff and filters it', async () => {
+    await (await at('2024-01-10T09:00:00Z')).phase.create({ title: 'Auth', id: 'auth' });
+    const first = await (await at('2024-01-10T10:00:00Z')).handoff({ title: 'Kickoff', content: 'Scoped the work\nSecond line', session: 's1' });
+    const second = await (await at('2024-01-12T10:00:00Z')).handoff({ title: 'Login', content: '# Login\n\nLogin form done', session: 's2', phase: 'Auth', tags: ['release'] });
+    const memory = await at('2024-01-15T10:00:00Z');
+    const third = await memory.handoff({ title: 'Tokens', content: 'Token refresh', session: 's2' });
+
+    const log = await memory.handoff.log();
+    assert.strictEqual(log.success, true);
+    assert.deepStrictEqual(log.handoffs.map(entry => entry.id), [third.note.id, second.note.id, first.note.id]);
+    assert.deepStrictEqual(log.breaks, []);
+    assert.deepStrictEqual(log.handoffs[1], {
+      id: second.note.id,
+      title: 'Login',
+      date: '2024-01-12T10:00:00.000Z',
+      session: 's2',
+      phase: 'auth',
+      tags: ['handoff', 'release'],
+      previous: first.note.id,
+      path: relative(root, second.note.path).split('\\').join('/'),
+      excerpt: ['Login form done']
+    });
+    assert.match(log.output, /^handoff \S+\nTitle:   Tokens\nDate:    2024-01-15 10:00:00 UTC\nSession: s2\nPath:    handoffs\/2024\/01\/.*tokens\.md\n\n    Token refresh\n\nhandoff /);
+
+    const fromSecond = await memory.handoff.log({ ref: second.note.id.slice(0, 8), lines: 0 });
+    assert.deepStrictEqual(fromSecond.handoffs.map(entry => entry.title), ['Login', 'Kickoff']);
+    assert.ok(!fromSecond.output.includes('Login form done'));
+
+    const titles = async (args) => (await memory.handoff.log(args)).handoffs.map(entry => entry.title);
+    assert.deepStrictEqual(await titles({ session: 's2' }), ['Tokens', 'Login']);
+    assert.deepStrictEqual(await titles({ phase: 'auth' }), ['Login']);
+    assert.deepStrictEqual(await titles({ tag: ['release'] }), ['Login']);
+    assert.deepStrictEqual(await titles({ since: '2024-01-12' }), ['Tokens', 'Login']);
+    assert.deepStrictEqual(await titles({ until: '2024-01-12' }), ['Login', 'Kickoff']);
+    assert.deepStrictEqual(await titles({ since: '2024-01-11', until: '2024-01-14T00:00:00Z' }), ['Login']);
+    assert.deepStrictEqual(await titles({ limit: 1 }), ['Tokens']);
+
+    const invalid = await memory.handoff.log({ since: 'last tuesday' });
+    assert.strictEqual(invalid.code, ERROR_CODES.VALIDATION);
+  });
+
+  test('reports a pruned ancestor as a chain break in log and list', async () => {
+    const first = await (await at('2024-01-10T10:00:00Z')).handoff({ title: 'Kickoff' });
+    const second = await (await at('2024-01-12T10:00:00Z')).handoff({ title: 'Login' });
+    const memory = await at('2024-01-15T10:00:00Z');
+    const third = await memory.handoff({ title: 'Tokens' });
+    await memory.adapter.deleteNote(second.note.path);
+
+    const log = await memory.handoff.log();
+    assert.strictEqual(log.success, true);
+    assert.deepStrictEqual(log.handoffs.map(entry => entry.id), [third.note.id]);
+    assert.strictEqual(log.breaks.length, 1);
+    assert.deepStrictEqual(
+      { id: log.breaks[0].id, previous: log.breaks[0].previous, reason: log.breaks[0].reason },
+      { id: third.note.id, previous: second.note.id, reason: 'missing' }
+    );
+    assert.match(log.output, /\n\n! Chain broken: Previous handoff \S+ of .*tokens\.md was not found \(pruned or deleted\?\)$/);
+
+    const list = await memory.handoff.list();
+    assert.deepStrictEqual(list.handoffs.map(entry => entry.id), [third.note.id, first.note.id]);
+    assert.deepStrictEqual(list.breaks.map(item => item.id), [third.note.id]);
+    assert.strictEqual(list.output.split('\n').length, 2);
+    assert.match(list.output, new RegExp(`^${third.note.id.slice(0, 8)}  2024-01-15 10:00:00 UTC  Tokens  session=\\S+  ! previous ${second.note.id.slice(0, 8)} missing\\n`));
+
+    const empty = await memory.handoff.list({ session: 'nobody' });
+    assert.strictEqual(empty.output, 'No handoffs match the filters');
+  });
+
+  test('handoff runs on its own and takes log and list as subcommands', () => {
+    const bare = parseCommandLine(['handoff', '--title', 'Done']);
+    assert.strictEqual(bare.name, 'handoff');
+    assert.strictEqual(bare.args.title, 'Done');
+    assert.strictEqual(parseCommandLine(['handoff']).name, 'handoff');
+
+    const log = parseCommandLine(['handoff', 'log', '3f2a9c1e', '-n', '2', '--tag', 'a', '--tag', 'b']);
+    assert.strictEqual(log.name, 'handoff log');
+    assert.strictEqual(log.args.ref, '3f2a9c1e');
+    assert.strictEqual(log.args.limit, 2);
+    assert.deepStrictEqual(log.args.tag, ['a', 'b']);
+    assert.strictEqual(parseCommandLine(['h', 'list']).name, 'handoff list');
+
+    assert.throws(() => parseCommandLine(['handoff', 'lgo']), /Unknown handoff subcommand 'lgo'. Did you mean 'log'\?/);
+  });
+});
+
+describe('Note Templates', () => {
+  let root, vaultPath;
+
+  const open = () => createMemory({
+    config: new Config({ vaultPath, adapter: 'fs', cwd: root, homeDir: root, env: { COPILOT_MEMORY_NOW: '2024-01-15T08:00:00Z' } })
+  });
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'copilot-memory-templates-'));
+    vaultPath = join(root, 'vault');
+    await mkdir(join(root, '.git'), { recursive: true });
+    await writeFile(join(root, '.git', 'HEAD'), 'ref: refs/heads/feature/login\n');
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test('init seeds the default templates and notes use the vault copies', async () => {
+    const memory = await open();
+    const init = await memory.init();
+    assert.deepStrictEqual(init.templates.sort(), [
+      'brownfield', 'greenfield', 'handoff', 'phase', 'phase-handoff', 'research', 'session'
+    ].map(name => `templates/${name}.md`).sort());
+
+    const handoff = await memory.handoff({ title: 'Default' });
+    assert.strictEqual(
+      (await memory.adapter.readNote(handoff.note.path)).body,
+      '# Default\n\n## Context\n\n[Add context here]\n\n## Current State\n\n[Describe current state]\n\n## Next Steps\n\n- [ ] Task 1\n- [ ] Task 2'
+    );
+
+    await memory.adapter.updateNote(join(vaultPath, 'templates', 'handoff.md'), {}, '# {{title}} on {{branch}}\n\n{{#phase}}Phase: {{phase}}{{/phase}}{{^phase}}No phase{{/phase}}');
+    assert.deepStrictEqual((await memory.init()).templates, []);
+    const custom = await memory.handoff({ title: 'Custom' });
+    assert.match((await memory.adapter.readNote(custom.note.path)).body, /^## Previous Context\n\n\[\[.*\]\]\n\n# Custom on feature\/login\n\nNo phase$/);
+
+    // Templates are not notes: lookups skip them
+    const shown = await memory.note.show({ ref: 'brownfield' });
+    assert.strictEqual(shown.code, ERROR_CODES.NOT_FOUND);
+  });
+
+  test('--template fills in date, session, phase, branch, open tasks, previous handoff and content', async () => {
+    const memory = await open();
+    await memory.phase.create({ title: 'Auth', id: 'auth' });
+    const previous = await memory.handoff({ title: 'Yesterday', content: '- [x] Login form\n- [ ] Token refresh\n* [ ] Logout' });
+    await writeFile(join(vaultPath, 'templates', 'standup.md'), [
+      '# {{title}} ({{date}})',
+      'Session {{session}}, phase {{phase}}, branch {{branch}}',
+      'Since {{previous_handoff}}',
+      '',
+      '{{#open_tasks}}',
+      '## Still open',
+      '{{open_tasks}}',
+      '{{/open_tasks}}',
+      '## Today',
+      '{{content}}',
+      '{{unknown}}'
+    ].join('\n'));
+
+    const standup = await memory.handoff({ title: 'Standup', session: 's9', content: 'Pairing on tokens', template: 'standup' });
+    const body = (await memory.adapter.readNote(standup.note.path)).body;
+    assert.strictEqual(body.split('\n\n').slice(2).join('\n\n'), [
+      '# Standup (2024-01-15 08:00:00 UTC)',
+      'Session s9, phase auth, branch feature/login',
+      `Since [[${basename(previous.note.path, '.md')}]]`,
+      '',
+      '## Still open',
+      '- [ ] Token refresh',
+      '* [ ] Logout',
+      '## Today',
+      'Pairing on tokens',
+      '{{unknown}}'
+    ].join('\n'));
+
+    // Content goes after templates without a {{content}} placeholder
+    const research = await memory.phase.research({ title: 'Spike', content: 'Found it', template: 'research' });
+    assert.match((await memory.adapter.readNote(research.note.path)).body, /^# Spike\n\n## Findings\n\n\[Add research findings\]\n\n## References\n\nFound it$/);
+  });
+
+  test('unknown or invalid template names are rejected', async () => {
+    const memory = await open();
+    await memory.init();
+
+    const missing = await memory.handoff({ title: 'X', template: 'handof' });
+    assert.strictEqual(missing.code, ERROR_CODES.NOT_FOUND);
+    assert.strictEqual(missing.message, "Template 'handof' not found");
+    assert.strictEqual(missing.hints[0], "Did you mean 'handoff'?");
+
+    const invalid = await memory.phase.create({ title: 'X', template: '../indexes/catalog' });
+    assert.strictEqual(invalid.code, ERROR_CODES.VALIDATION);
+    assert.deepStrictEqual(await readdir(join(vaultPath, 'phases')), []);
+  });
+});
+
+describe('Config Discovery', () => {
+  let root;
+
+  const writeJson = async (path, value) => {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify(value));
+  };
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'copilot-memory-config-'));
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test('walks up to the repository root and merges the user config', async () => {
+    const repo = join(root, 'outside', 'repo');
+    const cwd = join(repo, 'packages', 'app', 'src');
+    const home = join(root, 'home');
+    await mkdir(join(repo, '.git'), { recursive: true });
+    await mkdir(cwd, { recursive: true });
+    await writeJson(join(root, 'outside', '.copilot-memory', 'config.json'), { notesmdPath: 'ignored' });
+    await writeJson(join(repo, '.copilot-memory', 'config.json'), { vaultPath: 'memory', notesmdPath: 'repo-cli' });
+    await writeJson(join(repo, 'packages', 'app', '.copilot-memory', 'config.json'), { adapter: 'fs' });
+    await writeJson(join(home, '.config', 'copilot-memory', 'config.json'), { useNotesmd: false, notesmdPath: 'user-cli' });
+
+    const config = new Config({ cwd, env: {}, homeDir: home });
+
+    assert.strictEqual(config.vaultPath, join(repo, 'memory'));
+    assert.strictEqual(config.notesmdPath, 'repo-cli');
+    assert.strictEqual(config.adapter, 'fs');
+    assert.strictEqual(config.useNotesmd, false);
+    assert.deepStrictEqual(config.sources, {
+      profile: { layer: 'default' },
+      vaultPath: { layer: 'project', path: join(repo, '.copilot-memory', 'config.json') },
+      notesmdPath: { layer: 'project', path: join(repo, '.copilot-memory', 'config.json') },
+      useNotesmd: { layer: 'user', path: join(home, '.config', 'copilot-memory', 'config.json') },
+      adapter: { layer: 'project', path: join(repo, 'packages', 'app', '.copilot-memory', 'config.json') },
+      folders: { layer: 'default' },
+      datedPath: { layer: 'default' },
+      filenamePattern: { layer: 'default' },
+      slugMaxLength: { layer: 'default' },
+      timezone: { layer: 'default' },
+      now: { layer: 'default' },
+      seed: { layer: 'default' },
+      retentionDays: { layer: 'default' },
+      researchRetentionDays: { layer: 'default' }
+    });
+  });
+
+  test('options and env override files; defaults fill the rest', async () => {
+    const home = join(root, 'home');
+    const xdg = join(root, 'xdg');
+    await mkdir(join(root, '.git'), { recursive: true });
+    await writeJson(join(root, '.copilot-memory', 'config.json'), { adapter: 'fs' });
+    await writeJson(join(xdg, 'copilot-memory', 'config.json'), { vaultPath: '~/notes' });
+
+    const fromUser = new Config({ cwd: root, env: { XDG_CONFIG_HOME: xdg }, homeDir: home });
+    assert.strictEqual(fromUser.vaultPath, join(home, 'notes'));
+    assert.deepStrictEqual(fromUser.sources.notesmdPath, { layer: 'default' });
+
+    const config = new Config({
+      cwd: root,
+      env: { XDG_CONFIG_HOME: xdg, COPILOT_MEMORY_VAULT: 'env-vault', COPILOT_MEMORY_ADAPTER: 'memory' },
+      homeDir: home,
+      useNotesmd: false
+    });
+    assert.strictEqual(config.vaultPath, join(root, 'env-vault'));
+    assert.strictEqual(config.adapter, 'memory');
+    assert.deepStrictEqual(config.describe().vaultPath, { value: join(root, 'env-vault'), layer: 'env' });
+    assert.deepStrictEqual(config.describe().useNotesmd, { value: false, layer: 'options' });
+  });
+
+  test('the default vault sits next to the nearest project config', async () => {
+    const cwd = join(root, 'packages', 'api');
+    await mkdir(join(root, '.git'), { recursive: true });
+    await mkdir(cwd, { recursive: true });
+    await writeJson(join(root, '.copilot-memory', 'config.json'), { adapter: 'fs' });
+
+    const config = new Config({ cwd, env: {}, homeDir: join(root, 'home') });
+    assert.strictEqual(config.projectRoot, root);
+    assert.strictEqual(config.vaultPath, join(root, '.copilot-memory-vault'));
+  });
+
+  test('without a config file the default vault sits at the repository root', async () => {
+    const cwd = join(root, 'packages', 'api', 'src');
+    await mkdir(join(root, '.git'), { recursive: true });
+    await mkdir(cwd, { recursive: true });
+
+    const config = new Config({ cwd, env: {}, homeDir: join(root, 'home') });
+    assert.strictEqual(config.projectRoot, null);
+    assert.strictEqual(config.repoRoot, root);
+    assert.strictEqual(config.vaultPath, join(root, '.copilot-memory-vault'));
+  });
+});
+
+describe('Config Command', () => {
+  let root, cwd, home;
+
+  const memoryAt = (env = {}) => createMemory({ config: new Config({ cwd, env, homeDir: home }) });
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'copilot-memory-config-'));
+    cwd = join(root, 'packages', 'app');
+    home = join(root, 'home');
+    await mkdir(join(root, '.git'), { recursive: true });
+    await mkdir(cwd, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test('set writes the repository config and get reports the source', async () => {
+    const memory = await memoryAt();
+
+    const set = await memory.run('config set', { key: 'useNotesmd', value: 'false' });
+    assert.strictEqual(set.success, true);
+    assert.strictEqual(set.path, join(root, '.copilot-memory', 'config.json'));
+    assert.deepStrictEqual(JSON.parse(await readFile(set.path, 'utf-8')), { useNotesmd: false });
+
+    const get = await memory.run('config get', { key: 'useNotesmd' });
+    assert.strictEqual(get.value, false);
+    assert.deepStrictEqual(get.source, { layer: 'project', path: set.path });
+
+    const user = await memory.run('config set', { key: 'notesmdPath', value: '/opt/notesmd', user: true });
+    assert.strictEqual(user.path, join(home, '.config', 'copilot-memory', 'config.json'));
+
+    const invalid = await memory.run('config set', { key: 'useNotesmd', value: 'sometimes' });
+    assert.strictEqual(invalid.code, ERROR_CODES.VALIDATION);
+
+    const unknown = await memory.run('config get', { key: 'vaultpath' });
+    assert.strictEqual(unknown.code, ERROR_CODES.VALIDATION);
+    assert.ok(unknown.hints.includes("Did you mean 'vaultPath'?"));
+  });
+
+  test('invalid config files block other commands until repaired', async () => {
+    const path = join(root, '.copilot-memory', 'config.json');
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify({ vaultPth: './memory', useNotesmd: 'no' }));
+
+    const memory = await memoryAt();
+    const blocked = await memory.run('vault index');
+    assert.strictEqual(blocked.code, ERROR_CODES.VALIDATION);
+    assert.match(blocked.message, /useNotesmd/);
+    assert.deepStrictEqual(blocked.details.issues.map(issue => issue.key), ['useNotesmd']);
+
+    const list = await memory.run('config list');
+    assert.strictEqual(list.success, true);
+    assert.deepStrictEqual(list.issues.map(issue => issue.key), ['vaultPth', 'useNotesmd']);
+    assert.deepStrictEqual(list.settings.useNotesmd, { value: true, layer: 'default' });
+
+    await memory.run('config unset', { key: 'vaultPth' });
+    await memory.run('config set', { key: 'useNotesmd', value: 'no' });
+    assert.deepStrictEqual(memory.config.issues, []);
+    assert.strictEqual((await memory.run('vault index')).success, true);
+
+    await writeFile(path, '{ "adapter": ');
+    const malformed = await memoryAt();
+    assert.match((await malformed.run('vault doctor')).message, /Invalid JSON in/);
+    assert.strictEqual((await malformed.run('config set', { key: 'adapter', value: 'fs' })).code, ERROR_CODES.VALIDATION);
+  });
+
+  test('unknown keys and settings other commands read only warn', async () => {
+    const path = join(root, '.copilot-memory', 'config.json');
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify({
+      vaultPth: './memory',
+      retentionDays: -1,
+      profiles: { spare: { useNotesmd: 'maybe', colour: 'blue' } }
+    }));
+
+    const memory = await memoryAt();
+    assert.deepStrictEqual(memory.config.issues.map(({ key, severity }) => ({ key, severity })), [
+      { key: 'vaultPth', severity: 'warning' },
+      { key: 'retentionDays', severity: 'error' },
+      { key: 'useNotesmd', severity: 'error' },
+      { key: 'colour', severity: 'warning' }
+    ]);
+
+    const index = await memory.run('vault index');
+    assert.strictEqual(index.success, true, index.message);
+
+    const prune = await memory.run('vault prune', { dryRun: true });
+    assert.strictEqual(prune.code, ERROR_CODES.VALIDATION);
+    assert.match(prune.message, /retentionDays must be a non-negative number/);
+
+    const spare = await memoryAt({ COPILOT_MEMORY_PROFILE: 'spare' });
+    const blocked = await spare.run('vault index');
+    assert.strictEqual(blocked.code, ERROR_CODES.VALIDATION);
+    assert.match(blocked.message, /in profile 'spare'/);
+  });
+
+  test('explain lists every layer and marks the one that applies', async () => {
+    const projectFile = join(root, '.copilot-memory', 'config.json');
+    await mkdir(dirname(projectFile), { recursive: true });
+    await writeFile(projectFile, JSON.stringify({ adapter: 'fs' }));
+
+    const memory = await memoryAt({ COPILOT_MEMORY_ADAPTER: 'memory' });
+    const result = await memory.run('config explain', { key: 'adapter' });
+
+    assert.deepStrictEqual(result.explain.adapter, [
+      { layer: 'env', value: 'memory', applied: true },
+      { layer: 'project', path: projectFile, value: 'fs', applied: false },
+      { layer: 'default', value: 'notesmd', applied: false }
+    ]);
+
+    const all = await memory.run('config explain');
+    assert.deepStrictEqual(Object.keys(all.explain), [
+      'vaultPath', 'notesmdPath', 'useNotesmd', 'adapter', 'folders', 'datedPath', 'filenamePattern',
+      'slugMaxLength', 'timezone', 'now', 'seed', 'retentionDays', 'researchRetentionDays', 'profile'
+    ]);
+  });
+
+  test('parses config subcommands from the command line', () => {
+    const { name, args } = parseCommandLine(['config', 'set', 'useNotesmd', 'false', '--user']);
+    assert.strictEqual(name, 'config set');
+    assert.strictEqual(args.key, 'useNotesmd');
+    assert.strictEqual(args.value, 'false');
+    assert.strictEqual(args.user, true);
+  });
+});
+
+describe('Config Profiles', () => {
+  let root, cwd, home, projectFile;
+
+  const configAt = (env = {}, options = {}) => new Config({ cwd, env, homeDir: home, ...options });
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'copilot-memory-profile-'));
+    cwd = root;
+    home = join(root, 'home');
+    projectFile = join(root, '.copilot-memory', 'config.json');
+    await mkdir(join(root, '.git'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test('add, use and list switch the vault and retention rules', async () => {
+    const memory = await createMemory({ config: configAt() });
+
+    const added = await memory.profile.add({ name: 'work', vaultPath: 'vaults/work', retentionDays: '7' });
+    assert.strictEqual(added.success, true);
+    assert.strictEqual(added.path, projectFile);
+    await memory.profile.add({ name: 'oss', adapter: 'fs', user: true });
+
+    const duplicate = await memory.profile.add({ name: 'work' });
+    assert.strictEqual(duplicate.code, ERROR_CODES.VALIDATION);
+
+    const used = await memory.profile.use({ name: 'work' });
+    assert.strictEqual(used.success, true);
+    assert.strictEqual(memory.config.vaultPath, join(root, 'vaults', 'work'));
+    assert.strictEqual(memory.config.retentionDays, 7);
+    assert.deepStrictEqual(memory.config.sources.retentionDays, { layer: 'profile', path: projectFile, profile: 'work' });
+
+    const list = await memory.profile.list();
+    assert.deepStrictEqual(list.profiles.map(profile => [profile.name, profile.layer, profile.active]), [
+      ['work', 'project', true],
+      ['oss', 'user', false]
+    ]);
+
+    const missing = await memory.profile.use({ name: 'wrok' });
+    assert.strictEqual(missing.code, ERROR_CODES.NOT_FOUND);
+    assert.ok(missing.hints.includes("Did you mean 'work'?"));
+
+    const vault = join(root, 'vaults', 'work');
+    const prune = await createMemory({ config: configAt({}, { adapter: 'memory' }) });
+    assert.strictEqual(prune.config.vaultPath, vault);
+    const dryRun = await prune.vault.prune({ dryRun: true });
+    assert.match(dryRun.message, /older than 7 days/);
+    const research = await prune.vault.prune({ dryRun: true, research: true });
+    assert.match(research.message, /older than 90 days/);
+  });
+
+  test('--profile and COPILOT_MEMORY_PROFILE select a profile below explicit values', async () => {
+    await mkdir(dirname(projectFile), { recursive: true });
+    await writeFile(projectFile, JSON.stringify({
+      profile: 'work',
+      adapter: 'notesmd',
+      profiles: {
+        work: { vaultPath: './work', adapter: 'fs' },
+        lab: { vaultPath: '~/lab', adapter: 'memory' }
+      }
+    }));
+
+    assert.strictEqual(configAt().adapter, 'fs');
+    assert.strictEqual(configAt({ COPILOT_MEMORY_PROFILE: 'lab' }).vaultPath, join(home, 'lab'));
+    assert.strictEqual(configAt({ COPILOT_MEMORY_PROFILE: 'lab' }, { profile: 'work' }).vaultPath, join(root, 'work'));
+
+    const overridden = configAt({ COPILOT_MEMORY_PROFILE: 'lab', COPILOT_MEMORY_VAULT: join(root, 'other') });
+    assert.strictEqual(overridden.vaultPath, join(root, 'other'));
+    assert.deepStrictEqual(overridden.explain('adapter').map(entry => [entry.layer, entry.value, entry.applied]), [
+      ['profile', 'memory', true],
+      ['project', 'notesmd', false],
+      ['default', 'notesmd', false]
+    ]);
+
+    const unknown = await createMemory({ config: configAt({ COPILOT_MEMORY_PROFILE: 'labs' }) });
+    const blocked = await unknown.vault.index();
+    assert.strictEqual(blocked.code, ERROR_CODES.VALIDATION);
+    assert.match(blocked.message, /Unknown profile 'labs'.*did you mean 'lab'/);
+    assert.strictEqual((await unknown.profile.list()).success, true);
+  });
+
+  test('reports malformed profiles as config issues', async () => {
+    await mkdir(dirname(projectFile), { recursive: true });
+    await writeFile(projectFile, JSON.stringify({
+      profiles: { bad: { retentionDays: -1, vault: './x' }, worse: 'fs' }
+    }));
+
+    assert.deepStrictEqual(configAt().issues.map(issue => issue.message), [
+      `retentionDays must be a non-negative number in profile 'bad' in ${projectFile}`,
+      `Unknown profile key 'vault' in profile 'bad' in ${projectFile}`,
+      `Profile 'worse' must be an object in ${projectFile}`
+    ]);
+  });
+
+  test('parses --profile and profile add options from the command line', () => {
+    const { name, args } = parseCommandLine([
+      'profile', 'add', 'work', '--vault-path', 'vaults/work', '--retention-days', '14', '--profile', 'oss'
+    ], { cwd: '/repo' });
+    assert.strictEqual(name, 'profile add');
+    assert.strictEqual(args.name, 'work');
+    assert.strictEqual(args.vaultPath, join('/repo', 'vaults', 'work'));
+    assert.strictEqual(args.retentionDays, 14);
+    assert.strictEqual(args.profile, 'oss');
+  });
 });
 
 describe('Handoff and Resume Flow', () => {
@@ -91,6 +1273,22 @@ describe('Handoff and Resume Flow', () => {
     assert.match(filename, /^\d{8}-\d{6}Z--handoff--test-session-1--test-handoff\.md$/);
   });
 
+  test('should not overwrite a handoff created in the same second', async () => {
+    const [first, second, third] = await Promise.all([1, 2, 3].map(n => vault.createHandoff({
+      sessionId: 'hook',
+      title: 'Session End',
+      content: `Handoff ${n}`
+    })));
+
+    const paths = [first.path, second.path, third.path];
+    assert.strictEqual(new Set(paths).size, 3);
+    for (const [index, path] of paths.entries()) {
+      const note = await adapter.readNote(path);
+      assert.ok(note.body.includes(`Handoff ${index + 1}`));
+      assert.ok(config.parseFilename(path.split('/').pop()));
+    }
+  });
+
   test('should retrieve latest handoff', async () => {
     // Create first handoff
     await vault.createHandoff({
@@ -135,7 +1333,7 @@ describe('Handoff and Resume Flow', () => {
     // Check that second handoff links to first
     assert.ok(second.frontmatter.previous_handoff);
     assert.strictEqual(second.frontmatter.previous_handoff, first.frontmatter.id);
-    assert.ok(second.frontmatter.links.includes(first.path));
+    assert.ok(second.frontmatter.links.includes(config.toVaultPath(first.path)));
     
     // Check that content includes wikilink
     const firstBasename = first.path.split('/').pop().replace('.md', '');
@@ -199,6 +1397,17 @@ describe('Phase Operations', () => {
     assert.strictEqual(phase.frontmatter.title, 'Authentication');
   });
 
+  test('should refuse to overwrite an existing phase', async () => {
+    await vault.createPhase({ phaseId: 'p1', title: 'First', goal: 'Original goal' });
+
+    await assert.rejects(
+      vault.createPhase({ phaseId: 'p1', title: 'Second', goal: 'Replacement' }),
+      (error) => error.code === ERROR_CODES.VALIDATION && error.message === 'Phase p1 already exists'
+    );
+    const phase = await adapter.readNote(join(TEST_VAULT, 'phases', 'p1', 'phase.md'));
+    assert.strictEqual(phase.frontmatter.title, 'First');
+  });
+
   test('should create research note for phase', async () => {
     // Create phase first
     await vault.createPhase({
@@ -383,7 +1592,36 @@ describe('Memory Doctor', () => {
     assert.strictEqual(typeof result.healthy, 'boolean');
   });
 
-  test('should auto-fix missing folders', async () => {
+  test('should report duplicate ids and filenames', async () => {
+    const name = '20240115-143000Z--handoff--phase--done.md';
+    const frontmatter = { id: 'same-id', type: 'handoff', tags: [] };
+    await adapter.createNote(join(TEST_VAULT, 'phases', 'a', 'handoffs', name), frontmatter, 'a');
+    await adapter.createNote(join(TEST_VAULT, 'phases', 'b', 'handoffs', name), { ...frontmatter, id: 'other' }, 'b');
+    await adapter.createNote(join(TEST_VAULT, 'sessions', 'copy.md'), frontmatter, 'copy');
+
+    const result = await doctor.checkDuplicates();
+
+    assert.strictEqual(result.healthy, false);
+    assert.deepStrictEqual(result.ids.map(group => group.id), ['same-id']);
+    assert.strictEqual(result.filenames.length, 1);
+    assert.strictEqual(result.filenames[0].filename, name);
+    assert.strictEqual(result.filenames[0].paths.length, 2);
+  });
+
+  test('should report schema violations with the failing fields', async () => {
+    await config.ensureVaultStructure();
+    const path = join(TEST_VAULT, 'sessions', 'bad.md');
+    await writeFile(path, '---\nid: s1\ntype: session\ncreated_at: 2024-01-15\nupdated_at: 2024-01-15\nsession_id: s1\nphase_id: ghost\nstatus: wip\ntags: []\nlinks: []\ntitle: Bad\n---\n\nBody');
+
+    const result = await doctor.checkFrontmatter();
+
+    assert.strictEqual(result.healthy, false);
+    assert.strictEqual(result.invalid.length, 1);
+    assert.strictEqual(result.invalid[0].type, 'session');
+    assert.deepStrictEqual(result.invalid[0].errors.map(error => error.field), ['status', 'phase_id']);
+  });
+
+  test('should auto-fix missing folders', async () => {
     const result = await doctor.autoFix();
     
     assert.ok(result.fixed);
@@ -847,6 +2085,13 @@ describe('Vault Command Routing', () => {
     assert.ok(result.diagnostics);
     assert.ok(result.diagnostics.folders);
     assert.ok(result.diagnostics.indexes);
+    assert.strictEqual(result.diagnostics.config, undefined);
+
+    const verbose = await vaultCommand(indexService, doctorService, pruneService, vault, {
+      _: ['doctor'],
+      verbose: true
+    });
+    assert.deepStrictEqual(verbose.diagnostics.config.vaultPath, { value: TEST_VAULT, layer: 'options' });
   });
 
   test('should route to vault prune', async () => {
@@ -926,6 +2171,134 @@ describe('Deterministic Tracker', () => {
   });
 });
 
+describe('Vault Migration', () => {
+  let config, adapter, migration;
+  const legacyDate = new Date('2024-01-15T14:30:00.000Z');
+  const firstName = '20240115-143000Z--handoff--s1--first.md';
+  const secondName = '20240115-150000Z--handoff--s1--second.md';
+
+  const removeBackups = async () => {
+    for (const entry of await readdir(dirname(TEST_VAULT))) {
+      if (entry.startsWith(`${basename(TEST_VAULT)}.backup-`)) {
+        await rm(join(dirname(TEST_VAULT), entry), { recursive: true, force: true });
+      }
+    }
+  };
+
+  // A vault written before format versioning: flat folders, absolute paths, old field names
+  const writeLegacyVault = async () => {
+    const first = join(TEST_VAULT, 'handoffs', firstName);
+    const second = join(TEST_VAULT, 'handoffs', secondName);
+    await mkdir(join(TEST_VAULT, 'handoffs'), { recursive: true });
+    await mkdir(join(TEST_VAULT, 'indexes'), { recursive: true });
+
+    await writeFile(first, '---\nid: h1\ntype: handoff\ncreated: 2024-01-15T14:30:00.000Z\nupdated: 2024-01-15T14:30:00.000Z\nsession: s1\nphase_id: null\nstatus: complete\ntags:\nlinks: []\ntitle: First\n---\n\nFirst body');
+    await writeFile(second, `---\nid: h2\ntype: handoff\ncreated_at: 2024-01-15T15:00:00.000Z\nupdated_at: 2024-01-15T15:00:00.000Z\nsession_id: s1\nphase_id: null\nstatus: active\ntags: [handoff]\nlinks:\n  - ${first}\ntitle: Second # keep this comment\n---\n\nSecond body`);
+    await writeFile(join(TEST_VAULT, 'indexes', 'latest-handoff.md'), `---\nid: i1\ntype: index\ncreated_at: 2024-01-15T15:00:00.000Z\nupdated_at: 2024-01-15T15:00:00.000Z\nsession_id: null\nphase_id: null\nstatus: active\ntags: [index]\nlinks: []\nhandoff_path: ${second}\nhandoff_id: h2\ntitle: Latest Handoff\n---\n\nIndex`);
+    await writeFile(join(TEST_VAULT, 'indexes', 'tracker-state.json'), JSON.stringify({ version: 1, latest_handoff_path: second, latest_handoff_id: 'h2' }));
+    return { first, second };
+  };
+
+  beforeEach(async () => {
+    await rm(TEST_VAULT, { recursive: true, force: true });
+    await removeBackups();
+    config = new Config({ vaultPath: TEST_VAULT, useNotesmd: false });
+    adapter = new FilesystemAdapter(config);
+    migration = new MigrationService(config, adapter);
+  });
+
+  afterEach(async () => {
+    await rm(TEST_VAULT, { recursive: true, force: true });
+    await removeBackups();
+  });
+
+  test('new vaults record the current format and need no migration', async () => {
+    const memory = await createMemory({ vaultPath: TEST_VAULT, useNotesmd: false });
+    await memory.handoff({ title: 'Start' });
+
+    assert.strictEqual((await readManifest(config)).format_version, FORMAT_VERSION);
+
+    const result = await memory.vault.migrate();
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.migration.upToDate, true);
+    assert.strictEqual(result.migration.backup, null);
+  });
+
+  test('dry run reports the plan without touching the vault', async () => {
+    const { first } = await writeLegacyVault();
+    const before = await readFile(first, 'utf-8');
+
+    const memory = await createMemory({ vaultPath: TEST_VAULT, useNotesmd: false });
+    const result = await memory.vault.migrate({ dryRun: true });
+
+    assert.strictEqual(result.success, true);
+    assert.match(result.message, /Would migrate vault from format 1 to 2: 2 notes moved, 3 notes updated/);
+    assert.deepStrictEqual(result.migration.moves.map(move => basename(move.to)), [firstName, secondName]);
+    const firstUpdate = result.migration.updates.find(update => update.path.endsWith(firstName));
+    assert.deepStrictEqual(firstUpdate.changes, [
+      'renamed created to created_at', 'renamed updated to updated_at', 'renamed session to session_id',
+      'set empty tags to []', 'changed status complete to completed'
+    ]);
+
+    assert.strictEqual(await readFile(first, 'utf-8'), before);
+    assert.strictEqual(await readManifest(config), null);
+    assert.ok(!(await readdir(dirname(TEST_VAULT))).some(entry => entry.startsWith(`${basename(TEST_VAULT)}.backup-`)));
+  });
+
+  test('migrate backs up, moves notes into dated folders and rewrites paths', async () => {
+    const { first, second } = await writeLegacyVault();
+    const result = await migration.migrate();
+
+    assert.ok(result.backup);
+    assert.ok((await readFile(join(result.backup, 'handoffs', firstName), 'utf-8')).includes('created: 2024'));
+
+    const datedDir = config.getDatedPath('handoffs', legacyDate);
+    const migratedFirst = await adapter.readNote(join(datedDir, firstName));
+    assert.strictEqual(migratedFirst.frontmatter.session_id, 's1');
+    assert.strictEqual(migratedFirst.frontmatter.status, 'completed');
+    assert.deepStrictEqual(migratedFirst.frontmatter.tags, []);
+    assert.strictEqual(validateNote(migratedFirst.frontmatter).valid, true);
+
+    const secondPath = join(datedDir, secondName);
+    const secondText = await readFile(secondPath, 'utf-8');
+    assert.ok(secondText.includes('title: Second # keep this comment'));
+    assert.deepStrictEqual((await adapter.readNote(secondPath)).frontmatter.links, [config.toVaultPath(join(datedDir, firstName))]);
+    assert.ok(!adapter.exists(first) && !adapter.exists(second));
+
+    const tracker = await new TrackerService(config).getState();
+    assert.strictEqual(tracker.latest_handoff_path, config.toVaultPath(secondPath));
+    assert.strictEqual((await readManifest(config)).format_version, FORMAT_VERSION);
+
+    const vault = new VaultService(config, adapter);
+    assert.strictEqual((await vault.getLatestHandoff()).frontmatter.id, 'h2');
+    assert.strictEqual((await migration.migrate()).upToDate, true);
+  });
+
+  test('migrate refuses to run when a move would collide', async () => {
+    const { first } = await writeLegacyVault();
+    const datedDir = config.getDatedPath('handoffs', legacyDate);
+    await mkdir(datedDir, { recursive: true });
+    await writeFile(join(datedDir, firstName), '---\nid: other\n---\n\nAlready here');
+    const before = await readFile(first, 'utf-8');
+
+    const memory = await createMemory({ vaultPath: TEST_VAULT, useNotesmd: false });
+    const result = await memory.vault.migrate();
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.code, ERROR_CODES.VALIDATION);
+    assert.match(result.message, /1 notes need fixing first/);
+    assert.ok(result.hints.some(hint => hint.startsWith(`handoffs/${firstName}: Cannot move to`)));
+
+    assert.strictEqual(await readFile(first, 'utf-8'), before);
+    assert.strictEqual(await readManifest(config), null);
+    assert.ok(!(await readdir(dirname(TEST_VAULT))).some(entry => entry.startsWith(`${basename(TEST_VAULT)}.backup-`)));
+
+    const dryRun = await memory.vault.migrate({ dryRun: true });
+    assert.strictEqual(dryRun.success, false);
+    assert.strictEqual(dryRun.migration.errors.length, 1);
+  });
+});
+
 describe('Legacy Continous Commands', () => {
   let config, adapter, vault;
 
@@ -1007,6 +2380,895 @@ describe('Legacy Continous Commands', () => {
   });
 });
 
+describe('Output Formats', () => {
+  function capture() {
+    const stream = { data: '', write(chunk) { this.data += chunk; } };
+    return stream;
+  }
+
+  const searchResult = {
+    success: true,
+    message: 'Found 12 matches',
+    results: Array.from({ length: 12 }, (_, i) => ({ path: `/vault/note-${i}.md`, matches: 1, preview: 'match' }))
+  };
+
+  test('json format should emit the full result object', () => {
+    const stdout = capture();
+    const code = printResult(searchResult, { format: 'json', stdout });
+
+    assert.strictEqual(code, EXIT_CODES.SUCCESS);
+    const parsed = JSON.parse(stdout.data);
+    assert.strictEqual(parsed.results.length, 12);
+    assert.strictEqual(parsed.message, 'Found 12 matches');
+  });
+
+  test('ndjson format should emit one line per item, then a summary line', () => {
+    const stdout = capture();
+    printResult(searchResult, { format: 'ndjson', stdout });
+
+    const lines = stdout.data.trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(lines.length, 13);
+    assert.strictEqual(lines[0].path, '/vault/note-0.md');
+    assert.deepStrictEqual(lines[12], { success: true, message: 'Found 12 matches', count: 12 });
+
+    const single = capture();
+    printResult({ success: true, message: 'Created' }, { format: 'ndjson', stdout: single });
+    assert.strictEqual(single.data, '{"success":true,"message":"Created"}\n');
+  });
+
+  test('vault search --format ndjson should print a line per match', async () => {
+    await rm(TEST_VAULT, { recursive: true, force: true });
+    const memory = await createMemory({ vaultPath: TEST_VAULT, adapter: 'fs' });
+    for (const title of ['Alpha', 'Beta', 'Gamma']) {
+      await memory.handoff({ title, content: 'ndjson marker' });
+    }
+
+    const child = spawnSync(process.execPath, ['bin/copilot-memory.js', 'vault', 'search', 'ndjson marker', '--vault', TEST_VAULT, '--format', 'ndjson'], {
+      env: { ...process.env, COPILOT_MEMORY_ADAPTER: 'fs' },
+      encoding: 'utf-8',
+      timeout: 10000
+    });
+    await rm(TEST_VAULT, { recursive: true, force: true });
+
+    assert.strictEqual(child.status, 0, child.stderr);
+    const lines = child.stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(lines.length, 4);
+    assert.ok(lines.slice(0, 3).every(line => line.path && line.matches >= 1));
+    assert.strictEqual(lines[3].count, 3);
+    assert.strictEqual(lines[3].success, true);
+  });
+
+  test('text format should note truncated search results', () => {
+    const lines = formatText(searchResult);
+    assert.ok(lines.some(line => line.includes('and 2 more')));
+  });
+
+  test('failures should map to distinct exit codes', () => {
+    const stdout = capture();
+    const stderr = capture();
+
+    const notFound = printResult(toErrorResult(new NotFoundError('Note not found: x')), { format: 'json', stdout, stderr });
+    const validation = printResult({ success: false, code: ERROR_CODES.VALIDATION, message: 'bad' }, { stdout, stderr });
+    const io = printResult(toErrorResult(Object.assign(new Error('denied'), { code: 'EACCES' })), { stdout, stderr });
+
+    assert.strictEqual(notFound, EXIT_CODES[ERROR_CODES.NOT_FOUND]);
+    assert.strictEqual(validation, EXIT_CODES[ERROR_CODES.VALIDATION]);
+    assert.strictEqual(io, EXIT_CODES[ERROR_CODES.IO]);
+    assert.notStrictEqual(notFound, validation);
+    assert.notStrictEqual(validation, io);
+    assert.ok(stderr.data.includes('✗ bad'));
+  });
+
+  test('cli should print json and exit with the not-found code', async () => {
+    await rm(TEST_VAULT, { recursive: true, force: true });
+    const cli = spawnSync(process.execPath, ['bin/copilot-memory.js', 'resume', '--format', 'json'], {
+      env: { ...process.env, COPILOT_MEMORY_VAULT: TEST_VAULT },
+      encoding: 'utf-8'
+    });
+    await rm(TEST_VAULT, { recursive: true, force: true });
+
+    assert.strictEqual(cli.status, EXIT_CODES[ERROR_CODES.NOT_FOUND]);
+    const parsed = JSON.parse(cli.stdout);
+    assert.strictEqual(parsed.success, false);
+    assert.strictEqual(parsed.code, ERROR_CODES.NOT_FOUND);
+  });
+});
+
+describe('Argument Parsing', () => {
+  test('should parse list options and accumulate repeated flags', () => {
+    const { name, args } = parseCommandLine(['handoff', '--tags', 'auth,api', '--tags=db', '--title', 'Done']);
+
+    assert.strictEqual(name, 'handoff');
+    assert.deepStrictEqual(args.tags, ['auth', 'api', 'db']);
+    assert.strictEqual(args.title, 'Done');
+  });
+
+  test('should coerce numbers, booleans and paths', () => {
+    const { args } = parseCommandLine(['v', 'prune', '--days=0', '--dry-run', '--vault', 'rel/vault'], { cwd: '/work' });
+
+    assert.strictEqual(args.days, 0);
+    assert.strictEqual(args.dryRun, true);
+    assert.strictEqual(args.vault, '/work/rel/vault');
+    assert.deepStrictEqual(args._, ['prune']);
+  });
+
+  test('should reject options that are missing a value', () => {
+    assert.throws(() => parseCommandLine(['vault', 'prune', '--days']), /--days requires a value/);
+    assert.throws(() => parseCommandLine(['vault', 'prune', '--days', 'soon']), /expects a number/);
+  });
+
+  test('should suggest close matches for unknown flags and subcommands', () => {
+    assert.throws(() => parseCommandLine(['handoff', '--titel', 'x']), (error) => {
+      assert.ok(error instanceof ValidationError);
+      assert.ok(error.message.includes('Did you mean --title?'));
+      return true;
+    });
+    assert.throws(() => parseCommandLine(['phase', 'craete']), /Did you mean 'create'/);
+  });
+
+  test('should treat everything after -- as positional', () => {
+    const { args } = parseCommandLine(['vault', 'search', '--', '--literal']);
+    assert.strictEqual(args.query, '--literal');
+  });
+
+  test('should join the words of a variadic search query', () => {
+    const { args } = parseCommandLine(['vault', 'search', 'auth', 'token', '--case']);
+    assert.strictEqual(args.query, 'auth token');
+    assert.strictEqual(args.case, true);
+  });
+
+  test('should enforce required positionals', () => {
+    assert.throws(() => parseCommandLine(['vault', 'search']), /Missing required argument <query>/);
+  });
+});
+
+describe('Programmatic API', () => {
+  let memory;
+
+  beforeEach(async () => {
+    await rm(TEST_VAULT, { recursive: true, force: true });
+    memory = await createMemory({ vaultPath: TEST_VAULT, useNotesmd: false });
+  });
+
+  afterEach(async () => {
+    await rm(TEST_VAULT, { recursive: true, force: true });
+  });
+
+  test('should mirror CLI commands with structured results', async () => {
+    const handoff = await memory.handoff({ title: 'API Handoff', content: 'OAuth flow done', tags: ['api'] });
+    assert.ok(handoff.success);
+    assert.ok(handoff.note.id);
+
+    const search = await memory.vault.search({ query: 'oauth' });
+    assert.ok(search.success);
+    assert.ok(search.results.some(r => r.path === handoff.note.path));
+
+    const resumed = await memory.resume();
+    assert.ok(resumed.success);
+    assert.strictEqual(resumed.handoff.id, handoff.note.id);
+  });
+
+  test('should use tracker state across phase methods', async () => {
+    const phase = await memory.phase.create({ title: 'API Phase' });
+    const research = await memory.phase.research({ title: 'Findings', content: 'notes' });
+
+    assert.ok(research.success);
+    assert.strictEqual(research.note.phaseId, phase.phase.id);
+  });
+
+  test('should return failures instead of throwing or exiting', async () => {
+    const resumed = await memory.resume();
+    assert.strictEqual(resumed.success, false);
+    assert.strictEqual(resumed.code, ERROR_CODES.NOT_FOUND);
+
+    const unknown = await memory.run('vault explode');
+    assert.strictEqual(unknown.code, ERROR_CODES.VALIDATION);
+
+    const init = await memory.init({ mode: 'greenfield' });
+    assert.strictEqual(init.code, ERROR_CODES.VALIDATION);
+  });
+
+  test('should type args from the command registry like the CLI', async () => {
+    const handoff = await memory.handoff({ title: 'Typed', tags: 'auth, api' });
+    assert.strictEqual(handoff.success, true);
+    const note = await memory.adapter.readNote(handoff.note.path);
+    assert.deepStrictEqual(note.frontmatter.tags, ['handoff', 'auth', 'api']);
+
+    await memory.handoff({ title: 'Second' });
+    const list = await memory.handoff.list({ limit: '1' });
+    assert.strictEqual(list.handoffs.length, 1);
+
+    const unknown = await memory.handoff({ title: 'Typo', tag: 'auth' });
+    assert.strictEqual(unknown.success, false);
+    assert.strictEqual(unknown.code, ERROR_CODES.VALIDATION);
+    assert.match(unknown.message, /Unknown option 'tag' for 'handoff'. Did you mean 'tags'\?/);
+
+    const badNumber = await memory.handoff.list({ limit: 'lots' });
+    assert.match(badNumber.message, /Option --limit expects a number/);
+
+    const badType = await memory.phase.create({ title: ['Not', 'a', 'string'] });
+    assert.match(badType.message, /Option --title expects a string, got a list/);
+  });
+});
+
+describe('MCP Server', () => {
+  // Minimal line-delimited JSON-RPC client over the child's stdio
+  function startClient(vaultPath) {
+    const child = spawn(process.execPath, ['bin/copilot-memory.js', 'mcp'], {
+      env: { ...process.env, COPILOT_MEMORY_VAULT: vaultPath }
+    });
+    const pending = new Map();
+    let buffer = '';
+    let nextId = 1;
+
+    child.stdout.setEncoding('utf-8');
+    child.stdout.on('data', (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const message = JSON.parse(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+        pending.get(message.id)?.(message);
+        pending.delete(message.id);
+      }
+    });
+
+    return {
+      request(method, params = {}) {
+        const id = nextId++;
+        return new Promise((resolve) => {
+          pending.set(id, resolve);
+          child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+        });
+      },
+      notify(method, params = {}) {
+        child.stdin.write(JSON.stringify({ jsonrpc: '2.0', method, params }) + '\n');
+      },
+      close() {
+        return new Promise((resolve) => {
+          child.on('close', resolve);
+          child.stdin.end();
+        });
+      }
+    };
+  }
+
+  beforeEach(async () => {
+    await rm(TEST_VAULT, { recursive: true, force: true });
+  });
+
+  afterEach(async () => {
+    await rm(TEST_VAULT, { recursive: true, force: true });
+  });
+
+  test('should expose vault commands as tools and notes as resources over stdio', async () => {
+    const client = startClient(TEST_VAULT);
+
+    try {
+      const init = await client.request('initialize', {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test', version: '1.0.0' }
+      });
+      assert.strictEqual(init.result.protocolVersion, '2024-11-05');
+      assert.ok(init.result.capabilities.tools);
+      client.notify('notifications/initialized');
+
+      const { result: { tools } } = await client.request('tools/list');
+      const names = tools.map(tool => tool.name);
+      for (const name of ['handoff', 'resume', 'phase_create', 'phase_research', 'phase_handoff', 'search', 'tracker_get', 'tracker_set', 'note_read']) {
+        assert.ok(names.includes(name), `missing tool ${name}`);
+      }
+
+      const call = await client.request('tools/call', {
+        name: 'handoff',
+        arguments: { title: 'MCP Handoff', content: 'Context from MCP', tags: ['mcp'] }
+      });
+      assert.strictEqual(call.result.isError, false);
+      assert.ok(call.result.structuredContent.note.id);
+
+      const { result: { resources } } = await client.request('resources/list');
+      const handoffResource = resources.find(resource => resource.uri.includes('--handoff--'));
+      assert.ok(handoffResource);
+
+      const read = await client.request('resources/read', { uri: handoffResource.uri });
+      assert.ok(read.result.contents[0].text.includes('Context from MCP'));
+
+      const tracker = await client.request('tools/call', { name: 'tracker_get', arguments: {} });
+      assert.strictEqual(tracker.result.structuredContent.tracker.latest_handoff_id, call.result.structuredContent.note.id);
+    } finally {
+      await client.close();
+    }
+  });
+
+  test('should report protocol and tool errors', async () => {
+    const memory = await createMemory({ vaultPath: TEST_VAULT, useNotesmd: false });
+    const server = new McpServer(memory);
+
+    const unknown = await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'explode' } });
+    assert.strictEqual(unknown.error.code, RPC_ERRORS.INVALID_PARAMS);
+
+    const missing = await server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'bogus/method' });
+    assert.strictEqual(missing.error.code, RPC_ERRORS.METHOD_NOT_FOUND);
+
+    const escape = await server.handleMessage({
+      jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'note_read', arguments: { path: '../secrets.md' } }
+    });
+    assert.strictEqual(escape.result.isError, true);
+    assert.strictEqual(escape.result.structuredContent.code, ERROR_CODES.VALIDATION);
+  });
+
+  test('should accept only declared tool arguments, typed like CLI options', async () => {
+    const memory = await createMemory({ vaultPath: TEST_VAULT, useNotesmd: false });
+    const server = new McpServer(memory);
+    const call = (id, name, args) => server.handleMessage({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+
+    const tagged = await call(1, 'handoff', { title: 'Tagged', tags: 'auth' });
+    assert.strictEqual(tagged.result.isError, false);
+    const note = await memory.adapter.readNote(tagged.result.structuredContent.note.path);
+    assert.deepStrictEqual(note.frontmatter.tags, ['handoff', 'auth']);
+
+    const outside = await call(2, 'search', { query: 'copilot', dir: process.cwd() });
+    assert.strictEqual(outside.error.code, RPC_ERRORS.INVALID_PARAMS);
+    assert.match(outside.error.message, /Unknown argument for search: dir/);
+
+    const stdin = await call(3, 'handoff', { title: 'Piped', stdin: true });
+    assert.strictEqual(stdin.error.code, RPC_ERRORS.INVALID_PARAMS);
+
+    const wrongType = await call(4, 'search', { query: 'x', case: 'sometimes' });
+    assert.strictEqual(wrongType.error.code, RPC_ERRORS.INVALID_PARAMS);
+    assert.match(wrongType.error.message, /--case expects true or false/);
+
+    for (const tool of TOOLS.filter(candidate => candidate.command)) {
+      const definition = COMMANDS[tool.command];
+      const keys = [...(definition.args || []), ...definition.options].map(option => toArgKey(option.name));
+      for (const property of Object.keys(tool.inputSchema.properties)) {
+        assert.ok(keys.includes(property), `${tool.name}.${property} is not a ${tool.command} option`);
+      }
+    }
+  });
+
+  test('should report startup errors on stderr and exit non-zero', () => {
+    const child = spawnSync(process.execPath, ['bin/copilot-memory.js', 'mcp'], {
+      env: { ...process.env, COPILOT_MEMORY_VAULT: TEST_VAULT, COPILOT_MEMORY_ADAPTER: './missing-adapter.js' },
+      input: '',
+      encoding: 'utf-8',
+      timeout: 10000
+    });
+
+    assert.strictEqual(child.status, 2);
+    assert.strictEqual(child.stdout, '');
+    assert.match(child.stderr, /Failed to load adapter module '.*missing-adapter\.js'/);
+  });
+});
+
+describe('HTTP API', () => {
+  let server;
+  let url;
+
+  async function call(method, path, { body, token } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(url + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, result: await response.json() };
+  }
+
+  beforeEach(async () => {
+    await rm(TEST_VAULT, { recursive: true, force: true });
+    const memory = await createMemory({ vaultPath: TEST_VAULT, useNotesmd: false });
+    ({ server, url } = await startHttpServer(memory, { port: 0, token: 'secret' }));
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await rm(TEST_VAULT, { recursive: true, force: true });
+  });
+
+  test('should require the bearer token except for /health', async () => {
+    const health = await call('GET', '/health');
+    assert.strictEqual(health.status, 200);
+
+    const denied = await call('GET', '/tracker');
+    assert.strictEqual(denied.status, 401);
+    assert.strictEqual(denied.result.success, false);
+    assert.strictEqual(denied.result.code, 'UNAUTHORIZED');
+
+    const wrong = await call('GET', '/tracker', { token: 'nope' });
+    assert.strictEqual(wrong.status, 401);
+  });
+
+  test('should create handoffs and phases and read them back', async () => {
+    const token = 'secret';
+
+    const created = await call('POST', '/handoffs', { token, body: { title: 'HTTP Handoff', content: '## Via HTTP' } });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.result.success, true);
+
+    const phase = await call('POST', '/phases', { token, body: { title: 'Auth', id: 'auth' } });
+    assert.strictEqual(phase.status, 201);
+
+    const research = await call('POST', '/phases/auth/research', { token, body: { title: 'OAuth', content: 'notes' } });
+    assert.strictEqual(research.status, 201);
+
+    const phases = await call('GET', '/phases', { token });
+    assert.strictEqual(phases.result.activePhaseId, 'auth');
+    assert.deepStrictEqual(phases.result.phases.map(p => p.id), ['auth']);
+
+    const notes = await call('GET', '/notes?dir=handoffs', { token });
+    assert.strictEqual(notes.result.notes.length, 1);
+
+    const note = await call('GET', `/notes/${notes.result.notes[0].path}`, { token });
+    assert.strictEqual(note.status, 200);
+    assert.strictEqual(note.result.note.frontmatter.type, 'handoff');
+    assert.ok(note.result.note.body.includes('Via HTTP'));
+
+    const search = await call('GET', '/search?q=via%20http', { token });
+    assert.strictEqual(search.result.success, true);
+    assert.ok(search.result.results.length >= 1);
+
+    const tracker = await call('PATCH', '/tracker', { token, body: { session: 'http-session' } });
+    assert.strictEqual(tracker.result.tracker.current_session_id, 'http-session');
+  });
+
+  test('should map errors to CLI result shapes and HTTP statuses', async () => {
+    const token = 'secret';
+
+    const missing = await call('GET', '/notes/handoffs/nope.md', { token });
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.result.code, ERROR_CODES.NOT_FOUND);
+
+    const escape = await call('GET', '/notes/..%2Fsecrets.md', { token });
+    assert.strictEqual(escape.status, 400);
+    assert.strictEqual(escape.result.code, ERROR_CODES.VALIDATION);
+
+    const badJson = await fetch(url + '/handoffs', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: '{not json'
+    });
+    assert.strictEqual(badJson.status, 400);
+    assert.strictEqual((await badJson.json()).code, ERROR_CODES.VALIDATION);
+
+    const noQuery = await call('GET', '/search', { token });
+    assert.strictEqual(noQuery.status, 400);
+
+    const wrongMethod = await call('DELETE', '/tracker', { token });
+    assert.strictEqual(wrongMethod.status, 405);
+
+    const noRoute = await call('GET', '/nothing', { token });
+    assert.strictEqual(noRoute.status, 404);
+  });
+
+  test('should refuse browser requests and non-JSON bodies', async () => {
+    const token = 'secret';
+    const { port } = new URL(url);
+
+    const origin = await fetch(url + '/tracker', {
+      headers: { Authorization: `Bearer ${token}`, Origin: 'http://evil.example' }
+    });
+    assert.strictEqual(origin.status, 403);
+    assert.strictEqual((await origin.json()).code, 'FORBIDDEN');
+
+    // fetch() will not override Host, so send a raw request as a rebound DNS name would
+    const rawRequest = (host) => new Promise((resolve, reject) => {
+      const request = httpRequest(url + '/health', { headers: { Host: host } }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('error', reject);
+      request.end();
+    });
+    assert.strictEqual(await rawRequest(`evil.example:${port}`), 403);
+    assert.strictEqual(await rawRequest('localhost:1'), 403);
+    assert.strictEqual(await rawRequest(`localhost:${port}`), 200);
+
+    const text = await fetch(url + '/handoffs', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'text/plain' },
+      body: JSON.stringify({ title: 'Form Post' })
+    });
+    assert.strictEqual(text.status, 415);
+    assert.strictEqual((await text.json()).success, false);
+    const handoffs = existsSync(join(TEST_VAULT, 'handoffs')) ? await readdir(join(TEST_VAULT, 'handoffs')) : [];
+    assert.ok(!handoffs.some(name => name.includes('form-post')));
+
+    const traversal = await call('POST', '/phases', { token, body: { title: 'Escape', id: '../escape' } });
+    assert.strictEqual(traversal.status, 400);
+    assert.strictEqual(traversal.result.code, ERROR_CODES.VALIDATION);
+    assert.strictEqual(existsSync(join(TEST_VAULT, 'escape')), false);
+  });
+
+  test('should pass only the command\'s own options from request bodies', async () => {
+    const token = 'secret';
+
+    const first = await call('POST', '/handoffs', { token, body: { title: 'First Stop', tags: 'auth,api' } });
+    assert.strictEqual(first.status, 201);
+    const saved = await call('GET', `/notes/${relative(TEST_VAULT, first.result.note.path)}`, { token });
+    assert.deepStrictEqual(saved.result.note.frontmatter.tags, ['handoff', 'auth', 'api']);
+    await call('POST', '/handoffs', { token, body: { title: 'Second Stop' } });
+
+    const resumed = await call('POST', '/resume', { token, body: { from: 'first stop' } });
+    assert.strictEqual(resumed.status, 200);
+    assert.strictEqual(resumed.result.handoff.title, 'First Stop');
+
+    const outside = await call('POST', '/handoffs', { token, body: { title: 'Elsewhere', vault: '/tmp' } });
+    assert.strictEqual(outside.status, 400);
+    assert.match(outside.result.message, /Unknown field for 'handoff': vault/);
+
+    const piped = await call('POST', '/handoffs', { token, body: { title: 'Piped', stdin: true } });
+    assert.strictEqual(piped.status, 400);
+
+    const wrongType = await call('POST', '/phases', { token, body: { title: ['a', 'b'] } });
+    assert.strictEqual(wrongType.status, 400);
+    assert.strictEqual(wrongType.result.code, ERROR_CODES.VALIDATION);
+
+    const malformed = await call('GET', '/phases/%E0/research', { token });
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual(malformed.result.code, ERROR_CODES.VALIDATION);
+  });
+
+  test('should refuse non-loopback hosts', async () => {
+    const memory = await createMemory({ vaultPath: TEST_VAULT, useNotesmd: false });
+    await assert.rejects(
+      startHttpServer(memory, { port: 0, host: '0.0.0.0' }),
+      (error) => error.code === ERROR_CODES.VALIDATION
+    );
+  });
+});
+
+describe('Frontmatter YAML', () => {
+  const note = [
+    '---',
+    '# Edited in Obsidian',
+    'id: abc-123',
+    'session_id: null',
+    'count: 3',
+    'ratio: 1.5',
+    'draft: false',
+    'created_at: 2024-01-15T14:30:00.000Z',
+    'due: 2024-02-01',
+    'title: "Auth: OAuth \\"v2\\""',
+    "quote: 'it''s here'",
+    'tags: [auth, "a, b"]  # inline comment',
+    'meta:',
+    '  owner: sam',
+    '  reviewers:',
+    '    - name: kim',
+    '      role: lead',
+    'summary: |',
+    '  line one',
+    '  line two',
+    'folded: >-',
+    '  one',
+    '  two',
+    'cssclass: wide # unknown to copilot-memory',
+    '---',
+    '',
+    'Body'
+  ].join('\n');
+
+  test('should parse typed scalars and collections', () => {
+    const { frontmatter, body } = parseFrontmatter(note);
+
+    assert.strictEqual(body, 'Body');
+    assert.strictEqual(frontmatter.session_id, null);
+    assert.strictEqual(frontmatter.count, 3);
+    assert.strictEqual(frontmatter.ratio, 1.5);
+    assert.strictEqual(frontmatter.draft, false);
+    assert.ok(frontmatter.created_at instanceof Date);
+    assert.strictEqual(frontmatter.created_at.toISOString(), '2024-01-15T14:30:00.000Z');
+    assert.strictEqual(frontmatter.due.toISOString(), '2024-02-01T00:00:00.000Z');
+    assert.strictEqual(frontmatter.title, 'Auth: OAuth "v2"');
+    assert.strictEqual(frontmatter.quote, "it's here");
+    assert.deepStrictEqual(frontmatter.tags, ['auth', 'a, b']);
+    assert.strictEqual(frontmatter.meta.owner, 'sam');
+    assert.strictEqual(frontmatter.meta.reviewers[0].role, 'lead');
+    assert.strictEqual(frontmatter.summary, 'line one\nline two\n');
+    assert.strictEqual(frontmatter.folded, 'one two');
+    assert.strictEqual(frontmatter.cssclass, 'wide');
+  });
+
+  test('should round-trip comments, key order and unknown keys', () => {
+    const { frontmatter, body } = parseFrontmatter(note);
+    assert.strictEqual(serializeFrontmatter(frontmatter, body), note);
+
+    const updated = serializeFrontmatter({ ...frontmatter, count: 4, status: 'done' }, body);
+    assert.ok(updated.includes('# Edited in Obsidian\nid: abc-123'));
+    assert.ok(updated.includes('count: 4\n'));
+    assert.ok(updated.includes('tags: [auth, "a, b"]  # inline comment'));
+    assert.ok(updated.includes('cssclass: wide # unknown to copilot-memory\nstatus: done\n---'));
+  });
+
+  test('should preserve CRLF line endings', () => {
+    const crlf = note.replace(/\n/g, '\r\n');
+    const { frontmatter, body } = parseFrontmatter(crlf);
+
+    assert.strictEqual(frontmatter.title, 'Auth: OAuth "v2"');
+    assert.strictEqual(serializeFrontmatter(frontmatter, body), crlf);
+  });
+
+  test('should quote strings that would read back as other types', () => {
+    const values = {
+      phase_id: '123',
+      flag: 'true',
+      nothing: 'null',
+      day: '2024-01-15',
+      colon: 'a: b',
+      hash: 'x #y',
+      list: '[not a list]',
+      multiline: 'first\nsecond',
+      empty: ''
+    };
+    const { frontmatter } = parseFrontmatter(serializeFrontmatter(values, ''));
+
+    for (const [key, value] of Object.entries(values)) {
+      assert.strictEqual(frontmatter[key], value, key);
+    }
+  });
+
+  test('should hold timestamps as Dates and write them unquoted', () => {
+    const clock = new Config({ vaultPath: TEST_VAULT, env: { COPILOT_MEMORY_NOW: '2024-01-15T14:30:00Z' } }).clock;
+    const created = createFrontmatter('handoff', { clock });
+    assert.ok(created.created_at instanceof Date);
+
+    const text = serializeFrontmatter(created, '');
+    assert.ok(text.includes('\ncreated_at: 2024-01-15T14:30:00.000Z\nupdated_at: 2024-01-15T14:30:00.000Z\n'));
+    assert.strictEqual(parseFrontmatter(text).frontmatter.created_at.getTime(), created.created_at.getTime());
+
+    // Notes written by older versions quoted their timestamps
+    const legacy = parseFrontmatter("---\ncreated_at: '2024-01-15T14:30:00.000Z'\nupdated_at: \"2024-01-16T09:00:00Z\"\n---\n\nBody");
+    assert.strictEqual(legacy.frontmatter.created_at.toISOString(), '2024-01-15T14:30:00.000Z');
+    assert.strictEqual(legacy.frontmatter.updated_at.toISOString(), '2024-01-16T09:00:00.000Z');
+    assert.ok(serializeFrontmatter(legacy.frontmatter, legacy.body).includes('\ncreated_at: 2024-01-15T14:30:00.000Z\n'));
+  });
+
+  test('should report parse errors with file line numbers', () => {
+    const cases = [
+      ['---\nid: 1\nid: 2\n---\n', 3, /Duplicate key 'id'/],
+      ['---\nid: 1\ntags: [a, b\n---\n', 3, /Unterminated flow collection/],
+      ['---\ntitle: "open\n---\n', 2, /Unterminated double-quoted string/],
+      ['---\nid: 1\n  nested: 2\n---\n', 3, /Unexpected indentation/],
+      ['---\nbase: &anchor 1\n---\n', 2, /Anchors and aliases/]
+    ];
+
+    for (const [content, line, pattern] of cases) {
+      assert.throws(() => parseFrontmatter(content), (error) => {
+        assert.ok(error instanceof YamlError, content);
+        assert.strictEqual(error.code, ERROR_CODES.VALIDATION);
+        assert.strictEqual(error.line, line, content);
+        assert.match(error.message, pattern);
+        return true;
+      });
+    }
+  });
+});
+
+describe('Note Schemas', () => {
+  let config, adapter, vault;
+
+  beforeEach(async () => {
+    await rm(TEST_VAULT, { recursive: true, force: true });
+    config = new Config({ vaultPath: TEST_VAULT, useNotesmd: false });
+    adapter = new FilesystemAdapter(config);
+    vault = new VaultService(config, adapter);
+    await vault.initialize();
+  });
+
+  afterEach(async () => {
+    await rm(TEST_VAULT, { recursive: true, force: true });
+  });
+
+  test('validateNote checks required fields, types and status per type', () => {
+    const valid = {
+      id: 'p1', type: 'phase', created_at: new Date(), updated_at: '2024-01-15T14:30:00.000Z',
+      session_id: null, phase_id: 'p1', status: 'planned', tags: ['phase'], links: [], title: 'Auth'
+    };
+    assert.strictEqual(validateNote(valid).valid, true);
+
+    const result = validateNote({ ...valid, status: 'done', tags: 'phase', phase_id: null, title: undefined });
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.missing, ['title']);
+    assert.deepStrictEqual(result.errors.map(error => error.field).sort(), ['phase_id', 'status', 'tags', 'title']);
+
+    assert.strictEqual(validateNote({ ...valid, status: 'planned', type: 'session' }).valid, false);
+    assert.match(validateNote({ ...valid, type: 'memo' }).errors[0].message, /Unknown note type 'memo'/);
+  });
+
+  test('phase references must name an existing phase', async () => {
+    await assert.rejects(
+      vault.createPhaseResearch({ phaseId: 'ghost', title: 'Orphan', content: 'x' }),
+      (error) => {
+        assert.strictEqual(error.code, ERROR_CODES.VALIDATION);
+        assert.match(error.message, /phase_id 'ghost' does not reference an existing phase/);
+        return true;
+      }
+    );
+    assert.deepStrictEqual(await adapter.listNotes(config.getPath('phases'), { recursive: true }), []);
+
+    await vault.createPhase({ phaseId: 'auth', title: 'Auth', goal: 'Login' });
+    const note = await vault.createPhaseResearch({ phaseId: 'auth', title: 'OAuth', content: 'x' });
+    assert.strictEqual(note.frontmatter.phase_id, 'auth');
+  });
+
+  test('updateNote enforces the schema before writing', async () => {
+    const phase = await vault.createPhase({ phaseId: 'auth', title: 'Auth', goal: 'Login' });
+
+    await assert.rejects(
+      vault.updateNote(phase.path, { ...phase.frontmatter, status: 'finished' }, phase.body),
+      (error) => error.code === ERROR_CODES.VALIDATION && error.details.errors[0].field === 'status'
+    );
+    assert.strictEqual((await adapter.readNote(phase.path)).frontmatter.status, 'planned');
+
+    await vault.updateNote(phase.path, { ...phase.frontmatter, status: 'completed' }, phase.body);
+    assert.strictEqual((await adapter.readNote(phase.path)).frontmatter.status, 'completed');
+  });
+
+  test('notes written by the CLI commands pass the doctor', async () => {
+    const memory = await createMemory({ vaultPath: TEST_VAULT, useNotesmd: false });
+    await memory.phase.create({ id: 'auth', title: 'Auth' });
+    await memory.phase.research({ title: 'OAuth' });
+    await memory.phase.handoff({ title: 'Done' });
+    await memory.handoff({ title: 'Wrap up' });
+    await memory.resume();
+    await memory.vault.index();
+
+    const result = await memory.services.doctor.runDiagnostics();
+    assert.deepStrictEqual(result.frontmatter.invalid, []);
+    assert.deepStrictEqual(result.indexes.issues, []);
+  });
+});
+
+// ── Adapters ─────────────────────────────────────────────────────────────────
+
+async function tempVault() {
+  const root = await mkdtemp(join(tmpdir(), 'copilot-memory-'));
+  return {
+    root,
+    config: new Config({ vaultPath: root, useNotesmd: false }),
+    cleanup: () => rm(root, { recursive: true, force: true })
+  };
+}
+
+describeAdapterConformance('FilesystemAdapter', async () => {
+  const { root, config, cleanup } = await tempVault();
+  return { adapter: new FilesystemAdapter(config), root, cleanup };
+});
+
+describeAdapterConformance('NotesMDAdapter (filesystem fallback)', async () => {
+  const { root, config, cleanup } = await tempVault();
+  return { adapter: new NotesMDAdapter(config), root, cleanup };
+});
+
+describeAdapterConformance('InMemoryAdapter', async () => {
+  const root = join(tmpdir(), 'copilot-memory-in-memory');
+  return { adapter: new InMemoryAdapter({ vaultPath: root }), root };
+});
+
+describe('Atomic Writes', () => {
+  let vault;
+
+  beforeEach(async () => {
+    vault = await tempVault();
+  });
+
+  afterEach(async () => {
+    await vault.cleanup();
+  });
+
+  test('should replace files without leaving temp files behind', async () => {
+    const path = join(vault.root, 'state.json');
+    await writeFileAtomic(path, 'one');
+    await writeFileAtomic(path, 'two');
+
+    assert.strictEqual(await readFile(path, 'utf-8'), 'two');
+    assert.deepStrictEqual(await readdir(vault.root), ['state.json']);
+  });
+
+  test('should fail exclusive writes with EEXIST and keep the original', async () => {
+    const path = join(vault.root, 'note.md');
+    await writeFileAtomic(path, 'original', { exclusive: true });
+
+    await assert.rejects(writeFileAtomic(path, 'clobber', { exclusive: true }), { code: 'EEXIST' });
+    assert.strictEqual(await readFile(path, 'utf-8'), 'original');
+    assert.deepStrictEqual(await readdir(vault.root), ['note.md']);
+  });
+
+  test('should fall back to an exclusive create where hard links are unsupported', async (t) => {
+    const originalLink = fsPromises.link;
+    fsPromises.link = async () => {
+      throw Object.assign(new Error('operation not permitted, link'), { code: 'EPERM' });
+    };
+    syncBuiltinESMExports();
+    t.after(() => {
+      fsPromises.link = originalLink;
+      syncBuiltinESMExports();
+    });
+
+    const path = join(vault.root, 'note.md');
+    await writeFileAtomic(path, 'original', { exclusive: true });
+    assert.strictEqual(await readFile(path, 'utf-8'), 'original');
+    assert.deepStrictEqual(await readdir(vault.root), ['note.md']);
+
+    await assert.rejects(writeFileAtomic(path, 'clobber', { exclusive: true }), { code: 'EEXIST' });
+    assert.strictEqual(await readFile(path, 'utf-8'), 'original');
+    assert.deepStrictEqual(await readdir(vault.root), ['note.md']);
+  });
+});
+
+describe('Adapter Selection', () => {
+  let vault;
+
+  beforeEach(async () => {
+    vault = await tempVault();
+  });
+
+  afterEach(async () => {
+    await vault.cleanup();
+  });
+
+  test('should create built-in adapters by name', async () => {
+    vault.config.adapter = 'fs';
+    assert.ok(await createAdapter(vault.config) instanceof FilesystemAdapter);
+    vault.config.adapter = 'memory';
+    assert.ok(await createAdapter(vault.config) instanceof InMemoryAdapter);
+    vault.config.adapter = 'notesmd';
+    assert.ok(await createAdapter(vault.config) instanceof NotesMDAdapter);
+  });
+
+  test('should load adapters from a module path and check the contract', async () => {
+    const good = join(vault.root, 'good-adapter.js');
+    await writeFile(good, `export { InMemoryAdapter as default } from ${JSON.stringify(pathToFileURL(join(process.cwd(), 'src/adapters/memory.js')).href)};\n`);
+    vault.config.adapter = good;
+    assert.ok(await createAdapter(vault.config) instanceof InMemoryAdapter);
+
+    const bad = join(vault.root, 'bad-adapter.js');
+    await writeFile(bad, 'export function createAdapter() { return { readNote() {} }; }\n');
+    vault.config.adapter = bad;
+    await assert.rejects(createAdapter(vault.config), (error) => {
+      assert.strictEqual(error.code, ERROR_CODES.VALIDATION);
+      assert.ok(error.details.missing.includes('createNote'));
+      return true;
+    });
+
+    vault.config.adapter = 'sqlite';
+    await assert.rejects(createAdapter(vault.config), /Unknown adapter 'sqlite'/);
+  });
+
+  test('should keep notes in memory and only vault state on disk', async () => {
+    const memory = await createMemory({ vaultPath: vault.root, adapter: 'memory' });
+    assert.ok(memory.adapter instanceof InMemoryAdapter);
+
+    const created = await memory.handoff({ title: 'In Memory', content: 'Nothing on disk' });
+    assert.strictEqual(created.success, true);
+
+    const search = await memory.vault.search({ query: 'nothing on disk' });
+    assert.strictEqual(search.results.length, 1);
+    assert.strictEqual(await readdir(join(vault.root, 'handoffs')).then(entries => entries.length), 0);
+
+    // Folders, tracker state and the manifest are not notes, so they bypass the adapter
+    const indexes = await readdir(join(vault.root, 'indexes'));
+    assert.ok(indexes.includes('tracker-state.json'));
+    assert.ok(indexes.includes('manifest.json'));
+    const onDisk = await readdir(vault.root, { recursive: true });
+    assert.ok(!onDisk.some(entry => entry.endsWith('.md')), onDisk.join(', '));
+  });
+
+  test('should prune through the adapter', async () => {
+    const memory = await createMemory({ vaultPath: vault.root, adapter: 'memory' });
+    await memory.handoff({ title: 'Old Work' });
+
+    const pruned = await memory.vault.prune({ days: 0 });
+    assert.strictEqual(pruned.success, true);
+    assert.ok(pruned.result.deleted.length >= 1);
+    assert.deepStrictEqual(await memory.adapter.listNotes(join(vault.root, 'handoffs'), { recursive: true }), []);
+  });
+});
+
 // ── Plugin Structure Validation ──────────────────────────────────────────────
 
 const __filename = fileURLToPath(import.meta.url);